@@ -1,6 +1,7 @@
 // app/features/achievementChecker/index.js
 const { sendTelegramMessage } = require('@features/sendTelegramMsg');
 const { updateUserRank } = require('@features/rankManager');
+const { publishAchievementEvent } = require('@features/campaignLiveFeed');
 
 /**
  * Checks for and awards achievements to a user after a mission completion.
@@ -99,7 +100,10 @@ const checkAndAwardAchievements = async (client, userId, completedMissionId) =>
                     );
                 }
 
-                // 4d: Send notification (do not await, don't let it fail the transaction)
+                // 4d: Show the achievement on the campaign's live feed (delivered on COMMIT)
+                await publishAchievementEvent(client, userId, achievement.id);
+
+                // 4e: Send notification (do not await, don't let it fail the transaction)
                 notifyUserOfAchievement(client, userId, achievement);
             }
         }
@@ -0,0 +1,123 @@
+const axios = require('axios');
+
+const AI_EVALUATOR_PROVIDER = process.env.AI_EVALUATOR_PROVIDER || 'local';
+const AI_EVALUATOR_URL = process.env.AI_EVALUATOR_URL;
+const AI_EVALUATOR_API_KEY = process.env.AI_EVALUATOR_API_KEY;
+
+/**
+ * Substitutes `{{submission}}` and `{{instruction}}` placeholders in a prompt template.
+ * Both are replaced in one pass with a callback, so the user's answer is inserted literally:
+ * `$&`-style patterns and placeholders inside it are not expanded.
+ * @param {string} template - The mission's prompt template.
+ * @param {object} values - Values to substitute.
+ * @param {string} values.submission - The user's answer.
+ * @param {string} values.instruction - The instruction shown to the user.
+ * @returns {string} The rendered prompt.
+ */
+const renderPrompt = (template, { submission, instruction }) => {
+    const values = { submission, instruction };
+    return template.replace(/{{\s*(submission|instruction)\s*}}/g, (_, key) => values[key]);
+};
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Deterministic evaluator that needs no external service. Used by default and in tests.
+ * Confidence is the share of `evaluation_criteria.keywords` found in the submission,
+ * scaled down proportionally if the submission is shorter than `evaluation_criteria.min_length`.
+ * Without keywords there is nothing to check, so confidence is 0 and the answer goes to manual review.
+ */
+const localEvaluator = async ({ submission, mission }) => {
+    const criteria = mission.evaluation_criteria || {};
+    const text = submission.toLowerCase();
+
+    const keywords = Array.isArray(criteria.keywords) ? criteria.keywords : [];
+    const matched = keywords.filter((keyword) => text.includes(String(keyword).toLowerCase()));
+    let confidence = keywords.length > 0 ? matched.length / keywords.length : 0;
+
+    const minLength = Number.isInteger(criteria.min_length) ? criteria.min_length : 0;
+    if (minLength > 0 && submission.length < minLength) {
+        confidence *= submission.length / minLength;
+    }
+
+    const missing = keywords.filter((keyword) => !matched.includes(keyword));
+    let feedback = 'Ответ соответствует критериям.';
+    if (keywords.length === 0) {
+        feedback = 'Критерии проверки не заданы, ответ будет проверен вручную.';
+    } else if (missing.length > 0) {
+        feedback = `Не раскрыты темы: ${missing.join(', ')}.`;
+    }
+
+    return { confidence: clamp(confidence), feedback };
+};
+
+/**
+ * Evaluator that delegates to an external HTTP service.
+ * The service receives the rendered prompt and criteria and must answer with `{ confidence, feedback }`.
+ */
+const httpEvaluator = async ({ submission, mission }) => {
+    if (!AI_EVALUATOR_URL) {
+        throw new Error('AI_EVALUATOR_URL is not configured in environment variables.');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (AI_EVALUATOR_API_KEY) {
+        headers['x-api-key'] = AI_EVALUATOR_API_KEY;
+    }
+    const data = {
+        prompt: renderPrompt(mission.prompt_template, { submission, instruction: mission.user_instruction }),
+        evaluation_criteria: mission.evaluation_criteria,
+        submission,
+    };
+
+    const response = await axios.post(AI_EVALUATOR_URL, data, { headers, timeout: 30000 });
+    const { confidence, feedback } = response.data || {};
+
+    if (typeof confidence !== 'number' || Number.isNaN(confidence)) {
+        throw new Error('AI evaluator returned a response without a numeric confidence.');
+    }
+
+    return { confidence: clamp(confidence), feedback: feedback || null };
+};
+
+const evaluators = {
+    local: localEvaluator,
+    http: httpEvaluator,
+};
+
+/**
+ * Registers (or replaces) an evaluator implementation.
+ * @param {string} name - The provider name, matched against AI_EVALUATOR_PROVIDER.
+ * @param {function({submission: string, mission: object}): Promise<{confidence: number, feedback: string|null}>} evaluator
+ */
+const registerEvaluator = (name, evaluator) => {
+    if (typeof evaluator !== 'function') {
+        throw new Error(`Evaluator "${name}" must be a function.`);
+    }
+    evaluators[name] = evaluator;
+};
+
+/**
+ * Evaluates a user's submission for an AI_CHECK mission with the configured provider.
+ * @param {string} submission - The text submitted by the user.
+ * @param {object} mission - The mission's AI-check details.
+ * @param {string} mission.prompt_template
+ * @param {object} mission.evaluation_criteria
+ * @param {string} mission.user_instruction
+ * @returns {Promise<{confidence: number, feedback: string|null, provider: string}>}
+ */
+const evaluateSubmission = async (submission, mission) => {
+    const evaluator = evaluators[AI_EVALUATOR_PROVIDER];
+    if (!evaluator) {
+        throw new Error(`Unknown AI evaluator provider: ${AI_EVALUATOR_PROVIDER}`);
+    }
+
+    const result = await evaluator({ submission, mission });
+    return { ...result, provider: AI_EVALUATOR_PROVIDER };
+};
+
+module.exports = {
+    evaluateSubmission,
+    registerEvaluator,
+    renderPrompt,
+};
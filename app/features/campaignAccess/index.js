@@ -0,0 +1,106 @@
+// app/features/campaignAccess/index.js
+
+// Campaign roles ordered by privilege; a higher level includes everything below it.
+const CAMPAIGN_ROLE_LEVELS = {
+    VIEWER: 1,
+    MODERATOR: 2,
+    CO_ORGANIZER: 3,
+    OWNER: 4,
+};
+
+const CAMPAIGN_ROLES = Object.keys(CAMPAIGN_ROLE_LEVELS);
+
+/**
+ * Global ADMINs have owner-level access to every campaign without a membership record.
+ * @param {object} user - req.user as set by authenticateJWT.
+ * @returns {boolean}
+ */
+const isGlobalAdmin = (user) => user.role === 'ADMIN';
+
+/**
+ * Returns the campaign roles that are at least as privileged as minRole.
+ * @param {string} minRole - One of CAMPAIGN_ROLES.
+ * @returns {string[]}
+ */
+const rolesAtLeast = (minRole) => CAMPAIGN_ROLES.filter((role) => CAMPAIGN_ROLE_LEVELS[role] >= CAMPAIGN_ROLE_LEVELS[minRole]);
+
+/**
+ * Fetches a manager's role in a campaign.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} managerId - The UUID of the manager.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @returns {Promise<string|null>} The campaign role, or null if the manager has no access.
+ */
+const getCampaignRole = async (db, managerId, campaignId) => {
+    const { rows } = await db.query(
+        'SELECT role FROM campaign_managers WHERE campaign_id = $1 AND manager_id = $2',
+        [campaignId, managerId]
+    );
+    return rows.length > 0 ? rows[0].role : null;
+};
+
+/**
+ * Ensures the manager has at least minRole in the campaign and returns their effective role.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {object} user - req.user as set by authenticateJWT.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {string} minRole - One of CAMPAIGN_ROLES.
+ * @returns {Promise<string>} The manager's campaign role ('OWNER' for global admins).
+ * @throws {Error} 403 CAMPAIGN_ACCESS_DENIED or INSUFFICIENT_CAMPAIGN_ROLE.
+ */
+const assertCampaignAccess = async (db, user, campaignId, minRole) => {
+    if (isGlobalAdmin(user)) {
+        return 'OWNER';
+    }
+
+    const role = await getCampaignRole(db, user.userId, campaignId);
+
+    if (!role) {
+        const err = new Error('You do not have access to this campaign.');
+        err.statusCode = 403;
+        err.code = 'CAMPAIGN_ACCESS_DENIED';
+        throw err;
+    }
+
+    if (CAMPAIGN_ROLE_LEVELS[role] < CAMPAIGN_ROLE_LEVELS[minRole]) {
+        const err = new Error(`Your campaign role (${role}) does not allow this action. Required: ${rolesAtLeast(minRole).join(' or ')}.`);
+        err.statusCode = 403;
+        err.code = 'INSUFFICIENT_CAMPAIGN_ROLE';
+        throw err;
+    }
+
+    return role;
+};
+
+/**
+ * Builds a SQL condition restricting a campaign ID column to the campaigns the manager can access.
+ * Pushes its parameters onto queryParams. Returns null for global admins (no restriction).
+ *
+ * @param {object} user - req.user as set by authenticateJWT.
+ * @param {string} column - The campaign ID column, e.g. 'c.id' or 'm.campaign_id'.
+ * @param {Array} queryParams - The parameter array of the query being built.
+ * @param {string} [minRole='VIEWER'] - The minimum campaign role required.
+ * @returns {string|null}
+ */
+const accessibleCampaignsCondition = (user, column, queryParams, minRole = 'VIEWER') => {
+    if (isGlobalAdmin(user)) {
+        return null;
+    }
+    queryParams.push(user.userId);
+    const managerParam = queryParams.length;
+    queryParams.push(rolesAtLeast(minRole));
+    const rolesParam = queryParams.length;
+    return `${column} IN (
+        SELECT campaign_id FROM campaign_managers
+        WHERE manager_id = $${managerParam} AND role = ANY($${rolesParam}::campaign_manager_role[])
+    )`;
+};
+
+module.exports = {
+    CAMPAIGN_ROLES,
+    CAMPAIGN_ROLE_LEVELS,
+    isGlobalAdmin,
+    getCampaignRole,
+    assertCampaignAccess,
+    accessibleCampaignsCondition,
+};
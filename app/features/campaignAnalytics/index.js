@@ -0,0 +1,263 @@
+// app/features/campaignAnalytics/index.js
+
+// The longest range, in days. Every day becomes a series entry per mission, so the range must be bounded.
+const MAX_RANGE_DAYS = 366;
+
+// Every metric counts the events that happened in the requested date range (both ends inclusive).
+// $2 and $3 are always the range bounds (dates).
+const IN_RANGE = (column) => `${column} >= $2::date AND ${column} < $3::date + 1`;
+
+/**
+ * Orders missions along their prerequisite chain.
+ * A mission without a required achievement has depth 0; a mission unlocked by an achievement
+ * comes one step after the deepest mission that achievement requires.
+ * @param {Array<object>} missions - Missions with id, required_achievement_id and created_at.
+ * @param {Array<object>} achievements - Achievements with id and unlock_conditions.
+ * @returns {Array<object>} The missions with a `depth`, sorted by depth, then creation date.
+ */
+const orderByPrerequisites = (missions, achievements) => {
+    const missionsById = new Map(missions.map((m) => [m.id, m]));
+    const requiredMissions = new Map(achievements.map((a) => [
+        a.id,
+        Array.isArray(a.unlock_conditions?.required_missions) ? a.unlock_conditions.required_missions : [],
+    ]));
+    const depths = new Map();
+
+    const depthOf = (missionId, visiting) => {
+        if (depths.has(missionId)) return depths.get(missionId);
+        const mission = missionsById.get(missionId);
+        // Unknown (deleted) missions and cycles do not add steps.
+        if (!mission || visiting.has(missionId)) return -1;
+        visiting.add(missionId);
+
+        let depth = 0;
+        if (mission.required_achievement_id) {
+            const prerequisites = requiredMissions.get(mission.required_achievement_id) || [];
+            depth = 1 + Math.max(-1, ...prerequisites.map((id) => depthOf(id, visiting)));
+        }
+
+        visiting.delete(missionId);
+        depths.set(missionId, depth);
+        return depth;
+    };
+
+    return missions
+        .map((m) => ({ ...m, depth: depthOf(m.id, new Set()) }))
+        .sort((a, b) => a.depth - b.depth || new Date(a.created_at) - new Date(b.created_at));
+};
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+/**
+ * Computes the analytics of a campaign for a date range.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {object} range
+ * @param {string} range.from - First day, YYYY-MM-DD.
+ * @param {string} range.to - Last day, YYYY-MM-DD.
+ * @returns {Promise<object>} See the CampaignAnalytics schema.
+ */
+const getCampaignAnalytics = async (db, campaignId, { from, to }) => {
+    const params = [campaignId, from, to];
+
+    const joinsPromise = db.query(
+        `SELECT to_char(d, 'YYYY-MM-DD') AS date, COUNT(uc.user_id)::INTEGER AS joins
+         FROM generate_series($2::date, $3::date, interval '1 day') d
+         LEFT JOIN user_campaigns uc ON uc.campaign_id = $1 AND uc.joined_at >= d AND uc.joined_at < d + interval '1 day'
+         GROUP BY d
+         ORDER BY d`,
+        params
+    );
+
+    const missionsPromise = db.query(
+        `SELECT m.id, m.title, m.type, m.required_achievement_id, m.created_at
+         FROM missions m
+         WHERE m.campaign_id = $1 AND m.deleted_at IS NULL`,
+        [campaignId]
+    );
+
+    const achievementsPromise = db.query(
+        'SELECT id, unlock_conditions FROM achievements WHERE campaign_id = $1',
+        [campaignId]
+    );
+
+    const completionsPerDayPromise = db.query(
+        `SELECT mc.mission_id, to_char(mc.updated_at, 'YYYY-MM-DD') AS date, COUNT(*)::INTEGER AS completions
+         FROM mission_completions mc
+         JOIN missions m ON mc.mission_id = m.id
+         WHERE m.campaign_id = $1 AND m.deleted_at IS NULL AND mc.status = 'APPROVED' AND ${IN_RANGE('mc.updated_at')}
+         GROUP BY mc.mission_id, date`,
+        params
+    );
+
+    const usersPerMissionPromise = db.query(
+        `SELECT mc.mission_id, COUNT(DISTINCT mc.user_id)::INTEGER AS users
+         FROM mission_completions mc
+         JOIN missions m ON mc.mission_id = m.id
+         WHERE m.campaign_id = $1 AND m.deleted_at IS NULL AND mc.status = 'APPROVED' AND ${IN_RANGE('mc.updated_at')}
+         GROUP BY mc.mission_id`,
+        params
+    );
+
+    // Every attempt is recorded, so the pass rate is the share of the attempts in the range that passed.
+    const quizzesPromise = db.query(
+        `SELECT
+            m.id AS mission_id,
+            m.title,
+            qd.pass_threshold,
+            COUNT(qa.id)::INTEGER AS attempts,
+            COUNT(qa.id) FILTER (WHERE qa.passed)::INTEGER AS passed,
+            AVG(qa.score) AS average_score
+         FROM missions m
+         JOIN mission_quiz_details qd ON qd.mission_id = m.id
+         LEFT JOIN quiz_attempts qa ON qa.mission_id = m.id AND ${IN_RANGE('qa.created_at')}
+         WHERE m.campaign_id = $1 AND m.type = 'QUIZ' AND m.deleted_at IS NULL
+         GROUP BY m.id, m.title, qd.pass_threshold, m.created_at
+         ORDER BY m.created_at ASC`,
+        params
+    );
+
+    const moderationPromise = db.query(
+        `SELECT
+            COUNT(*) FILTER (WHERE mc.moderator_id IS NOT NULL AND mc.status IN ('APPROVED', 'REJECTED') AND ${IN_RANGE('mc.updated_at')})::INTEGER AS reviewed,
+            PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM mc.updated_at - mc.created_at))
+                FILTER (WHERE mc.moderator_id IS NOT NULL AND mc.status IN ('APPROVED', 'REJECTED') AND ${IN_RANGE('mc.updated_at')}) AS median_seconds,
+            COUNT(*) FILTER (WHERE mc.status = 'PENDING_REVIEW')::INTEGER AS pending
+         FROM mission_completions mc
+         JOIN missions m ON mc.mission_id = m.id
+         WHERE m.campaign_id = $1`,
+        params
+    );
+
+    const manaPromise = db.query(
+        `SELECT
+            (
+                SELECT COALESCE(SUM(COALESCE(mc.mana_granted, m.mana_reward)), 0)::INTEGER
+                FROM mission_completions mc
+                JOIN missions m ON mc.mission_id = m.id
+                WHERE m.campaign_id = $1 AND mc.status = 'APPROVED' AND ${IN_RANGE('mc.updated_at')}
+            ) AS missions,
+            (
+                SELECT COALESCE(SUM(a.mana_reward), 0)::INTEGER
+                FROM user_achievements ua
+                JOIN achievements a ON ua.achievement_id = a.id
+                WHERE a.campaign_id = $1 AND ${IN_RANGE('ua.awarded_at')}
+            ) AS achievements,
+            (
+                SELECT COALESCE(SUM(r.inviter_mana_awarded + r.invitee_mana_awarded), 0)::INTEGER
+                FROM campaign_referrals r
+                WHERE r.campaign_id = $1 AND r.status = 'REWARDED' AND ${IN_RANGE('r.rewarded_at')}
+            ) AS referrals,
+            (
+                SELECT COALESCE(SUM(o.points_spent), 0)::INTEGER
+                FROM orders o
+                JOIN store_items si ON o.item_id = si.id
+                WHERE si.campaign_id = $1 AND o.status <> 'CANCELLED' AND ${IN_RANGE('o.created_at')}
+            ) AS spent,
+            (
+                SELECT COUNT(*)::INTEGER
+                FROM orders o
+                JOIN store_items si ON o.item_id = si.id
+                WHERE si.campaign_id = $1 AND o.status <> 'CANCELLED' AND ${IN_RANGE('o.created_at')}
+            ) AS orders`,
+        params
+    );
+
+    const [
+        joinsResult,
+        missionsResult,
+        achievementsResult,
+        completionsPerDayResult,
+        usersPerMissionResult,
+        quizzesResult,
+        moderationResult,
+        manaResult,
+    ] = await Promise.all([
+        joinsPromise,
+        missionsPromise,
+        achievementsPromise,
+        completionsPerDayPromise,
+        usersPerMissionPromise,
+        quizzesPromise,
+        moderationPromise,
+        manaPromise,
+    ]);
+
+    const joinsPerDay = joinsResult.rows;
+    const days = joinsPerDay.map((row) => row.date);
+    const missions = orderByPrerequisites(missionsResult.rows, achievementsResult.rows);
+
+    // Completions per mission per day, with the days without completions filled with 0.
+    const completionCounts = new Map();
+    for (const row of completionsPerDayResult.rows) {
+        completionCounts.set(`${row.mission_id}|${row.date}`, row.completions);
+    }
+    const completionsPerMission = missions.map((m) => ({
+        mission_id: m.id,
+        title: m.title,
+        series: days.map((date) => ({ date, completions: completionCounts.get(`${m.id}|${date}`) || 0 })),
+    }));
+
+    // Funnel: joins, then every mission in prerequisite order.
+    const usersPerMission = new Map(usersPerMissionResult.rows.map((row) => [row.mission_id, row.users]));
+    const joined = joinsPerDay.reduce((sum, row) => sum + row.joins, 0);
+    const funnel = [{ step: 0, mission_id: null, title: 'Joined', depth: null, users: joined, conversion_from_previous: null, drop_off_from_previous: null }];
+    missions.forEach((m, index) => {
+        const previous = funnel[index].users;
+        const users = usersPerMission.get(m.id) || 0;
+        funnel.push({
+            step: index + 1,
+            mission_id: m.id,
+            title: m.title,
+            depth: m.depth,
+            users,
+            conversion_from_previous: ratio(users, previous),
+            drop_off_from_previous: previous - users,
+        });
+    });
+
+    const quizzes = quizzesResult.rows.map((q) => ({
+        mission_id: q.mission_id,
+        title: q.title,
+        pass_threshold: q.pass_threshold,
+        attempts: q.attempts,
+        passed: q.passed,
+        pass_rate: ratio(q.passed, q.attempts),
+        average_score: q.average_score === null ? null : Math.round(q.average_score * 10000) / 10000,
+    }));
+
+    const moderation = moderationResult.rows[0];
+    const mana = manaResult.rows[0];
+    const earned = mana.missions + mana.achievements + mana.referrals;
+
+    return {
+        range: { from, to },
+        joins_per_day: joinsPerDay,
+        completions_per_mission_per_day: completionsPerMission,
+        funnel,
+        quizzes,
+        moderation: {
+            reviewed: moderation.reviewed,
+            median_seconds: moderation.median_seconds === null ? null : Math.round(moderation.median_seconds),
+            pending: moderation.pending,
+        },
+        mana: {
+            earned: {
+                missions: mana.missions,
+                achievements: mana.achievements,
+                referrals: mana.referrals,
+                total: earned,
+            },
+            spent: {
+                orders: mana.orders,
+                total: mana.spent,
+            },
+            net: earned - mana.spent,
+        },
+    };
+};
+
+module.exports = {
+    MAX_RANGE_DAYS,
+    getCampaignAnalytics,
+};
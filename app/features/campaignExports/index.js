@@ -0,0 +1,316 @@
+// app/features/campaignExports/index.js
+const Cursor = require('pg-cursor');
+const ExcelJS = require('exceljs');
+const pool = require('@db');
+
+// Rows are read from Postgres in batches of this size, so memory use does not grow with the campaign.
+const BATCH_SIZE = 500;
+
+/**
+ * The exports of a campaign. Each one has its fixed columns, an optional step that adds
+ * dynamic columns (one per mission for the completion matrix), the query and a row mapper.
+ * Every query takes the campaign ID as $1.
+ */
+const EXPORTS = {
+    participants: {
+        columns: [
+            { key: 'first_name', header: 'First name', width: 20 },
+            { key: 'last_name', header: 'Last name', width: 20 },
+            { key: 'username', header: 'Username', width: 20 },
+            { key: 'joined_at', header: 'Joined at', width: 20 },
+            { key: 'is_active', header: 'Active', width: 10 },
+            { key: 'join_source', header: 'Join source', width: 25 },
+            { key: 'experience_points', header: 'XP', width: 10 },
+            { key: 'mana_points', header: 'Mana', width: 10 },
+            { key: 'rank_title', header: 'Rank', width: 25 },
+        ],
+        query: `
+            SELECT
+                u.first_name,
+                u.last_name,
+                u.username,
+                uc.joined_at,
+                uc.is_active,
+                COALESCE(uc.join_metadata ->> 'invite_code_name', uc.join_metadata ->> 'source') AS join_source,
+                u.experience_points,
+                u.mana_points,
+                r.title AS rank_title
+            FROM user_campaigns uc
+            JOIN users u ON uc.user_id = u.id
+            LEFT JOIN ranks r ON u.rank_id = r.id
+            WHERE uc.campaign_id = $1 AND u.deleted_at IS NULL
+            ORDER BY uc.joined_at ASC, uc.user_id ASC`,
+    },
+
+    completions: {
+        columns: [
+            { key: 'first_name', header: 'First name', width: 20 },
+            { key: 'last_name', header: 'Last name', width: 20 },
+            { key: 'username', header: 'Username', width: 20 },
+            { key: 'approved_count', header: 'Missions approved', width: 18 },
+        ],
+        // One column per mission; the cell is the status of the user's latest submission.
+        loadDynamicColumns: async (db, campaignId) => {
+            const { rows } = await db.query(
+                'SELECT id, title FROM missions WHERE campaign_id = $1 AND deleted_at IS NULL ORDER BY created_at ASC',
+                [campaignId]
+            );
+            return rows.map((m) => ({ key: `mission:${m.id}`, header: m.title, width: 18, missionId: m.id }));
+        },
+        query: `
+            SELECT
+                u.first_name,
+                u.last_name,
+                u.username,
+                COUNT(*) FILTER (WHERE mc.status = 'APPROVED')::INTEGER AS approved_count,
+                COALESCE(jsonb_object_agg(mc.mission_id, mc.status) FILTER (WHERE mc.mission_id IS NOT NULL), '{}') AS statuses
+            FROM user_campaigns uc
+            JOIN users u ON uc.user_id = u.id
+            LEFT JOIN LATERAL (
+                SELECT DISTINCT ON (c.mission_id) c.mission_id, c.status
+                FROM mission_completions c
+                JOIN missions m ON c.mission_id = m.id
+                WHERE c.user_id = uc.user_id AND m.campaign_id = $1 AND m.deleted_at IS NULL
+                ORDER BY c.mission_id, c.created_at DESC
+            ) mc ON true
+            WHERE uc.campaign_id = $1 AND u.deleted_at IS NULL
+            GROUP BY uc.user_id, uc.joined_at, u.first_name, u.last_name, u.username
+            ORDER BY uc.joined_at ASC, uc.user_id ASC`,
+        mapRow: (row, columns) => {
+            const mapped = { ...row };
+            for (const column of columns) {
+                if (column.missionId) {
+                    mapped[column.key] = row.statuses[column.missionId] || '';
+                }
+            }
+            return mapped;
+        },
+    },
+
+    achievements: {
+        columns: [
+            { key: 'first_name', header: 'First name', width: 20 },
+            { key: 'last_name', header: 'Last name', width: 20 },
+            { key: 'username', header: 'Username', width: 20 },
+            { key: 'achievement', header: 'Achievement', width: 30 },
+            { key: 'experience_reward', header: 'XP reward', width: 10 },
+            { key: 'mana_reward', header: 'Mana reward', width: 12 },
+            { key: 'awarded_at', header: 'Awarded at', width: 20 },
+        ],
+        query: `
+            SELECT
+                u.first_name,
+                u.last_name,
+                u.username,
+                a.name AS achievement,
+                a.experience_reward,
+                a.mana_reward,
+                ua.awarded_at
+            FROM user_achievements ua
+            JOIN achievements a ON ua.achievement_id = a.id
+            JOIN users u ON ua.user_id = u.id
+            WHERE a.campaign_id = $1 AND u.deleted_at IS NULL
+            ORDER BY ua.awarded_at ASC, ua.user_id ASC`,
+    },
+
+    competencies: {
+        columns: [
+            { key: 'first_name', header: 'First name', width: 20 },
+            { key: 'last_name', header: 'Last name', width: 20 },
+            { key: 'username', header: 'Username', width: 20 },
+            { key: 'competency', header: 'Competency', width: 30 },
+            { key: 'is_global', header: 'Global', width: 10 },
+            { key: 'level', header: 'Level', width: 10 },
+            { key: 'progress_points', header: 'Progress points', width: 16 },
+        ],
+        // Global competencies and the campaign's own ones, for its participants.
+        query: `
+            SELECT
+                u.first_name,
+                u.last_name,
+                u.username,
+                c.name AS competency,
+                c.is_global,
+                ucomp.level,
+                ucomp.progress_points
+            FROM user_campaigns uc
+            JOIN users u ON uc.user_id = u.id
+            JOIN user_competencies ucomp ON ucomp.user_id = uc.user_id
+            JOIN competencies c ON ucomp.competency_id = c.id
+            WHERE uc.campaign_id = $1 AND u.deleted_at IS NULL AND c.deleted_at IS NULL
+              AND (c.is_global = true OR c.campaign_id = $1)
+            ORDER BY uc.joined_at ASC, uc.user_id ASC, c.is_global DESC, c.name ASC`,
+    },
+};
+
+const EXPORT_TYPES = Object.keys(EXPORTS);
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Formats a value for CSV (RFC 4180). Cells that Excel would run as a formula are prefixed with a quote,
+ * since names and usernames come from Telegram.
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes to the response and waits if its buffer is full. A closed response never drains,
+ * so the wait also ends on `close` (the caller checks `res.destroyed`) and fails on `error`.
+ * @param {object} res - The Express response.
+ * @param {string} chunk
+ * @returns {Promise<void>}
+ */
+const writeWithBackpressure = (res, chunk) => new Promise((resolve, reject) => {
+    if (res.destroyed || res.write(chunk)) {
+        resolve();
+        return;
+    }
+
+    const cleanup = () => {
+        res.off('drain', onDone);
+        res.off('close', onDone);
+        res.off('error', onError);
+    };
+    const onDone = () => {
+        cleanup();
+        resolve();
+    };
+    const onError = (err) => {
+        cleanup();
+        reject(err);
+    };
+
+    res.on('drain', onDone);
+    res.on('close', onDone);
+    res.on('error', onError);
+});
+
+/**
+ * Creates the writer of one export format. Both writers take rows keyed by column key.
+ * @param {object} res - The Express response.
+ * @param {string} format - 'csv' or 'xlsx'.
+ * @param {Array<object>} columns
+ * @param {string} sheetName
+ * @returns {{addRows: function(Array<object>): Promise<void>, end: function(): Promise<void>}}
+ */
+const createWriter = (res, format, columns, sheetName) => {
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false, useStyles: true });
+        const worksheet = workbook.addWorksheet(sheetName);
+        worksheet.columns = columns.map(({ key, header, width }) => ({ key, header, width }));
+        worksheet.getRow(1).font = { bold: true };
+
+        return {
+            addRows: async (rows) => {
+                for (const row of rows) {
+                    worksheet.addRow(row).commit();
+                }
+            },
+            end: async () => {
+                worksheet.commit();
+                await workbook.commit();
+            },
+        };
+    }
+
+    // UTF-8 BOM, so Excel opens Cyrillic text correctly.
+    res.write(`\uFEFF${columns.map((c) => toCsvCell(c.header)).join(',')}\r\n`);
+
+    return {
+        addRows: async (rows) => {
+            const chunk = rows.map((row) => `${columns.map((c) => toCsvCell(row[c.key])).join(',')}\r\n`).join('');
+            await writeWithBackpressure(res, chunk);
+        },
+        end: async () => {
+            res.end();
+        },
+    };
+};
+
+/**
+ * Returns the columns of an export, including the dynamic ones.
+ * Call it before streamCampaignExport, so a failure can still be reported as a regular error response.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} type - One of EXPORT_TYPES.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @returns {Promise<Array<object>>}
+ */
+const getExportColumns = async (db, type, campaignId) => {
+    const definition = EXPORTS[type];
+    const dynamicColumns = definition.loadDynamicColumns ? await definition.loadDynamicColumns(db, campaignId) : [];
+    return [...definition.columns, ...dynamicColumns];
+};
+
+/**
+ * Streams a campaign export to the response. Rows are read with a server-side cursor and written
+ * batch by batch, so neither the whole result nor the whole file is ever held in memory.
+ * The response headers are sent here; errors after that can only abort the download.
+ *
+ * @param {object} req - The Express request; reading stops when the client disconnects.
+ * @param {object} res - The Express response.
+ * @param {object} params
+ * @param {string} params.type - One of EXPORT_TYPES.
+ * @param {string} params.format - 'csv' or 'xlsx'.
+ * @param {string} params.campaignId - The UUID of the campaign.
+ * @param {Array<object>} params.columns - From getExportColumns.
+ * @param {string} params.fileName - The file name without extension.
+ * @returns {Promise<void>}
+ */
+const streamCampaignExport = async (req, res, { type, format, campaignId, columns, fileName }) => {
+    const definition = EXPORTS[type];
+    const mapRow = definition.mapRow || ((row) => row);
+
+    let aborted = false;
+    req.on('close', () => {
+        aborted = !res.writableFinished;
+    });
+
+    const client = await pool.connect();
+    const cursor = client.query(new Cursor(definition.query, [campaignId]));
+
+    try {
+        res.setHeader('Content-Type', CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+        res.setHeader('Cache-Control', 'no-store');
+
+        const writer = createWriter(res, format, columns, type);
+
+        for (;;) {
+            const rows = await cursor.read(BATCH_SIZE);
+            if (rows.length === 0 || aborted || res.destroyed) break;
+            await writer.addRows(rows.map((row) => mapRow(row, columns)));
+        }
+
+        if (!aborted && !res.destroyed) {
+            await writer.end();
+        }
+    } catch (err) {
+        console.error(`[CampaignExports] Export "${type}" of campaign ${campaignId} failed:`, err);
+        // The headers are gone, so the only way to signal the failure is to cut the download.
+        res.destroy(err);
+    } finally {
+        await cursor.close().catch(() => {});
+        client.release();
+    }
+};
+
+module.exports = {
+    EXPORT_TYPES,
+    EXPORT_FORMATS,
+    toCsvCell,
+    getExportColumns,
+    streamCampaignExport,
+};
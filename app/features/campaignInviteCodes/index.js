@@ -0,0 +1,119 @@
+// app/features/campaignInviteCodes/index.js
+const crypto = require('crypto');
+
+// Both a campaign's activation code and its invite codes join the campaign, so a code must be unique across the two tables.
+const CODE_EXISTS_QUERY = `
+    SELECT 1 FROM campaigns WHERE activation_code = $1
+    UNION ALL
+    SELECT 1 FROM campaign_invite_codes WHERE code = $1
+`;
+
+const generateCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+/**
+ * Generates a 6-digit code that is neither a campaign activation code nor an invite code.
+ * @param {object} db - The pool or an active transaction client.
+ * @returns {Promise<string>}
+ */
+const generateUniqueJoinCode = async (db) => {
+    for (;;) {
+        const code = generateCode();
+        const { rowCount } = await db.query(CODE_EXISTS_QUERY, [code]);
+        if (rowCount === 0) {
+            return code;
+        }
+    }
+};
+
+/**
+ * Finds the campaign a join code belongs to. The code is either the campaign's activation code or one of its invite codes.
+ * An invite code is locked FOR UPDATE and checked for being active, not expired and not used up.
+ * This function is designed to be called within an existing database transaction.
+ *
+ * @param {object} client - The active database client from a transaction.
+ * @param {string} code - The code the user entered or scanned.
+ * @returns {Promise<{campaignId: string, inviteCode: object|null}|null>} Null if no campaign uses the code.
+ * @throws {Error} 400 INVITE_CODE_INACTIVE, INVITE_CODE_EXPIRED or INVITE_CODE_EXHAUSTED.
+ */
+const resolveJoinCode = async (client, code) => {
+    const { rows: campaignRows } = await client.query(
+        'SELECT id FROM campaigns WHERE activation_code = $1 AND deleted_at IS NULL',
+        [code]
+    );
+    if (campaignRows.length > 0) {
+        return { campaignId: campaignRows[0].id, inviteCode: null };
+    }
+
+    const { rows: inviteRows } = await client.query(
+        `SELECT id, campaign_id, name, max_uses, uses_count, expires_at, is_active
+         FROM campaign_invite_codes
+         WHERE code = $1 AND deleted_at IS NULL
+         FOR UPDATE`,
+        [code]
+    );
+    if (inviteRows.length === 0) {
+        return null;
+    }
+
+    const inviteCode = inviteRows[0];
+
+    if (!inviteCode.is_active) {
+        const err = new Error('This invite code is no longer active.');
+        err.statusCode = 400;
+        err.code = 'INVITE_CODE_INACTIVE';
+        throw err;
+    }
+
+    if (inviteCode.expires_at && new Date(inviteCode.expires_at) <= new Date()) {
+        const err = new Error('This invite code has expired.');
+        err.statusCode = 400;
+        err.code = 'INVITE_CODE_EXPIRED';
+        throw err;
+    }
+
+    if (inviteCode.max_uses !== null && inviteCode.uses_count >= inviteCode.max_uses) {
+        const err = new Error('This invite code has reached its usage limit.');
+        err.statusCode = 400;
+        err.code = 'INVITE_CODE_EXHAUSTED';
+        throw err;
+    }
+
+    return { campaignId: inviteCode.campaign_id, inviteCode };
+};
+
+/**
+ * Builds the join_metadata stored for a user who joined with a code.
+ * @param {object|null} inviteCode - The invite code returned by resolveJoinCode, or null for the activation code.
+ * @returns {object}
+ */
+const buildJoinMetadata = (inviteCode) => {
+    if (!inviteCode) {
+        return { source: 'activation_code' };
+    }
+    return {
+        source: 'invite_code',
+        invite_code_id: inviteCode.id,
+        invite_code_name: inviteCode.name,
+    };
+};
+
+/**
+ * Counts one use of an invite code. Call it once the user has joined the campaign or its waitlist.
+ * @param {object} client - The active database client from a transaction.
+ * @param {object|null} inviteCode - The invite code returned by resolveJoinCode; nothing happens for null.
+ * @returns {Promise<void>}
+ */
+const recordInviteCodeUse = async (client, inviteCode) => {
+    if (!inviteCode) return;
+    await client.query(
+        'UPDATE campaign_invite_codes SET uses_count = uses_count + 1, updated_at = NOW() WHERE id = $1',
+        [inviteCode.id]
+    );
+};
+
+module.exports = {
+    generateUniqueJoinCode,
+    resolveJoinCode,
+    buildJoinMetadata,
+    recordInviteCodeUse,
+};
@@ -0,0 +1,207 @@
+// app/features/campaignLifecycle/index.js
+const pool = require('@db');
+const { sendTelegramMessage } = require('@features/sendTelegramMsg');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_REMINDER_HOURS = 24;
+
+// Arbitrary application-wide key, so only one server instance runs a tick at a time.
+const SCHEDULER_LOCK_KEY = 734219001;
+
+/**
+ * Moves campaigns whose dates have been reached to their next status and records the change.
+ * A single statement per transition keeps the status and its history in sync.
+ * @param {object} client - The active database client from a transaction.
+ * @param {string} fromStatus - The current status of the affected campaigns.
+ * @param {string} toStatus - The new status.
+ * @param {string} dateCondition - SQL condition selecting the campaigns that are due.
+ * @param {string} reason - Stored in the status history.
+ * @returns {Promise<Array<{id: string, title: string, end_date: Date|null}>>} The affected campaigns.
+ */
+const transitionDueCampaigns = async (client, fromStatus, toStatus, dateCondition, reason) => {
+    const { rows } = await client.query(
+        `WITH due AS (
+            UPDATE campaigns
+            SET status = $2, updated_at = NOW()
+            WHERE status = $1 AND deleted_at IS NULL AND ${dateCondition}
+            RETURNING id, title, end_date
+         ), history AS (
+            INSERT INTO campaign_status_history (campaign_id, from_status, to_status, reason)
+            SELECT id, $1, $2, $3 FROM due
+         )
+         SELECT * FROM due`,
+        [fromStatus, toStatus, reason]
+    );
+    return rows;
+};
+
+/**
+ * Returns the Telegram IDs of the active participants of a campaign.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @returns {Promise<Array<string|number>>}
+ */
+const getParticipantTgIds = async (db, campaignId) => {
+    const { rows } = await db.query(
+        `SELECT u.tg_id
+         FROM user_campaigns uc
+         JOIN users u ON uc.user_id = u.id
+         WHERE uc.campaign_id = $1 AND uc.is_active = true AND u.deleted_at IS NULL`,
+        [campaignId]
+    );
+    return rows.map((row) => row.tg_id);
+};
+
+/**
+ * Sends a message to every participant of a campaign, one after another so the bot is not flooded.
+ * Failures are logged by sendTelegramMessage and do not stop the loop.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {string} message - The message content.
+ * @returns {Promise<void>}
+ */
+const notifyParticipants = async (campaignId, message) => {
+    const tgIds = await getParticipantTgIds(pool, campaignId);
+    for (const tgId of tgIds) {
+        await sendTelegramMessage(tgId, message);
+    }
+};
+
+const formatDate = (date) => new Date(date).toLocaleString('ru-RU', {
+    day: 'numeric',
+    month: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: process.env.TZ || 'Europe/Moscow',
+});
+
+/**
+ * Runs one pass of the lifecycle:
+ * 1. DRAFT campaigns whose start_date has been reached become ACTIVE (unless they have already ended).
+ * 2. ACTIVE campaigns whose end_date has been reached become COMPLETED.
+ * 3. Participants of ACTIVE campaigns ending within the reminder window are reminded once.
+ * Telegram notifications are sent after COMMIT.
+ *
+ * @param {object} [options]
+ * @param {number} [options.reminderHours] - How long before end_date the reminder is sent.
+ * @returns {Promise<{started: number, completed: number, reminded: number}|null>} Null if another instance holds the lock.
+ */
+const runLifecycleTick = async ({ reminderHours = DEFAULT_REMINDER_HOURS } = {}) => {
+    const client = await pool.connect();
+    let started;
+    let completed;
+    let endingSoon;
+
+    try {
+        await client.query('BEGIN');
+
+        const { rows: lockRows } = await client.query('SELECT pg_try_advisory_xact_lock($1) AS locked', [SCHEDULER_LOCK_KEY]);
+        if (!lockRows[0].locked) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        started = await transitionDueCampaigns(
+            client, 'DRAFT', 'ACTIVE',
+            'start_date IS NOT NULL AND start_date <= NOW() AND (end_date IS NULL OR end_date > NOW())',
+            'start_date reached'
+        );
+
+        completed = await transitionDueCampaigns(
+            client, 'ACTIVE', 'COMPLETED',
+            'end_date IS NOT NULL AND end_date <= NOW()',
+            'end_date reached'
+        );
+
+        ({ rows: endingSoon } = await client.query(
+            `UPDATE campaigns
+             SET ending_reminder_sent_at = NOW()
+             WHERE status = 'ACTIVE' AND deleted_at IS NULL AND ending_reminder_sent_at IS NULL
+               AND end_date > NOW() AND end_date <= NOW() + make_interval(hours => $1)
+             RETURNING id, title, end_date`,
+            [reminderHours]
+        ));
+
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    for (const campaign of started) {
+        await notifyParticipants(campaign.id, `🚀 Кампания «${campaign.title}» началась! Заходите выполнять миссии.`);
+    }
+    for (const campaign of endingSoon) {
+        await notifyParticipants(campaign.id, `⏳ Кампания «${campaign.title}» скоро завершится (${formatDate(campaign.end_date)}). Успейте выполнить оставшиеся миссии!`);
+    }
+
+    return { started: started.length, completed: completed.length, reminded: endingSoon.length };
+};
+
+/**
+ * Records a manual status change made by a manager.
+ * This function is designed to be called within the transaction that changes the status.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {object} params
+ * @param {string} params.campaignId - The UUID of the campaign.
+ * @param {string|null} params.fromStatus - The previous status (NULL for a new campaign).
+ * @param {string} params.toStatus - The new status.
+ * @param {string|null} params.changedBy - The UUID of the manager.
+ * @param {string|null} [params.reason] - Optional explanation.
+ * @returns {Promise<void>}
+ */
+const recordStatusChange = async (db, { campaignId, fromStatus, toStatus, changedBy, reason = null }) => {
+    await db.query(
+        `INSERT INTO campaign_status_history (campaign_id, from_status, to_status, changed_by, reason)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [campaignId, fromStatus, toStatus, changedBy, reason]
+    );
+};
+
+/**
+ * Starts the in-process lifecycle scheduler.
+ * Configured with CAMPAIGN_SCHEDULER_ENABLED (default true), CAMPAIGN_SCHEDULER_INTERVAL_MS (default 60000)
+ * and CAMPAIGN_ENDING_REMINDER_HOURS (default 24).
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if the scheduler is disabled.
+ */
+const startLifecycleScheduler = () => {
+    if (process.env.CAMPAIGN_SCHEDULER_ENABLED === 'false') {
+        console.log('Campaign lifecycle scheduler is disabled.');
+        return null;
+    }
+
+    const intervalMs = parseInt(process.env.CAMPAIGN_SCHEDULER_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+    const reminderHours = parseInt(process.env.CAMPAIGN_ENDING_REMINDER_HOURS, 10) || DEFAULT_REMINDER_HOURS;
+    let running = false;
+
+    const tick = async () => {
+        // Skip if the previous tick is still sending notifications.
+        if (running) return;
+        running = true;
+        try {
+            const result = await runLifecycleTick({ reminderHours });
+            if (result && (result.started || result.completed || result.reminded)) {
+                console.log('Campaign lifecycle tick:', result);
+            }
+        } catch (err) {
+            console.error('Campaign lifecycle tick failed:', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    // Do not keep the process alive just for the scheduler.
+    timer.unref();
+    tick();
+
+    console.log(`Campaign lifecycle scheduler started (every ${intervalMs} ms).`);
+    return timer;
+};
+
+module.exports = {
+    runLifecycleTick,
+    recordStatusChange,
+    startLifecycleScheduler,
+};
@@ -0,0 +1,276 @@
+// app/features/campaignLiveFeed/index.js
+const crypto = require('crypto');
+const pool = require('@db');
+const { getLiveCampaignTop } = require('@features/leaderboards');
+
+// Postgres channel shared by all server instances.
+const CHANNEL = 'campaign_live_feed';
+
+const LEADERBOARD_SIZE = 10;
+// Completions often come in bursts (bulk moderation, a QR code at a stand), so the leaderboard is recomputed at most this often per campaign.
+const LEADERBOARD_DEBOUNCE_MS = 2000;
+const RECONNECT_DELAY_MS = 5000;
+
+// Events that are forwarded to the screens as they are; the others only trigger a leaderboard update.
+const FORWARDED_EVENTS = ['completion', 'achievement'];
+
+/**
+ * Generates a new live feed token.
+ * @returns {string}
+ */
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Publishes an event to the live feed of a campaign, on every server instance.
+ * Inside a transaction Postgres delivers the notification only on COMMIT, and drops it on ROLLBACK.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {string} type - 'completion', 'achievement', 'scores_changed' or 'feed_revoked'.
+ * @param {object} [data] - The event payload. Keep it small: NOTIFY payloads are limited to 8000 bytes.
+ * @returns {Promise<void>}
+ */
+const publishLiveEvent = async (db, campaignId, type, data = {}) => {
+    await db.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify({ campaign_id: campaignId, type, data })]);
+};
+
+/**
+ * Publishes an approved mission completion. Nothing is sent for campaigns without a live feed.
+ * This function is designed to be called within the transaction that approves the completion.
+ * @param {object} client - The active database client from a transaction.
+ * @param {string} userId - The UUID of the user.
+ * @param {string} missionId - The UUID of the approved mission.
+ * @returns {Promise<void>}
+ */
+const publishCompletionEvent = async (client, userId, missionId) => {
+    await client.query(
+        `SELECT pg_notify($1, json_build_object(
+            'campaign_id', m.campaign_id,
+            'type', 'completion',
+            'data', json_build_object(
+                'user', json_build_object('first_name', u.first_name, 'username', u.username, 'avatar_url', u.avatar_url),
+                'mission', json_build_object('id', m.id, 'title', m.title, 'experience_reward', m.experience_reward),
+                'completed_at', NOW()
+            )
+         )::text)
+         FROM missions m
+         JOIN campaign_live_feeds f ON f.campaign_id = m.campaign_id
+         JOIN users u ON u.id = $3
+         WHERE m.id = $2`,
+        [CHANNEL, missionId, userId]
+    );
+};
+
+/**
+ * Publishes an achievement awarded to a user. Nothing is sent for campaigns without a live feed.
+ * This function is designed to be called within the transaction that awards the achievement.
+ * @param {object} client - The active database client from a transaction.
+ * @param {string} userId - The UUID of the user.
+ * @param {string} achievementId - The UUID of the awarded achievement.
+ * @returns {Promise<void>}
+ */
+const publishAchievementEvent = async (client, userId, achievementId) => {
+    await client.query(
+        `SELECT pg_notify($1, json_build_object(
+            'campaign_id', a.campaign_id,
+            'type', 'achievement',
+            'data', json_build_object(
+                'user', json_build_object('first_name', u.first_name, 'username', u.username, 'avatar_url', u.avatar_url),
+                'achievement', json_build_object('id', a.id, 'name', a.name, 'image_url', a.image_url),
+                'awarded_at', NOW()
+            )
+         )::text)
+         FROM achievements a
+         JOIN campaign_live_feeds f ON f.campaign_id = a.campaign_id
+         JOIN users u ON u.id = $3
+         WHERE a.id = $2`,
+        [CHANNEL, achievementId, userId]
+    );
+};
+
+/**
+ * Checks a live feed token against the campaign's current token.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {string} token - The token presented by the screen.
+ * @returns {Promise<boolean>}
+ */
+const verifyFeedToken = async (db, campaignId, token) => {
+    const { rows } = await db.query(
+        `SELECT f.token
+         FROM campaign_live_feeds f
+         JOIN campaigns c ON f.campaign_id = c.id
+         WHERE f.campaign_id = $1 AND c.deleted_at IS NULL`,
+        [campaignId]
+    );
+    if (rows.length === 0) return false;
+    const expected = Buffer.from(rows[0].token);
+    const actual = Buffer.from(String(token));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// --- Per-instance subscriptions ---
+
+// campaignId -> Set of send functions of the open streams on this instance.
+const subscribers = new Map();
+// campaignId -> { timer, lastSnapshot } for the debounced leaderboard updates.
+const leaderboards = new Map();
+
+let listenerClient = null;
+let listenerStarting = null;
+
+/**
+ * Strips the fields a public screen does not need from a leaderboard entry.
+ * @param {object} entry - An entry from getLiveCampaignTop.
+ * @returns {object}
+ */
+const toPublicEntry = (entry) => ({
+    position: entry.position,
+    first_name: entry.first_name,
+    username: entry.username,
+    avatar_url: entry.avatar_url,
+    experience: entry.experience,
+    missions_completed: entry.missions_completed,
+});
+
+const loadLeaderboard = async (campaignId) => {
+    const entries = await getLiveCampaignTop(pool, campaignId, LEADERBOARD_SIZE);
+    return { entries: entries.map(toPublicEntry) };
+};
+
+const broadcast = (campaignId, event, data) => {
+    const campaignSubscribers = subscribers.get(campaignId);
+    if (!campaignSubscribers) return;
+    for (const send of campaignSubscribers) {
+        send(event, data);
+    }
+};
+
+/**
+ * Recomputes the leaderboard of a campaign shortly after its scores changed and
+ * pushes it to the screens if the top has actually moved.
+ * @param {string} campaignId - The UUID of the campaign.
+ */
+const scheduleLeaderboardUpdate = (campaignId) => {
+    const state = leaderboards.get(campaignId) || { timer: null, lastSnapshot: null };
+    leaderboards.set(campaignId, state);
+    if (state.timer) return;
+
+    state.timer = setTimeout(async () => {
+        state.timer = null;
+        if (!subscribers.has(campaignId)) return;
+        try {
+            const leaderboard = await loadLeaderboard(campaignId);
+            const snapshot = JSON.stringify(leaderboard.entries);
+            if (snapshot !== state.lastSnapshot) {
+                state.lastSnapshot = snapshot;
+                broadcast(campaignId, 'leaderboard', leaderboard);
+            }
+        } catch (err) {
+            console.error(`[CampaignLiveFeed] Failed to update the leaderboard of campaign ${campaignId}:`, err);
+        }
+    }, LEADERBOARD_DEBOUNCE_MS);
+};
+
+const handleNotification = (msg) => {
+    let event;
+    try {
+        event = JSON.parse(msg.payload);
+    } catch (err) {
+        console.error('[CampaignLiveFeed] Ignoring a malformed notification:', msg.payload);
+        return;
+    }
+
+    const campaignId = event.campaign_id;
+    if (!subscribers.has(campaignId)) return;
+
+    if (event.type === 'feed_revoked') {
+        broadcast(campaignId, 'revoked', {});
+        return;
+    }
+
+    if (FORWARDED_EVENTS.includes(event.type)) {
+        broadcast(campaignId, event.type, event.data);
+    }
+    scheduleLeaderboardUpdate(campaignId);
+};
+
+/**
+ * Holds one pooled connection that LISTENs on the channel. Reconnects after an error.
+ * @returns {Promise<void>}
+ */
+const ensureListener = async () => {
+    if (listenerClient) return;
+    if (listenerStarting) return listenerStarting;
+
+    listenerStarting = (async () => {
+        const client = await pool.connect();
+        client.on('notification', handleNotification);
+        client.on('error', (err) => {
+            console.error('[CampaignLiveFeed] Listener connection lost:', err);
+            client.removeListener('notification', handleNotification);
+            client.release(err);
+            listenerClient = null;
+            setTimeout(() => {
+                if (subscribers.size > 0) {
+                    ensureListener().catch((reconnectErr) => console.error('[CampaignLiveFeed] Failed to reconnect:', reconnectErr));
+                }
+            }, RECONNECT_DELAY_MS).unref();
+        });
+        await client.query(`LISTEN ${CHANNEL}`);
+        listenerClient = client;
+    })();
+
+    try {
+        await listenerStarting;
+    } finally {
+        listenerStarting = null;
+    }
+};
+
+/**
+ * Subscribes an open stream to the live feed of a campaign on this server instance.
+ * The current leaderboard is sent to the new stream right away.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {function(string, object): void} send - Writes one event to the stream.
+ * @returns {Promise<function(): void>} Unsubscribes the stream.
+ */
+const subscribe = async (campaignId, send) => {
+    await ensureListener();
+
+    if (!subscribers.has(campaignId)) {
+        subscribers.set(campaignId, new Set());
+    }
+    subscribers.get(campaignId).add(send);
+
+    const unsubscribe = () => {
+        const campaignSubscribers = subscribers.get(campaignId);
+        if (!campaignSubscribers) return;
+        campaignSubscribers.delete(send);
+        if (campaignSubscribers.size === 0) {
+            subscribers.delete(campaignId);
+            const state = leaderboards.get(campaignId);
+            if (state && state.timer) clearTimeout(state.timer);
+            leaderboards.delete(campaignId);
+        }
+    };
+
+    // Subscribed before loading, so no event is missed meanwhile; the caller never
+    // gets `unsubscribe` if loading fails, so the stream is removed here.
+    try {
+        send('leaderboard', await loadLeaderboard(campaignId));
+    } catch (err) {
+        unsubscribe();
+        throw err;
+    }
+
+    return unsubscribe;
+};
+
+module.exports = {
+    generateFeedToken,
+    publishLiveEvent,
+    publishCompletionEvent,
+    publishAchievementEvent,
+    verifyFeedToken,
+    subscribe,
+};
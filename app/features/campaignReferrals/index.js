@@ -0,0 +1,173 @@
+// app/features/campaignReferrals/index.js
+const { isUUID } = require('validator');
+
+// Deep link payload: join_<code>_ref_<userId>
+const REFERRAL_MARKER = '_ref_';
+
+/**
+ * Splits a join payload into the campaign code and the referrer.
+ * Accepts the bare code ("123456"), a referral payload ("123456_ref_<userId>")
+ * and the full deep link start parameter ("join_123456_ref_<userId>").
+ * @param {string} payload - The activation code as received from the bot or the TMA.
+ * @returns {{code: string, referrerId: string|null}}
+ */
+const parseJoinPayload = (payload) => {
+    const value = String(payload).replace(/^join_/, '');
+    const markerIndex = value.indexOf(REFERRAL_MARKER);
+    if (markerIndex === -1) {
+        return { code: value, referrerId: null };
+    }
+    return {
+        code: value.slice(0, markerIndex),
+        referrerId: value.slice(markerIndex + REFERRAL_MARKER.length) || null,
+    };
+};
+
+/**
+ * Builds a participant's personal deep link for a campaign.
+ * @param {string} activationCode - The campaign's activation code.
+ * @param {string} userId - The UUID of the participant sharing the link.
+ * @returns {string|null} Null if BOT_USERNAME is not configured.
+ */
+const buildReferralLink = (activationCode, userId) => {
+    const botUsername = process.env.BOT_USERNAME;
+    if (!botUsername) return null;
+    return `https://t.me/${botUsername}?start=join_${activationCode}${REFERRAL_MARKER}${userId}`;
+};
+
+/**
+ * Checks that a referrer can be credited for a user joining a campaign:
+ * it must be another user who is an active participant of the same campaign.
+ * An invalid referrer never blocks the join; it is simply ignored.
+ * @param {object} client - The active database client from a transaction.
+ * @param {object} params
+ * @param {string} params.campaignId - The UUID of the campaign being joined.
+ * @param {string|null|undefined} params.referrerId - The referrer from the link.
+ * @param {string} params.userId - The UUID of the joining user.
+ * @returns {Promise<string|null>} The referrer's UUID, or null if it cannot be credited.
+ */
+const resolveReferrer = async (client, { campaignId, referrerId, userId }) => {
+    if (!referrerId || typeof referrerId !== 'string' || !isUUID(referrerId) || referrerId === userId) {
+        return null;
+    }
+    const { rowCount } = await client.query(
+        `SELECT 1 FROM user_campaigns uc
+         JOIN users u ON uc.user_id = u.id
+         WHERE uc.campaign_id = $1 AND uc.user_id = $2 AND uc.is_active = true AND u.deleted_at IS NULL`,
+        [campaignId, referrerId]
+    );
+    return rowCount > 0 ? referrerId : null;
+};
+
+/**
+ * Records that a user joined a campaign (or its waitlist) through another participant's link.
+ * This function is designed to be called within an existing database transaction.
+ * @param {object} client - The active database client from a transaction.
+ * @param {object} params
+ * @param {string} params.campaignId - The UUID of the campaign.
+ * @param {string|null} params.referrerId - The referrer returned by resolveReferrer; nothing happens for null.
+ * @param {string} params.referredId - The UUID of the joining user.
+ * @returns {Promise<void>}
+ */
+const recordReferral = async (client, { campaignId, referrerId, referredId }) => {
+    if (!referrerId) return;
+    await client.query(
+        `INSERT INTO campaign_referrals (campaign_id, referrer_id, referred_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (campaign_id, referred_id) DO NOTHING`,
+        [campaignId, referrerId, referredId]
+    );
+};
+
+/**
+ * Grants the referral rewards once the invitee has a mission of the campaign approved.
+ * Call it right after a mission completion is approved and its own rewards are granted.
+ * A referral is rewarded only once; later approvals find no PENDING referral and do nothing.
+ * This function is designed to be called within an existing database transaction.
+ * The Telegram notifications are returned instead of sent, so the caller can send them after COMMIT.
+ *
+ * @param {object} client - The active database client from a transaction.
+ * @param {string} userId - The UUID of the user whose completion was approved.
+ * @param {string} missionId - The UUID of the approved mission.
+ * @returns {Promise<Array<{tgId: (string|number), message: string}>>}
+ */
+const rewardReferralOnFirstCompletion = async (client, userId, missionId) => {
+    const { rows: referralRows } = await client.query(
+        `SELECT
+            r.id,
+            r.referrer_id,
+            c.title AS campaign_title,
+            c.referral_inviter_experience,
+            c.referral_inviter_mana,
+            c.referral_invitee_experience,
+            c.referral_invitee_mana
+         FROM missions m
+         JOIN campaigns c ON m.campaign_id = c.id
+         JOIN campaign_referrals r ON r.campaign_id = c.id AND r.referred_id = $1
+         WHERE m.id = $2 AND r.status = 'PENDING'
+         FOR UPDATE OF r`,
+        [userId, missionId]
+    );
+    if (referralRows.length === 0) {
+        return [];
+    }
+
+    const referral = referralRows[0];
+    const inviterExperience = referral.referral_inviter_experience;
+    const inviterMana = referral.referral_inviter_mana;
+    const inviteeExperience = referral.referral_invitee_experience;
+    const inviteeMana = referral.referral_invitee_mana;
+
+    const grant = async (id, experience, mana) => {
+        if (experience > 0 || mana > 0) {
+            await client.query(
+                'UPDATE users SET experience_points = experience_points + $1, mana_points = mana_points + $2, updated_at = NOW() WHERE id = $3',
+                [experience, mana, id]
+            );
+        }
+    };
+    await grant(referral.referrer_id, inviterExperience, inviterMana);
+    await grant(userId, inviteeExperience, inviteeMana);
+
+    await client.query(
+        `UPDATE campaign_referrals
+         SET status = 'REWARDED',
+             inviter_experience_awarded = $2,
+             inviter_mana_awarded = $3,
+             invitee_experience_awarded = $4,
+             invitee_mana_awarded = $5,
+             rewarded_at = NOW()
+         WHERE id = $1`,
+        [referral.id, inviterExperience, inviterMana, inviteeExperience, inviteeMana]
+    );
+
+    const { rows: userRows } = await client.query(
+        'SELECT id, tg_id, first_name FROM users WHERE id = ANY($1::uuid[])',
+        [[referral.referrer_id, userId]]
+    );
+    const inviter = userRows.find((u) => u.id === referral.referrer_id);
+    const invitee = userRows.find((u) => u.id === userId);
+
+    const notifications = [];
+    if (inviter && (inviterExperience > 0 || inviterMana > 0)) {
+        notifications.push({
+            tgId: inviter.tg_id,
+            message: `🤝 ${invitee ? invitee.first_name : 'Ваш друг'} выполнил(а) первое задание в кампании «${referral.campaign_title}». Ваша награда за приглашение: +${inviterExperience} опыта, +${inviterMana} маны.`,
+        });
+    }
+    if (invitee && (inviteeExperience > 0 || inviteeMana > 0)) {
+        notifications.push({
+            tgId: invitee.tg_id,
+            message: `🎁 Бонус за участие по приглашению в кампании «${referral.campaign_title}»: +${inviteeExperience} опыта, +${inviteeMana} маны.`,
+        });
+    }
+    return notifications;
+};
+
+module.exports = {
+    parseJoinPayload,
+    buildReferralLink,
+    resolveReferrer,
+    recordReferral,
+    rewardReferralOnFirstCompletion,
+};
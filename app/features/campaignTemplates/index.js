@@ -0,0 +1,520 @@
+// app/features/campaignTemplates/index.js
+const crypto = require('crypto');
+const { generateCampaignQRCode, generateMissionQRCode } = require('@features/useMinioBucket');
+
+const TEMPLATE_VERSION = 1;
+
+// Type-specific detail tables of missions. QR_CODE missions have no details.
+const MISSION_DETAILS = {
+    QUIZ: {
+        table: 'mission_quiz_details',
+        columns: [
+            'questions', 'pass_threshold', 'max_attempts', 'cooldown_seconds', 'time_limit_seconds',
+            'questions_per_attempt', 'shuffle_questions', 'shuffle_answers',
+        ],
+        jsonColumns: ['questions'],
+    },
+    MANUAL_URL: {
+        table: 'mission_manual_details',
+        columns: ['submission_prompt', 'placeholder_text'],
+        jsonColumns: [],
+    },
+    AI_CHECK: {
+        table: 'mission_ai_check_details',
+        columns: ['prompt_template', 'evaluation_criteria', 'confidence_threshold', 'user_instruction'],
+        jsonColumns: ['evaluation_criteria'],
+    },
+    FILE_UPLOAD: {
+        table: 'mission_file_upload_details',
+        columns: ['submission_prompt', 'allowed_mime_types', 'max_file_size_bytes'],
+        jsonColumns: ['allowed_mime_types'],
+    },
+    QR_CODE: null,
+};
+
+const MISSION_TYPES = Object.keys(MISSION_DETAILS);
+
+// Random 6-digit numeric code, same format as codes of manually created campaigns.
+const generateActivationCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+// Random 6-character code, same format as codes of manually created QR missions.
+const generateCompletionCode = () => {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let result = '';
+    for (let i = 0; i < 6; i++) {
+        result += chars.charAt(crypto.randomInt(0, chars.length));
+    }
+    return result;
+};
+
+/**
+ * Generates a code that is not yet used in the given column.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} query - SELECT returning a row if the code ($1) is taken.
+ * @param {function(): string} generate - The code generator.
+ * @returns {Promise<string>}
+ */
+const generateUniqueCode = async (db, query, generate) => {
+    for (;;) {
+        const code = generate();
+        const { rowCount } = await db.query(query, [code]);
+        if (rowCount === 0) {
+            return code;
+        }
+    }
+};
+
+/**
+ * Loads a template the manager may see: their own, public ones, or any for global admins.
+ * With forWrite, only the creator or a global admin passes.
+ *
+ * @param {object} db - The pool or an active transaction client.
+ * @param {object} user - req.user as set by authenticateJWT.
+ * @param {string} templateId - The UUID of the template.
+ * @param {object} [options]
+ * @param {boolean} [options.forWrite=false] - Require permission to change the template.
+ * @returns {Promise<object>} The template row.
+ * @throws {Error} 404 NOT_FOUND or 403 TEMPLATE_ACCESS_DENIED.
+ */
+const getTemplateForManager = async (db, user, templateId, { forWrite = false } = {}) => {
+    const { rows } = await db.query(
+        'SELECT * FROM campaign_templates WHERE id = $1 AND deleted_at IS NULL',
+        [templateId]
+    );
+    const template = rows[0];
+    const isAdmin = user.role === 'ADMIN';
+    const isCreator = template?.created_by === user.userId;
+
+    // Private templates of other managers are reported as missing.
+    if (!template || (!template.is_public && !isCreator && !isAdmin)) {
+        const err = new Error(`Template with ID ${templateId} not found.`);
+        err.statusCode = 404;
+        err.code = 'NOT_FOUND';
+        throw err;
+    }
+
+    if (forWrite && !isCreator && !isAdmin) {
+        const err = new Error('Only the creator of a template can change it.');
+        err.statusCode = 403;
+        err.code = 'TEMPLATE_ACCESS_DENIED';
+        throw err;
+    }
+
+    return template;
+};
+
+/**
+ * Captures a campaign with its missions, achievements, campaign competencies and store items
+ * as self-contained template data. Database IDs are replaced with local references
+ * (e.g. `mission_1`), so the data can be instantiated any number of times.
+ * Global competencies and artifacts are referenced by their IDs.
+ *
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} campaignId - The UUID of the source campaign.
+ * @returns {Promise<object>} The template data.
+ * @throws {Error} 404 NOT_FOUND if the campaign does not exist.
+ */
+const snapshotCampaign = async (db, campaignId) => {
+    const { rows: campaignRows } = await db.query(
+        `SELECT title, description, max_participants, metadata, cover_url, icon_url
+         FROM campaigns WHERE id = $1 AND deleted_at IS NULL`,
+        [campaignId]
+    );
+
+    if (campaignRows.length === 0) {
+        const err = new Error(`Campaign with ID ${campaignId} not found.`);
+        err.statusCode = 404;
+        err.code = 'NOT_FOUND';
+        throw err;
+    }
+
+    const [competencyResult, missionResult, achievementResult, storeItemResult] = await Promise.all([
+        db.query(
+            `SELECT id, name, description FROM competencies
+             WHERE campaign_id = $1 AND deleted_at IS NULL
+             ORDER BY created_at ASC`,
+            [campaignId]
+        ),
+        db.query(
+            `SELECT
+                m.*,
+                qd.questions, qd.pass_threshold, qd.max_attempts, qd.cooldown_seconds, qd.time_limit_seconds,
+                qd.questions_per_attempt, qd.shuffle_questions, qd.shuffle_answers,
+                COALESCE(md.submission_prompt, fd.submission_prompt) AS submission_prompt, md.placeholder_text,
+                ad.prompt_template, ad.evaluation_criteria, ad.confidence_threshold, ad.user_instruction,
+                fd.allowed_mime_types, fd.max_file_size_bytes
+             FROM missions m
+             LEFT JOIN mission_quiz_details qd ON qd.mission_id = m.id
+             LEFT JOIN mission_manual_details md ON md.mission_id = m.id
+             LEFT JOIN mission_ai_check_details ad ON ad.mission_id = m.id
+             LEFT JOIN mission_file_upload_details fd ON fd.mission_id = m.id
+             WHERE m.campaign_id = $1 AND m.deleted_at IS NULL
+             ORDER BY m.created_at ASC`,
+            [campaignId]
+        ),
+        db.query(
+            'SELECT * FROM achievements WHERE campaign_id = $1 ORDER BY created_at ASC',
+            [campaignId]
+        ),
+        db.query(
+            `SELECT name, description, image_url, cost, quantity, is_active FROM store_items
+             WHERE campaign_id = $1 AND deleted_at IS NULL
+             ORDER BY created_at ASC`,
+            [campaignId]
+        ),
+    ]);
+
+    const competencyRefs = new Map(competencyResult.rows.map((c, i) => [c.id, `competency_${i + 1}`]));
+    const missionRefs = new Map(missionResult.rows.map((m, i) => [m.id, `mission_${i + 1}`]));
+    const achievementRefs = new Map(achievementResult.rows.map((a, i) => [a.id, `achievement_${i + 1}`]));
+
+    const missions = missionResult.rows.map((m) => {
+        const detailConfig = MISSION_DETAILS[m.type];
+        const details = detailConfig
+            ? Object.fromEntries(detailConfig.columns.map((column) => [column, m[column]]))
+            : null;
+
+        return {
+            ref: missionRefs.get(m.id),
+            type: m.type,
+            title: m.title,
+            description: m.description,
+            category: m.category,
+            cover_url: m.cover_url,
+            experience_reward: m.experience_reward,
+            mana_reward: m.mana_reward,
+            // Campaign competencies are referenced locally, global ones by ID.
+            competency_rewards: (m.competency_rewards || []).map(({ competency_id, points }) => (
+                competencyRefs.has(competency_id)
+                    ? { competency_ref: competencyRefs.get(competency_id), points }
+                    : { competency_id, points }
+            )),
+            awarded_artifact_id: m.awarded_artifact_id,
+            required_achievement_ref: achievementRefs.get(m.required_achievement_id) || null,
+            details,
+        };
+    });
+
+    const achievements = achievementResult.rows.map((a) => {
+        const { required_missions, ...otherConditions } = a.unlock_conditions || {};
+        return {
+            ref: achievementRefs.get(a.id),
+            name: a.name,
+            description: a.description,
+            image_url: a.image_url,
+            unlock_conditions: {
+                ...otherConditions,
+                // Missions that were deleted from the campaign are dropped from the condition.
+                required_missions: Array.isArray(required_missions)
+                    ? required_missions.map((id) => missionRefs.get(id)).filter(Boolean)
+                    : [],
+            },
+            experience_reward: a.experience_reward,
+            mana_reward: a.mana_reward,
+            awarded_artifact_id: a.awarded_artifact_id,
+        };
+    });
+
+    return {
+        version: TEMPLATE_VERSION,
+        campaign: campaignRows[0],
+        competencies: competencyResult.rows.map((c) => ({
+            ref: competencyRefs.get(c.id),
+            name: c.name,
+            description: c.description,
+        })),
+        missions,
+        achievements,
+        store_items: storeItemResult.rows,
+    };
+};
+
+/**
+ * Validates the structure of template data, including that every local reference resolves.
+ * @param {object} data - The template data.
+ * @returns {string|null} An error message, or null if the data is valid.
+ */
+const validateTemplateData = (data) => {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        return 'template_data must be a JSON object.';
+    }
+    if (data.version !== TEMPLATE_VERSION) {
+        return `Unsupported template_data version. Expected ${TEMPLATE_VERSION}.`;
+    }
+    if (typeof data.campaign !== 'object' || data.campaign === null || typeof data.campaign.title !== 'string' || data.campaign.title.trim() === '') {
+        return 'template_data.campaign must be an object with a title.';
+    }
+    for (const key of ['competencies', 'missions', 'achievements', 'store_items']) {
+        if (data[key] !== undefined && !Array.isArray(data[key])) {
+            return `template_data.${key} must be an array.`;
+        }
+    }
+
+    const competencies = data.competencies || [];
+    const missions = data.missions || [];
+    const achievements = data.achievements || [];
+    const storeItems = data.store_items || [];
+
+    const collectRefs = (items, kind) => {
+        const refs = new Set();
+        for (const item of items) {
+            if (typeof item?.ref !== 'string' || item.ref === '' || refs.has(item.ref)) {
+                return `Every ${kind} needs a unique, non-empty ref.`;
+            }
+            refs.add(item.ref);
+        }
+        return refs;
+    };
+
+    const competencyRefs = collectRefs(competencies, 'competency');
+    if (typeof competencyRefs === 'string') return competencyRefs;
+    const missionRefs = collectRefs(missions, 'mission');
+    if (typeof missionRefs === 'string') return missionRefs;
+    const achievementRefs = collectRefs(achievements, 'achievement');
+    if (typeof achievementRefs === 'string') return achievementRefs;
+
+    for (const competency of competencies) {
+        if (typeof competency.name !== 'string' || competency.name.trim() === '') {
+            return `Competency ${competency.ref} needs a name.`;
+        }
+    }
+
+    for (const mission of missions) {
+        if (!MISSION_TYPES.includes(mission.type)) {
+            return `Mission ${mission.ref} has an invalid type. Must be one of: ${MISSION_TYPES.join(', ')}`;
+        }
+        if (typeof mission.title !== 'string' || mission.title.trim() === '' || typeof mission.category !== 'string' || mission.category.trim() === '') {
+            return `Mission ${mission.ref} needs a title and a category.`;
+        }
+        if (MISSION_DETAILS[mission.type] && (typeof mission.details !== 'object' || mission.details === null)) {
+            return `Mission ${mission.ref} of type ${mission.type} needs details.`;
+        }
+        if (mission.required_achievement_ref && !achievementRefs.has(mission.required_achievement_ref)) {
+            return `Mission ${mission.ref} requires unknown achievement ${mission.required_achievement_ref}.`;
+        }
+        for (const reward of mission.competency_rewards || []) {
+            if (reward.competency_ref !== undefined && !competencyRefs.has(reward.competency_ref)) {
+                return `Mission ${mission.ref} rewards unknown competency ${reward.competency_ref}.`;
+            }
+            if (!Number.isInteger(reward.points) || reward.points <= 0) {
+                return `Mission ${mission.ref} has a competency reward without positive integer points.`;
+            }
+        }
+    }
+
+    for (const achievement of achievements) {
+        if (typeof achievement.name !== 'string' || achievement.name.trim() === '') {
+            return `Achievement ${achievement.ref} needs a name.`;
+        }
+        const requiredMissions = achievement.unlock_conditions?.required_missions || [];
+        if (!Array.isArray(requiredMissions) || requiredMissions.some((ref) => !missionRefs.has(ref))) {
+            return `Achievement ${achievement.ref} requires unknown missions.`;
+        }
+    }
+
+    for (const item of storeItems) {
+        if (typeof item?.name !== 'string' || item.name.trim() === '' || !Number.isInteger(item.cost) || item.cost < 0) {
+            return 'Every store item needs a name and a non-negative integer cost.';
+        }
+    }
+
+    return null; // All good
+};
+
+/**
+ * Creates a new DRAFT campaign from template data, including all of its missions, achievements,
+ * campaign competencies and store items. The campaign gets a fresh activation code and QR code,
+ * QR missions get fresh completion codes and QR codes, and `createdBy` becomes the campaign OWNER.
+ * This function is designed to be called within an existing database transaction.
+ * Note: QR images are uploaded to storage before the transaction is committed.
+ *
+ * @param {object} client - The active database client from a transaction.
+ * @param {object} templateData - Data produced by snapshotCampaign (or validated by validateTemplateData).
+ * @param {object} params
+ * @param {string} params.createdBy - The UUID of the manager creating the campaign.
+ * @param {object} [params.overrides] - Campaign fields that replace the template values
+ *   (title, description, start_date, end_date, max_participants).
+ * @returns {Promise<{campaign: object, counts: {missions: number, achievements: number, competencies: number, store_items: number}}>}
+ */
+const instantiateTemplate = async (client, templateData, { createdBy, overrides = {} }) => {
+    const source = templateData.campaign;
+    const pick = (key) => (overrides[key] !== undefined ? overrides[key] : source[key]);
+
+    // Step 1: Create the campaign with a new activation code, make the creator its owner and record the initial status.
+    const activationCode = await generateUniqueCode(
+        client,
+        'SELECT 1 FROM campaigns WHERE activation_code = $1 UNION ALL SELECT 1 FROM campaign_invite_codes WHERE code = $1',
+        generateActivationCode
+    );
+    const { url: qrUrl } = await generateCampaignQRCode(activationCode);
+
+    const { rows: campaignRows } = await client.query(
+        `WITH new_campaign AS (
+            INSERT INTO campaigns (title, description, start_date, end_date, max_participants, metadata, cover_url, icon_url, created_by, activation_code, qr_url)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            RETURNING *
+         ), owner AS (
+            INSERT INTO campaign_managers (campaign_id, manager_id, role)
+            SELECT id, created_by, 'OWNER' FROM new_campaign
+         ), initial_status AS (
+            INSERT INTO campaign_status_history (campaign_id, from_status, to_status, changed_by)
+            SELECT id, NULL, status, created_by FROM new_campaign
+         )
+         SELECT * FROM new_campaign`,
+        [
+            pick('title'),
+            pick('description') ?? null,
+            overrides.start_date ?? null,
+            overrides.end_date ?? null,
+            pick('max_participants') ?? null,
+            source.metadata ? JSON.stringify(source.metadata) : null,
+            source.cover_url ?? null,
+            source.icon_url ?? null,
+            createdBy,
+            activationCode,
+            qrUrl,
+        ]
+    );
+    const campaign = campaignRows[0];
+
+    // Step 2: Campaign-specific competencies.
+    const competencyIds = new Map();
+    for (const competency of templateData.competencies || []) {
+        const { rows } = await client.query(
+            `INSERT INTO competencies (name, description, campaign_id, is_global)
+             VALUES ($1, $2, $3, false)
+             RETURNING id`,
+            [competency.name, competency.description ?? null, campaign.id]
+        );
+        competencyIds.set(competency.ref, rows[0].id);
+    }
+
+    // Step 3: Missions with their details. Achievement requirements are linked in step 5,
+    // because achievements in turn reference missions.
+    const missionIds = new Map();
+    for (const mission of templateData.missions || []) {
+        const competencyRewards = (mission.competency_rewards || []).map(({ competency_ref, competency_id, points }) => ({
+            competency_id: competency_ref ? competencyIds.get(competency_ref) : competency_id,
+            points,
+        }));
+
+        let completionCode = null;
+        let missionQrUrl = null;
+        if (mission.type === 'QR_CODE') {
+            completionCode = await generateUniqueCode(
+                client,
+                'SELECT 1 FROM missions WHERE completion_code = $1',
+                generateCompletionCode
+            );
+            ({ url: missionQrUrl } = await generateMissionQRCode(completionCode));
+        }
+
+        const { rows } = await client.query(
+            `INSERT INTO missions (
+                campaign_id, title, description, category, experience_reward, mana_reward,
+                competency_rewards, awarded_artifact_id, type, cover_url, completion_code, qr_url, created_by
+             )
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+             RETURNING id`,
+            [
+                campaign.id,
+                mission.title,
+                mission.description ?? null,
+                mission.category,
+                mission.experience_reward || 0,
+                mission.mana_reward || 0,
+                competencyRewards.length > 0 ? JSON.stringify(competencyRewards) : null,
+                mission.awarded_artifact_id ?? null,
+                mission.type,
+                mission.cover_url ?? null,
+                completionCode,
+                missionQrUrl,
+                createdBy,
+            ]
+        );
+        const missionId = rows[0].id;
+        missionIds.set(mission.ref, missionId);
+
+        const detailConfig = MISSION_DETAILS[mission.type];
+        if (detailConfig) {
+            const values = detailConfig.columns.map((column) => {
+                const value = mission.details[column];
+                return detailConfig.jsonColumns.includes(column) && value !== undefined && value !== null
+                    ? JSON.stringify(value)
+                    : value;
+            });
+            // Columns that are missing from the template fall back to their database defaults.
+            const provided = detailConfig.columns.filter((_, i) => values[i] !== undefined);
+            const providedValues = values.filter((value) => value !== undefined);
+            await client.query(
+                `INSERT INTO ${detailConfig.table} (mission_id${provided.map((c) => `, ${c}`).join('')})
+                 VALUES ($1${provided.map((_, i) => `, $${i + 2}`).join('')})`,
+                [missionId, ...providedValues]
+            );
+        }
+    }
+
+    // Step 4: Achievements, with required missions remapped to the new mission IDs.
+    const achievementIds = new Map();
+    for (const achievement of templateData.achievements || []) {
+        const conditions = achievement.unlock_conditions || {};
+        const unlockConditions = {
+            ...conditions,
+            required_missions: (conditions.required_missions || []).map((ref) => missionIds.get(ref)),
+        };
+
+        const { rows } = await client.query(
+            `INSERT INTO achievements (campaign_id, name, description, image_url, unlock_conditions, experience_reward, mana_reward, awarded_artifact_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING id`,
+            [
+                campaign.id,
+                achievement.name,
+                achievement.description ?? null,
+                achievement.image_url ?? null,
+                JSON.stringify(unlockConditions),
+                achievement.experience_reward || 0,
+                achievement.mana_reward || 0,
+                achievement.awarded_artifact_id ?? null,
+            ]
+        );
+        achievementIds.set(achievement.ref, rows[0].id);
+    }
+
+    // Step 5: Link missions to the achievements they require.
+    for (const mission of templateData.missions || []) {
+        if (mission.required_achievement_ref) {
+            await client.query(
+                'UPDATE missions SET required_achievement_id = $1 WHERE id = $2',
+                [achievementIds.get(mission.required_achievement_ref), missionIds.get(mission.ref)]
+            );
+        }
+    }
+
+    // Step 6: Campaign store items.
+    for (const item of templateData.store_items || []) {
+        await client.query(
+            `INSERT INTO store_items (name, description, image_url, cost, quantity, is_active, campaign_id, is_global)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, false)`,
+            [item.name, item.description ?? null, item.image_url ?? null, item.cost, item.quantity ?? null, item.is_active ?? true, campaign.id]
+        );
+    }
+
+    return {
+        campaign,
+        counts: {
+            missions: missionIds.size,
+            achievements: achievementIds.size,
+            competencies: competencyIds.size,
+            store_items: (templateData.store_items || []).length,
+        },
+    };
+};
+
+module.exports = {
+    TEMPLATE_VERSION,
+    getTemplateForManager,
+    snapshotCampaign,
+    validateTemplateData,
+    instantiateTemplate,
+};
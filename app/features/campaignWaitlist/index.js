@@ -0,0 +1,177 @@
+// app/features/campaignWaitlist/index.js
+const { updateUserRank } = require('@features/rankManager');
+
+// Campaigns in these statuses no longer take in participants from the waitlist.
+const CLOSED_STATUSES = ['COMPLETED', 'ARCHIVED'];
+
+/**
+ * Counts the active participants of a campaign. Deactivated participants do not take up a place.
+ * @param {object} client - The active database client from a transaction.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @returns {Promise<number>}
+ */
+const countActiveParticipants = async (client, campaignId) => {
+    const { rows } = await client.query(
+        'SELECT COUNT(*) AS count FROM user_campaigns WHERE campaign_id = $1 AND is_active = true',
+        [campaignId]
+    );
+    return parseInt(rows[0].count, 10);
+};
+
+/**
+ * Returns the 1-based position of a user in the waitlist of a campaign, or null if the user is not waiting.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {string} userId - The UUID of the user.
+ * @returns {Promise<number|null>}
+ */
+const getWaitlistPosition = async (db, campaignId, userId) => {
+    const { rows } = await db.query(
+        `SELECT COUNT(*) AS position
+         FROM campaign_waitlist w
+         JOIN campaign_waitlist own ON own.campaign_id = w.campaign_id AND own.user_id = $2
+         WHERE w.campaign_id = $1 AND (w.created_at, w.user_id) <= (own.created_at, own.user_id)`,
+        [campaignId, userId]
+    );
+    const position = parseInt(rows[0].position, 10);
+    return position > 0 ? position : null;
+};
+
+/**
+ * Puts a user on the waitlist of a full campaign.
+ * This function is designed to be called within an existing database transaction.
+ * @param {object} client - The active database client from a transaction.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {string} userId - The UUID of the user.
+ * @param {object|null} [joinMetadata] - Stored with the entry and copied to user_campaigns on admission.
+ * @returns {Promise<{position: number, alreadyWaiting: boolean}>}
+ */
+const addToWaitlist = async (client, campaignId, userId, joinMetadata = null) => {
+    const { rowCount } = await client.query(
+        `INSERT INTO campaign_waitlist (campaign_id, user_id, join_metadata)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (campaign_id, user_id) DO NOTHING`,
+        [campaignId, userId, joinMetadata ? JSON.stringify(joinMetadata) : null]
+    );
+    const position = await getWaitlistPosition(client, campaignId, userId);
+    return { position, alreadyWaiting: rowCount === 0 };
+};
+
+/**
+ * Moves one user from the waitlist into the campaign and prepares their notification.
+ * @param {object} client - The active database client from a transaction.
+ * @param {{id: string, title: string}} campaign - The campaign.
+ * @param {string} userId - The UUID of the user.
+ * @returns {Promise<{userId: string, tgId: (string|number), message: string}|null>} Null if the user is not on the waitlist.
+ */
+const admitUser = async (client, campaign, userId) => {
+    const { rows: waitlistRows } = await client.query(
+        'DELETE FROM campaign_waitlist WHERE campaign_id = $1 AND user_id = $2 RETURNING join_metadata',
+        [campaign.id, userId]
+    );
+    if (waitlistRows.length === 0) {
+        return null;
+    }
+
+    await client.query(
+        `INSERT INTO user_campaigns (user_id, campaign_id, join_metadata)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, campaign_id) DO UPDATE SET is_active = true`,
+        [userId, campaign.id, waitlistRows[0].join_metadata]
+    );
+
+    await updateUserRank(client, userId);
+
+    const { rows: userRows } = await client.query('SELECT tg_id FROM users WHERE id = $1', [userId]);
+
+    return {
+        userId,
+        tgId: userRows[0].tg_id,
+        message: `🎉 Освободилось место! Вы приняты в кампанию «${campaign.title}». Можно приступать к миссиям.`,
+    };
+};
+
+/**
+ * Fills the free places of a campaign from its waitlist, oldest entries first.
+ * Call it after anything that can free a place: deactivating a participant or raising max_participants.
+ * This function is designed to be called within an existing database transaction.
+ * The Telegram notifications are returned instead of sent, so the caller can send them after COMMIT.
+ *
+ * @param {object} client - The active database client from a transaction.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @returns {Promise<Array<{userId: string, tgId: (string|number), message: string}>>} One notification per promoted user.
+ */
+const promoteFromWaitlist = async (client, campaignId) => {
+    // Lock the campaign so concurrent joins and promotions see the same number of free places.
+    const { rows: campaignRows } = await client.query(
+        'SELECT id, title, status, max_participants FROM campaigns WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [campaignId]
+    );
+    if (campaignRows.length === 0 || CLOSED_STATUSES.includes(campaignRows[0].status)) {
+        return [];
+    }
+    const campaign = campaignRows[0];
+
+    let freePlaces = null;
+    if (campaign.max_participants !== null) {
+        freePlaces = campaign.max_participants - await countActiveParticipants(client, campaignId);
+        if (freePlaces <= 0) {
+            return [];
+        }
+    }
+
+    const { rows: waiting } = await client.query(
+        `SELECT user_id FROM campaign_waitlist
+         WHERE campaign_id = $1
+         ORDER BY created_at ASC, user_id ASC
+         LIMIT $2`,
+        [campaignId, freePlaces]
+    );
+
+    const notifications = [];
+    for (const { user_id: userId } of waiting) {
+        const notification = await admitUser(client, campaign, userId);
+        if (notification) {
+            notifications.push(notification);
+        }
+    }
+    return notifications;
+};
+
+/**
+ * Admits a specific user from the waitlist, even if the campaign is full.
+ * This function is designed to be called within an existing database transaction.
+ * @param {object} client - The active database client from a transaction.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {string} userId - The UUID of the user.
+ * @returns {Promise<{userId: string, tgId: (string|number), message: string}>} The notification to send after COMMIT.
+ */
+const admitFromWaitlist = async (client, campaignId, userId) => {
+    const { rows: campaignRows } = await client.query(
+        'SELECT id, title FROM campaigns WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [campaignId]
+    );
+    if (campaignRows.length === 0) {
+        const err = new Error(`Campaign with ID ${campaignId} not found.`);
+        err.statusCode = 404;
+        err.code = 'NOT_FOUND';
+        throw err;
+    }
+
+    const notification = await admitUser(client, campaignRows[0], userId);
+    if (!notification) {
+        const err = new Error('This user is not on the waitlist of the campaign.');
+        err.statusCode = 404;
+        err.code = 'NOT_ON_WAITLIST';
+        throw err;
+    }
+    return notification;
+};
+
+module.exports = {
+    countActiveParticipants,
+    getWaitlistPosition,
+    addToWaitlist,
+    promoteFromWaitlist,
+    admitFromWaitlist,
+};
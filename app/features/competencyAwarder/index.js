@@ -6,9 +6,10 @@
  * @param {object} client - The active database client from a transaction.
  * @param {string} userId - The UUID of the user.
  * @param {string} missionId - The UUID of the mission that was just completed.
- * @returns {Promise<void>}
+ * @returns {Promise<Array<{competency_id: string, points: number}>>} The points awarded, to be recorded on the completion.
  */
 const awardCompetencyPoints = async (client, userId, missionId) => {
+    const awarded = [];
     try {
         // 1. Get competency_rewards for the completed mission.
         const missionQuery = 'SELECT competency_rewards FROM missions WHERE id = $1';
@@ -16,14 +17,14 @@ const awardCompetencyPoints = async (client, userId, missionId) => {
 
         if (missionResult.rowCount === 0) {
             console.warn(`[CompetencyAwarder] Mission ${missionId} not found. Cannot award competency points.`);
-            return;
+            return awarded;
         }
 
         const { competency_rewards: competencyRewards } = missionResult.rows[0];
 
         // 2. Check if there are any rewards to process.
         if (!competencyRewards || !Array.isArray(competencyRewards) || competencyRewards.length === 0) {
-            return; // No competency rewards for this mission.
+            return awarded; // No competency rewards for this mission.
         }
 
         console.log(`[CompetencyAwarder] Awarding competency points for mission ${missionId} to user ${userId}`);
@@ -46,6 +47,7 @@ const awardCompetencyPoints = async (client, userId, missionId) => {
             `;
 
             await client.query(upsertQuery, [userId, competencyId, points]);
+            awarded.push({ competency_id: competencyId, points });
             console.log(`[CompetencyAwarder] Awarded ${points} points for competency ${competencyId} to user ${userId}.`);
         }
 
@@ -53,6 +55,7 @@ const awardCompetencyPoints = async (client, userId, missionId) => {
         // Log the error but do not re-throw. This should not fail the parent transaction.
         console.error(`[CompetencyAwarder] Error while awarding competency points for user ${userId} and mission ${missionId}:`, error);
     }
+    return awarded;
 };
 
 module.exports = {
@@ -0,0 +1,300 @@
+// app/features/completionModerator/index.js
+const { checkAndAwardAchievements } = require('@features/achievementChecker');
+const { awardCompetencyPoints } = require('@features/competencyAwarder');
+const { updateUserRank } = require('@features/rankManager');
+const { rewardReferralOnFirstCompletion } = require('@features/campaignReferrals');
+const { publishCompletionEvent, publishLiveEvent } = require('@features/campaignLiveFeed');
+
+/**
+ * Approves or rejects a mission completion and, on first approval, grants the mission rewards.
+ * This function is designed to be called within an existing database transaction.
+ * The Telegram notification is returned instead of sent, so the caller can send it after COMMIT.
+ *
+ * @param {object} client - The active database client from a transaction.
+ * @param {object} params
+ * @param {string} params.completionId - The UUID of the mission completion.
+ * @param {string} [params.missionId] - If provided, the completion must belong to this mission.
+ * @param {'APPROVED'|'REJECTED'} params.status - The new status.
+ * @param {string} params.moderatorId - The UUID of the manager performing the review.
+ * @param {string|null} [params.moderatorComment] - The comment; stored only for rejections.
+ * @param {boolean} [params.onlyPending=false] - If true, completions that are no longer PENDING_REVIEW are refused with a 409.
+ * @returns {Promise<{completion: object, alreadyApproved: boolean, notification: {tgId: (string|number), message: string}|null, referralNotifications: Array<{tgId: (string|number), message: string}>}>}
+ */
+const moderateCompletion = async (client, { completionId, missionId, status, moderatorId, moderatorComment, onlyPending = false }) => {
+    // Step 1: Fetch the current completion status and user ID to check for idempotency. Lock the row.
+    const completionCheckQuery = `
+        SELECT mc.user_id, mc.mission_id, mc.status
+        FROM mission_completions mc
+        WHERE mc.id = $1 AND ($2::uuid IS NULL OR mc.mission_id = $2)
+        FOR UPDATE;
+    `;
+    const completionCheckResult = await client.query(completionCheckQuery, [completionId, missionId || null]);
+
+    if (completionCheckResult.rowCount === 0) {
+        const err = new Error(missionId
+            ? `Completion with ID ${completionId} for mission ${missionId} not found.`
+            : `Completion with ID ${completionId} not found.`);
+        err.statusCode = 404;
+        err.code = 'NOT_FOUND';
+        throw err;
+    }
+
+    const { user_id: userId, mission_id: completionMissionId, status: currentStatus } = completionCheckResult.rows[0];
+
+    if (onlyPending && currentStatus !== 'PENDING_REVIEW') {
+        const err = new Error(`Completion with ID ${completionId} is not pending review (current status: ${currentStatus}).`);
+        err.statusCode = 409;
+        err.code = 'NOT_PENDING';
+        throw err;
+    }
+
+    // Rejecting an approved completion would leave its rewards in place; revokeCompletion must be used instead.
+    if (currentStatus === 'APPROVED' && status === 'REJECTED') {
+        const err = new Error('This completion is already approved. Revoke it instead to take back the rewards.');
+        err.statusCode = 409;
+        err.code = 'ALREADY_APPROVED';
+        throw err;
+    }
+
+    // Idempotency check: If already approved and we're trying to approve again, do nothing further.
+    if (currentStatus === 'APPROVED' && status === 'APPROVED') {
+        const finalState = await client.query('SELECT * FROM mission_completions WHERE id = $1', [completionId]);
+        return { completion: finalState.rows[0], alreadyApproved: true, notification: null, referralNotifications: [] };
+    }
+
+    // Step 2: Update the completion status itself.
+    const updateCompletionQuery = `
+        UPDATE mission_completions
+        SET
+            status = $1,
+            moderator_id = $2,
+            moderator_comment = $3,
+            updated_at = NOW()
+        WHERE
+            id = $4
+        RETURNING *;
+    `;
+    // Clear comment if not rejecting
+    const finalComment = status === 'REJECTED' ? moderatorComment : null;
+    const updateResult = await client.query(updateCompletionQuery, [status, moderatorId, finalComment, completionId]);
+    let completion = updateResult.rows[0];
+
+    let notification = null;
+    let referralNotifications = [];
+
+    // Step 3: If approving for the first time, fetch mission rewards and update user points.
+    if (status === 'APPROVED' && currentStatus !== 'APPROVED') {
+        const missionQuery = 'SELECT title, experience_reward, mana_reward FROM missions WHERE id = $1;';
+        const missionResult = await client.query(missionQuery, [completionMissionId]);
+
+        if (missionResult.rowCount === 0) {
+            const err = new Error(`Mission with ID ${completionMissionId} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            throw err;
+        }
+
+        const { title: missionTitle, experience_reward, mana_reward } = missionResult.rows[0];
+
+        // Update user points
+        if (experience_reward > 0 || mana_reward > 0) {
+            const updateUserQuery = `
+                UPDATE users
+                SET
+                    experience_points = experience_points + $1,
+                    mana_points = mana_points + $2,
+                    updated_at = NOW()
+                WHERE id = $3;
+            `;
+            await client.query(updateUserQuery, [experience_reward, mana_reward, userId]);
+        }
+
+        // Show the completion on the campaign's live feed (delivered on COMMIT)
+        await publishCompletionEvent(client, userId, completionMissionId);
+
+        // Check for and award any achievements this completion might unlock
+        await checkAndAwardAchievements(client, userId, completionMissionId);
+
+        // Award competency points
+        const competenciesGranted = await awardCompetencyPoints(client, userId, completionMissionId);
+
+        // Record what was granted, so a revocation takes back exactly this even if the mission is edited later
+        const grantedResult = await client.query(
+            `UPDATE mission_completions SET experience_granted = $1, mana_granted = $2, competencies_granted = $3 WHERE id = $4 RETURNING *`,
+            [experience_reward, mana_reward, JSON.stringify(competenciesGranted), completionId]
+        );
+        completion = grantedResult.rows[0];
+
+        // Reward the referral if this is the invitee's first approved mission in the campaign
+        referralNotifications = await rewardReferralOnFirstCompletion(client, userId, completionMissionId);
+
+        // Fetch user's tg_id for notification
+        const userResult = await client.query('SELECT tg_id FROM users WHERE id = $1;', [userId]);
+
+        if (userResult.rowCount > 0) {
+            notification = {
+                tgId: userResult.rows[0].tg_id,
+                message: `✅ Задание «${missionTitle}» принято.`
+            };
+        } else {
+            // Log if user not found, but don't fail the transaction
+            console.warn(`[CompletionModerator] User with ID ${userId} not found when preparing completion notification.`);
+        }
+    }
+
+    return { completion, alreadyApproved: false, notification, referralNotifications };
+};
+
+/**
+ * Revokes an approved mission completion and claws back everything it granted:
+ * the experience, mana and competency points recorded on the completion at approval, and any achievements
+ * whose conditions are no longer met (with their own rewards and artifacts).
+ * The user's rank is re-evaluated and an audit record is written to `completion_revocations`.
+ * This function is designed to be called within an existing database transaction.
+ *
+ * @param {object} client - The active database client from a transaction.
+ * @param {object} params
+ * @param {string} params.completionId - The UUID of the mission completion.
+ * @param {string} params.moderatorId - The UUID of the manager revoking the completion.
+ * @param {string} params.reason - Why the completion is revoked; shown to the user.
+ * @returns {Promise<{completion: object, revocation: object, notification: {tgId: (string|number), message: string}|null}>}
+ */
+const revokeCompletion = async (client, { completionId, moderatorId, reason }) => {
+    // Step 1: Lock the completion and make sure it is approved.
+    const completionResult = await client.query(
+        `SELECT mc.user_id, mc.mission_id, mc.status, mc.experience_granted, mc.mana_granted, mc.competencies_granted, m.title, m.campaign_id
+         FROM mission_completions mc
+         JOIN missions m ON mc.mission_id = m.id
+         WHERE mc.id = $1
+         FOR UPDATE OF mc`,
+        [completionId]
+    );
+
+    if (completionResult.rowCount === 0) {
+        const err = new Error(`Completion with ID ${completionId} not found.`);
+        err.statusCode = 404;
+        err.code = 'NOT_FOUND';
+        throw err;
+    }
+
+    const completionRow = completionResult.rows[0];
+    const { user_id: userId, mission_id: missionId } = completionRow;
+
+    if (completionRow.status !== 'APPROVED') {
+        const err = new Error(`Only approved completions can be revoked (current status: ${completionRow.status}).`);
+        err.statusCode = 409;
+        err.code = 'NOT_APPROVED';
+        throw err;
+    }
+
+    // Lock the user row so balances cannot change underneath us.
+    const userResult = await client.query('SELECT tg_id, mana_points FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    const user = userResult.rows[0];
+
+    // Step 2: Mark the completion as revoked.
+    const updateResult = await client.query(
+        `UPDATE mission_completions
+         SET status = 'REVOKED', moderator_id = $1, moderator_comment = $2, updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [moderatorId, reason, completionId]
+    );
+
+    // The amounts granted on approval, not the mission's current rewards, which may have been edited since.
+    const experienceGranted = completionRow.experience_granted || 0;
+    const manaGranted = completionRow.mana_granted || 0;
+    let experienceToRevoke = experienceGranted;
+    let manaToRevoke = manaGranted;
+
+    // Step 3: Reverse the competency points awarded by awardCompetencyPoints.
+    const competenciesRevoked = [];
+    const competenciesGranted = Array.isArray(completionRow.competencies_granted) ? completionRow.competencies_granted : [];
+    for (const { competency_id: competencyId, points } of competenciesGranted) {
+        if (!competencyId || !points) continue;
+        await client.query(
+            `UPDATE user_competencies
+             SET progress_points = GREATEST(progress_points - $1, 0)
+             WHERE user_id = $2 AND competency_id = $3`,
+            [points, userId, competencyId]
+        );
+        competenciesRevoked.push({ competency_id: competencyId, points });
+    }
+
+    // Step 4: Re-evaluate achievements that required this mission.
+    // The completion is already REVOKED, so the count below no longer includes it.
+    const achievementsResult = await client.query(
+        `SELECT a.id, a.unlock_conditions, a.experience_reward, a.mana_reward, a.awarded_artifact_id
+         FROM achievements a
+         JOIN user_achievements ua ON a.id = ua.achievement_id AND ua.user_id = $1
+         WHERE a.campaign_id = $2 AND a.unlock_conditions -> 'required_missions' ? $3`,
+        [userId, completionRow.campaign_id, missionId]
+    );
+
+    const achievementsRevoked = [];
+    for (const achievement of achievementsResult.rows) {
+        const requiredMissions = achievement.unlock_conditions?.required_missions;
+        if (!Array.isArray(requiredMissions) || requiredMissions.length === 0) continue;
+
+        const { rows: countRows } = await client.query(
+            `SELECT COUNT(DISTINCT mission_id)::INTEGER as count
+             FROM mission_completions
+             WHERE user_id = $1 AND status = 'APPROVED' AND mission_id = ANY($2::uuid[])`,
+            [userId, requiredMissions]
+        );
+        if (countRows[0].count === requiredMissions.length) continue; // Still earned through other completions
+
+        await client.query('DELETE FROM user_achievements WHERE user_id = $1 AND achievement_id = $2', [userId, achievement.id]);
+        if (achievement.awarded_artifact_id) {
+            await client.query('DELETE FROM user_artifacts WHERE user_id = $1 AND artifact_id = $2', [userId, achievement.awarded_artifact_id]);
+        }
+        experienceToRevoke += achievement.experience_reward;
+        manaToRevoke += achievement.mana_reward;
+        achievementsRevoked.push(achievement.id);
+    }
+
+    // Step 5: Subtract experience and mana. Mana may already be spent, so it never goes below zero.
+    const manaRevoked = Math.min(manaToRevoke, user.mana_points);
+    if (experienceToRevoke > 0 || manaRevoked > 0) {
+        await client.query(
+            `UPDATE users
+             SET experience_points = GREATEST(experience_points - $1, 0), mana_points = mana_points - $2, updated_at = NOW()
+             WHERE id = $3`,
+            [experienceToRevoke, manaRevoked, userId]
+        );
+    }
+
+    // Step 6: Achievements may have changed, so the rank has to be re-evaluated.
+    await updateUserRank(client, userId);
+
+    // Step 7: Let the campaign's live feed recompute its leaderboard (delivered on COMMIT).
+    await publishLiveEvent(client, completionRow.campaign_id, 'scores_changed');
+
+    // Step 8: Write the audit record.
+    const revocationResult = await client.query(
+        `INSERT INTO completion_revocations (
+            completion_id, user_id, mission_id, revoked_by, reason, experience_granted, mana_granted,
+            experience_revoked, mana_revoked, competencies_revoked, achievements_revoked
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+            completionId, userId, missionId, moderatorId, reason, experienceGranted, manaGranted,
+            experienceToRevoke, manaRevoked, JSON.stringify(competenciesRevoked), JSON.stringify(achievementsRevoked)
+        ]
+    );
+
+    let message = `⚠️ Зачёт задания «${completionRow.title}» отменён.\n\nПричина: ${reason}`;
+    if (manaRevoked > 0) {
+        message += `\n\nСписано: ${manaRevoked} маны.`;
+    }
+
+    return {
+        completion: updateResult.rows[0],
+        revocation: revocationResult.rows[0],
+        notification: user ? { tgId: user.tg_id, message } : null
+    };
+};
+
+module.exports = {
+    moderateCompletion,
+    revokeCompletion,
+};
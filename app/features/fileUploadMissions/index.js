@@ -0,0 +1,94 @@
+// app/features/fileUploadMissions/index.js
+const crypto = require('crypto');
+const path = require('path');
+const { uploadFileToMinio } = require('@features/useMinioBucket');
+
+// The upload limit of the server; a mission can only lower it. Files are held in memory until they are checked.
+const MAX_UPLOAD_SIZE_BYTES = 20 * 1024 * 1024;
+
+const DEFAULT_ALLOWED_MIME_TYPES = ['image/*'];
+const DEFAULT_MAX_FILE_SIZE_BYTES = 10 * 1024 * 1024;
+
+// "type/subtype", or "type/*" for every subtype.
+const MIME_TYPE_PATTERN = /^[a-z]+\/([a-z0-9][a-z0-9.+-]*|\*)$/;
+
+// Types a browser runs scripts in. Files are served from the public bucket with the stored type,
+// so these are only accepted when a mission lists them explicitly, never through "image/*" or "text/*".
+const ACTIVE_MIME_TYPES = ['image/svg+xml', 'text/html', 'text/xml', 'text/javascript'];
+
+/**
+ * Validates the settings of a file upload mission. Only the fields present in `details` are checked,
+ * so the same function serves creation (after defaults are applied) and partial updates.
+ * @param {object} details - submission_prompt, allowed_mime_types and max_file_size_bytes.
+ * @returns {string|null} An error message, or null if the settings are valid.
+ */
+const validateFileUploadDetails = ({ submission_prompt, allowed_mime_types, max_file_size_bytes }) => {
+    if (submission_prompt !== undefined && (typeof submission_prompt !== 'string' || submission_prompt.trim() === '')) {
+        return 'submission_prompt is required and cannot be empty.';
+    }
+    if (allowed_mime_types !== undefined) {
+        if (!Array.isArray(allowed_mime_types) || allowed_mime_types.length === 0) {
+            return 'allowed_mime_types must be a non-empty array of MIME types.';
+        }
+        const invalid = allowed_mime_types.find((type) => typeof type !== 'string' || !MIME_TYPE_PATTERN.test(type));
+        if (invalid !== undefined) {
+            return `Invalid MIME type "${invalid}" in allowed_mime_types. Use lowercase "type/subtype" or "type/*", e.g. "image/*" or "application/pdf".`;
+        }
+    }
+    if (max_file_size_bytes !== undefined
+        && !(Number.isInteger(max_file_size_bytes) && max_file_size_bytes > 0 && max_file_size_bytes <= MAX_UPLOAD_SIZE_BYTES)) {
+        return `max_file_size_bytes must be a positive integer of at most ${MAX_UPLOAD_SIZE_BYTES} (20 MB).`;
+    }
+    return null; // All good
+};
+
+/**
+ * Reduces the type sent by the client to a lowercase "type/subtype", without parameters such as charset.
+ * @param {string} mimeType - The type of the uploaded file.
+ * @returns {string}
+ */
+const normalizeMimeType = (mimeType) => String(mimeType).split(';')[0].trim().toLowerCase();
+
+/**
+ * Whether a MIME type is accepted by a mission.
+ * @param {string} mimeType - The normalized type of the uploaded file (see normalizeMimeType).
+ * @param {Array<string>} allowedMimeTypes - From mission_file_upload_details; "type/*" matches every subtype
+ *   except the ACTIVE_MIME_TYPES.
+ * @returns {boolean}
+ */
+const isMimeTypeAllowed = (mimeType, allowedMimeTypes) => allowedMimeTypes.some((allowed) => (allowed.endsWith('/*')
+    ? mimeType.startsWith(allowed.slice(0, -1)) && !ACTIVE_MIME_TYPES.includes(mimeType)
+    : mimeType === allowed));
+
+/**
+ * Stores a submitted file in MinIO under an unguessable name, since the bucket is public.
+ * The object gets the type that was checked, not the raw one sent by the client.
+ * @param {object} file - The multer file (memory storage).
+ * @param {string} missionId - The UUID of the mission.
+ * @param {string} mimeType - The normalized type accepted by isMimeTypeAllowed.
+ * @returns {Promise<object>} The submission for `result_data`: file_url, file_name, mime_type and size.
+ */
+const storeSubmissionFile = async (file, missionId, mimeType) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const safeExtension = /^\.[a-z0-9]{1,10}$/.test(extension) ? extension : '';
+    const objectName = `mission-submissions/${missionId}/${crypto.randomUUID()}${safeExtension}`;
+
+    const { url } = await uploadFileToMinio(file.buffer, objectName, mimeType);
+
+    return {
+        file_url: url,
+        file_name: file.originalname,
+        mime_type: mimeType,
+        size: file.size,
+    };
+};
+
+module.exports = {
+    MAX_UPLOAD_SIZE_BYTES,
+    DEFAULT_ALLOWED_MIME_TYPES,
+    DEFAULT_MAX_FILE_SIZE_BYTES,
+    validateFileUploadDetails,
+    normalizeMimeType,
+    isMimeTypeAllowed,
+    storeSubmissionFile,
+};
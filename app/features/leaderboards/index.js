@@ -0,0 +1,319 @@
+// app/features/leaderboards/index.js
+const pool = require('@db');
+
+const DEFAULT_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Arbitrary application-wide key, so only one server instance refreshes the scores at a time.
+const REFRESH_LOCK_KEY = 734219002;
+
+/**
+ * Global leaderboard: all users by total experience.
+ * Served by users_experience_points_idx, so a page only reads the rows it returns.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {{limit: number, offset: number}} page
+ * @returns {Promise<{entries: Array<object>, total: number}>}
+ */
+const getGlobalLeaderboard = async (db, { limit, offset }) => {
+    const countPromise = db.query('SELECT COUNT(*) FROM users WHERE deleted_at IS NULL');
+    const entriesPromise = db.query(
+        `SELECT
+            (RANK() OVER (ORDER BY u.experience_points DESC))::INTEGER AS position,
+            u.id AS user_id,
+            u.username,
+            u.first_name,
+            u.last_name,
+            u.avatar_url,
+            r.title AS rank_title,
+            u.experience_points AS experience
+         FROM users u
+         LEFT JOIN ranks r ON u.rank_id = r.id
+         WHERE u.deleted_at IS NULL
+         ORDER BY u.experience_points DESC, u.id ASC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+    );
+    const [countResult, entriesResult] = await Promise.all([countPromise, entriesPromise]);
+    return { entries: entriesResult.rows, total: parseInt(countResult.rows[0].count, 10) };
+};
+
+/**
+ * A user's own place in the global leaderboard.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} userId - The UUID of the user.
+ * @returns {Promise<{position: number, experience: number}|null>} Null if the user does not exist.
+ */
+const getGlobalPosition = async (db, userId) => {
+    const { rows } = await db.query(
+        `SELECT
+            (1 + (SELECT COUNT(*) FROM users o WHERE o.deleted_at IS NULL AND o.experience_points > u.experience_points))::INTEGER AS position,
+            u.experience_points AS experience
+         FROM users u
+         WHERE u.id = $1 AND u.deleted_at IS NULL`,
+        [userId]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Campaign leaderboard: the active participants by the experience they earned inside the campaign.
+ * Scores come from the campaign_leaderboard_scores materialized view, so they can lag behind
+ * by up to one refresh interval. Participants without a score are listed with 0.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {{limit: number, offset: number}} page
+ * @returns {Promise<{entries: Array<object>, total: number}>}
+ */
+const getCampaignLeaderboard = async (db, campaignId, { limit, offset }) => {
+    const countPromise = db.query(
+        `SELECT COUNT(*)
+         FROM user_campaigns uc
+         JOIN users u ON uc.user_id = u.id
+         WHERE uc.campaign_id = $1 AND uc.is_active = true AND u.deleted_at IS NULL`,
+        [campaignId]
+    );
+    const entriesPromise = db.query(
+        `SELECT
+            (RANK() OVER (ORDER BY COALESCE(s.experience, 0) DESC))::INTEGER AS position,
+            u.id AS user_id,
+            u.username,
+            u.first_name,
+            u.last_name,
+            u.avatar_url,
+            COALESCE(s.experience, 0) AS experience,
+            COALESCE(s.missions_completed, 0) AS missions_completed,
+            s.last_activity_at
+         FROM user_campaigns uc
+         JOIN users u ON uc.user_id = u.id
+         LEFT JOIN campaign_leaderboard_scores s ON s.campaign_id = uc.campaign_id AND s.user_id = uc.user_id
+         WHERE uc.campaign_id = $1 AND uc.is_active = true AND u.deleted_at IS NULL
+         ORDER BY position ASC, s.last_activity_at ASC NULLS LAST, u.id ASC
+         LIMIT $2 OFFSET $3`,
+        [campaignId, limit, offset]
+    );
+    const [countResult, entriesResult] = await Promise.all([countPromise, entriesPromise]);
+    return { entries: entriesResult.rows, total: parseInt(countResult.rows[0].count, 10) };
+};
+
+/**
+ * A participant's own place in a campaign leaderboard.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {string} userId - The UUID of the user.
+ * @returns {Promise<{position: number, experience: number, missions_completed: number}|null>} Null if the user is not an active participant.
+ */
+const getCampaignPosition = async (db, campaignId, userId) => {
+    const { rows } = await db.query(
+        `WITH scores AS (
+            SELECT uc.user_id, COALESCE(s.experience, 0) AS experience, COALESCE(s.missions_completed, 0) AS missions_completed
+            FROM user_campaigns uc
+            JOIN users u ON uc.user_id = u.id
+            LEFT JOIN campaign_leaderboard_scores s ON s.campaign_id = uc.campaign_id AND s.user_id = uc.user_id
+            WHERE uc.campaign_id = $1 AND uc.is_active = true AND u.deleted_at IS NULL
+         )
+         SELECT
+            (1 + (SELECT COUNT(*) FROM scores o WHERE o.experience > me.experience))::INTEGER AS position,
+            me.experience,
+            me.missions_completed
+         FROM scores me
+         WHERE me.user_id = $2`,
+        [campaignId, userId]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * The top of a campaign leaderboard computed from the source tables instead of campaign_leaderboard_scores,
+ * so it reflects a completion right after its COMMIT. Uses the same sums as the view.
+ * Meant for one campaign at a time (live feeds); participants without experience are not listed.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} campaignId - The UUID of the campaign.
+ * @param {number} limit - How many entries to return.
+ * @returns {Promise<Array<object>>}
+ */
+const getLiveCampaignTop = async (db, campaignId, limit) => {
+    const { rows } = await db.query(
+        `WITH earned AS (
+            SELECT mc.user_id, COALESCE(mc.experience_granted, m.experience_reward) AS experience, 1 AS missions_completed, mc.updated_at AS earned_at
+            FROM mission_completions mc
+            JOIN missions m ON mc.mission_id = m.id
+            WHERE m.campaign_id = $1 AND mc.status = 'APPROVED'
+            UNION ALL
+            SELECT ua.user_id, a.experience_reward, 0, ua.awarded_at
+            FROM user_achievements ua
+            JOIN achievements a ON ua.achievement_id = a.id
+            WHERE a.campaign_id = $1
+            UNION ALL
+            SELECT r.referrer_id, r.inviter_experience_awarded, 0, r.rewarded_at
+            FROM campaign_referrals r
+            WHERE r.campaign_id = $1 AND r.status = 'REWARDED'
+            UNION ALL
+            SELECT r.referred_id, r.invitee_experience_awarded, 0, r.rewarded_at
+            FROM campaign_referrals r
+            WHERE r.campaign_id = $1 AND r.status = 'REWARDED'
+         ), scores AS (
+            SELECT
+                user_id,
+                SUM(experience)::INTEGER AS experience,
+                SUM(missions_completed)::INTEGER AS missions_completed,
+                MAX(earned_at) AS last_activity_at
+            FROM earned
+            GROUP BY user_id
+         )
+         SELECT
+            (RANK() OVER (ORDER BY s.experience DESC))::INTEGER AS position,
+            u.id AS user_id,
+            u.username,
+            u.first_name,
+            u.last_name,
+            u.avatar_url,
+            s.experience,
+            s.missions_completed,
+            s.last_activity_at
+         FROM scores s
+         JOIN user_campaigns uc ON uc.campaign_id = $1 AND uc.user_id = s.user_id AND uc.is_active = true
+         JOIN users u ON s.user_id = u.id
+         WHERE u.deleted_at IS NULL AND s.experience > 0
+         ORDER BY position ASC, s.last_activity_at ASC, u.id ASC
+         LIMIT $2`,
+        [campaignId, limit]
+    );
+    return rows;
+};
+
+/**
+ * Competency leaderboard: users by level, then by progress towards the next level.
+ * Only users who have started the competency are listed.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} competencyId - The UUID of the competency.
+ * @param {{limit: number, offset: number}} page
+ * @returns {Promise<{entries: Array<object>, total: number}>}
+ */
+const getCompetencyLeaderboard = async (db, competencyId, { limit, offset }) => {
+    const countPromise = db.query(
+        `SELECT COUNT(*)
+         FROM user_competencies uc
+         JOIN users u ON uc.user_id = u.id
+         WHERE uc.competency_id = $1 AND u.deleted_at IS NULL`,
+        [competencyId]
+    );
+    const entriesPromise = db.query(
+        `SELECT
+            (RANK() OVER (ORDER BY uc.level DESC, uc.progress_points DESC))::INTEGER AS position,
+            u.id AS user_id,
+            u.username,
+            u.first_name,
+            u.last_name,
+            u.avatar_url,
+            uc.level,
+            uc.progress_points
+         FROM user_competencies uc
+         JOIN users u ON uc.user_id = u.id
+         WHERE uc.competency_id = $1 AND u.deleted_at IS NULL
+         ORDER BY uc.level DESC, uc.progress_points DESC, u.id ASC
+         LIMIT $2 OFFSET $3`,
+        [competencyId, limit, offset]
+    );
+    const [countResult, entriesResult] = await Promise.all([countPromise, entriesPromise]);
+    return { entries: entriesResult.rows, total: parseInt(countResult.rows[0].count, 10) };
+};
+
+/**
+ * A user's own place in a competency leaderboard.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} competencyId - The UUID of the competency.
+ * @param {string} userId - The UUID of the user.
+ * @returns {Promise<{position: (number|null), level: number, progress_points: number}>} Position is null if the user has not started the competency.
+ */
+const getCompetencyPosition = async (db, competencyId, userId) => {
+    const { rows } = await db.query(
+        `SELECT
+            (1 + (
+                SELECT COUNT(*)
+                FROM user_competencies o
+                JOIN users u ON o.user_id = u.id
+                WHERE o.competency_id = me.competency_id AND u.deleted_at IS NULL
+                  AND (o.level, o.progress_points) > (me.level, me.progress_points)
+            ))::INTEGER AS position,
+            me.level,
+            me.progress_points
+         FROM user_competencies me
+         WHERE me.competency_id = $1 AND me.user_id = $2`,
+        [competencyId, userId]
+    );
+    return rows[0] || { position: null, level: 0, progress_points: 0 };
+};
+
+/**
+ * Recomputes the campaign leaderboard scores.
+ * CONCURRENTLY keeps the view readable during the refresh.
+ * @returns {Promise<boolean>} False if another instance is refreshing right now.
+ */
+const refreshCampaignScores = async () => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows: lockRows } = await client.query('SELECT pg_try_advisory_xact_lock($1) AS locked', [REFRESH_LOCK_KEY]);
+        if (!lockRows[0].locked) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+
+        await client.query('REFRESH MATERIALIZED VIEW CONCURRENTLY campaign_leaderboard_scores');
+        await client.query('COMMIT');
+        return true;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Starts the in-process refresher of the campaign leaderboard scores.
+ * Configured with LEADERBOARD_REFRESH_ENABLED (default true) and LEADERBOARD_REFRESH_INTERVAL_MS (default 300000).
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if the refresher is disabled.
+ */
+const startLeaderboardRefresher = () => {
+    if (process.env.LEADERBOARD_REFRESH_ENABLED === 'false') {
+        console.log('Leaderboard refresher is disabled.');
+        return null;
+    }
+
+    const intervalMs = parseInt(process.env.LEADERBOARD_REFRESH_INTERVAL_MS, 10) || DEFAULT_REFRESH_INTERVAL_MS;
+    let running = false;
+
+    const tick = async () => {
+        // Skip if the previous refresh has not finished yet.
+        if (running) return;
+        running = true;
+        try {
+            await refreshCampaignScores();
+        } catch (err) {
+            console.error('Leaderboard refresh failed:', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    // Do not keep the process alive just for the refresher.
+    timer.unref();
+    tick();
+
+    console.log(`Leaderboard refresher started (every ${intervalMs} ms).`);
+    return timer;
+};
+
+module.exports = {
+    getGlobalLeaderboard,
+    getGlobalPosition,
+    getCampaignLeaderboard,
+    getCampaignPosition,
+    getLiveCampaignTop,
+    getCompetencyLeaderboard,
+    getCompetencyPosition,
+    refreshCampaignScores,
+    startLeaderboardRefresher,
+};
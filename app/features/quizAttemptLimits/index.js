@@ -0,0 +1,160 @@
+// app/features/quizAttemptLimits/index.js
+const { isRandomized } = require('@features/quizEngine');
+
+// Settings of mission_quiz_details that limit attempts.
+const ATTEMPT_SETTINGS_FIELDS = ['max_attempts', 'cooldown_seconds', 'time_limit_seconds'];
+
+// Extra time accepted after a timed attempt expires, for the network round trip of the submission.
+const SUBMIT_GRACE_SECONDS = 10;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validates the attempt settings of a quiz. Only the fields present in `settings` are checked.
+ * @param {object} settings - max_attempts and time_limit_seconds (positive integers or null), cooldown_seconds (integer >= 0).
+ * @returns {string|null} An error message, or null if the settings are valid.
+ */
+const validateAttemptSettings = (settings) => {
+    if (settings.max_attempts !== undefined && settings.max_attempts !== null && !isPositiveInteger(settings.max_attempts)) {
+        return 'max_attempts must be a positive integer or null for unlimited attempts.';
+    }
+    if (settings.cooldown_seconds !== undefined && !(Number.isInteger(settings.cooldown_seconds) && settings.cooldown_seconds >= 0)) {
+        return 'cooldown_seconds must be a non-negative integer.';
+    }
+    if (settings.time_limit_seconds !== undefined && settings.time_limit_seconds !== null && !isPositiveInteger(settings.time_limit_seconds)) {
+        return 'time_limit_seconds must be a positive integer or null for untimed quizzes.';
+    }
+    return null;
+};
+
+/**
+ * Serializes the attempts of a user at a quiz until the end of the transaction, so two parallel
+ * submissions cannot both pass the limit checks.
+ * @param {object} client - The active database client from a transaction.
+ * @param {string} userId - The UUID of the user.
+ * @param {string} missionId - The UUID of the quiz mission.
+ * @returns {Promise<void>}
+ */
+const lockAttempts = async (client, userId, missionId) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`quiz_attempts:${userId}:${missionId}`]);
+};
+
+/**
+ * Computes where a user stands with the attempt limits of a quiz.
+ * An attempt is a submission, a start still in progress, or a timed start that expired without a submission.
+ * Untimed starts (of randomized quizzes) stay in progress until they are submitted.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} userId - The UUID of the user.
+ * @param {string} missionId - The UUID of the quiz mission.
+ * @param {object} settings - The quiz's max_attempts, cooldown_seconds and time_limit_seconds.
+ * @returns {Promise<object>} attempts_used, max_attempts, attempts_left (null if unlimited), cooldown_seconds,
+ *   time_limit_seconds, next_attempt_at (null if an attempt is allowed now) and open_attempt (the start in progress, or null).
+ */
+const getAttemptStatus = async (db, userId, missionId, settings) => {
+    const { rows } = await db.query(
+        `WITH submitted AS (
+            SELECT COUNT(*)::INTEGER AS count, MAX(created_at) AS last_at
+            FROM quiz_attempts
+            WHERE user_id = $1 AND mission_id = $2
+        ),
+        abandoned AS (
+            SELECT COUNT(*)::INTEGER AS count, MAX(expires_at) AS last_at
+            FROM quiz_attempt_starts
+            WHERE user_id = $1 AND mission_id = $2 AND submitted_at IS NULL
+              AND expires_at IS NOT NULL AND expires_at + make_interval(secs => $3) < NOW()
+        ),
+        open_attempt AS (
+            SELECT id, started_at, expires_at
+            FROM quiz_attempt_starts
+            WHERE user_id = $1 AND mission_id = $2 AND submitted_at IS NULL
+              AND (expires_at IS NULL OR expires_at + make_interval(secs => $3) >= NOW())
+            ORDER BY started_at DESC
+            LIMIT 1
+        )
+        SELECT
+            s.count + a.count + (SELECT COUNT(*)::INTEGER FROM open_attempt) AS attempts_used,
+            CASE
+                WHEN GREATEST(s.last_at, a.last_at) + make_interval(secs => $4) > NOW()
+                THEN GREATEST(s.last_at, a.last_at) + make_interval(secs => $4)
+            END AS cooldown_until,
+            o.id AS open_attempt_token,
+            o.started_at AS open_started_at,
+            o.expires_at AS open_expires_at
+        FROM submitted s
+        CROSS JOIN abandoned a
+        LEFT JOIN open_attempt o ON true`,
+        [userId, missionId, SUBMIT_GRACE_SECONDS, settings.cooldown_seconds || 0]
+    );
+
+    const { attempts_used: attemptsUsed, cooldown_until: cooldownUntil, open_attempt_token: openAttemptToken } = rows[0];
+    const maxAttempts = settings.max_attempts ?? null;
+    const attemptsLeft = maxAttempts === null ? null : Math.max(0, maxAttempts - attemptsUsed);
+
+    return {
+        attempts_used: attemptsUsed,
+        max_attempts: maxAttempts,
+        attempts_left: attemptsLeft,
+        cooldown_seconds: settings.cooldown_seconds || 0,
+        time_limit_seconds: settings.time_limit_seconds ?? null,
+        // No next attempt once all are used; the cooldown does not apply while an attempt is open.
+        next_attempt_at: attemptsLeft === 0 || openAttemptToken ? null : cooldownUntil,
+        open_attempt: openAttemptToken
+            ? { attempt_token: openAttemptToken, started_at: rows[0].open_started_at, expires_at: rows[0].open_expires_at }
+            : null,
+    };
+};
+
+/**
+ * Discards the starts of a quiz that are still in progress, e.g. because the questions they were served from changed.
+ * Timed starts that expired without a submission are kept: they count as used attempts and for the cooldown.
+ * @param {object} client - The active database client from a transaction.
+ * @param {string} missionId - The UUID of the quiz mission.
+ * @returns {Promise<void>}
+ */
+const discardOpenStarts = async (client, missionId) => {
+    await client.query(
+        `DELETE FROM quiz_attempt_starts
+         WHERE mission_id = $1 AND submitted_at IS NULL
+           AND (expires_at IS NULL OR expires_at + make_interval(secs => $2) >= NOW())`,
+        [missionId, SUBMIT_GRACE_SECONDS]
+    );
+};
+
+/**
+ * Whether attempts at a quiz must be started with start-quiz before they are submitted:
+ * timed quizzes, and randomized quizzes whose served layout must be remembered.
+ * @param {object} settings - The quiz's time_limit_seconds and randomization settings.
+ * @returns {boolean}
+ */
+const requiresStart = (settings) => Boolean(settings.time_limit_seconds) || isRandomized(settings);
+
+/**
+ * Throws if the user may not begin a new attempt.
+ * @param {object} status - From getAttemptStatus.
+ * @throws {Error} 403 QUIZ_ATTEMPTS_EXHAUSTED or 429 QUIZ_COOLDOWN.
+ */
+const assertCanAttempt = (status) => {
+    if (status.attempts_left === 0) {
+        const err = new Error(`You have used all ${status.max_attempts} attempts at this quiz.`);
+        err.statusCode = 403;
+        err.code = 'QUIZ_ATTEMPTS_EXHAUSTED';
+        throw err;
+    }
+    if (status.next_attempt_at) {
+        const err = new Error(`The next attempt is allowed at ${new Date(status.next_attempt_at).toISOString()}.`);
+        err.statusCode = 429;
+        err.code = 'QUIZ_COOLDOWN';
+        throw err;
+    }
+};
+
+module.exports = {
+    ATTEMPT_SETTINGS_FIELDS,
+    SUBMIT_GRACE_SECONDS,
+    validateAttemptSettings,
+    requiresStart,
+    lockAttempts,
+    discardOpenStarts,
+    getAttemptStatus,
+    assertCanAttempt,
+};
@@ -0,0 +1,357 @@
+// app/features/quizEngine/index.js
+const crypto = require('crypto');
+
+// Questions saved before the question types existed have no `type` and are single-choice.
+const DEFAULT_QUESTION_TYPE = 'SINGLE_CHOICE';
+const QUESTION_TYPES = ['SINGLE_CHOICE', 'MULTIPLE_CHOICE', 'TEXT', 'NUMBER'];
+
+// The fields that reveal the correct answer; they never leave the server.
+// The explanation usually gives the answer away too, so it is for organizers only.
+const SECRET_QUESTION_FIELDS = ['accepted_answers', 'correct_value', 'tolerance', 'explanation'];
+
+const MAX_EXPLANATION_LENGTH = 2000;
+
+// Absorbs floating-point error, so 3.15 is within 0.01 of 3.14.
+const NUMBER_EPSILON = 1e-9;
+
+const typeOf = (question) => question.type || DEFAULT_QUESTION_TYPE;
+const weightOf = (question) => (question.weight === undefined ? 1 : question.weight);
+
+/**
+ * Normalizes a free-text answer for matching: case, surrounding and repeated whitespace are ignored.
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text) => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Validates the answer options of a choice question.
+ * @param {object} q - The question.
+ * @returns {string|null} An error message, or null if the options are valid.
+ */
+const validateChoices = (q) => {
+    if (!Array.isArray(q.answers) || q.answers.length < 2) {
+        return `Question "${q.text}" must have at least two answers.`;
+    }
+    let correctCount = 0;
+    for (const a of q.answers) {
+        if (!a || !isNonEmptyString(a.text)) {
+            return `Each answer for question "${q.text}" must have non-empty text.`;
+        }
+        if (typeof a.is_correct !== 'boolean') {
+            return `Each answer for question "${q.text}" must have an 'is_correct' boolean property.`;
+        }
+        if (a.is_correct) {
+            correctCount++;
+        }
+    }
+    if (typeOf(q) === 'SINGLE_CHOICE' && correctCount !== 1) {
+        return `Question "${q.text}" must have exactly one correct answer.`;
+    }
+    if (typeOf(q) === 'MULTIPLE_CHOICE' && correctCount === 0) {
+        return `Question "${q.text}" must have at least one correct answer.`;
+    }
+    return null;
+};
+
+/**
+ * Validates the questions of a quiz, as sent by the web app.
+ * @param {Array<object>} questions
+ * @returns {string|null} An error message, or null if the questions are valid.
+ */
+const validateQuestions = (questions) => {
+    if (!Array.isArray(questions) || questions.length === 0) {
+        return 'Questions must be a non-empty array.';
+    }
+    for (const q of questions) {
+        if (!q || !isNonEmptyString(q.text)) {
+            return 'Each question must have a non-empty text.';
+        }
+        if (!QUESTION_TYPES.includes(typeOf(q))) {
+            return `Question "${q.text}" has an invalid type. Allowed types: ${QUESTION_TYPES.join(', ')}.`;
+        }
+        if (q.weight !== undefined && (!isFiniteNumber(q.weight) || q.weight <= 0)) {
+            return `The weight of question "${q.text}" must be a positive number.`;
+        }
+        if (q.explanation !== undefined && q.explanation !== null
+            && (typeof q.explanation !== 'string' || q.explanation.length > MAX_EXPLANATION_LENGTH)) {
+            return `The explanation of question "${q.text}" must be a string of up to ${MAX_EXPLANATION_LENGTH} characters.`;
+        }
+
+        switch (typeOf(q)) {
+            case 'SINGLE_CHOICE':
+            case 'MULTIPLE_CHOICE': {
+                const choicesError = validateChoices(q);
+                if (choicesError) return choicesError;
+                break;
+            }
+            case 'TEXT':
+                if (!Array.isArray(q.accepted_answers) || q.accepted_answers.length === 0 || !q.accepted_answers.every(isNonEmptyString)) {
+                    return `Question "${q.text}" must have a non-empty 'accepted_answers' array of strings.`;
+                }
+                break;
+            case 'NUMBER':
+                if (!isFiniteNumber(q.correct_value)) {
+                    return `Question "${q.text}" must have a numeric 'correct_value'.`;
+                }
+                if (q.tolerance !== undefined && (!isFiniteNumber(q.tolerance) || q.tolerance < 0)) {
+                    return `The tolerance of question "${q.text}" must be a non-negative number.`;
+                }
+                break;
+        }
+    }
+    return null; // All good
+};
+
+/**
+ * Removes everything that reveals the correct answers, for sending a quiz to a participant.
+ * Every question gets its explicit `type`.
+ * @param {Array<object>} questions
+ * @returns {Array<object>}
+ */
+const sanitizeQuestions = (questions) => questions.map((q) => {
+    const sanitized = { ...q, type: typeOf(q) };
+    for (const field of SECRET_QUESTION_FIELDS) {
+        delete sanitized[field];
+    }
+    if (Array.isArray(q.answers)) {
+        sanitized.answers = q.answers.map(({ is_correct, ...rest }) => rest);
+    }
+    return sanitized;
+});
+
+/**
+ * Checks that one submitted answer has the shape its question expects.
+ * @param {object} question
+ * @param {object} answer
+ * @returns {boolean}
+ */
+const isAnswerShapeValid = (question, answer) => {
+    switch (typeOf(question)) {
+        case 'SINGLE_CHOICE':
+            return Number.isInteger(answer.answer_index);
+        case 'MULTIPLE_CHOICE':
+            return Array.isArray(answer.answer_indexes)
+                && answer.answer_indexes.every(Number.isInteger)
+                && new Set(answer.answer_indexes).size === answer.answer_indexes.length;
+        case 'TEXT':
+            return typeof answer.text === 'string' && answer.text.length <= 1000;
+        case 'NUMBER':
+            return isFiniteNumber(answer.value);
+        default:
+            return false;
+    }
+};
+
+/**
+ * Validates a submission against the questions: every question answered exactly once, in the shape of its type.
+ * @param {Array<object>} questions - The questions of the quiz.
+ * @param {Array<object>} answers - The submitted answers.
+ * @returns {string|null} An error message, or null if the submission is valid.
+ */
+const validateAnswers = (questions, answers) => {
+    if (!Array.isArray(answers)) {
+        return 'Answers must be an array.';
+    }
+    if (answers.length !== questions.length) {
+        return `Submission must contain answers for all ${questions.length} questions.`;
+    }
+    const answered = new Set();
+    for (const answer of answers) {
+        const index = answer?.question_index;
+        if (!Number.isInteger(index) || index < 0 || index >= questions.length || answered.has(index)) {
+            return 'Each question must be answered exactly once, by its 0-based question_index.';
+        }
+        answered.add(index);
+        if (!isAnswerShapeValid(questions[index], answer)) {
+            return `Invalid answer for question ${index}. Expected a ${typeOf(questions[index])} answer.`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Grades one answer.
+ * - SINGLE_CHOICE: 1 if the chosen answer is correct.
+ * - MULTIPLE_CHOICE: partial credit, (correct chosen - wrong chosen) / correct total, never below 0.
+ * - TEXT: 1 if the text matches one of the accepted answers, ignoring case and whitespace.
+ * - NUMBER: 1 if the value is within `tolerance` of the correct value.
+ * @param {object} question
+ * @param {object} answer - An answer that passed validateAnswers.
+ * @returns {number} The credit, from 0 to 1.
+ */
+const gradeAnswer = (question, answer) => {
+    switch (typeOf(question)) {
+        case 'SINGLE_CHOICE':
+            return question.answers[answer.answer_index]?.is_correct ? 1 : 0;
+        case 'MULTIPLE_CHOICE': {
+            const correctTotal = question.answers.filter((a) => a.is_correct).length;
+            let credit = 0;
+            for (const index of answer.answer_indexes) {
+                const option = question.answers[index];
+                if (!option) continue;
+                credit += option.is_correct ? 1 : -1;
+            }
+            return Math.max(0, credit) / correctTotal;
+        }
+        case 'TEXT': {
+            const text = normalizeText(answer.text);
+            return question.accepted_answers.some((accepted) => normalizeText(accepted) === text) ? 1 : 0;
+        }
+        case 'NUMBER':
+            return Math.abs(answer.value - question.correct_value) <= (question.tolerance || 0) + NUMBER_EPSILON ? 1 : 0;
+        default:
+            return 0;
+    }
+};
+
+/**
+ * Grades a submission. The score is the weighted average of the credits, so it compares directly to `pass_threshold`.
+ * @param {Array<object>} questions - The questions of the quiz.
+ * @param {Array<object>} answers - A submission that passed validateAnswers.
+ * @returns {{score: number, correctAnswers: number, credits: Array<number>}} `correctAnswers` counts the questions with full credit;
+ *   `credits` holds the credit of every question, by question index.
+ */
+const gradeQuiz = (questions, answers) => {
+    const credits = questions.map(() => 0);
+    for (const answer of answers) {
+        credits[answer.question_index] = gradeAnswer(questions[answer.question_index], answer);
+    }
+
+    const totalWeight = questions.reduce((sum, q) => sum + weightOf(q), 0);
+    const earnedWeight = questions.reduce((sum, q, index) => sum + weightOf(q) * credits[index], 0);
+
+    return {
+        score: earnedWeight / totalWeight,
+        correctAnswers: credits.filter((credit) => credit === 1).length,
+        credits,
+    };
+};
+
+// --- Randomized quizzes ---
+
+// Settings of mission_quiz_details that randomize the served questions.
+const RANDOMIZATION_FIELDS = ['questions_per_attempt', 'shuffle_questions', 'shuffle_answers'];
+
+/**
+ * Whether a quiz serves each attempt its own selection or order of questions.
+ * @param {object} settings - questions_per_attempt, shuffle_questions and shuffle_answers.
+ * @returns {boolean}
+ */
+const isRandomized = (settings) => Boolean(settings.questions_per_attempt || settings.shuffle_questions || settings.shuffle_answers);
+
+/**
+ * Validates the randomization settings of a quiz. Only the fields present in `settings` are checked.
+ * @param {object} settings
+ * @param {number} questionCount - The number of questions in the bank.
+ * @returns {string|null} An error message, or null if the settings are valid.
+ */
+const validateRandomization = (settings, questionCount) => {
+    const perAttempt = settings.questions_per_attempt;
+    if (perAttempt !== undefined && perAttempt !== null && !(Number.isInteger(perAttempt) && perAttempt > 0)) {
+        return 'questions_per_attempt must be a positive integer or null to serve every question.';
+    }
+    if (perAttempt && perAttempt > questionCount) {
+        return `questions_per_attempt (${perAttempt}) cannot exceed the number of questions (${questionCount}).`;
+    }
+    for (const field of ['shuffle_questions', 'shuffle_answers']) {
+        if (settings[field] !== undefined && typeof settings[field] !== 'boolean') {
+            return `${field} must be a boolean.`;
+        }
+    }
+    return null;
+};
+
+// Fisher-Yates shuffle of a copy, with a cryptographic source so the order cannot be predicted.
+const shuffled = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(0, i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+const range = (length) => Array.from({ length }, (_, i) => i);
+
+/**
+ * Draws the layout of one attempt: which questions are served, in which order, and the order of their answers.
+ * A drawn subset keeps the bank order unless the questions are shuffled.
+ * @param {Array<object>} questions - The question bank.
+ * @param {object} settings - questions_per_attempt, shuffle_questions and shuffle_answers.
+ * @returns {Array<{question_index: number, answer_order: Array<number>|null}>} Original indexes, in served order.
+ */
+const createLayout = (questions, settings) => {
+    let questionIndexes = range(questions.length);
+    if (settings.questions_per_attempt && settings.questions_per_attempt < questions.length) {
+        questionIndexes = shuffled(questionIndexes).slice(0, settings.questions_per_attempt).sort((a, b) => a - b);
+    }
+    if (settings.shuffle_questions) {
+        questionIndexes = shuffled(questionIndexes);
+    }
+
+    return questionIndexes.map((questionIndex) => {
+        const answers = questions[questionIndex].answers;
+        return {
+            question_index: questionIndex,
+            answer_order: settings.shuffle_answers && Array.isArray(answers) ? shuffled(range(answers.length)) : null,
+        };
+    });
+};
+
+/**
+ * Returns the questions as served by a layout, with their answers in the served order.
+ * The result still contains the correct answers; sanitize it before sending it to a participant.
+ * @param {Array<object>} questions - The question bank.
+ * @param {Array<object>|null} layout - From createLayout; null serves every question in order.
+ * @returns {Array<object>}
+ */
+const serveQuestions = (questions, layout) => {
+    if (!layout) return questions;
+    return layout.map(({ question_index: questionIndex, answer_order: answerOrder }) => {
+        const question = questions[questionIndex];
+        return answerOrder ? { ...question, answers: answerOrder.map((i) => question.answers[i]) } : question;
+    });
+};
+
+/**
+ * Maps answers given to served questions back to the original question and answer indexes.
+ * @param {Array<object>|null} layout - The layout the answers were given to.
+ * @param {Array<object>} answers - Answers that passed validateAnswers against the served questions.
+ * @returns {Array<object>}
+ */
+const toOriginalAnswers = (layout, answers) => {
+    if (!layout) return answers;
+    return answers.map((answer) => {
+        const { question_index: questionIndex, answer_order: answerOrder } = layout[answer.question_index];
+        const original = { ...answer, question_index: questionIndex };
+        if (answerOrder && answer.answer_index !== undefined) {
+            original.answer_index = answerOrder[answer.answer_index];
+        }
+        if (answerOrder && Array.isArray(answer.answer_indexes)) {
+            original.answer_indexes = answer.answer_indexes.map((i) => answerOrder[i]);
+        }
+        return original;
+    });
+};
+
+module.exports = {
+    QUESTION_TYPES,
+    typeOf,
+    normalizeText,
+    validateQuestions,
+    sanitizeQuestions,
+    isAnswerShapeValid,
+    validateAnswers,
+    gradeAnswer,
+    gradeQuiz,
+    RANDOMIZATION_FIELDS,
+    isRandomized,
+    validateRandomization,
+    createLayout,
+    serveQuestions,
+    toOriginalAnswers,
+};
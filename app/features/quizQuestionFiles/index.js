@@ -0,0 +1,311 @@
+// app/features/quizQuestionFiles/index.js
+const path = require('path');
+const { typeOf, validateQuestions } = require('@features/quizEngine');
+const { toCsvCell } = require('@features/campaignExports');
+
+const QUESTION_FILE_FORMATS = ['csv', 'json'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+};
+
+// Larger banks are better split into several quizzes; this also bounds the parsing work per request.
+const MAX_IMPORTED_QUESTIONS = 500;
+
+// Row errors listed in the error message; the rest are only counted.
+const MAX_REPORTED_ROW_ERRORS = 10;
+
+// CSV columns besides answer_1 ... answer_N. Only `text` is required.
+const CSV_COLUMNS = ['type', 'text', 'weight', 'correct', 'tolerance', 'explanation'];
+const ANSWER_COLUMN = /^answer_(\d+)$/;
+
+const fileError = (message) => {
+    const err = new Error(message);
+    err.statusCode = 400;
+    err.code = 'INVALID_FILE';
+    return err;
+};
+
+/**
+ * Splits CSV text (RFC 4180) into rows of cells. Commas and semicolons are both accepted as the delimiter,
+ * whichever the header line uses, since Excel saves semicolon-separated CSV in many locales.
+ * @param {string} text
+ * @returns {Array<{line: number, cells: Array<string>}>} The rows with the line each starts on.
+ */
+const parseCsv = (text) => {
+    const headerLine = text.slice(0, text.search(/\r?\n|$/));
+    const delimiter = headerLine.split(';').length > headerLine.split(',').length ? ';' : ',';
+
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell);
+            rows.push({ line: rowLine, cells });
+            cells = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw fileError(`Unclosed quote in the row starting on line ${rowLine}.`);
+    }
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        rows.push({ line: rowLine, cells });
+    }
+    return rows;
+};
+
+// Undoes the formula guard of toCsvCell, so exported files import unchanged.
+const unguardCell = (value) => value.replace(/^'(?=[=+\-@\t\r])/, '').trim();
+
+const parseNumber = (value, column) => {
+    const number = Number(value.replace(',', '.'));
+    if (value === '' || !Number.isFinite(number)) {
+        throw new Error(`'${column}' must be a number.`);
+    }
+    return number;
+};
+
+/**
+ * Builds a question from one CSV row, in the shape of the QuizQuestion schema.
+ * @param {object} row - Cells keyed by column name.
+ * @param {Array<string>} answerColumns - The answer_N columns in order.
+ * @returns {object}
+ * @throws {Error} If a cell cannot be read; the message is reported for the row.
+ */
+const rowToQuestion = (row, answerColumns) => {
+    const type = (row.type || 'SINGLE_CHOICE').toUpperCase();
+    const answers = answerColumns.map((column) => row[column]).filter((value) => value !== '');
+    const question = { type, text: row.text };
+
+    if (row.weight) question.weight = parseNumber(row.weight, 'weight');
+    if (row.explanation) question.explanation = row.explanation;
+
+    switch (type) {
+        case 'SINGLE_CHOICE':
+        case 'MULTIPLE_CHOICE': {
+            const correct = (row.correct || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+            if (correct.length === 0) {
+                throw new Error(`'correct' must list the numbers of the correct answers, such as 1 or 1;3.`);
+            }
+            const invalid = correct.find((n) => !Number.isInteger(n) || n < 1 || n > answers.length);
+            if (invalid !== undefined) {
+                throw new Error(`'correct' refers to answer ${invalid}, but the row has ${answers.length} answers.`);
+            }
+            question.answers = answers.map((text, i) => ({ text, is_correct: correct.includes(i + 1) }));
+            break;
+        }
+        case 'TEXT':
+            question.accepted_answers = answers;
+            break;
+        case 'NUMBER':
+            question.correct_value = parseNumber(row.correct || '', 'correct');
+            if (row.tolerance) question.tolerance = parseNumber(row.tolerance, 'tolerance');
+            break;
+        // Unknown types are reported by validateQuestions
+    }
+    return question;
+};
+
+/**
+ * Reads the questions of a CSV file. One row per question; see the README for the columns.
+ * @param {string} text
+ * @returns {{questions: Array<object>, errors: Array<{row: number, message: string}>}} `row` is the line in the file.
+ */
+const readCsvQuestions = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        throw fileError('The file is empty.');
+    }
+
+    const columns = header.cells.map((name) => name.trim().toLowerCase());
+    const unknown = columns.filter((name) => !CSV_COLUMNS.includes(name) && !ANSWER_COLUMN.test(name));
+    if (unknown.length > 0) {
+        throw fileError(`Unknown columns: ${unknown.join(', ')}. Allowed columns: ${CSV_COLUMNS.join(', ')}, answer_1 ... answer_N.`);
+    }
+    if (!columns.includes('text')) {
+        throw fileError('The header must have a "text" column.');
+    }
+    const answerColumns = columns
+        .filter((name) => ANSWER_COLUMN.test(name))
+        .sort((a, b) => Number(a.match(ANSWER_COLUMN)[1]) - Number(b.match(ANSWER_COLUMN)[1]));
+
+    const questions = [];
+    const errors = [];
+    for (const { line, cells } of rows) {
+        // Blank lines, including the trailing empty rows spreadsheets tend to add
+        if (cells.every((value) => value.trim() === '')) continue;
+
+        const row = Object.fromEntries(columns.map((name, i) => [name, unguardCell(cells[i] || '')]));
+        try {
+            const question = rowToQuestion(row, answerColumns);
+            const questionError = validateQuestions([question]);
+            if (questionError) throw new Error(questionError);
+            questions.push(question);
+        } catch (rowErr) {
+            errors.push({ row: line, message: rowErr.message });
+        }
+    }
+    return { questions, errors };
+};
+
+/**
+ * Reads the questions of a JSON file: an array of questions, or an object with a `questions` array
+ * (the format of the JSON export).
+ * @param {string} text
+ * @returns {{questions: Array<object>, errors: Array<{row: number, message: string}>}} `row` is the 1-based question number.
+ */
+const readJsonQuestions = (text) => {
+    let content;
+    try {
+        content = JSON.parse(text);
+    } catch (parseErr) {
+        throw fileError(`The file is not valid JSON: ${parseErr.message}`);
+    }
+
+    const items = Array.isArray(content) ? content : content?.questions;
+    if (!Array.isArray(items)) {
+        throw fileError('The JSON file must contain an array of questions or an object with a "questions" array.');
+    }
+
+    const questions = [];
+    const errors = [];
+    items.forEach((question, i) => {
+        const questionError = validateQuestions([question]);
+        if (questionError) {
+            errors.push({ row: i + 1, message: questionError });
+        } else {
+            questions.push(question);
+        }
+    });
+    return { questions, errors };
+};
+
+/**
+ * Determines the format of an uploaded file from its extension, then its MIME type.
+ * @param {object} file - The multer file.
+ * @returns {string|null} One of QUESTION_FILE_FORMATS, or null.
+ */
+const detectFormat = (file) => {
+    const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+    if (QUESTION_FILE_FORMATS.includes(extension)) return extension;
+    if (file.mimetype === 'application/json') return 'json';
+    if (file.mimetype === 'text/csv') return 'csv';
+    return null;
+};
+
+/**
+ * Reads the questions of an uploaded CSV or JSON file. Every question is validated with validateQuestions,
+ * and all invalid rows are reported together.
+ * @param {object} file - The multer file (memory storage).
+ * @returns {Array<object>} The questions, in file order.
+ * @throws {Error} 400 INVALID_FILE if the file cannot be read, or 400 VALIDATION_ERROR listing the invalid rows.
+ */
+const readQuestionsFile = (file) => {
+    const format = detectFormat(file);
+    if (!format) {
+        throw fileError(`Unsupported file type. Upload one of: ${QUESTION_FILE_FORMATS.join(', ')}.`);
+    }
+
+    const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const { questions, errors } = format === 'csv' ? readCsvQuestions(text) : readJsonQuestions(text);
+
+    if (errors.length > 0) {
+        const label = format === 'csv' ? 'Row' : 'Question';
+        const listed = errors.slice(0, MAX_REPORTED_ROW_ERRORS).map((e) => `${label} ${e.row}: ${e.message}`);
+        if (errors.length > MAX_REPORTED_ROW_ERRORS) {
+            listed.push(`And ${errors.length - MAX_REPORTED_ROW_ERRORS} more.`);
+        }
+        const err = new Error(`${errors.length} of ${questions.length + errors.length} questions are invalid. ${listed.join(' ')}`);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        throw err;
+    }
+    if (questions.length === 0) {
+        throw fileError('The file contains no questions.');
+    }
+    if (questions.length > MAX_IMPORTED_QUESTIONS) {
+        throw fileError(`The file contains ${questions.length} questions; at most ${MAX_IMPORTED_QUESTIONS} can be imported at once.`);
+    }
+    return questions;
+};
+
+/**
+ * Writes questions as CSV in the import format, so an exported file can be edited and imported again.
+ * @param {Array<object>} questions
+ * @returns {string}
+ */
+const formatQuestionsCsv = (questions) => {
+    const answerCount = Math.max(0, ...questions.map((q) => (q.answers || q.accepted_answers || []).length));
+    const answerColumns = Array.from({ length: answerCount }, (_, i) => `answer_${i + 1}`);
+    const columns = [...CSV_COLUMNS, ...answerColumns];
+
+    const rows = questions.map((q) => {
+        const type = typeOf(q);
+        const isChoice = type === 'SINGLE_CHOICE' || type === 'MULTIPLE_CHOICE';
+        const answers = isChoice ? q.answers.map((a) => a.text) : (q.accepted_answers || []);
+        const row = {
+            type,
+            text: q.text,
+            weight: q.weight,
+            correct: isChoice
+                ? q.answers.map((a, i) => (a.is_correct ? i + 1 : null)).filter(Boolean).join(';')
+                : q.correct_value,
+            tolerance: q.tolerance,
+            explanation: q.explanation,
+        };
+        answerColumns.forEach((column, i) => {
+            row[column] = answers[i];
+        });
+        return columns.map((column) => toCsvCell(row[column])).join(',');
+    });
+
+    // UTF-8 BOM, so Excel opens Cyrillic text correctly.
+    return `\uFEFF${[columns.join(','), ...rows].join('\r\n')}\r\n`;
+};
+
+/**
+ * Serializes questions in one of QUESTION_FILE_FORMATS.
+ * @param {Array<object>} questions
+ * @param {string} format
+ * @returns {{body: string, contentType: string}}
+ */
+const formatQuestionsFile = (questions, format) => ({
+    body: format === 'csv' ? formatQuestionsCsv(questions) : JSON.stringify({ questions }, null, 2),
+    contentType: CONTENT_TYPES[format],
+});
+
+module.exports = {
+    QUESTION_FILE_FORMATS,
+    MAX_IMPORTED_QUESTIONS,
+    readQuestionsFile,
+    formatQuestionsFile,
+};
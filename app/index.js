@@ -8,6 +8,8 @@ const responseFormatter = require('./middleware/responseFormatter');
 const errorHandler = require('./middleware/errorHandler');
 const setupRoutes = require('./routes');
 const setupSwagger = require('./swagger/setup');
+const { startLifecycleScheduler } = require('@features/campaignLifecycle');
+const { startLeaderboardRefresher } = require('@features/leaderboards');
 
 
 const app = express();
@@ -43,5 +45,7 @@ const startServer = () => {
 };
 
 const server = startServer();
+startLifecycleScheduler();
+startLeaderboardRefresher();
 
 module.exports = { app, server };
@@ -37,6 +37,15 @@ const authenticateJWT = (req, res, next) => {
       return next(error);
     }
 
+    // Only access tokens authenticate API calls. Refresh tokens, including those issued before
+    // tokens were typed (same payload, 7-day lifetime), may only be exchanged for new tokens.
+    if (decoded.type !== 'access') {
+        const typeError = new Error('Only access tokens can be used for authentication');
+        typeError.statusCode = 401;
+        typeError.code = 'INVALID_TOKEN_TYPE';
+        return next(typeError);
+    }
+
     // Validate that the token payload contains the required fields for a manager
     if (!decoded.userId || !decoded.email || !decoded.fullName || !decoded.role) {
         const payloadError = new Error('Malformed authentication data');
@@ -0,0 +1,59 @@
+// app/middleware/authorizeCampaign.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { assertCampaignAccess } = require('@features/campaignAccess');
+
+/**
+ * Builds a resolver that looks up the campaign of a resource referenced by a route parameter.
+ * Resolves to undefined when the ID is invalid or the resource does not exist,
+ * so the route handler can answer with its usual 400/404.
+ */
+const fromResource = (query) => (param) => async (req) => {
+  const id = req.params[param];
+  if (!id || !isUUID(id)) return undefined;
+  const { rows } = await pool.query(query, [id]);
+  return rows[0]?.campaign_id;
+};
+
+/**
+ * Resolvers that extract the campaign ID a request is about.
+ */
+const campaignFrom = {
+  param: (name) => async (req) => req.params[name],
+  query: (name) => async (req) => req.query[name],
+  body: (name) => async (req) => req.body?.[name],
+  mission: fromResource('SELECT campaign_id FROM missions WHERE id = $1'),
+  achievement: fromResource('SELECT campaign_id FROM achievements WHERE id = $1'),
+  completion: fromResource('SELECT m.campaign_id FROM mission_completions mc JOIN missions m ON mc.mission_id = m.id WHERE mc.id = $1'),
+  // Orders for global items have no campaign and are not restricted.
+  order: fromResource('SELECT si.campaign_id FROM orders o JOIN store_items si ON o.item_id = si.id WHERE o.id = $1'),
+};
+
+/**
+ * Middleware factory for per-campaign authorization.
+ * Must run after authenticateJWT. Global ADMINs pass for every campaign.
+ * If the campaign cannot be resolved (missing/invalid ID, unknown resource) the request
+ * is passed on unchanged and the route handler reports the problem.
+ * On success the manager's campaign role is stored in req.campaignRole.
+ * @param {string} minRole - Minimum campaign role: OWNER, CO_ORGANIZER, MODERATOR or VIEWER.
+ * @param {function(object): Promise<string|undefined>} resolveCampaignId - One of campaignFrom.*
+ * @returns {function} Express middleware.
+ */
+const authorizeCampaign = (minRole, resolveCampaignId) => async (req, res, next) => {
+  try {
+    const campaignId = await resolveCampaignId(req);
+    if (!campaignId || !isUUID(String(campaignId))) {
+      return next();
+    }
+
+    req.campaignRole = await assertCampaignAccess(pool, req.user, campaignId, minRole);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  authorizeCampaign,
+  campaignFrom
+};
@@ -0,0 +1,101 @@
+// app/middleware/authorizeRole.js
+
+const ROLES = {
+  HR: 'HR',
+  ORGANIZER: 'ORGANIZER',
+  ADMIN: 'ADMIN',
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+/**
+ * Permission matrix for the web API: permission -> roles allowed to use it.
+ * HR reviews submissions and hands out merch, ORGANIZER runs campaigns,
+ * ADMIN additionally manages global entities (ranks, global store items).
+ * Access to a specific campaign is further restricted by the manager's campaign role
+ * (see authorizeCampaign); e.g. only the campaign OWNER may delete it.
+ */
+const PERMISSIONS = {
+  'campaigns:read': ALL_ROLES,
+  'campaigns:write': [ROLES.ORGANIZER, ROLES.ADMIN],
+  'campaigns:delete': [ROLES.ORGANIZER, ROLES.ADMIN],
+
+  'missions:read': ALL_ROLES,
+  'missions:write': [ROLES.ORGANIZER, ROLES.ADMIN],
+  'missions:delete': [ROLES.ORGANIZER, ROLES.ADMIN],
+
+  'completions:review': ALL_ROLES,
+  'completions:revoke': [ROLES.ORGANIZER, ROLES.ADMIN],
+
+  'achievements:read': ALL_ROLES,
+  'achievements:write': [ROLES.ORGANIZER, ROLES.ADMIN],
+
+  'competencies:read': ALL_ROLES,
+  'competencies:write': ALL_ROLES,
+  'competencies:delete': [ROLES.ADMIN],
+
+  'ranks:read': ALL_ROLES,
+  'ranks:write': [ROLES.ADMIN],
+
+  'store:read': ALL_ROLES,
+  'store:write': [ROLES.ORGANIZER, ROLES.ADMIN],
+  'store:global': [ROLES.ADMIN],
+
+  'templates:read': ALL_ROLES,
+  'templates:write': [ROLES.ORGANIZER, ROLES.ADMIN],
+
+  'orders:read': ALL_ROLES,
+  'orders:fulfill': ALL_ROLES,
+
+  'leaderboards:read': ALL_ROLES,
+};
+
+/**
+ * Checks whether a role has a permission.
+ * @param {string} role - The manager's role.
+ * @param {string} permission - A key of PERMISSIONS.
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  const allowedRoles = PERMISSIONS[permission];
+  return Array.isArray(allowedRoles) && allowedRoles.includes(role);
+};
+
+/**
+ * Middleware factory for role-based authorization.
+ * Must run after authenticateJWT, which puts the manager's role on req.user.
+ * Follows the same error handling pattern as authenticateJWT middleware.
+ * @param {string} permission - A key of PERMISSIONS, e.g. 'campaigns:delete'.
+ * @returns {function} Express middleware.
+ */
+const authorize = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    // Fail at startup rather than silently denying (or allowing) every request.
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user || !req.user.role) {
+      const err = new Error('Unauthorized');
+      err.statusCode = 401;
+      err.code = 'UNAUTHORIZED';
+      return next(err);
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      const err = new Error(`Your role (${req.user.role}) does not allow this action. Required: ${PERMISSIONS[permission].join(' or ')}.`);
+      err.statusCode = 403;
+      err.code = 'INSUFFICIENT_ROLE';
+      return next(err);
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  authorize
+};
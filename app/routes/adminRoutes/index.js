@@ -28,6 +28,15 @@ const { authenticateApiKey } = require('@middleware/authenticateApiKey');
  *           type: string
  *           format: date-time
  *           description: The timestamp of when the manager was created.
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           description: The timestamp of the last change to the account.
+ *         deleted_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set when the account is deactivated. Deactivated managers cannot log in.
  */
 
 // Apply API key authentication to all API routes
@@ -35,10 +44,10 @@ router.use(authenticateApiKey);
 
 // Import API route handlers
 const getUserCount = require('./users/count');
-const createManager = require('./managers/post');
+const managersRouter = require('./managers');
 
 // Define API routes
 router.get('/users/count', getUserCount);
-router.post('/managers', createManager);
+router.use('/managers', managersRouter);
 
 module.exports = router;
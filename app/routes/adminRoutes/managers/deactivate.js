@@ -0,0 +1,95 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { revokeOwnerTokens } = require('@services/refreshTokenService');
+const { assertNotLastAdmin } = require('@services/managerService');
+
+/**
+ * @swagger
+ * /admin/managers/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Deactivate a manager
+ *     description: >
+ *       Soft-deletes a manager account. The manager can no longer log in, all of their sessions are revoked
+ *       and pending password reset tokens are invalidated. Already issued access tokens stay valid until they expire.
+ *       Campaign memberships are kept so the account can be reactivated. The last active ADMIN cannot be deactivated.
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the manager.
+ *     responses:
+ *       204:
+ *         description: Manager deactivated successfully.
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Conflict - The last active ADMIN cannot be deactivated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const deactivateManager = async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!isUUID(id)) {
+        const err = new Error('Invalid ID format');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(
+            'SELECT role FROM managers WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+            [id]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error(`Active manager with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'MANAGER_NOT_FOUND';
+            throw err;
+        }
+
+        if (rows[0].role === 'ADMIN') {
+            await assertNotLastAdmin(client, id);
+        }
+
+        await client.query('UPDATE managers SET deleted_at = NOW(), updated_at = NOW() WHERE id = $1', [id]);
+        await revokeOwnerTokens(client, 'MANAGER', id);
+        await client.query(
+            'UPDATE manager_password_resets SET used_at = NOW() WHERE manager_id = $1 AND used_at IS NULL',
+            [id]
+        );
+
+        await client.query('COMMIT');
+
+        res.locals.statusCode = 204;
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = deactivateManager;
@@ -0,0 +1,93 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /admin/managers/{id}:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get a manager
+ *     description: Retrieve a single manager account, including deactivated ones, together with the campaigns the manager has access to.
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the manager.
+ *     responses:
+ *       200:
+ *         description: The manager account.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Manager'
+ *                     - type: object
+ *                       properties:
+ *                         campaigns:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               campaign_id: { type: string, format: uuid }
+ *                               title: { type: string }
+ *                               role: { type: string, enum: [OWNER, CO_ORGANIZER, MODERATOR, VIEWER] }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getManager = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            'SELECT id, email, full_name, role, created_at, updated_at, deleted_at FROM managers WHERE id = $1',
+            [id]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error(`Manager with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'MANAGER_NOT_FOUND';
+            return next(err);
+        }
+
+        const { rows: campaigns } = await pool.query(
+            `SELECT cm.campaign_id, c.title, cm.role
+             FROM campaign_managers cm
+             JOIN campaigns c ON cm.campaign_id = c.id
+             WHERE cm.manager_id = $1 AND c.deleted_at IS NULL
+             ORDER BY c.title ASC`,
+            [id]
+        );
+
+        res.locals.data = { ...rows[0], campaigns };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getManager;
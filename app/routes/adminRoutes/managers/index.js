@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+
+// Import handlers
+const createManager = require('./post');
+const listManagers = require('./list');
+const getManager = require('./get');
+const updateManager = require('./update');
+const updateManagerRole = require('./updateRole');
+const deactivateManager = require('./deactivate');
+const reactivateManager = require('./reactivate');
+const createPasswordReset = require('./passwordReset');
+
+// Define routes for /admin/managers
+router.get('/', listManagers);
+router.post('/', createManager);
+router.get('/:id', getManager);
+router.patch('/:id', updateManager);
+router.patch('/:id/role', updateManagerRole);
+router.delete('/:id', deactivateManager);
+router.post('/:id/reactivate', reactivateManager);
+router.post('/:id/password-reset', createPasswordReset);
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const pool = require('@db');
+
+const VALID_ROLES = ['HR', 'ORGANIZER', 'ADMIN'];
+
+/**
+ * @swagger
+ * /admin/managers:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List managers
+ *     description: Retrieve a paginated list of manager accounts, sorted by name. Deactivated managers are excluded unless `include_deactivated=true`.
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: The page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: The number of items per page (max 100).
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [HR, ORGANIZER, ADMIN]
+ *         description: Only return managers with this role.
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match against email and full name.
+ *       - in: query
+ *         name: include_deactivated
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return deactivated managers.
+ *     responses:
+ *       200:
+ *         description: A paginated list of managers.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Manager'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const listManagers = async (req, res, next) => {
+    try {
+        const { role, search, include_deactivated } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+            const err = new Error('Invalid pagination parameters. Query parameters "page" (integer, >=1) and "limit" (integer, 1-100) are required.');
+            err.statusCode = 400;
+            err.code = 'INVALID_PAGINATION';
+            return next(err);
+        }
+
+        const conditions = [];
+        const queryParams = [];
+
+        if (include_deactivated !== 'true') {
+            conditions.push('deleted_at IS NULL');
+        }
+
+        if (role !== undefined) {
+            if (!VALID_ROLES.includes(role)) {
+                const err = new Error(`Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`);
+                err.statusCode = 400;
+                err.code = 'VALIDATION_ERROR';
+                return next(err);
+            }
+            queryParams.push(role);
+            conditions.push(`role = $${queryParams.length}`);
+        }
+
+        if (search) {
+            queryParams.push(`%${search}%`);
+            conditions.push(`(email ILIKE $${queryParams.length} OR full_name ILIKE $${queryParams.length})`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const offset = (page - 1) * limit;
+
+        const countPromise = pool.query(
+            `SELECT COUNT(*) FROM managers ${whereClause}`,
+            queryParams
+        );
+        const dataPromise = pool.query(
+            `SELECT id, email, full_name, role, created_at, updated_at, deleted_at
+             FROM managers
+             ${whereClause}
+             ORDER BY full_name ASC
+             LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+            [...queryParams, limit, offset]
+        );
+
+        const [countResult, dataResult] = await Promise.all([countPromise, dataPromise]);
+
+        const total = parseInt(countResult.rows[0].count, 10);
+        const pages = Math.ceil(total / limit);
+
+        res.locals.data = dataResult.rows;
+        res.locals.meta = {
+            pagination: {
+                page,
+                limit,
+                total,
+                pages
+            }
+        };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = listManagers;
@@ -0,0 +1,110 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { generateResetToken, RESET_TOKEN_TTL_HOURS } = require('@services/authService');
+
+/**
+ * @swagger
+ * /admin/managers/{id}/password-reset:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Issue a password reset token
+ *     description: >
+ *       Creates a one-time password reset token for an active manager and invalidates any earlier ones.
+ *       The token is returned only in this response; hand it to the manager, who sets a new password via
+ *       `POST /web/auth/password/reset`. The token expires after 24 hours.
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the manager.
+ *     responses:
+ *       201:
+ *         description: Reset token created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     manager_id: { type: string, format: uuid }
+ *                     token: { type: string, description: "The one-time reset token. It cannot be retrieved again." }
+ *                     expires_at: { type: string, format: date-time }
+ *                 message: { type: string, example: "Password reset token created." }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const createPasswordReset = async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!isUUID(id)) {
+        const err = new Error('Invalid ID format');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rowCount } = await client.query(
+            'SELECT 1 FROM managers WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+            [id]
+        );
+
+        if (rowCount === 0) {
+            const err = new Error(`Active manager with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'MANAGER_NOT_FOUND';
+            throw err;
+        }
+
+        // Only the newest token is valid
+        await client.query(
+            'UPDATE manager_password_resets SET used_at = NOW() WHERE manager_id = $1 AND used_at IS NULL',
+            [id]
+        );
+
+        const { token, tokenHash } = generateResetToken();
+        const { rows } = await client.query(
+            `INSERT INTO manager_password_resets (manager_id, token_hash, expires_at)
+             VALUES ($1, $2, NOW() + make_interval(hours => $3))
+             RETURNING expires_at`,
+            [id, tokenHash, RESET_TOKEN_TTL_HOURS]
+        );
+
+        await client.query('COMMIT');
+
+        res.locals.data = {
+            manager_id: id,
+            token,
+            expires_at: rows[0].expires_at
+        };
+        res.locals.statusCode = 201;
+        res.locals.message = 'Password reset token created.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = createPasswordReset;
@@ -1,5 +1,5 @@
 const pool = require('@db');
-const { hashPassword } = require('@services/authService');
+const { hashPassword, validatePassword } = require('@services/authService');
 
 /**
  * @swagger
@@ -90,6 +90,14 @@ const createManager = async (req, res, next) => {
             return next(err);
         }
 
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            const err = new Error(passwordError);
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
         // Hash password
         const { salt, hash } = hashPassword(password);
 
@@ -0,0 +1,75 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /admin/managers/{id}/reactivate:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Reactivate a manager
+ *     description: Restores a deactivated manager account with its previous role and campaign memberships.
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the manager.
+ *     responses:
+ *       200:
+ *         description: Manager reactivated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data: { $ref: '#/components/schemas/Manager' }
+ *                 message: { type: string, example: "Manager reactivated successfully." }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const reactivateManager = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            `UPDATE managers SET deleted_at = NULL, updated_at = NOW()
+             WHERE id = $1 AND deleted_at IS NOT NULL
+             RETURNING id, email, full_name, role, created_at, updated_at, deleted_at`,
+            [id]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error(`Deactivated manager with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'MANAGER_NOT_FOUND';
+            return next(err);
+        }
+
+        res.locals.data = rows[0];
+        res.locals.message = 'Manager reactivated successfully.';
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = reactivateManager;
@@ -0,0 +1,125 @@
+const pool = require('@db');
+const { isUUID, isEmail } = require('validator');
+
+/**
+ * @swagger
+ * /admin/managers/{id}:
+ *   patch:
+ *     tags:
+ *       - Admin
+ *     summary: Update a manager's profile
+ *     description: Updates the email and/or full name of an active manager. Use the dedicated endpoints to change the role or password.
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the manager.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               full_name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Manager updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data: { $ref: '#/components/schemas/Manager' }
+ *                 message: { type: string, example: "Manager updated successfully." }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Conflict - A manager with this email already exists.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const updateManager = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { email, full_name } = req.body;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (email === undefined && full_name === undefined) {
+            const err = new Error('At least one field to update must be provided: email, full_name');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        if (email !== undefined && (typeof email !== 'string' || !isEmail(email))) {
+            const err = new Error('email must be a valid email address.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        if (full_name !== undefined && (typeof full_name !== 'string' || full_name.trim() === '')) {
+            const err = new Error('full_name cannot be empty.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            `UPDATE managers
+             SET email = COALESCE($1, email),
+                 full_name = COALESCE($2, full_name),
+                 updated_at = NOW()
+             WHERE id = $3 AND deleted_at IS NULL
+             RETURNING id, email, full_name, role, created_at, updated_at, deleted_at`,
+            [email ?? null, full_name?.trim() ?? null, id]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error(`Active manager with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'MANAGER_NOT_FOUND';
+            return next(err);
+        }
+
+        res.locals.data = rows[0];
+        res.locals.message = 'Manager updated successfully.';
+        next();
+    } catch (err) {
+        // Handle unique constraint violation for email
+        if (err.code === '23505' && err.constraint === 'managers_email_key') {
+            const conflictErr = new Error('A manager with this email already exists.');
+            conflictErr.statusCode = 409;
+            conflictErr.code = 'MANAGER_EMAIL_CONFLICT';
+            return next(conflictErr);
+        }
+        next(err);
+    }
+};
+
+module.exports = updateManager;
@@ -0,0 +1,124 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { assertNotLastAdmin } = require('@services/managerService');
+
+const VALID_ROLES = ['HR', 'ORGANIZER', 'ADMIN'];
+
+/**
+ * @swagger
+ * /admin/managers/{id}/role:
+ *   patch:
+ *     tags:
+ *       - Admin
+ *     summary: Change a manager's role
+ *     description: >
+ *       Changes the global role of an active manager. The new role is applied when the manager
+ *       next logs in or refreshes their tokens. The last active ADMIN cannot be demoted.
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the manager.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [HR, ORGANIZER, ADMIN]
+ *     responses:
+ *       200:
+ *         description: Role changed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data: { $ref: '#/components/schemas/Manager' }
+ *                 message: { type: string, example: "Manager role updated successfully." }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Conflict - The last active ADMIN cannot be demoted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const updateManagerRole = async (req, res, next) => {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!isUUID(id)) {
+        const err = new Error('Invalid ID format');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    if (!role || !VALID_ROLES.includes(role)) {
+        const err = new Error(`Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows: managerRows } = await client.query(
+            'SELECT role FROM managers WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+            [id]
+        );
+
+        if (managerRows.length === 0) {
+            const err = new Error(`Active manager with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'MANAGER_NOT_FOUND';
+            throw err;
+        }
+
+        if (managerRows[0].role === 'ADMIN' && role !== 'ADMIN') {
+            await assertNotLastAdmin(client, id);
+        }
+
+        const { rows } = await client.query(
+            `UPDATE managers SET role = $1, updated_at = NOW()
+             WHERE id = $2
+             RETURNING id, email, full_name, role, created_at, updated_at, deleted_at`,
+            [role, id]
+        );
+
+        await client.query('COMMIT');
+
+        res.locals.data = rows[0];
+        res.locals.message = 'Manager role updated successfully.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = updateManagerRole;
@@ -3,6 +3,8 @@ const pool = require('@db');
 const { checkAndAwardAchievements } = require('@features/achievementChecker');
 const { sendTelegramMessage } = require('@features/sendTelegramMsg');
 const { awardCompetencyPoints } = require('@features/competencyAwarder');
+const { rewardReferralOnFirstCompletion } = require('@features/campaignReferrals');
+const { publishCompletionEvent } = require('@features/campaignLiveFeed');
 
 /**
  * @swagger
@@ -136,8 +138,8 @@ const completeQrMission = async (req, res, next) => {
 
         // 4. Award mission completion and rewards
         // 4a. Insert into mission_completions as APPROVED
-        await client.query(
-            `INSERT INTO mission_completions (user_id, mission_id, status, result_data) VALUES ($1, $2, 'APPROVED', $3)`,
+        const { rows: [completion] } = await client.query(
+            `INSERT INTO mission_completions (user_id, mission_id, status, result_data) VALUES ($1, $2, 'APPROVED', $3) RETURNING id`,
             [userId, missionId, completion_code]
         );
 
@@ -149,17 +151,32 @@ const completeQrMission = async (req, res, next) => {
             );
         }
 
-        // 4c. Check for and award any achievements this completion might unlock
+        // 4c. Show the completion on the campaign's live feed
+        await publishCompletionEvent(client, userId, missionId);
+
+        // 4d. Check for and award any achievements this completion might unlock
         await checkAndAwardAchievements(client, userId, missionId);
 
-        // 4d. Award competency points
-        await awardCompetencyPoints(client, userId, missionId);
+        // 4e. Award competency points
+        const competenciesGranted = await awardCompetencyPoints(client, userId, missionId);
+
+        // 4f. Record what was granted, so a revocation takes back exactly this even if the mission is edited later
+        await client.query(
+            `UPDATE mission_completions SET experience_granted = $1, mana_granted = $2, competencies_granted = $3 WHERE id = $4`,
+            [mission.experience_reward, mission.mana_reward, JSON.stringify(competenciesGranted), completion.id]
+        );
+
+        // 4g. Reward the referral if this is the user's first approved mission in the campaign
+        const referralNotifications = await rewardReferralOnFirstCompletion(client, userId, missionId);
 
         await client.query('COMMIT');
 
         // 5. Send notification (fire-and-forget after commit)
         const notifyMessage = `✅ Задание «${mission.title}» выполнено.`;
         sendTelegramMessage(tg_user.id, notifyMessage);
+        for (const notification of referralNotifications) {
+            sendTelegramMessage(notification.tgId, notification.message);
+        }
         
         res.locals.data = {};
         next();
@@ -1,6 +1,9 @@
 // app/routes/apiRoutes/bot/joinCampaign.js
 const pool = require('@db');
 const { updateUserRank } = require('@features/rankManager');
+const { countActiveParticipants, addToWaitlist } = require('@features/campaignWaitlist');
+const { resolveJoinCode, buildJoinMetadata, recordInviteCodeUse } = require('@features/campaignInviteCodes');
+const { parseJoinPayload, resolveReferrer, recordReferral } = require('@features/campaignReferrals');
 
 /**
  * @swagger
@@ -9,7 +12,10 @@ const { updateUserRank } = require('@features/rankManager');
  *     tags:
  *       - API - Bot
  *     summary: Join a campaign via bot deep link
- *     description: Finds or creates a user based on Telegram ID and joins them to a campaign using an activation code. This is intended to be called by the Telegram bot service.
+ *     description: |
+ *       Finds or creates a user based on Telegram ID and joins them to a campaign using an activation code. This is intended to be called by the Telegram bot service.
+ *       If the campaign has reached its maximum number of participants, the user is put on the campaign's waitlist instead and `202` is returned.
+ *       The user is notified in Telegram once a place becomes free.
  *     security:
  *       - apiKeyAuth: []
  *     requestBody:
@@ -41,8 +47,14 @@ const { updateUserRank } = require('@features/rankManager');
  *                   last_name: "User"
  *               activation_code:
  *                 type: string
- *                 description: The activation code for the campaign.
+ *                 description: |
+ *                   The activation code of the campaign or one of its invite codes.
+ *                   A personal referral payload (`<code>_ref_<userId>`, from the deep link `start=join_<code>_ref_<userId>`) is accepted as well.
  *                 example: "700697"
+ *               referrer_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The participant who shared the link. Alternative to the `_ref_` suffix; ignored if the referrer is not an active participant of the campaign.
  *     responses:
  *       200:
  *         description: Successfully joined the campaign.
@@ -56,8 +68,26 @@ const { updateUserRank } = require('@features/rankManager');
  *                 message:
  *                   type: string
  *                   example: "You have successfully joined the campaign \"Cosmic Ascent Onboarding\"!"
+ *       202:
+ *         description: The campaign is full; the user is on its waitlist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     campaign_id: { type: string, format: uuid }
+ *                     title: { type: string }
+ *                     waitlisted: { type: boolean, example: true }
+ *                     waitlist_position: { type: integer, example: 3 }
+ *                 message:
+ *                   type: string
  *       400:
- *         description: Bad request (e.g., invalid code, missing data, campaign full).
+ *         description: Bad request (e.g., invalid code, missing data, invite code inactive, expired or used up).
  *       404:
  *         description: Campaign not found.
  *       409:
@@ -68,7 +98,7 @@ const { updateUserRank } = require('@features/rankManager');
 const joinCampaignByCode = async (req, res, next) => {
     const client = await pool.connect();
     try {
-        const { tg_user, activation_code } = req.body;
+        const { tg_user, activation_code, referrer_id } = req.body;
 
         if (!tg_user || !tg_user.id || !activation_code) {
             const err = new Error('Missing required fields: tg_user and activation_code.');
@@ -109,14 +139,17 @@ const joinCampaignByCode = async (req, res, next) => {
         }
         const userId = user.id;
 
-        // 2. Find the campaign
+        // 2. Find the campaign by its activation code or one of its invite codes
+        const { code, referrerId: linkReferrerId } = parseJoinPayload(activation_code);
+        const joinCode = await resolveJoinCode(client, code);
+
         const campaignQuery = `
             SELECT id, title, status, start_date, end_date, max_participants, cover_url
             FROM campaigns
-            WHERE activation_code = $1 AND deleted_at IS NULL
+            WHERE id = $1 AND deleted_at IS NULL
             FOR UPDATE
         `;
-        const { rows: campaignRows } = await client.query(campaignQuery, [activation_code]);
+        const { rows: campaignRows } = await client.query(campaignQuery, [joinCode ? joinCode.campaignId : null]);
 
         if (campaignRows.length === 0) {
             const err = new Error('Campaign not found or activation code is invalid.');
@@ -166,26 +199,50 @@ const joinCampaignByCode = async (req, res, next) => {
             return next(err);
         }
 
-        // 5. Check participant limit
+        // The source of the join (and the inviting participant, if any) is kept for the per-source report
+        const referrerId = await resolveReferrer(client, {
+            campaignId: campaign.id,
+            referrerId: referrer_id || linkReferrerId,
+            userId
+        });
+        const joinMetadata = buildJoinMetadata(joinCode.inviteCode);
+        if (referrerId) {
+            joinMetadata.referrer_id = referrerId;
+        }
+
+        // 5. Check participant limit. A full campaign puts the user on its waitlist instead.
         if (campaign.max_participants !== null) {
-            const participantCountQuery = 'SELECT COUNT(*) as count FROM user_campaigns WHERE campaign_id = $1';
-            const { rows: countRows } = await client.query(participantCountQuery, [campaign.id]);
-            const participantCount = parseInt(countRows[0].count, 10);
+            const participantCount = await countActiveParticipants(client, campaign.id);
 
             if (participantCount >= campaign.max_participants) {
-                const err = new Error('This campaign has reached its maximum number of participants.');
-                err.statusCode = 400;
-                err.code = 'CAMPAIGN_FULL';
-                await client.query('ROLLBACK');
-                return next(err);
+                const { position, alreadyWaiting } = await addToWaitlist(client, campaign.id, userId, joinMetadata);
+                if (!alreadyWaiting) {
+                    await recordInviteCodeUse(client, joinCode.inviteCode);
+                    await recordReferral(client, { campaignId: campaign.id, referrerId, referredId: userId });
+                }
+                await client.query('COMMIT');
+
+                res.locals.statusCode = 202;
+                res.locals.data = {
+                    campaign_id: campaign.id,
+                    title: campaign.title,
+                    waitlisted: true,
+                    waitlist_position: position,
+                };
+                res.locals.message = alreadyWaiting
+                    ? `User ${tg_user.id} is already on the waitlist of campaign ${campaign.id} (position ${position}).`
+                    : `User ${tg_user.id} was added to the waitlist of campaign ${campaign.id} (position ${position}).`;
+                return next();
             }
         }
 
         // 6. Add user to campaign
         await client.query(
-            'INSERT INTO user_campaigns (user_id, campaign_id) VALUES ($1, $2)',
-            [userId, campaign.id]
+            'INSERT INTO user_campaigns (user_id, campaign_id, join_metadata) VALUES ($1, $2, $3)',
+            [userId, campaign.id, JSON.stringify(joinMetadata)]
         );
+        await recordInviteCodeUse(client, joinCode.inviteCode);
+        await recordReferral(client, { campaignId: campaign.id, referrerId, referredId: userId });
 
         // 7. Update user's rank
         await updateUserRank(client, userId);
@@ -0,0 +1,11 @@
+// app/routes/publicRoutes/campaigns/index.js
+const express = require('express');
+const router = express.Router();
+
+// Import route handlers
+const streamLiveFeed = require('./live');
+
+// Define routes
+router.get('/:id/live', streamLiveFeed);
+
+module.exports = router;
@@ -0,0 +1,128 @@
+// app/routes/publicRoutes/campaigns/live.js
+const { isUUID } = require('validator');
+const pool = require('@db');
+const { verifyFeedToken, subscribe } = require('@features/campaignLiveFeed');
+
+// Proxies and load balancers close idle connections, so a comment is sent regularly.
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * @swagger
+ * /public/campaigns/{id}/live:
+ *   get:
+ *     tags:
+ *       - Public - Live Feed
+ *     summary: Stream the live feed of a campaign (Server-Sent Events)
+ *     description: |
+ *       Opens a `text/event-stream` for event screens. No login is needed; the feed token created by a manager
+ *       (`POST /web/campaigns/{id}/live-feed`) is passed in the query string, as `EventSource` cannot send headers.
+ *
+ *       Events:
+ *       - `leaderboard` — the top 10 of the campaign; sent on connect and whenever the top changes.
+ *       - `completion` — a participant completed a mission: `user`, `mission`, `completed_at`.
+ *       - `achievement` — a participant earned an achievement: `user`, `achievement`, `awarded_at`.
+ *       - `revoked` — the token was rotated or the feed was disabled; the stream is closed right after.
+ *
+ *       Events are delivered through Postgres LISTEN/NOTIFY, so it does not matter which server instance the screen is connected to.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The live feed token of the campaign.
+ *     responses:
+ *       200:
+ *         description: The event stream. It stays open until the client disconnects or the token is revoked.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: completion\ndata: {\"user\":{\"first_name\":\"Анна\",\"username\":\"anna\",\"avatar_url\":null},\"mission\":{\"id\":\"...\",\"title\":\"Посети стенд\",\"experience_reward\":50},\"completed_at\":\"2025-10-22T10:00:00Z\"}\n\n"
+ *       400:
+ *         description: Invalid campaign ID format.
+ *       401:
+ *         description: The token is missing or wrong, or the campaign has no live feed.
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const streamLiveFeed = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { token } = req.query;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid campaign ID format.');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!token || typeof token !== 'string') {
+            const err = new Error('Query parameter "token" is required.');
+            err.statusCode = 401;
+            err.code = 'MISSING_TOKEN';
+            return next(err);
+        }
+
+        if (!(await verifyFeedToken(pool, id, token))) {
+            const err = new Error('Invalid live feed token.');
+            err.statusCode = 401;
+            err.code = 'INVALID_TOKEN';
+            return next(err);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Disable response buffering in nginx.
+            'X-Accel-Buffering': 'no',
+        });
+        res.write('retry: 5000\n\n');
+
+        let unsubscribe = null;
+        let heartbeat = null;
+        let closed = false;
+
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            if (unsubscribe) unsubscribe();
+            res.end();
+        };
+
+        const send = (event, data) => {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            if (event === 'revoked') close();
+        };
+
+        req.on('close', close);
+        heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+        try {
+            unsubscribe = await subscribe(id, send);
+        } catch (err) {
+            console.error(`[LiveFeed] Failed to subscribe to campaign ${id}:`, err);
+            close();
+            return;
+        }
+
+        // The client may have gone away while we were subscribing.
+        if (closed) unsubscribe();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = streamLiveFeed;
@@ -4,6 +4,7 @@ const router = express.Router();
 
 // Import public route handlers
 const qrRoutes = require('./qr');
+const campaignRoutes = require('./campaigns');
 
 /**
  * @swagger
@@ -12,7 +13,15 @@ const qrRoutes = require('./qr');
  *   description: Publicly accessible endpoints for retrieving QR code information.
  */
 
+/**
+ * @swagger
+ * tags:
+ *   name: Public - Live Feed
+ *   description: Token-protected Server-Sent Events streams for event screens.
+ */
+
 // Define public routes
 router.use('/qr', qrRoutes);
+router.use('/campaigns', campaignRoutes);
 
 module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const { authenticateTelegram } = require('@middleware/authenticateTelegram');
 const tmaLogin = require('./login');
 const tmaDevLogin = require('./loginDev');
+const tmaRefresh = require('./refresh');
+const tmaLogout = require('./logout');
 
 // The middleware will validate initData and attach the user to the request
 router.post('/login', authenticateTelegram, tmaLogin);
@@ -10,4 +12,8 @@ router.post('/login', authenticateTelegram, tmaLogin);
 // Dev login route - does not require Telegram authentication middleware
 router.post('/login-dev', tmaDevLogin);
 
+// Token rotation and session revocation - authenticated by the refresh token itself
+router.post('/refresh', tmaRefresh);
+router.post('/logout', tmaLogout);
+
 module.exports = router;
@@ -1,5 +1,6 @@
 const pool = require('@db');
 const { generateAccessToken, generateRefreshToken } = require('@services/tgAuthService');
+const { createRefreshToken } = require('@services/refreshTokenService');
 
 /**
  * @swagger
@@ -95,7 +96,8 @@ const tmaLogin = async (req, res, next) => {
         }
 
         const accessToken = generateAccessToken(user);
-        const refreshToken = generateRefreshToken(user);
+        const session = await createRefreshToken(pool, 'USER', user.id);
+        const refreshToken = generateRefreshToken(user, session);
 
         // Exclude sensitive or unnecessary fields from the user object in response
         const { deleted_at, ...userResponse } = user;
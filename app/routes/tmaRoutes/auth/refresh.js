@@ -0,0 +1,100 @@
+const pool = require('@db');
+const { generateAccessToken, generateRefreshToken } = require('@services/tgAuthService');
+const { verifyRefreshToken, rotateRefreshToken } = require('@services/refreshTokenService');
+
+/**
+ * @swagger
+ * /telegram/auth/refresh:
+ *   post:
+ *     tags:
+ *       - Auth (TMA)
+ *     summary: Refresh Telegram Mini App user tokens
+ *     description: |
+ *       Exchanges a refresh token for a new access and refresh token pair. Refresh tokens are single-use:
+ *       the presented token is invalidated and replaced (rotation). Presenting an already used refresh token
+ *       is treated as token theft and revokes the whole session (`TOKEN_REUSED`), so the user has to log in again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh
+ *             properties:
+ *               refresh:
+ *                 type: string
+ *                 description: The refresh token from the last login or refresh.
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     access:
+ *                       type: string
+ *                     refresh:
+ *                       type: string
+ *                 message:
+ *                   type: string
+ *                   example: "Tokens refreshed successfully"
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const tmaRefresh = async (req, res, next) => {
+    try {
+        const { refresh } = req.body;
+
+        if (!refresh) {
+            const err = new Error('Refresh token is required');
+            err.statusCode = 400;
+            err.code = 'MISSING_TOKEN';
+            return next(err);
+        }
+
+        const decoded = await verifyRefreshToken(refresh);
+
+        const { rows } = await pool.query(
+            'SELECT id, tg_id, username FROM users WHERE id = $1 AND deleted_at IS NULL',
+            [decoded.userId]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error('User not found');
+            err.statusCode = 404;
+            err.code = 'USER_NOT_FOUND';
+            return next(err);
+        }
+
+        const user = rows[0];
+        const session = await rotateRefreshToken('USER', decoded);
+        const accessToken = generateAccessToken(user);
+        const refreshToken = generateRefreshToken(user, session);
+
+        res.locals.data = {
+            access: accessToken,
+            refresh: refreshToken
+        };
+        res.locals.message = 'Tokens refreshed successfully';
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = tmaRefresh;
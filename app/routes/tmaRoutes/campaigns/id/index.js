@@ -4,12 +4,20 @@ const router = express.Router({ mergeParams: true });
 const { authenticateTmaJWT } = require('@middleware/authenticateTmaJWT');
 
 const getCampaignById = require('./get');
+const leaveWaitlist = require('./leaveWaitlist');
+const getMyReferrals = require('./referrals');
 const missionsRouter = require('../missions');
 const achievementsRouter = require('../achievements');
 
 // This route corresponds to GET /telegram/campaigns/:campaignId
 router.get('/', authenticateTmaJWT, getCampaignById);
 
+// This route corresponds to DELETE /telegram/campaigns/:campaignId/waitlist
+router.delete('/waitlist', authenticateTmaJWT, leaveWaitlist);
+
+// This route corresponds to GET /telegram/campaigns/:campaignId/referrals
+router.get('/referrals', authenticateTmaJWT, getMyReferrals);
+
 // Mount the missions sub-router for /telegram/campaigns/:campaignId/missions
 router.use('/missions', missionsRouter);
 
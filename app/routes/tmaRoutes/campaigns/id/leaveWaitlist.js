@@ -0,0 +1,66 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /telegram/campaigns/{campaignId}/waitlist:
+ *   delete:
+ *     tags:
+ *       - Campaigns (TMA)
+ *     summary: Leave the waitlist of a campaign
+ *     description: Removes the authenticated user from the waitlist of a full campaign.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The ID of the campaign.
+ *     responses:
+ *       204:
+ *         description: The user has left the waitlist.
+ *       400:
+ *         description: Invalid campaign ID format.
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: The user is not on the waitlist of this campaign.
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const leaveWaitlist = async (req, res, next) => {
+    try {
+        const { campaignId } = req.params;
+        const userId = req.user.userId;
+
+        if (!isUUID(campaignId)) {
+            const err = new Error('Invalid campaign ID format.');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const { rowCount } = await pool.query(
+            'DELETE FROM campaign_waitlist WHERE campaign_id = $1 AND user_id = $2',
+            [campaignId, userId]
+        );
+
+        if (rowCount === 0) {
+            const err = new Error('You are not on the waitlist of this campaign.');
+            err.statusCode = 404;
+            err.code = 'NOT_ON_WAITLIST';
+            return next(err);
+        }
+
+        res.locals.statusCode = 204;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = leaveWaitlist;
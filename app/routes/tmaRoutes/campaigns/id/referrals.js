@@ -0,0 +1,151 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { buildReferralLink } = require('@features/campaignReferrals');
+
+/**
+ * @swagger
+ * /telegram/campaigns/{campaignId}/referrals:
+ *   get:
+ *     tags:
+ *       - Campaigns (TMA)
+ *     summary: Get my referral link and referrals
+ *     description: |
+ *       Returns the authenticated user's personal invite link for the campaign, the rewards for inviting a friend,
+ *       and the users who joined through the link. Both sides are rewarded once the invited user completes their first mission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The ID of the campaign.
+ *     responses:
+ *       200:
+ *         description: The referral link and the list of referrals.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     referral_link:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "https://t.me/my_awesome_tg_bot?start=join_700697_ref_0b7e4d52-3c1a-4f8e-9d2b-6a5c4e3f2a1b"
+ *                     rewards:
+ *                       type: object
+ *                       properties:
+ *                         inviter_experience: { type: integer }
+ *                         inviter_mana: { type: integer }
+ *                         invitee_experience: { type: integer }
+ *                         invitee_mana: { type: integer }
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total: { type: integer }
+ *                         rewarded: { type: integer }
+ *                         experience_earned: { type: integer }
+ *                         mana_earned: { type: integer }
+ *                     referrals:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           first_name: { type: string }
+ *                           username: { type: string, nullable: true }
+ *                           status: { type: string, enum: [PENDING, REWARDED] }
+ *                           experience_awarded: { type: integer }
+ *                           mana_awarded: { type: integer }
+ *                           created_at: { type: string, format: date-time }
+ *                           rewarded_at: { type: string, format: date-time, nullable: true }
+ *       400:
+ *         description: Invalid campaign ID format.
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Campaign not found or user is not a participant.
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getMyReferrals = async (req, res, next) => {
+    try {
+        const { campaignId } = req.params;
+        const userId = req.user.userId;
+
+        if (!isUUID(campaignId)) {
+            const err = new Error('Invalid campaign ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const { rows: campaignRows } = await pool.query(
+            `SELECT
+                c.activation_code,
+                c.referral_inviter_experience,
+                c.referral_inviter_mana,
+                c.referral_invitee_experience,
+                c.referral_invitee_mana
+             FROM campaigns c
+             JOIN user_campaigns uc ON c.id = uc.campaign_id
+             WHERE uc.user_id = $1 AND c.id = $2 AND c.deleted_at IS NULL`,
+            [userId, campaignId]
+        );
+
+        if (campaignRows.length === 0) {
+            const err = new Error('Campaign not found or you are not a participant.');
+            err.statusCode = 404;
+            err.code = 'CAMPAIGN_NOT_FOUND_OR_NOT_JOINED';
+            return next(err);
+        }
+
+        const campaign = campaignRows[0];
+
+        const { rows: referrals } = await pool.query(
+            `SELECT
+                u.first_name,
+                u.username,
+                r.status,
+                r.inviter_experience_awarded AS experience_awarded,
+                r.inviter_mana_awarded AS mana_awarded,
+                r.created_at,
+                r.rewarded_at
+             FROM campaign_referrals r
+             JOIN users u ON r.referred_id = u.id
+             WHERE r.campaign_id = $1 AND r.referrer_id = $2
+             ORDER BY r.created_at DESC`,
+            [campaignId, userId]
+        );
+
+        const rewarded = referrals.filter((r) => r.status === 'REWARDED');
+
+        res.locals.data = {
+            referral_link: buildReferralLink(campaign.activation_code, userId),
+            rewards: {
+                inviter_experience: campaign.referral_inviter_experience,
+                inviter_mana: campaign.referral_inviter_mana,
+                invitee_experience: campaign.referral_invitee_experience,
+                invitee_mana: campaign.referral_invitee_mana,
+            },
+            summary: {
+                total: referrals.length,
+                rewarded: rewarded.length,
+                experience_earned: rewarded.reduce((sum, r) => sum + r.experience_awarded, 0),
+                mana_earned: rewarded.reduce((sum, r) => sum + r.mana_awarded, 0),
+            },
+            referrals,
+        };
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getMyReferrals;
@@ -1,5 +1,8 @@
 const pool = require('@db');
 const { updateUserRank } = require('@features/rankManager');
+const { countActiveParticipants, addToWaitlist } = require('@features/campaignWaitlist');
+const { resolveJoinCode, buildJoinMetadata, recordInviteCodeUse } = require('@features/campaignInviteCodes');
+const { parseJoinPayload, resolveReferrer, recordReferral } = require('@features/campaignReferrals');
 
 /**
  * @swagger
@@ -8,7 +11,10 @@ const { updateUserRank } = require('@features/rankManager');
  *     tags:
  *       - Campaigns (TMA)
  *     summary: Join a campaign
- *     description: Allows an authenticated user to join a campaign by providing a valid activation code.
+ *     description: |
+ *       Allows an authenticated user to join a campaign by providing a valid activation code.
+ *       If the campaign has reached its maximum number of participants, the user is put on the campaign's waitlist instead and `202` is returned.
+ *       The user is notified in Telegram once a place becomes free.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -22,8 +28,14 @@ const { updateUserRank } = require('@features/rankManager');
  *             properties:
  *               activation_code:
  *                 type: string
- *                 description: The 6-digit activation code for the campaign.
+ *                 description: |
+ *                   The 6-digit activation code of the campaign or one of its invite codes.
+ *                   A personal referral payload (`<code>_ref_<userId>` or the full start parameter `join_<code>_ref_<userId>`) is accepted as well.
  *                 example: "700697"
+ *               referrer_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The participant who shared the link. Alternative to the `_ref_` suffix; ignored if the referrer is not an active participant of the campaign.
  *     responses:
  *       200:
  *         description: Successfully joined the campaign.
@@ -39,8 +51,26 @@ const { updateUserRank } = require('@features/rankManager');
  *                 message:
  *                   type: string
  *                   example: "Successfully joined campaign."
+ *       202:
+ *         description: The campaign is full; the user is on its waitlist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     campaign_id: { type: string, format: uuid }
+ *                     waitlisted: { type: boolean, example: true }
+ *                     waitlist_position: { type: integer, example: 3 }
+ *                 message:
+ *                   type: string
+ *                   example: "The campaign is full. You are number 3 on the waitlist."
  *       400:
- *         description: Bad request (e.g., invalid code format, missing code).
+ *         description: Bad request (e.g., invalid code format, missing code, invite code inactive, expired or used up).
  *       404:
  *         description: Campaign not found or not active.
  *       409:
@@ -51,10 +81,14 @@ const { updateUserRank } = require('@features/rankManager');
 const joinCampaign = async (req, res, next) => {
     const client = await pool.connect();
     try {
-        const { activation_code } = req.body;
+        const { activation_code, referrer_id } = req.body;
         const userId = req.user.userId;
 
-        if (!activation_code || typeof activation_code !== 'string' || !/^\d{6}$/.test(activation_code)) {
+        const { code, referrerId: linkReferrerId } = typeof activation_code === 'string'
+            ? parseJoinPayload(activation_code)
+            : { code: null, referrerId: null };
+
+        if (!code || !/^\d{6}$/.test(code)) {
             const err = new Error('A valid 6-digit activation code is required.');
             err.statusCode = 400;
             err.code = 'INVALID_ACTIVATION_CODE';
@@ -63,14 +97,16 @@ const joinCampaign = async (req, res, next) => {
 
         await client.query('BEGIN');
 
-        // Find the campaign
+        // Find the campaign by its activation code or one of its invite codes
+        const joinCode = await resolveJoinCode(client, code);
+
         const campaignQuery = `
             SELECT id, status, start_date, end_date, max_participants
             FROM campaigns
-            WHERE activation_code = $1 AND deleted_at IS NULL
+            WHERE id = $1 AND deleted_at IS NULL
             FOR UPDATE
         `;
-        const { rows: campaignRows } = await client.query(campaignQuery, [activation_code]);
+        const { rows: campaignRows } = await client.query(campaignQuery, [joinCode ? joinCode.campaignId : null]);
 
         if (campaignRows.length === 0) {
             const err = new Error('Campaign not found or activation code is invalid.');
@@ -120,26 +156,49 @@ const joinCampaign = async (req, res, next) => {
             return next(err);
         }
 
-        // Check participant limit
+        // The source of the join (and the inviting participant, if any) is kept for the per-source report
+        const referrerId = await resolveReferrer(client, {
+            campaignId: campaign.id,
+            referrerId: referrer_id || linkReferrerId,
+            userId
+        });
+        const joinMetadata = buildJoinMetadata(joinCode.inviteCode);
+        if (referrerId) {
+            joinMetadata.referrer_id = referrerId;
+        }
+
+        // Check participant limit. A full campaign puts the user on its waitlist instead.
         if (campaign.max_participants !== null) {
-            const participantCountQuery = 'SELECT COUNT(*) as count FROM user_campaigns WHERE campaign_id = $1';
-            const { rows: countRows } = await client.query(participantCountQuery, [campaign.id]);
-            const participantCount = parseInt(countRows[0].count, 10);
+            const participantCount = await countActiveParticipants(client, campaign.id);
 
             if (participantCount >= campaign.max_participants) {
-                const err = new Error('This campaign has reached its maximum number of participants.');
-                err.statusCode = 400;
-                err.code = 'CAMPAIGN_FULL';
-                await client.query('ROLLBACK');
-                return next(err);
+                const { position, alreadyWaiting } = await addToWaitlist(client, campaign.id, userId, joinMetadata);
+                if (!alreadyWaiting) {
+                    await recordInviteCodeUse(client, joinCode.inviteCode);
+                    await recordReferral(client, { campaignId: campaign.id, referrerId, referredId: userId });
+                }
+                await client.query('COMMIT');
+
+                res.locals.statusCode = 202;
+                res.locals.data = {
+                    campaign_id: campaign.id,
+                    waitlisted: true,
+                    waitlist_position: position,
+                };
+                res.locals.message = alreadyWaiting
+                    ? `You are already on the waitlist (number ${position}).`
+                    : `The campaign is full. You are number ${position} on the waitlist.`;
+                return next();
             }
         }
 
         // Add user to campaign
         await client.query(
-            'INSERT INTO user_campaigns (user_id, campaign_id) VALUES ($1, $2)',
-            [userId, campaign.id]
+            'INSERT INTO user_campaigns (user_id, campaign_id, join_metadata) VALUES ($1, $2, $3)',
+            [userId, campaign.id, JSON.stringify(joinMetadata)]
         );
+        await recordInviteCodeUse(client, joinCode.inviteCode);
+        await recordReferral(client, { campaignId: campaign.id, referrerId, referredId: userId });
 
         // Update user's rank
         await updateUserRank(client, userId);
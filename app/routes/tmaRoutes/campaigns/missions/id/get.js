@@ -1,5 +1,7 @@
 const pool = require('@db');
 const { isUUID } = require('validator');
+const { sanitizeQuestions } = require('@features/quizEngine');
+const { requiresStart, getAttemptStatus } = require('@features/quizAttemptLimits');
 
 /**
  * @swagger
@@ -11,7 +13,12 @@ const { isUUID } = require('validator');
  *     description: |
  *       Retrieves the full details for a single mission within a campaign, provided the user is a participant.
  *       The response includes mission-type-specific details under a `details` object.
- *       For QUIZ missions, the questions are returned sanitized (without correct answer information).
+ *       For QUIZ missions, the questions are returned sanitized (without correct answer information), with the user's `attempts`:
+ *       attempts used and left, the cooldown, the time limit, `next_attempt_at` (when the cooldown ends) and the attempt in progress.
+ *       The questions of timed and randomized quizzes are `null` here (`requires_start: true`); they are returned by `POST /telegram/completions/start-quiz`,
+ *       and `question_count` tells how many questions an attempt serves.
+ *       For AI_CHECK missions, only the `user_instruction` is returned.
+ *       For FILE_UPLOAD missions, the `submission_prompt` and the accepted files (`allowed_mime_types`, `max_file_size_bytes`) are returned.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -73,7 +80,7 @@ const { isUUID } = require('validator');
  *                   nullable: true
  *                 type:
  *                   type: string
- *                   enum: [MANUAL_URL, QUIZ, QR_CODE, AI_CHECK]
+ *                   enum: [MANUAL_URL, QUIZ, QR_CODE, AI_CHECK, FILE_UPLOAD]
  *                 is_completed:
  *                   type: boolean
  *                 is_locked:
@@ -119,12 +126,17 @@ const getMissionById = async (req, res, next) => {
                     ELSE false
                 END as is_locked,
                 mmd.submission_prompt, mmd.placeholder_text,
-                mqd.questions, mqd.pass_threshold
+                mqd.questions, mqd.pass_threshold, mqd.max_attempts, mqd.cooldown_seconds, mqd.time_limit_seconds,
+                mqd.questions_per_attempt, mqd.shuffle_questions, mqd.shuffle_answers,
+                macd.user_instruction,
+                mfud.submission_prompt AS file_submission_prompt, mfud.allowed_mime_types, mfud.max_file_size_bytes
             FROM missions m
             JOIN campaigns c ON m.campaign_id = c.id
             LEFT JOIN mission_completions mc ON m.id = mc.mission_id AND mc.user_id = $1 AND mc.status = 'APPROVED'
             LEFT JOIN mission_manual_details mmd ON m.id = mmd.mission_id AND m.type = 'MANUAL_URL'
             LEFT JOIN mission_quiz_details mqd ON m.id = mqd.mission_id AND m.type = 'QUIZ'
+            LEFT JOIN mission_ai_check_details macd ON m.id = macd.mission_id AND m.type = 'AI_CHECK'
+            LEFT JOIN mission_file_upload_details mfud ON m.id = mfud.mission_id AND m.type = 'FILE_UPLOAD'
             LEFT JOIN user_achievements ua ON m.required_achievement_id = ua.achievement_id AND ua.user_id = $1
             LEFT JOIN achievements ach ON m.required_achievement_id = ach.id
             WHERE
@@ -170,14 +182,27 @@ const getMissionById = async (req, res, next) => {
                 };
                 break;
             case 'QUIZ':
-                // Sanitize questions: remove correct answer information before sending to client
-                const sanitizedQuestions = missionData.questions.map(q => {
-                    const sanitizedAnswers = q.answers.map(({ is_correct, ...rest }) => rest);
-                    return { ...q, answers: sanitizedAnswers };
-                });
+                // Sanitize questions: remove correct answer information before sending to client.
+                // Timed and randomized quizzes only reveal their questions when an attempt is started.
                 missionResponse.details = {
-                    questions: sanitizedQuestions,
-                    pass_threshold: missionData.pass_threshold
+                    questions: requiresStart(missionData) ? null : sanitizeQuestions(missionData.questions),
+                    requires_start: requiresStart(missionData),
+                    question_count: missionData.questions_per_attempt || missionData.questions.length,
+                    pass_threshold: missionData.pass_threshold,
+                    attempts: await getAttemptStatus(pool, userId, missionId, missionData)
+                };
+                break;
+            case 'AI_CHECK':
+                // Only the instruction is exposed; the prompt and criteria stay server-side
+                missionResponse.details = {
+                    user_instruction: missionData.user_instruction
+                };
+                break;
+            case 'FILE_UPLOAD':
+                missionResponse.details = {
+                    submission_prompt: missionData.file_submission_prompt,
+                    allowed_mime_types: missionData.allowed_mime_types,
+                    max_file_size_bytes: missionData.max_file_size_bytes
                 };
                 break;
             // Add other cases for QR_CODE etc. if they have details
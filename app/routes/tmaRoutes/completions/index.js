@@ -3,6 +3,9 @@ const router = express.Router();
 const { authenticateTmaJWT } = require('@middleware/authenticateTmaJWT');
 const submitUrlMission = require('./submitUrl');
 const submitQuizMission = require('./submitQuiz');
+const startQuizAttempt = require('./startQuiz');
+const submitAiMission = require('./submitAi');
+const submitFileMission = require('./submitFile');
 
 /**
  * @swagger
@@ -14,7 +17,16 @@ const submitQuizMission = require('./submitQuiz');
 // This route corresponds to POST /telegram/completions/submit-url
 router.post('/submit-url', authenticateTmaJWT, submitUrlMission);
 
+// This route corresponds to POST /telegram/completions/start-quiz
+router.post('/start-quiz', authenticateTmaJWT, startQuizAttempt);
+
 // This route corresponds to POST /telegram/completions/submit-quiz
 router.post('/submit-quiz', authenticateTmaJWT, submitQuizMission);
 
+// This route corresponds to POST /telegram/completions/ai
+router.post('/ai', authenticateTmaJWT, submitAiMission);
+
+// This route corresponds to POST /telegram/completions/submit-file
+router.post('/submit-file', authenticateTmaJWT, submitFileMission);
+
 module.exports = router;
@@ -0,0 +1,206 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { sanitizeQuestions, isRandomized, createLayout, serveQuestions } = require('@features/quizEngine');
+const { requiresStart, lockAttempts, getAttemptStatus, assertCanAttempt } = require('@features/quizAttemptLimits');
+
+/**
+ * @swagger
+ * /telegram/completions/start-quiz:
+ *   post:
+ *     tags:
+ *       - Mission Completions (TMA)
+ *     summary: Start a timed or randomized quiz attempt
+ *     description: |
+ *       Starts an attempt at a quiz with a time limit or randomized questions and returns its questions. The mission page does not include the questions of these quizzes.
+ *       A randomized quiz draws `questions_per_attempt` questions from its bank and may shuffle the questions and their answers; the answers are submitted by the served indexes.
+ *       The returned `attempt_token` must be sent with the submission, before `expires_at` if the quiz is timed; a started attempt that is never submitted still counts as an attempt.
+ *       If an attempt is already in progress, it is returned again, with the same questions, instead of starting a new one.
+ *       Other quizzes are submitted directly, without starting.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mission_id
+ *             properties:
+ *               mission_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: The attempt was started (200 if an attempt in progress is returned).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attempt_token:
+ *                   type: string
+ *                   format: uuid
+ *                 started_at:
+ *                   type: string
+ *                   format: date-time
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Null for untimed quizzes.
+ *                 time_limit_seconds:
+ *                   type: integer
+ *                   nullable: true
+ *                 attempts_left:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Attempts left after this one; null if unlimited.
+ *                 questions:
+ *                   type: array
+ *                   description: The questions served to this attempt, in served order, without the correct answers.
+ *                   items:
+ *                     $ref: '#/components/schemas/QuizQuestion'
+ *       400:
+ *         description: Bad request (e.g., invalid input, mission not a quiz, quiz neither timed nor randomized).
+ *       403:
+ *         description: Forbidden (e.g., user not in campaign, rank too low, all attempts used).
+ *       404:
+ *         description: Mission not found.
+ *       409:
+ *         description: The quiz has already been passed.
+ *       429:
+ *         description: The cooldown since the previous attempt has not passed yet (QUIZ_COOLDOWN).
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const startQuizAttempt = async (req, res, next) => {
+    const { mission_id } = req.body;
+    const userId = req.user.userId;
+
+    if (!isUUID(String(mission_id))) {
+        const err = new Error('Invalid mission ID format.');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(
+            `SELECT
+                m.type,
+                mqd.questions, mqd.max_attempts, mqd.cooldown_seconds, mqd.time_limit_seconds,
+                mqd.questions_per_attempt, mqd.shuffle_questions, mqd.shuffle_answers,
+                COALESCE(mr.priority, -1) AS required_rank,
+                COALESCE(ur.priority, -1) AS user_rank,
+                EXISTS(
+                    SELECT 1 FROM user_campaigns uc
+                    WHERE uc.user_id = u.id AND uc.campaign_id = m.campaign_id
+                ) AS is_campaign_participant,
+                EXISTS(
+                    SELECT 1 FROM mission_completions
+                    WHERE user_id = u.id AND mission_id = m.id AND status = 'APPROVED'
+                ) AS is_already_completed
+             FROM missions m
+             JOIN users u ON u.id = $2
+             LEFT JOIN mission_quiz_details mqd ON m.id = mqd.mission_id
+             LEFT JOIN ranks mr ON m.required_rank_id = mr.id
+             LEFT JOIN ranks ur ON u.rank_id = ur.id
+             WHERE m.id = $1 AND m.deleted_at IS NULL`,
+            [mission_id, userId]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error('Mission not found.');
+            err.statusCode = 404;
+            err.code = 'MISSION_NOT_FOUND';
+            throw err;
+        }
+
+        const quiz = rows[0];
+
+        if (quiz.type !== 'QUIZ') {
+            const err = new Error('This mission is not a quiz.');
+            err.statusCode = 400;
+            err.code = 'INVALID_MISSION_TYPE';
+            throw err;
+        }
+
+        if (!quiz.is_campaign_participant) {
+            const err = new Error('You are not a participant in the campaign for this mission.');
+            err.statusCode = 403;
+            err.code = 'CAMPAIGN_NOT_JOINED';
+            throw err;
+        }
+
+        if (quiz.required_rank > -1 && quiz.user_rank < quiz.required_rank) {
+            const err = new Error('Your rank is too low to attempt this mission.');
+            err.statusCode = 403;
+            err.code = 'RANK_INSUFFICIENT';
+            throw err;
+        }
+
+        if (quiz.is_already_completed) {
+            const err = new Error('You have already successfully completed this mission.');
+            err.statusCode = 409;
+            err.code = 'SUBMISSION_EXISTS';
+            throw err;
+        }
+
+        if (!requiresStart(quiz)) {
+            const err = new Error('This quiz has no time limit and no randomized questions. Submit the answers directly.');
+            err.statusCode = 400;
+            err.code = 'QUIZ_START_NOT_REQUIRED';
+            throw err;
+        }
+
+        await lockAttempts(client, userId, mission_id);
+        const status = await getAttemptStatus(client, userId, mission_id, quiz);
+
+        let attempt = status.open_attempt;
+        let attemptsLeft = status.attempts_left;
+        let layout;
+
+        if (attempt) {
+            // Serve the attempt in progress exactly as before
+            const { rows: [start] } = await client.query(
+                'SELECT layout FROM quiz_attempt_starts WHERE id = $1',
+                [attempt.attempt_token]
+            );
+            layout = start.layout;
+        } else {
+            assertCanAttempt(status);
+            layout = isRandomized(quiz) ? createLayout(quiz.questions, quiz) : null;
+            const { rows: [start] } = await client.query(
+                `INSERT INTO quiz_attempt_starts (user_id, mission_id, expires_at, layout)
+                 VALUES ($1, $2, NOW() + make_interval(secs => $3), $4)
+                 RETURNING id AS attempt_token, started_at, expires_at`,
+                [userId, mission_id, quiz.time_limit_seconds, layout && JSON.stringify(layout)]
+            );
+            attempt = start;
+            attemptsLeft = attemptsLeft === null ? null : attemptsLeft - 1;
+        }
+
+        await client.query('COMMIT');
+
+        res.locals.data = {
+            ...attempt,
+            time_limit_seconds: quiz.time_limit_seconds,
+            attempts_left: attemptsLeft,
+            questions: sanitizeQuestions(serveQuestions(quiz.questions, layout)),
+        };
+        res.locals.statusCode = status.open_attempt ? 200 : 201;
+        res.locals.message = status.open_attempt ? 'Attempt in progress.' : 'Attempt started.';
+        next();
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = startQuizAttempt;
@@ -0,0 +1,269 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { checkAndAwardAchievements } = require('@features/achievementChecker');
+const { awardCompetencyPoints } = require('@features/competencyAwarder');
+const { rewardReferralOnFirstCompletion } = require('@features/campaignReferrals');
+const { publishCompletionEvent } = require('@features/campaignLiveFeed');
+const { sendTelegramMessage } = require('@features/sendTelegramMsg');
+const { evaluateSubmission } = require('@features/aiEvaluator');
+
+const MAX_SUBMISSION_LENGTH = 10000;
+
+/**
+ * @swagger
+ * /telegram/completions/ai:
+ *   post:
+ *     tags:
+ *       - Mission Completions (TMA)
+ *     summary: Submit an answer for an AI-checked mission
+ *     description: |
+ *       Submits a text answer for a mission of type `AI_CHECK`.
+ *       The answer is scored by the configured AI evaluator. If the confidence meets or exceeds the mission's `confidence_threshold`,
+ *       the completion is `APPROVED` immediately and rewards are granted (200).
+ *       Otherwise, or if the evaluator is unavailable, the completion is created with the status `PENDING_REVIEW` for manual moderation (202).
+ *       A user cannot re-submit while a previous submission is approved or pending review.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mission_id
+ *               - submission
+ *             properties:
+ *               mission_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The ID of the `AI_CHECK` mission being completed.
+ *               submission:
+ *                 type: string
+ *                 maxLength: 10000
+ *                 description: The user's answer.
+ *     responses:
+ *       200:
+ *         description: The submission passed the AI check and was approved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   format: uuid
+ *                 status:
+ *                   $ref: '#/components/schemas/MissionCompletionStatus'
+ *                 confidence:
+ *                   type: number
+ *                   nullable: true
+ *                 feedback:
+ *                   type: string
+ *                   nullable: true
+ *                 rewards:
+ *                   type: object
+ *                   description: Included only if the submission was approved.
+ *                   properties:
+ *                     experience:
+ *                       type: integer
+ *                     mana:
+ *                       type: integer
+ *       202:
+ *         description: The submission was accepted for manual review.
+ *       400:
+ *         description: Bad request (e.g., invalid input, mission not correct type).
+ *       403:
+ *         description: Forbidden (e.g., user not in campaign, rank too low).
+ *       404:
+ *         description: Mission not found.
+ *       409:
+ *         description: A submission for this mission is already approved or pending review.
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const submitAiMission = async (req, res, next) => {
+    const { mission_id, submission } = req.body;
+    const userId = req.user.userId;
+
+    if (!isUUID(mission_id) || typeof submission !== 'string' || submission.trim() === '' || submission.length > MAX_SUBMISSION_LENGTH) {
+        const err = new Error(`Invalid mission ID or submission. The submission must be a non-empty string of at most ${MAX_SUBMISSION_LENGTH} characters.`);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const validationQuery = `
+        WITH mission_data AS (
+            SELECT
+                m.id, m.title, m.campaign_id, m.type, m.experience_reward, m.mana_reward,
+                COALESCE(r.priority, -1) as required_rank,
+                macd.prompt_template, macd.evaluation_criteria, macd.confidence_threshold, macd.user_instruction
+            FROM missions m
+            LEFT JOIN ranks r ON m.required_rank_id = r.id
+            LEFT JOIN mission_ai_check_details macd ON m.id = macd.mission_id
+            WHERE m.id = $1 AND m.deleted_at IS NULL
+        ),
+        user_data AS (
+            SELECT
+                u.tg_id,
+                COALESCE(r.priority, -1) as user_rank,
+                EXISTS(
+                    SELECT 1 FROM user_campaigns uc
+                    WHERE uc.user_id = $2 AND uc.campaign_id = (SELECT campaign_id FROM mission_data)
+                ) as is_campaign_participant
+            FROM users u
+            LEFT JOIN ranks r ON u.rank_id = r.id
+            WHERE u.id = $2
+        )
+        SELECT * FROM mission_data, user_data;
+    `;
+    const lastCompletionQuery = `
+        SELECT status FROM mission_completions
+        WHERE user_id = $1 AND mission_id = $2
+        ORDER BY created_at DESC LIMIT 1
+    `;
+
+    let check;
+    try {
+        // 1. Validate the mission and the user before spending time on evaluation.
+        const { rows: validationRows } = await pool.query(validationQuery, [mission_id, userId]);
+
+        if (validationRows.length === 0) {
+            const err = new Error('Mission not found.');
+            err.statusCode = 404;
+            err.code = 'MISSION_NOT_FOUND';
+            return next(err);
+        }
+
+        check = validationRows[0];
+
+        if (check.type !== 'AI_CHECK' || check.prompt_template === null) {
+            const err = new Error('This mission does not accept AI-checked submissions.');
+            err.statusCode = 400;
+            err.code = 'INVALID_MISSION_TYPE';
+            return next(err);
+        }
+
+        if (!check.is_campaign_participant) {
+            const err = new Error('You are not a participant in the campaign for this mission.');
+            err.statusCode = 403;
+            err.code = 'CAMPAIGN_NOT_JOINED';
+            return next(err);
+        }
+
+        // Check if required_rank is set and user's rank is lower
+        if (check.required_rank > -1 && check.user_rank < check.required_rank) {
+            const err = new Error('Your rank is too low to submit this mission.');
+            err.statusCode = 403;
+            err.code = 'RANK_INSUFFICIENT';
+            return next(err);
+        }
+
+        const { rows: lastRows } = await pool.query(lastCompletionQuery, [userId, mission_id]);
+        const lastStatus = lastRows[0]?.status;
+        if (lastStatus === 'APPROVED' || lastStatus === 'PENDING_REVIEW') {
+            const err = new Error(`You already have an ${lastStatus.toLowerCase()} submission for this mission.`);
+            err.statusCode = 409;
+            err.code = 'SUBMISSION_EXISTS';
+            return next(err);
+        }
+    } catch (err) {
+        return next(err);
+    }
+
+    // 2. Evaluate outside of the transaction; an unavailable evaluator sends the submission to manual review.
+    let evaluation;
+    try {
+        evaluation = await evaluateSubmission(submission, check);
+    } catch (evalErr) {
+        console.error(`AI evaluation failed for mission ${mission_id}:`, evalErr.message);
+        evaluation = { confidence: null, feedback: null, provider: null, error: evalErr.message };
+    }
+
+    const approved = evaluation.confidence !== null && evaluation.confidence >= check.confidence_threshold;
+    const status = approved ? 'APPROVED' : 'PENDING_REVIEW';
+    const resultData = { submission, ai_evaluation: evaluation };
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // 3. Lock the user row and re-check, so parallel submissions cannot both be recorded.
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        const { rows: lastRows } = await client.query(lastCompletionQuery, [userId, mission_id]);
+        const lastStatus = lastRows[0]?.status;
+        if (lastStatus === 'APPROVED' || lastStatus === 'PENDING_REVIEW') {
+            const err = new Error(`You already have an ${lastStatus.toLowerCase()} submission for this mission.`);
+            err.statusCode = 409;
+            err.code = 'SUBMISSION_EXISTS';
+            throw err;
+        }
+
+        const { rows: insertRows } = await client.query(
+            `INSERT INTO mission_completions (user_id, mission_id, status, result_data) VALUES ($1, $2, $3, $4) RETURNING id, status`,
+            [userId, mission_id, status, JSON.stringify(resultData)]
+        );
+
+        let referralNotifications = [];
+        if (approved) {
+            await client.query(
+                `UPDATE users SET experience_points = experience_points + $1, mana_points = mana_points + $2, updated_at = NOW() WHERE id = $3`,
+                [check.experience_reward, check.mana_reward, userId]
+            );
+
+            // Show the completion on the campaign's live feed
+            await publishCompletionEvent(client, userId, mission_id);
+
+            // Check for and award any achievements this completion might unlock
+            await checkAndAwardAchievements(client, userId, mission_id);
+
+            // Award competency points
+            const competenciesGranted = await awardCompetencyPoints(client, userId, mission_id);
+
+            // Record what was granted, so a revocation takes back exactly this even if the mission is edited later
+            await client.query(
+                `UPDATE mission_completions SET experience_granted = $1, mana_granted = $2, competencies_granted = $3 WHERE id = $4`,
+                [check.experience_reward, check.mana_reward, JSON.stringify(competenciesGranted), insertRows[0].id]
+            );
+
+            // Reward the referral if this is the user's first approved mission in the campaign
+            referralNotifications = await rewardReferralOnFirstCompletion(client, userId, mission_id);
+        }
+
+        await client.query('COMMIT');
+
+        const data = {
+            ...insertRows[0],
+            confidence: evaluation.confidence,
+            feedback: evaluation.feedback,
+        };
+
+        if (approved) {
+            sendTelegramMessage(check.tg_id, `✅ Задание «${check.title}» принято.`);
+            for (const notification of referralNotifications) {
+                sendTelegramMessage(notification.tgId, notification.message);
+            }
+
+            data.rewards = {
+                experience: check.experience_reward,
+                mana: check.mana_reward
+            };
+            res.locals.message = 'Ответ принят!';
+        } else {
+            res.locals.statusCode = 202;
+            res.locals.message = 'Ответ отправлен на ручную проверку.';
+        }
+
+        res.locals.data = data;
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = submitAiMission;
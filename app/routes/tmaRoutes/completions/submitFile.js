@@ -0,0 +1,247 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+const multer = require('multer');
+const { MAX_UPLOAD_SIZE_BYTES, normalizeMimeType, isMimeTypeAllowed, storeSubmissionFile } = require('@features/fileUploadMissions');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_UPLOAD_SIZE_BYTES, // 20 MB; the mission's own limit is checked in the handler
+    },
+});
+
+// Reports files over the server limit like those over the mission's limit, instead of as a server error.
+const uploadSubmissionFile = (req, res, next) => {
+    upload.single('file')(req, res, (uploadErr) => {
+        if (uploadErr && uploadErr.code === 'LIMIT_FILE_SIZE') {
+            const err = new Error(`The file is too large. The maximum size is ${MAX_UPLOAD_SIZE_BYTES / (1024 * 1024)} MB.`);
+            err.statusCode = 413;
+            err.code = 'FILE_TOO_LARGE';
+            return next(err);
+        }
+        next(uploadErr);
+    });
+};
+
+/**
+ * @swagger
+ * /telegram/completions/submit-file:
+ *   post:
+ *     tags:
+ *       - Mission Completions (TMA)
+ *     summary: Submit a file for a file upload mission
+ *     description: |
+ *       Uploads a photo or document for a mission of type `FILE_UPLOAD`. The file is stored and the submission is set to `PENDING_REVIEW`.
+ *       The file must match the mission's `allowed_mime_types` and `max_file_size_bytes` (see the mission details).
+ *       The user must be a participant in the mission's campaign and meet all rank requirements.
+ *       A user cannot submit a new completion if they already have one that is `APPROVED` or `PENDING_REVIEW`.
+ *       The request should be sent as `multipart/form-data`.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mission_id
+ *               - file
+ *             properties:
+ *               mission_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The ID of the `FILE_UPLOAD` mission being completed.
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: The photo or document, up to 20 MB or the mission's lower limit.
+ *     responses:
+ *       202:
+ *         description: Submission accepted for review.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   format: uuid
+ *                   description: The ID of the new mission completion record.
+ *                 status:
+ *                   type: string
+ *                   example: PENDING_REVIEW
+ *                 file_url:
+ *                   type: string
+ *                   format: uri
+ *       400:
+ *         description: Bad request (e.g., invalid input, mission not correct type, file type not allowed).
+ *       403:
+ *         description: Forbidden (e.g., user not in campaign, rank too low).
+ *       404:
+ *         description: Mission not found.
+ *       409:
+ *         description: A submission for this mission is already approved or pending review.
+ *       413:
+ *         description: The file is larger than the mission allows (FILE_TOO_LARGE).
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const submitFileMission = async (req, res, next) => {
+    const { mission_id } = req.body;
+    const userId = req.user.userId;
+
+    if (!isUUID(String(mission_id))) {
+        const err = new Error('Invalid mission ID format.');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    if (!req.file) {
+        const err = new Error('No file uploaded. Please include a file in the "file" field.');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const mimeType = normalizeMimeType(req.file.mimetype);
+
+    const validationQuery = `
+        WITH mission_data AS (
+            SELECT
+                m.id, m.campaign_id, m.type,
+                COALESCE(r.priority, -1) as required_rank,
+                mfud.allowed_mime_types, mfud.max_file_size_bytes
+            FROM missions m
+            LEFT JOIN ranks r ON m.required_rank_id = r.id
+            LEFT JOIN mission_file_upload_details mfud ON m.id = mfud.mission_id
+            WHERE m.id = $1 AND m.deleted_at IS NULL
+        ),
+        user_data AS (
+            SELECT
+                COALESCE(r.priority, -1) as user_rank,
+                EXISTS(
+                    SELECT 1 FROM user_campaigns uc
+                    WHERE uc.user_id = $2 AND uc.campaign_id = (SELECT campaign_id FROM mission_data)
+                ) as is_campaign_participant
+            FROM users u
+            LEFT JOIN ranks r ON u.rank_id = r.id
+            WHERE u.id = $2
+        )
+        SELECT * FROM mission_data, user_data;
+    `;
+    const lastCompletionQuery = `
+        SELECT status FROM mission_completions
+        WHERE user_id = $1 AND mission_id = $2
+        ORDER BY created_at DESC LIMIT 1
+    `;
+
+    try {
+        // 1. Validate the mission, the user and the file before storing anything.
+        const { rows: validationRows } = await pool.query(validationQuery, [mission_id, userId]);
+
+        if (validationRows.length === 0) {
+            const err = new Error('Mission not found.');
+            err.statusCode = 404;
+            err.code = 'MISSION_NOT_FOUND';
+            return next(err);
+        }
+
+        const check = validationRows[0];
+
+        if (check.type !== 'FILE_UPLOAD' || check.allowed_mime_types === null) {
+            const err = new Error('This mission does not accept file submissions.');
+            err.statusCode = 400;
+            err.code = 'INVALID_MISSION_TYPE';
+            return next(err);
+        }
+
+        if (!check.is_campaign_participant) {
+            const err = new Error('You are not a participant in the campaign for this mission.');
+            err.statusCode = 403;
+            err.code = 'CAMPAIGN_NOT_JOINED';
+            return next(err);
+        }
+
+        // Check if required_rank is set and user's rank is lower
+        if (check.required_rank > -1 && check.user_rank < check.required_rank) {
+            const err = new Error('Your rank is too low to submit this mission.');
+            err.statusCode = 403;
+            err.code = 'RANK_INSUFFICIENT';
+            return next(err);
+        }
+
+        const { rows: lastRows } = await pool.query(lastCompletionQuery, [userId, mission_id]);
+        const lastStatus = lastRows[0]?.status;
+        if (lastStatus === 'APPROVED' || lastStatus === 'PENDING_REVIEW') {
+            const err = new Error(`You already have an ${lastStatus.toLowerCase()} submission for this mission.`);
+            err.statusCode = 409;
+            err.code = 'SUBMISSION_EXISTS';
+            return next(err);
+        }
+
+        if (!isMimeTypeAllowed(mimeType, check.allowed_mime_types)) {
+            const err = new Error(`Files of type ${mimeType} are not accepted. Allowed types: ${check.allowed_mime_types.join(', ')}.`);
+            err.statusCode = 400;
+            err.code = 'FILE_TYPE_NOT_ALLOWED';
+            return next(err);
+        }
+
+        if (req.file.size > check.max_file_size_bytes) {
+            const err = new Error(`The file is too large. The maximum size is ${(check.max_file_size_bytes / (1024 * 1024)).toFixed(1)} MB.`);
+            err.statusCode = 413;
+            err.code = 'FILE_TOO_LARGE';
+            return next(err);
+        }
+    } catch (err) {
+        return next(err);
+    }
+
+    // 2. Store the file outside of the transaction, so a slow upload holds no locks.
+    let resultData;
+    try {
+        resultData = await storeSubmissionFile(req.file, mission_id, mimeType);
+    } catch (err) {
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // 3. Lock the user row and re-check, so parallel submissions cannot both be recorded.
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        const { rows: lastRows } = await client.query(lastCompletionQuery, [userId, mission_id]);
+        const lastStatus = lastRows[0]?.status;
+        if (lastStatus === 'APPROVED' || lastStatus === 'PENDING_REVIEW') {
+            const err = new Error(`You already have an ${lastStatus.toLowerCase()} submission for this mission.`);
+            err.statusCode = 409;
+            err.code = 'SUBMISSION_EXISTS';
+            throw err;
+        }
+
+        const { rows: insertRows } = await client.query(
+            `INSERT INTO mission_completions (user_id, mission_id, status, result_data) VALUES ($1, $2, 'PENDING_REVIEW', $3) RETURNING id, status`,
+            [userId, mission_id, JSON.stringify(resultData)]
+        );
+
+        await client.query('COMMIT');
+
+        res.locals.statusCode = 202;
+        res.locals.data = {
+            ...insertRows[0],
+            file_url: resultData.file_url
+        };
+        res.locals.message = 'Submission accepted for review.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = [uploadSubmissionFile, submitFileMission];
@@ -2,7 +2,11 @@ const pool = require('@db');
 const { isUUID } = require('validator');
 const { checkAndAwardAchievements } = require('@features/achievementChecker');
 const { awardCompetencyPoints } = require('@features/competencyAwarder');
+const { rewardReferralOnFirstCompletion } = require('@features/campaignReferrals');
+const { publishCompletionEvent } = require('@features/campaignLiveFeed');
 const { sendTelegramMessage } = require('@features/sendTelegramMsg');
+const { validateAnswers, gradeQuiz, serveQuestions, toOriginalAnswers } = require('@features/quizEngine');
+const { SUBMIT_GRACE_SECONDS, requiresStart, lockAttempts, getAttemptStatus, assertCanAttempt } = require('@features/quizAttemptLimits');
 
 /**
  * @swagger
@@ -13,8 +17,12 @@ const { sendTelegramMessage } = require('@features/sendTelegramMsg');
  *     summary: Submit answers for a quiz mission
  *     description: |
  *       Submits answers for a mission of type `QUIZ`.
- *       The submission is graded instantly. If the user's score meets or exceeds the `pass_threshold`, the mission is marked as `APPROVED` and rewards are granted.
- *       If the user fails, no record is created, and they can try again.
+ *       The submission is graded instantly. The score is the weighted share of the credits of all questions (multiple-choice questions give partial credit).
+ *       If the user's score meets or exceeds the `pass_threshold`, the mission is marked as `APPROVED` and rewards are granted.
+ *       If the user fails, the attempt is recorded for the quiz analytics but no completion is created, and they can try again
+ *       within the quiz's attempt limit and after its cooldown.
+ *       Quizzes with a time limit or randomized questions must be started with `POST /telegram/completions/start-quiz`; the submission must carry its `attempt_token`
+ *       and, if timed, arrive before the attempt expires. A randomized attempt is graded on the questions it served only.
  *       A user cannot re-submit if they have already passed the quiz.
  *     security:
  *       - bearerAuth: []
@@ -32,21 +40,37 @@ const { sendTelegramMessage } = require('@features/sendTelegramMsg');
  *                 type: string
  *                 format: uuid
  *                 description: The ID of the `QUIZ` mission being completed.
+ *               attempt_token:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Required for timed and randomized quizzes. The token returned by the start-quiz endpoint.
  *               answers:
  *                 type: array
- *                 description: An array of the user's selected answers. The order must match the order of questions returned by the get mission endpoint.
+ *                 description: |
+ *                   One answer per question, in the shape of the question's `type`. The question and answer indexes match the order of the questions
+ *                   returned by the get mission endpoint, or by the start-quiz endpoint for a started attempt (randomized quizzes serve their own order).
  *                 items:
  *                   type: object
  *                   required:
  *                     - question_index
- *                     - answer_index
  *                   properties:
  *                     question_index:
  *                       type: integer
  *                       description: The 0-based index of the question.
  *                     answer_index:
  *                       type: integer
- *                       description: The 0-based index of the chosen answer for that question.
+ *                       description: SINGLE_CHOICE. The 0-based index of the chosen answer.
+ *                     answer_indexes:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       description: MULTIPLE_CHOICE. The 0-based indexes of all chosen answers.
+ *                     text:
+ *                       type: string
+ *                       description: TEXT. The typed answer, up to 1000 characters.
+ *                     value:
+ *                       type: number
+ *                       description: NUMBER. The entered number.
  *     responses:
  *       200:
  *         description: Quiz submission processed. The `passed` field in the response indicates the outcome.
@@ -59,6 +83,15 @@ const { sendTelegramMessage } = require('@features/sendTelegramMsg');
  *                   type: boolean
  *                 score:
  *                   type: number
+ *                 attempts_left:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Included only if the quiz was failed. Null if attempts are unlimited.
+ *                 next_attempt_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Included only if the quiz was failed. When the cooldown ends; null if the next attempt is allowed right away or no attempts are left.
  *                 rewards:
  *                   type: object
  *                   description: Included only if the quiz was passed.
@@ -70,31 +103,23 @@ const { sendTelegramMessage } = require('@features/sendTelegramMsg');
  *       400:
  *         description: Bad request (e.g., invalid input, mission not correct type).
  *       403:
- *         description: Forbidden (e.g., user not in campaign, rank too low).
+ *         description: Forbidden (e.g., user not in campaign, rank too low, all attempts used, time limit exceeded).
  *       404:
- *         description: Mission not found.
+ *         description: Mission or attempt not found.
  *       409:
- *         description: A submission for this mission has already been approved.
+ *         description: A submission for this mission has already been approved, or the attempt was already submitted.
+ *       429:
+ *         description: The cooldown since the previous attempt has not passed yet (QUIZ_COOLDOWN).
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-const validateSubmission = (answers) => {
-    if (!Array.isArray(answers)) return false;
-    for (const ans of answers) {
-        if (typeof ans.question_index !== 'number' || typeof ans.answer_index !== 'number') {
-            return false;
-        }
-    }
-    return true;
-};
-
 const submitQuizMission = async (req, res, next) => {
     const client = await pool.connect();
     try {
-        const { mission_id, answers } = req.body;
+        const { mission_id, answers, attempt_token } = req.body;
         const userId = req.user.userId;
 
-        if (!isUUID(mission_id) || !validateSubmission(answers)) {
+        if (!isUUID(mission_id) || !Array.isArray(answers)) {
             const err = new Error('Invalid mission ID or answers format.');
             err.statusCode = 400;
             err.code = 'VALIDATION_ERROR';
@@ -103,12 +128,16 @@ const submitQuizMission = async (req, res, next) => {
 
         await client.query('BEGIN');
 
+        // One submission at a time per user and quiz, so parallel requests cannot bypass the limits
+        await lockAttempts(client, userId, mission_id);
+
         const validationQuery = `
             WITH mission_data AS (
                 SELECT 
                     m.id, m.title, m.campaign_id, m.type, m.experience_reward, m.mana_reward, m.competency_rewards,
                     COALESCE(r.priority, -1) as required_rank,
-                    mqd.questions, mqd.pass_threshold
+                    mqd.questions, mqd.pass_threshold, mqd.max_attempts, mqd.cooldown_seconds, mqd.time_limit_seconds,
+                    mqd.questions_per_attempt, mqd.shuffle_questions, mqd.shuffle_answers
                 FROM missions m
                 LEFT JOIN ranks r ON m.required_rank_id = r.id
                 JOIN mission_quiz_details mqd ON m.id = mqd.mission_id
@@ -173,50 +202,115 @@ const submitQuizMission = async (req, res, next) => {
             throw err;
         }
 
-        const dbQuestions = check.questions;
-        if (answers.length !== dbQuestions.length) {
-            const err = new Error(`Submission must contain answers for all ${dbQuestions.length} questions.`);
+        // Timed and randomized quizzes: the limits were checked when the attempt was started; the start is consumed here.
+        // Other quizzes: the limits are checked on every submission.
+        const isStarted = requiresStart(check);
+        let startedAt = null;
+        let layout = null;
+        if (isStarted) {
+            if (!isUUID(String(attempt_token))) {
+                const err = new Error('This quiz must be started first. Start an attempt and submit its attempt_token.');
+                err.statusCode = 400;
+                err.code = 'VALIDATION_ERROR';
+                throw err;
+            }
+
+            const { rows: startRows } = await client.query(
+                `SELECT started_at, submitted_at, layout, NOW() > expires_at + make_interval(secs => $4) AS is_expired
+                 FROM quiz_attempt_starts
+                 WHERE id = $1 AND user_id = $2 AND mission_id = $3
+                 FOR UPDATE`,
+                [attempt_token, userId, mission_id, SUBMIT_GRACE_SECONDS]
+            );
+
+            if (startRows.length === 0) {
+                const err = new Error('Attempt not found.');
+                err.statusCode = 404;
+                err.code = 'ATTEMPT_NOT_FOUND';
+                throw err;
+            }
+            if (startRows[0].submitted_at) {
+                const err = new Error('This attempt has already been submitted.');
+                err.statusCode = 409;
+                err.code = 'ATTEMPT_ALREADY_SUBMITTED';
+                throw err;
+            }
+            // NULL for untimed starts
+            if (startRows[0].is_expired) {
+                const err = new Error('The time limit of this attempt has been exceeded.');
+                err.statusCode = 403;
+                err.code = 'QUIZ_TIME_EXPIRED';
+                throw err;
+            }
+
+            // The start time is kept for timed attempts only
+            startedAt = check.time_limit_seconds ? startRows[0].started_at : null;
+            layout = startRows[0].layout;
+        } else {
+            assertCanAttempt(await getAttemptStatus(client, userId, mission_id, check));
+        }
+
+        // The answers refer to the questions as served to this attempt; they are stored with the original indexes
+        const dbQuestions = serveQuestions(check.questions, layout);
+        const answersError = validateAnswers(dbQuestions, answers);
+        if (answersError) {
+            const err = new Error(answersError);
             err.statusCode = 400;
             err.code = 'VALIDATION_ERROR';
             throw err;
         }
 
-        let correctAnswers = 0;
-        for (const userAnswer of answers) {
-            const qIndex = userAnswer.question_index;
-            const aIndex = userAnswer.answer_index;
+        const { score, correctAnswers } = gradeQuiz(dbQuestions, answers);
+        const passed = score >= check.pass_threshold;
+        const originalAnswers = toOriginalAnswers(layout, answers);
 
-            if (dbQuestions[qIndex]?.answers[aIndex]?.is_correct) {
-                correctAnswers++;
-            }
+        if (isStarted) {
+            await client.query('UPDATE quiz_attempt_starts SET submitted_at = NOW() WHERE id = $1', [attempt_token]);
         }
 
-        const score = correctAnswers / dbQuestions.length;
-        const passed = score >= check.pass_threshold;
-
         if (passed) {
-            const resultData = { score, answers };
-            await client.query(
-                `INSERT INTO mission_completions (user_id, mission_id, status, result_data) VALUES ($1, $2, 'APPROVED', $3)`,
+            const resultData = { score, answers: originalAnswers };
+            const { rows: [completion] } = await client.query(
+                `INSERT INTO mission_completions (user_id, mission_id, status, result_data) VALUES ($1, $2, 'APPROVED', $3) RETURNING id`,
                 [userId, mission_id, JSON.stringify(resultData)]
             );
 
+            await client.query(
+                `INSERT INTO quiz_attempts (user_id, mission_id, completion_id, score, passed, answers, started_at) VALUES ($1, $2, $3, $4, true, $5, $6)`,
+                [userId, mission_id, completion.id, score, JSON.stringify(originalAnswers), startedAt]
+            );
+
             await client.query(
                 `UPDATE users SET experience_points = experience_points + $1, mana_points = mana_points + $2, updated_at = NOW() WHERE id = $3`,
                 [check.experience_reward, check.mana_reward, userId]
             );
+
+            // Show the completion on the campaign's live feed
+            await publishCompletionEvent(client, userId, mission_id);
             
             // Check for and award any achievements this completion might unlock
             await checkAndAwardAchievements(client, userId, mission_id);
 
             // Award competency points
-            await awardCompetencyPoints(client, userId, mission_id);
+            const competenciesGranted = await awardCompetencyPoints(client, userId, mission_id);
+
+            // Record what was granted, so a revocation takes back exactly this even if the mission is edited later
+            await client.query(
+                `UPDATE mission_completions SET experience_granted = $1, mana_granted = $2, competencies_granted = $3 WHERE id = $4`,
+                [check.experience_reward, check.mana_reward, JSON.stringify(competenciesGranted), completion.id]
+            );
+
+            // Reward the referral if this is the user's first approved mission in the campaign
+            const referralNotifications = await rewardReferralOnFirstCompletion(client, userId, mission_id);
 
             await client.query('COMMIT');
 
             // Send notification to user
             const notifyMessage = `✅ Квиз «${check.title}» пройден.`;
             sendTelegramMessage(check.tg_id, notifyMessage);
+            for (const notification of referralNotifications) {
+                sendTelegramMessage(notification.tgId, notification.message);
+            }
 
             res.locals.data = {
                 passed: true,
@@ -230,16 +324,28 @@ const submitQuizMission = async (req, res, next) => {
             res.locals.message = 'Квиз успешно пройден!';
             next();
         } else {
-            await client.query('ROLLBACK');
+            // Failed attempts create no completion, but are kept for the quiz analytics
+            await client.query(
+                `INSERT INTO quiz_attempts (user_id, mission_id, score, passed, answers, started_at) VALUES ($1, $2, $3, false, $4, $5)`,
+                [userId, mission_id, score, JSON.stringify(originalAnswers), startedAt]
+            );
+
+            const attemptStatus = await getAttemptStatus(client, userId, mission_id, check);
+
+            await client.query('COMMIT');
             
             res.locals.data = {
                 passed: false,
                 score: score,
                 total_questions: dbQuestions.length,
                 correct_answers: correctAnswers,
-                required_score: check.pass_threshold
+                required_score: check.pass_threshold,
+                attempts_left: attemptStatus.attempts_left,
+                next_attempt_at: attemptStatus.next_attempt_at
             };
-            res.locals.message = 'Квиз не пройден. Пожалуйста, попробуйте еще раз.';
+            res.locals.message = attemptStatus.attempts_left === 0
+                ? 'Квиз не пройден. Попытки закончились.'
+                : 'Квиз не пройден. Пожалуйста, попробуйте еще раз.';
             next();
         }
     } catch (err) {
@@ -9,6 +9,7 @@ const completionsRouter = require('./completions/index');
 const missionsRouter = require('./missions/index');
 const storeRouter = require('./store/index');
 const progressRouter = require('./progress/index');
+const leaderboardsRouter = require('./leaderboards/index');
 
 router.use('/auth', authRouter);
 router.use('/users', usersRouter);
@@ -17,5 +18,6 @@ router.use('/completions', completionsRouter);
 router.use('/missions', missionsRouter);
 router.use('/store', storeRouter);
 router.use('/progress', progressRouter);
+router.use('/leaderboards', leaderboardsRouter);
 
 module.exports = router;
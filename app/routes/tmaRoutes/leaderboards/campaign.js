@@ -0,0 +1,136 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { getCampaignLeaderboard, getCampaignPosition } = require('@features/leaderboards');
+
+/**
+ * @swagger
+ * /telegram/leaderboards/campaigns/{campaignId}:
+ *   get:
+ *     tags:
+ *       - Leaderboards (TMA)
+ *     summary: Get the leaderboard of a campaign
+ *     description: |
+ *       Ranks the active participants of a campaign by the experience they earned inside it and returns the authenticated user's own place.
+ *       Scores are recomputed every few minutes, so a just-approved mission may appear with a delay.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The ID of the campaign.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *         description: The page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *         description: The number of items per page.
+ *     responses:
+ *       200:
+ *         description: A page of the leaderboard and the user's own place.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/CampaignLeaderboardEntry'
+ *                           - type: object
+ *                             properties:
+ *                               is_me:
+ *                                 type: boolean
+ *                     me:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Null if the user's participation has been deactivated.
+ *                       properties:
+ *                         position:
+ *                           type: integer
+ *                           example: 4
+ *                         experience:
+ *                           type: integer
+ *                           example: 350
+ *                         missions_completed:
+ *                           type: integer
+ *                           example: 5
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Campaign not found or user is not a participant.
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getCampaign = async (req, res, next) => {
+    try {
+        const { campaignId } = req.params;
+        const userId = req.user.userId;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (!isUUID(campaignId)) {
+            const err = new Error('Invalid campaign ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+            const err = new Error('Invalid pagination parameters. Query parameters "page" (integer, >=1) and "limit" (integer, 1-100) are required.');
+            err.statusCode = 400;
+            err.code = 'INVALID_PAGINATION';
+            return next(err);
+        }
+
+        const participantCheck = await pool.query(
+            `SELECT 1
+             FROM campaigns c
+             JOIN user_campaigns uc ON c.id = uc.campaign_id
+             WHERE uc.user_id = $1 AND c.id = $2 AND c.deleted_at IS NULL`,
+            [userId, campaignId]
+        );
+
+        if (participantCheck.rowCount === 0) {
+            const err = new Error('Campaign not found or you are not a participant.');
+            err.statusCode = 404;
+            err.code = 'CAMPAIGN_NOT_FOUND_OR_NOT_JOINED';
+            return next(err);
+        }
+
+        const offset = (page - 1) * limit;
+        const [{ entries, total }, me] = await Promise.all([
+            getCampaignLeaderboard(pool, campaignId, { limit, offset }),
+            getCampaignPosition(pool, campaignId, userId)
+        ]);
+        const pages = Math.ceil(total / limit);
+
+        res.locals.data = {
+            entries: entries.map((entry) => ({ ...entry, is_me: entry.user_id === userId })),
+            me,
+        };
+        res.locals.meta = { pagination: { page, limit, total, pages } };
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getCampaign;
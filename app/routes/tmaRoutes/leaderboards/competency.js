@@ -0,0 +1,138 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { getCompetencyLeaderboard, getCompetencyPosition } = require('@features/leaderboards');
+
+/**
+ * @swagger
+ * /telegram/leaderboards/competencies/{competencyId}:
+ *   get:
+ *     tags:
+ *       - Leaderboards (TMA)
+ *     summary: Get the leaderboard of a competency
+ *     description: |
+ *       Ranks the users who have started a competency by level, then by progress towards the next level,
+ *       and returns the authenticated user's own place. Campaign competencies are only visible to participants of their campaign.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: competencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The ID of the competency.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *         description: The page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *         description: The number of items per page.
+ *     responses:
+ *       200:
+ *         description: A page of the leaderboard and the user's own place.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/CompetencyLeaderboardEntry'
+ *                           - type: object
+ *                             properties:
+ *                               is_me:
+ *                                 type: boolean
+ *                     me:
+ *                       type: object
+ *                       properties:
+ *                         position:
+ *                           type: integer
+ *                           nullable: true
+ *                           description: Null if the user has not started the competency yet.
+ *                           example: 12
+ *                         level:
+ *                           type: integer
+ *                           example: 2
+ *                         progress_points:
+ *                           type: integer
+ *                           example: 40
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Competency not found, or it belongs to a campaign the user has not joined.
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getCompetency = async (req, res, next) => {
+    try {
+        const { competencyId } = req.params;
+        const userId = req.user.userId;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (!isUUID(competencyId)) {
+            const err = new Error('Invalid competency ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+            const err = new Error('Invalid pagination parameters. Query parameters "page" (integer, >=1) and "limit" (integer, 1-100) are required.');
+            err.statusCode = 400;
+            err.code = 'INVALID_PAGINATION';
+            return next(err);
+        }
+
+        const competencyCheck = await pool.query(
+            `SELECT 1
+             FROM competencies c
+             WHERE c.id = $1 AND c.deleted_at IS NULL
+               AND (c.is_global = true OR EXISTS (
+                   SELECT 1 FROM user_campaigns uc WHERE uc.campaign_id = c.campaign_id AND uc.user_id = $2
+               ))`,
+            [competencyId, userId]
+        );
+
+        if (competencyCheck.rowCount === 0) {
+            const err = new Error(`Competency with ID ${competencyId} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const offset = (page - 1) * limit;
+        const [{ entries, total }, me] = await Promise.all([
+            getCompetencyLeaderboard(pool, competencyId, { limit, offset }),
+            getCompetencyPosition(pool, competencyId, userId)
+        ]);
+        const pages = Math.ceil(total / limit);
+
+        res.locals.data = {
+            entries: entries.map((entry) => ({ ...entry, is_me: entry.user_id === userId })),
+            me,
+        };
+        res.locals.meta = { pagination: { page, limit, total, pages } };
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getCompetency;
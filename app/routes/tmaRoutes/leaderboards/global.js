@@ -0,0 +1,96 @@
+const pool = require('@db');
+const { getGlobalLeaderboard, getGlobalPosition } = require('@features/leaderboards');
+
+/**
+ * @swagger
+ * /telegram/leaderboards/global:
+ *   get:
+ *     tags:
+ *       - Leaderboards (TMA)
+ *     summary: Get the global leaderboard
+ *     description: Ranks all users by their total experience and returns the authenticated user's own place.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *         description: The page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *         description: The number of items per page.
+ *     responses:
+ *       200:
+ *         description: A page of the leaderboard and the user's own place.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/GlobalLeaderboardEntry'
+ *                           - type: object
+ *                             properties:
+ *                               is_me:
+ *                                 type: boolean
+ *                     me:
+ *                       type: object
+ *                       properties:
+ *                         position:
+ *                           type: integer
+ *                           example: 42
+ *                         experience:
+ *                           type: integer
+ *                           example: 480
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getGlobal = async (req, res, next) => {
+    try {
+        const userId = req.user.userId;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+            const err = new Error('Invalid pagination parameters. Query parameters "page" (integer, >=1) and "limit" (integer, 1-100) are required.');
+            err.statusCode = 400;
+            err.code = 'INVALID_PAGINATION';
+            return next(err);
+        }
+
+        const offset = (page - 1) * limit;
+        const [{ entries, total }, me] = await Promise.all([
+            getGlobalLeaderboard(pool, { limit, offset }),
+            getGlobalPosition(pool, userId)
+        ]);
+        const pages = Math.ceil(total / limit);
+
+        res.locals.data = {
+            entries: entries.map((entry) => ({ ...entry, is_me: entry.user_id === userId })),
+            me,
+        };
+        res.locals.meta = { pagination: { page, limit, total, pages } };
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getGlobal;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateTmaJWT } = require('@middleware/authenticateTmaJWT');
+const getGlobalLeaderboard = require('./global');
+const getCampaignLeaderboard = require('./campaign');
+const getCompetencyLeaderboard = require('./competency');
+
+// This route corresponds to GET /telegram/leaderboards/global
+router.get('/global', authenticateTmaJWT, getGlobalLeaderboard);
+
+// This route corresponds to GET /telegram/leaderboards/campaigns/:campaignId
+router.get('/campaigns/:campaignId', authenticateTmaJWT, getCampaignLeaderboard);
+
+// This route corresponds to GET /telegram/leaderboards/competencies/:competencyId
+router.get('/competencies/:competencyId', authenticateTmaJWT, getCompetencyLeaderboard);
+
+module.exports = router;
@@ -2,8 +2,16 @@ const express = require('express');
 const router = express.Router();
 const { authenticateTmaJWT } = require('@middleware/authenticateTmaJWT');
 const listAvailableStoreItems = require('./listAvailable');
+const listUserOrders = require('./listOrders');
+const purchaseStoreItem = require('./purchase');
 
 // This route corresponds to GET /telegram/store/available
 router.get('/available', authenticateTmaJWT, listAvailableStoreItems);
 
+// This route corresponds to GET /telegram/store/orders
+router.get('/orders', authenticateTmaJWT, listUserOrders);
+
+// This route corresponds to POST /telegram/store/:id/purchase
+router.post('/:id/purchase', authenticateTmaJWT, purchaseStoreItem);
+
 module.exports = router;
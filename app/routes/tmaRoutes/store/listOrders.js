@@ -0,0 +1,88 @@
+const pool = require('@db');
+
+/**
+ * @swagger
+ * /telegram/store/orders:
+ *   get:
+ *     tags:
+ *       - Store (TMA)
+ *     summary: List the user's purchase history
+ *     description: Retrieves all orders placed by the authenticated user, newest first, together with the purchased item's details.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of the user's orders.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Order'
+ *                       - type: object
+ *                         properties:
+ *                           item_name:
+ *                             type: string
+ *                           item_description:
+ *                             type: string
+ *                             nullable: true
+ *                           item_image_url:
+ *                             type: string
+ *                             format: uri
+ *                             nullable: true
+ *                           campaign_id:
+ *                             type: string
+ *                             format: uuid
+ *                             nullable: true
+ *                 message:
+ *                   type: string
+ *                   example: "Order history retrieved successfully."
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const listUserOrders = async (req, res, next) => {
+    try {
+        const userId = req.user.userId;
+
+        const query = `
+            SELECT
+                o.id,
+                o.user_id,
+                o.item_id,
+                o.points_spent,
+                o.status,
+                o.created_at,
+                o.updated_at,
+                si.name as item_name,
+                si.description as item_description,
+                si.image_url as item_image_url,
+                si.campaign_id
+            FROM
+                orders o
+            JOIN
+                store_items si ON o.item_id = si.id
+            WHERE
+                o.user_id = $1
+            ORDER BY
+                o.created_at DESC
+        `;
+
+        const { rows } = await pool.query(query, [userId]);
+
+        res.locals.data = rows;
+        res.locals.message = 'Order history retrieved successfully.';
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = listUserOrders;
@@ -0,0 +1,168 @@
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /telegram/store/{id}/purchase:
+ *   post:
+ *     tags:
+ *       - Store (TMA)
+ *     summary: Purchase a store item
+ *     description: |
+ *       Buys one unit of a store item for the authenticated user.
+ *       The item must be active and either global or belong to an active campaign the user has joined.
+ *       In a single transaction the item's cost is deducted from the user's `mana_points`, the item's `quantity`
+ *       is decremented (unless it is unlimited) and a new order is created.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the store item to purchase.
+ *     responses:
+ *       201:
+ *         description: Purchase completed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/Order'
+ *                     mana_points:
+ *                       type: integer
+ *                       description: The user's mana balance after the purchase.
+ *                 message:
+ *                   type: string
+ *                   example: "Purchase completed successfully."
+ *       400:
+ *         description: Bad request (e.g., invalid ID or not enough mana).
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Store item not found or not available to the user.
+ *       409:
+ *         description: The store item is out of stock.
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const purchaseStoreItem = async (req, res, next) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    if (!isUUID(id)) {
+        const err = new Error('Invalid store item ID format');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // 1. Lock the item row so concurrent purchases cannot oversell the stock.
+        const itemQuery = `
+            SELECT si.id, si.name, si.cost, si.quantity
+            FROM store_items si
+            WHERE
+                si.id = $1
+                AND si.deleted_at IS NULL
+                AND si.is_active = true
+                AND (
+                    si.is_global = true
+                    OR si.campaign_id IN (
+                        SELECT uc.campaign_id
+                        FROM user_campaigns uc
+                        JOIN campaigns c ON uc.campaign_id = c.id
+                        WHERE uc.user_id = $2 AND c.status = 'ACTIVE' AND c.deleted_at IS NULL
+                    )
+                )
+            FOR UPDATE OF si
+        `;
+        const { rows: itemRows } = await client.query(itemQuery, [id, userId]);
+
+        if (itemRows.length === 0) {
+            const err = new Error('Store item not found or is not available to you.');
+            err.statusCode = 404;
+            err.code = 'ITEM_NOT_FOUND';
+            throw err;
+        }
+
+        const item = itemRows[0];
+
+        if (item.quantity !== null && item.quantity <= 0) {
+            const err = new Error('This item is out of stock.');
+            err.statusCode = 409;
+            err.code = 'OUT_OF_STOCK';
+            throw err;
+        }
+
+        // 2. Lock the user row and check the balance.
+        const { rows: userRows } = await client.query(
+            'SELECT mana_points FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+            [userId]
+        );
+
+        if (userRows.length === 0) {
+            const err = new Error('User not found');
+            err.statusCode = 404;
+            err.code = 'USER_NOT_FOUND';
+            throw err;
+        }
+
+        if (userRows[0].mana_points < item.cost) {
+            const err = new Error('Not enough mana to purchase this item.');
+            err.statusCode = 400;
+            err.code = 'INSUFFICIENT_MANA';
+            throw err;
+        }
+
+        // 3. Deduct mana, decrement stock and record the order.
+        const { rows: updatedUserRows } = await client.query(
+            'UPDATE users SET mana_points = mana_points - $1, updated_at = NOW() WHERE id = $2 RETURNING mana_points',
+            [item.cost, userId]
+        );
+
+        if (item.quantity !== null) {
+            await client.query(
+                'UPDATE store_items SET quantity = quantity - 1, updated_at = NOW() WHERE id = $1',
+                [item.id]
+            );
+        }
+
+        const { rows: orderRows } = await client.query(
+            `INSERT INTO orders (user_id, item_id, points_spent)
+             VALUES ($1, $2, $3)
+             RETURNING *`,
+            [userId, item.id, item.cost]
+        );
+
+        await client.query('COMMIT');
+
+        res.locals.data = {
+            order: orderRows[0],
+            mana_points: updatedUserRows[0].mana_points
+        };
+        res.locals.statusCode = 201;
+        res.locals.message = 'Purchase completed successfully.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = purchaseStoreItem;
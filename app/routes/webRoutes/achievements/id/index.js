@@ -1,6 +1,8 @@
 // app/routes/webRoutes/achievements/id/index.js
 const express = require('express');
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 // Import handlers for /achievements/:id
 const getAchievement = require('./get');
@@ -10,10 +12,10 @@ const missionRouter = require('./mission');
 const uploadImageHandler = require('./uploadImage');
 
 // Define routes for /achievements/:id
-router.get('/', getAchievement);
-router.put('/', updateAchievement);
-router.delete('/', deleteAchievement);
-router.post('/image', uploadImageHandler);
+router.get('/', authorize('achievements:read'), authorizeCampaign('VIEWER', campaignFrom.achievement('id')), getAchievement);
+router.put('/', authorize('achievements:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.achievement('id')), updateAchievement);
+router.delete('/', authorize('achievements:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.achievement('id')), deleteAchievement);
+router.post('/image', authorize('achievements:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.achievement('id')), uploadImageHandler);
 
 // Mount the sub-router for mission-related actions
 router.use('/mission', missionRouter);
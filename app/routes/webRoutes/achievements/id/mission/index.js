@@ -1,11 +1,13 @@
 // app/routes/webRoutes/achievements/id/mission/index.js
 const express = require('express');
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 const attachToMission = require('./attach');
 const detachFromMission = require('./detach');
 
-router.post('/attach', attachToMission);
-router.post('/detach', detachFromMission);
+router.post('/attach', authorize('achievements:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.achievement('id')), attachToMission);
+router.post('/detach', authorize('achievements:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.achievement('id')), detachFromMission);
 
 module.exports = router;
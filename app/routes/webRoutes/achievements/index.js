@@ -2,6 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateJWT } = require('@middleware/authenticateJWT');
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 // Authentication middleware for all achievement routes
 router.use(authenticateJWT);
@@ -61,8 +63,8 @@ const listAchievements = require('./list');
 const createAchievement = require('./post');
 const idRouter = require('./id');
 
-router.get('/', listAchievements);
-router.post('/', createAchievement);
+router.get('/', authorize('achievements:read'), authorizeCampaign('VIEWER', campaignFrom.query('campaign_id')), listAchievements);
+router.post('/', authorize('achievements:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.body('campaign_id')), createAchievement);
 
 // Mount sub-routers
 router.use('/:id', idRouter);
@@ -1,6 +1,7 @@
 // app/routes/webRoutes/achievements/ui/index.js
 const express = require('express');
 const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
 
 const listMinimalAchievements = require('./listMinimal');
 
@@ -47,6 +48,6 @@ const listMinimalAchievements = require('./listMinimal');
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.get('/list-minimal', listMinimalAchievements);
+router.get('/list-minimal', authorize('achievements:read'), listMinimalAchievements);
 
 module.exports = router;
@@ -0,0 +1,123 @@
+const pool = require('@db');
+const { hashPassword, verifyPassword, validatePassword, generateAccessToken, generateRefreshToken } = require('@services/authService');
+const { createRefreshToken, revokeOwnerTokens } = require('@services/refreshTokenService');
+
+/**
+ * @swagger
+ * /web/auth/password:
+ *   put:
+ *     tags:
+ *       - Auth (Web)
+ *     summary: Change own password
+ *     description: >
+ *       Changes the password of the logged-in manager. All existing sessions are revoked
+ *       and a fresh access and refresh token pair is returned for the current client.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - current_password
+ *               - new_password
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *                 format: password
+ *               new_password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     access:
+ *                       type: string
+ *                     refresh:
+ *                       type: string
+ *                 message:
+ *                   type: string
+ *                   example: "Password changed successfully"
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+const changePassword = async (req, res, next) => {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+        const err = new Error('current_password and new_password are required');
+        err.statusCode = 400;
+        err.code = 'MISSING_FIELDS';
+        return next(err);
+    }
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+        const err = new Error(passwordError);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(
+            'SELECT id, email, full_name, role, password, password_salt FROM managers WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+            [req.user.userId]
+        );
+
+        if (rows.length === 0 || !verifyPassword(current_password, rows[0].password, rows[0].password_salt)) {
+            const err = new Error('Current password is incorrect');
+            err.statusCode = 401;
+            err.code = 'INVALID_CREDENTIALS';
+            throw err;
+        }
+
+        const manager = rows[0];
+        const { salt, hash } = hashPassword(new_password);
+
+        await client.query(
+            'UPDATE managers SET password = $1, password_salt = $2, updated_at = NOW() WHERE id = $3',
+            [hash, salt, manager.id]
+        );
+        await revokeOwnerTokens(client, 'MANAGER', manager.id);
+        const session = await createRefreshToken(client, 'MANAGER', manager.id);
+
+        await client.query('COMMIT');
+
+        res.locals.data = {
+            access: generateAccessToken(manager),
+            refresh: generateRefreshToken(manager, session)
+        };
+        res.locals.message = 'Password changed successfully';
+        next();
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = changePassword;
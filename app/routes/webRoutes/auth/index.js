@@ -7,10 +7,16 @@ const { authenticateJWT } = require('@middleware/authenticateJWT');
 const loginUser = require('./login');
 const getCurrentUser = require('./me');
 const refreshTokens = require('./refresh');
+const logoutUser = require('./logout');
+const changePassword = require('./changePassword');
+const resetPassword = require('./resetPassword');
 
 // Define routes
 router.post('/login', loginUser);
 router.get('/me', authenticateJWT, getCurrentUser);
 router.post('/refresh', refreshTokens);
+router.post('/logout', logoutUser);
+router.put('/password', authenticateJWT, changePassword);
+router.post('/password/reset', resetPassword);
 
 module.exports = router;
@@ -1,5 +1,6 @@
 const pool = require('@db');
 const { verifyPassword, generateAccessToken, generateRefreshToken } = require('@services/authService');
+const { createRefreshToken } = require('@services/refreshTokenService');
 
 /**
  * @swagger
@@ -89,7 +90,8 @@ const loginUser = async (req, res, next) => {
         }
 
         const accessToken = generateAccessToken(manager);
-        const refreshToken = generateRefreshToken(manager);
+        const session = await createRefreshToken(pool, 'MANAGER', manager.id);
+        const refreshToken = generateRefreshToken(manager, session);
 
         res.locals.data = {
             access: accessToken,
@@ -0,0 +1,57 @@
+const pool = require('@db');
+const { verifyRefreshToken, revokeTokenFamily } = require('@services/refreshTokenService');
+
+/**
+ * @swagger
+ * /web/auth/logout:
+ *   post:
+ *     tags:
+ *       - Auth (Web)
+ *     summary: Logout manager
+ *     description: Revokes the session of the given refresh token. The refresh token and all tokens rotated from it stop working; already issued access tokens remain valid until they expire.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh
+ *             properties:
+ *               refresh:
+ *                 type: string
+ *                 description: The refresh token of the session to end
+ *     responses:
+ *       204:
+ *         description: Session revoked successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+const logoutUser = async (req, res, next) => {
+    try {
+        const { refresh } = req.body;
+
+        if (!refresh) {
+            const err = new Error('Refresh token is required');
+            err.statusCode = 400;
+            err.code = 'MISSING_TOKEN';
+            return next(err);
+        }
+
+        // Expired tokens can still end their session
+        const decoded = await verifyRefreshToken(refresh, { ignoreExpiration: true });
+        await revokeTokenFamily(pool, decoded.fam);
+
+        res.locals.statusCode = 204;
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = logoutUser;
@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
 const pool = require('@db');
 const { generateAccessToken, generateRefreshToken } = require('@services/authService');
+const { verifyRefreshToken, rotateRefreshToken } = require('@services/refreshTokenService');
 
 /**
  * @swagger
@@ -9,7 +9,10 @@ const { generateAccessToken, generateRefreshToken } = require('@services/authSer
  *     tags:
  *       - Auth (Web)
  *     summary: Refresh manager tokens
- *     description: Refresh access and refresh tokens using a valid refresh token
+ *     description: |
+ *       Exchanges a refresh token for a new access and refresh token pair. Refresh tokens are single-use:
+ *       the presented token is invalidated and replaced (rotation). Presenting an already used refresh token
+ *       is treated as token theft and revokes the whole session (`TOKEN_REUSED`). Access tokens are rejected.
  *     requestBody:
  *       required: true
  *       content:
@@ -66,17 +69,7 @@ const refreshTokens = async (req, res, next) => {
             return next(err);
         }
 
-        const decoded = await new Promise((resolve, reject) => {
-            jwt.verify(refresh, process.env.JWT_SECRET, (err, decoded) => {
-                if (err) {
-                    const error = new Error('Invalid or expired refresh token');
-                    error.statusCode = 401;
-                    error.code = 'INVALID_TOKEN';
-                    return reject(error);
-                }
-                resolve(decoded);
-            });
-        });
+        const decoded = await verifyRefreshToken(refresh);
 
         const { rows } = await pool.query(
             'SELECT id, email, full_name, role FROM managers WHERE id = $1 AND deleted_at IS NULL',
@@ -91,8 +84,9 @@ const refreshTokens = async (req, res, next) => {
         }
 
         const manager = rows[0];
+        const session = await rotateRefreshToken('MANAGER', decoded);
         const accessToken = generateAccessToken(manager);
-        const refreshToken = generateRefreshToken(manager);
+        const refreshToken = generateRefreshToken(manager, session);
 
         res.locals.data = {
             access: accessToken,
@@ -0,0 +1,104 @@
+const pool = require('@db');
+const { hashPassword, validatePassword, hashResetToken } = require('@services/authService');
+const { revokeOwnerTokens } = require('@services/refreshTokenService');
+
+/**
+ * @swagger
+ * /web/auth/password/reset:
+ *   post:
+ *     tags:
+ *       - Auth (Web)
+ *     summary: Reset password with a one-time token
+ *     description: >
+ *       Sets a new password using a reset token issued by an administrator (`POST /admin/managers/{id}/password-reset`).
+ *       The token can be used only once and expires after 24 hours. All existing sessions of the manager are revoked;
+ *       log in with the new password afterwards.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - new_password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *     responses:
+ *       204:
+ *         description: Password reset successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+const resetPassword = async (req, res, next) => {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+        const err = new Error('token and new_password are required');
+        err.statusCode = 400;
+        err.code = 'MISSING_FIELDS';
+        return next(err);
+    }
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+        const err = new Error(passwordError);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Lock the token so it cannot be redeemed twice concurrently
+        const { rows } = await client.query(
+            `SELECT pr.id, pr.manager_id
+             FROM manager_password_resets pr
+             JOIN managers mg ON pr.manager_id = mg.id
+             WHERE pr.token_hash = $1 AND pr.used_at IS NULL AND pr.expires_at > NOW() AND mg.deleted_at IS NULL
+             FOR UPDATE OF pr`,
+            [hashResetToken(String(token))]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error('Invalid or expired reset token');
+            err.statusCode = 401;
+            err.code = 'INVALID_RESET_TOKEN';
+            throw err;
+        }
+
+        const { id: resetId, manager_id: managerId } = rows[0];
+        const { salt, hash } = hashPassword(new_password);
+
+        await client.query(
+            'UPDATE managers SET password = $1, password_salt = $2, updated_at = NOW() WHERE id = $3',
+            [hash, salt, managerId]
+        );
+        await client.query('UPDATE manager_password_resets SET used_at = NOW() WHERE id = $1', [resetId]);
+        await revokeOwnerTokens(client, 'MANAGER', managerId);
+
+        await client.query('COMMIT');
+
+        res.locals.statusCode = 204;
+        next();
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = resetPassword;
@@ -0,0 +1,120 @@
+// app/routes/webRoutes/campaignTemplates/fromCampaign.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { snapshotCampaign } = require('@features/campaignTemplates');
+
+/**
+ * @swagger
+ * /web/campaign-templates/from-campaign/{campaignId}:
+ *   post:
+ *     tags:
+ *       - Campaign Templates
+ *     summary: Save a campaign as a template
+ *     description: |
+ *       Snapshots an existing campaign into a new template: missions of all types with their type-specific details,
+ *       achievements (with `unlock_conditions` remapped to local mission references), campaign-specific competencies
+ *       and campaign store items. Participants, completions, orders, dates and codes are not copied.
+ *       Requires at least the CO_ORGANIZER role in the campaign.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign to snapshot.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the campaign title.
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               is_public:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Template created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CampaignTemplate'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const createTemplateFromCampaign = async (req, res, next) => {
+    try {
+        const { campaignId } = req.params;
+        const { name, description, is_public = false } = req.body || {};
+
+        if (!isUUID(campaignId)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+            const err = new Error('Name cannot be empty');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        if (typeof is_public !== 'boolean') {
+            const err = new Error('is_public must be a boolean.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        const templateData = await snapshotCampaign(pool, campaignId);
+
+        const { rows } = await pool.query(
+            `INSERT INTO campaign_templates (name, description, template_data, is_public, created_by)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [
+                name ? name.trim() : templateData.campaign.title,
+                description !== undefined ? description : templateData.campaign.description,
+                JSON.stringify(templateData),
+                is_public,
+                req.user.userId
+            ]
+        );
+
+        res.locals.data = rows[0];
+        res.locals.statusCode = 201;
+        res.locals.message = `Template created with ${templateData.missions.length} missions and ${templateData.achievements.length} achievements.`;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = createTemplateFromCampaign;
@@ -0,0 +1,64 @@
+// app/routes/webRoutes/campaignTemplates/id/delete.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { getTemplateForManager } = require('@features/campaignTemplates');
+
+/**
+ * @swagger
+ * /web/campaign-templates/{id}:
+ *   delete:
+ *     tags:
+ *       - Campaign Templates
+ *     summary: Delete a campaign template
+ *     description: Soft-deletes a template. Campaigns created from it are not affected. Only the creator of the template or a global ADMIN can delete it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the template.
+ *     responses:
+ *       204:
+ *         description: Template deleted successfully.
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const deleteTemplate = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        await getTemplateForManager(pool, req.user, id, { forWrite: true });
+
+        await pool.query(
+            'UPDATE campaign_templates SET deleted_at = NOW(), updated_at = NOW() WHERE id = $1',
+            [id]
+        );
+
+        res.locals.statusCode = 204;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = deleteTemplate;
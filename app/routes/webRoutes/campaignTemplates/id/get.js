@@ -0,0 +1,68 @@
+// app/routes/webRoutes/campaignTemplates/id/get.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { getTemplateForManager } = require('@features/campaignTemplates');
+
+/**
+ * @swagger
+ * /web/campaign-templates/{id}:
+ *   get:
+ *     tags:
+ *       - Campaign Templates
+ *     summary: Get a campaign template
+ *     description: Retrieve a template including its full `template_data`. Private templates are only visible to their creator and global ADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the template.
+ *     responses:
+ *       200:
+ *         description: The template.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CampaignTemplate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getTemplate = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const { deleted_at, ...template } = await getTemplateForManager(pool, req.user, id);
+
+        res.locals.data = template;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getTemplate;
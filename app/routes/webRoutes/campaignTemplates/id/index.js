@@ -0,0 +1,19 @@
+// app/routes/webRoutes/campaignTemplates/id/index.js
+const express = require('express');
+// MANDATORY: mergeParams allows access to :id from the parent router
+const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+
+// Import handlers
+const getTemplate = require('./get');
+const updateTemplate = require('./update');
+const deleteTemplate = require('./delete');
+const instantiateTemplate = require('./instantiate');
+
+// Define routes for /campaign-templates/:id
+router.get('/', authorize('templates:read'), getTemplate);
+router.put('/', authorize('templates:write'), updateTemplate);
+router.delete('/', authorize('templates:write'), deleteTemplate);
+router.post('/instantiate', authorize('campaigns:write'), instantiateTemplate);
+
+module.exports = router;
@@ -0,0 +1,149 @@
+// app/routes/webRoutes/campaignTemplates/id/instantiate.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { getTemplateForManager, validateTemplateData, instantiateTemplate } = require('@features/campaignTemplates');
+
+/**
+ * @swagger
+ * /web/campaign-templates/{id}/instantiate:
+ *   post:
+ *     tags:
+ *       - Campaign Templates
+ *     summary: Create a campaign from a template
+ *     description: |
+ *       Creates a new campaign in DRAFT status with all missions, achievements, campaign competencies and store items of the template.
+ *       The campaign gets a new activation code and QR code, QR missions get new completion codes and QR codes,
+ *       and the current manager becomes the campaign OWNER. Fields in the request body override the template values.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the template.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the campaign title stored in the template.
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               start_date:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               end_date:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               max_participants:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Campaign created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Campaign'
+ *                     - type: object
+ *                       properties:
+ *                         created_from_template:
+ *                           type: object
+ *                           properties:
+ *                             template_id: { type: string, format: uuid }
+ *                             missions: { type: integer }
+ *                             achievements: { type: integer }
+ *                             competencies: { type: integer }
+ *                             store_items: { type: integer }
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const instantiateCampaignTemplate = async (req, res, next) => {
+    const { id } = req.params;
+    const { title, description, start_date, end_date, max_participants } = req.body || {};
+
+    if (!isUUID(id)) {
+        const err = new Error('Invalid ID format');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || title.trim() === '')) {
+        const err = new Error('Title cannot be empty');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        const template = await getTemplateForManager(client, req.user, id);
+
+        // Templates saved before validation existed may be malformed.
+        const templateError = validateTemplateData(template.template_data);
+        if (templateError) {
+            const err = new Error(`The template cannot be used: ${templateError}`);
+            err.statusCode = 400;
+            err.code = 'INVALID_TEMPLATE_DATA';
+            return next(err);
+        }
+
+        await client.query('BEGIN');
+
+        const { campaign, counts } = await instantiateTemplate(client, template.template_data, {
+            createdBy: req.user.userId,
+            overrides: {
+                title: title ? title.trim() : undefined,
+                description,
+                start_date,
+                end_date,
+                max_participants
+            }
+        });
+
+        await client.query('COMMIT');
+
+        res.locals.data = {
+            ...campaign,
+            created_from_template: { template_id: id, ...counts }
+        };
+        res.locals.statusCode = 201;
+        res.locals.message = 'Campaign created from template successfully.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = instantiateCampaignTemplate;
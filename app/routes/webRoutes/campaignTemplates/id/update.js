@@ -0,0 +1,141 @@
+// app/routes/webRoutes/campaignTemplates/id/update.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { getTemplateForManager, validateTemplateData } = require('@features/campaignTemplates');
+
+/**
+ * @swagger
+ * /web/campaign-templates/{id}:
+ *   put:
+ *     tags:
+ *       - Campaign Templates
+ *     summary: Update a campaign template
+ *     description: Updates a template. Only include the fields you want to change. Only the creator of the template or a global ADMIN can update it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the template.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               is_public:
+ *                 type: boolean
+ *               template_data:
+ *                 $ref: '#/components/schemas/CampaignTemplateData'
+ *     responses:
+ *       200:
+ *         description: Template updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CampaignTemplate'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const updateTemplate = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const body = req.body;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (body.name !== undefined && (typeof body.name !== 'string' || body.name.trim() === '')) {
+            const err = new Error('Name cannot be empty');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        if (body.is_public !== undefined && typeof body.is_public !== 'boolean') {
+            const err = new Error('is_public must be a boolean.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        if (body.template_data !== undefined) {
+            const templateError = validateTemplateData(body.template_data);
+            if (templateError) {
+                const err = new Error(templateError);
+                err.statusCode = 400;
+                err.code = 'INVALID_TEMPLATE_DATA';
+                return next(err);
+            }
+        }
+
+        const allowedFields = ['name', 'description', 'is_public', 'template_data'];
+        const updates = {};
+        for (const key of allowedFields) {
+            if (body[key] !== undefined) updates[key] = body[key];
+        }
+
+        if (Object.keys(updates).length === 0) {
+            const err = new Error('At least one field to update must be provided.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        await getTemplateForManager(pool, req.user, id, { forWrite: true });
+
+        if (updates.name) updates.name = updates.name.trim();
+        if (updates.template_data) updates.template_data = JSON.stringify(updates.template_data);
+
+        const setClauses = Object.keys(updates).map((key, i) => `${key} = $${i + 1}`).join(', ');
+        const queryParams = [...Object.values(updates), id];
+
+        const { rows } = await pool.query(
+            `UPDATE campaign_templates
+             SET ${setClauses}, updated_at = NOW()
+             WHERE id = $${queryParams.length} AND deleted_at IS NULL
+             RETURNING *`,
+            queryParams
+        );
+
+        const { deleted_at, ...template } = rows[0];
+
+        res.locals.data = template;
+        res.locals.message = 'Template updated successfully.';
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = updateTemplate;
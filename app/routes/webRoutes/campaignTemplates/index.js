@@ -0,0 +1,145 @@
+// app/routes/webRoutes/campaignTemplates/index.js
+const express = require('express');
+const router = express.Router();
+const { authenticateJWT } = require('@middleware/authenticateJWT');
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Authentication middleware for all campaign template routes
+router.use(authenticateJWT);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           description: Name of the template for admin identification.
+ *           example: "Летняя стажировка"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         is_public:
+ *           type: boolean
+ *           description: Whether other managers can see and use the template.
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *         template_data:
+ *           $ref: '#/components/schemas/CampaignTemplateData'
+ *     CampaignTemplateData:
+ *       type: object
+ *       description: |
+ *         Self-contained campaign definition. Objects reference each other by local `ref` strings instead of database IDs:
+ *         missions use `required_achievement_ref` and `competency_rewards[].competency_ref`, achievements list mission refs in
+ *         `unlock_conditions.required_missions`. Global competencies and artifacts are referenced by their UUIDs.
+ *       required:
+ *         - version
+ *         - campaign
+ *       properties:
+ *         version:
+ *           type: integer
+ *           example: 1
+ *         campaign:
+ *           type: object
+ *           properties:
+ *             title: { type: string }
+ *             description: { type: string, nullable: true }
+ *             max_participants: { type: integer, nullable: true }
+ *             metadata: { type: object, nullable: true }
+ *             cover_url: { type: string, nullable: true }
+ *             icon_url: { type: string, nullable: true }
+ *         competencies:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               ref: { type: string, example: "competency_1" }
+ *               name: { type: string }
+ *               description: { type: string, nullable: true }
+ *         missions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               ref: { type: string, example: "mission_1" }
+ *               type:
+ *                 $ref: '#/components/schemas/MissionType'
+ *               title: { type: string }
+ *               description: { type: string, nullable: true }
+ *               category: { type: string }
+ *               cover_url: { type: string, nullable: true }
+ *               experience_reward: { type: integer }
+ *               mana_reward: { type: integer }
+ *               competency_rewards:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     competency_ref: { type: string }
+ *                     competency_id: { type: string, format: uuid }
+ *                     points: { type: integer }
+ *               awarded_artifact_id: { type: string, format: uuid, nullable: true }
+ *               required_achievement_ref: { type: string, nullable: true }
+ *               details:
+ *                 type: object
+ *                 nullable: true
+ *                 description: The type-specific settings (quiz questions, submission prompt, AI check settings). Null for QR_CODE missions.
+ *         achievements:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               ref: { type: string, example: "achievement_1" }
+ *               name: { type: string }
+ *               description: { type: string, nullable: true }
+ *               image_url: { type: string, nullable: true }
+ *               unlock_conditions:
+ *                 type: object
+ *                 properties:
+ *                   required_missions:
+ *                     type: array
+ *                     items: { type: string, example: "mission_1" }
+ *               experience_reward: { type: integer }
+ *               mana_reward: { type: integer }
+ *               awarded_artifact_id: { type: string, format: uuid, nullable: true }
+ *         store_items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               description: { type: string, nullable: true }
+ *               image_url: { type: string, nullable: true }
+ *               cost: { type: integer }
+ *               quantity: { type: integer, nullable: true }
+ *               is_active: { type: boolean }
+ */
+
+// Import route handlers
+const listTemplates = require('./list');
+const createTemplate = require('./post');
+const createTemplateFromCampaign = require('./fromCampaign');
+const idRouter = require('./id');
+
+// Define routes
+router.get('/', authorize('templates:read'), listTemplates);
+router.post('/', authorize('templates:write'), createTemplate);
+router.post('/from-campaign/:campaignId', authorize('templates:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('campaignId')), createTemplateFromCampaign);
+
+// Mount the router for specific template IDs
+router.use('/:id', idRouter);
+
+module.exports = router;
@@ -0,0 +1,144 @@
+// app/routes/webRoutes/campaignTemplates/list.js
+const pool = require('@db');
+
+/**
+ * @swagger
+ * /web/campaign-templates:
+ *   get:
+ *     tags:
+ *       - Campaign Templates
+ *     summary: List campaign templates
+ *     description: |
+ *       Retrieve a paginated list of the templates the manager can use: their own templates and all public ones
+ *       (global ADMINs see every template). `template_data` is omitted; the counts of contained objects are returned instead.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: The page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: The number of items per page (max 100).
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only return templates created by the current manager.
+ *     responses:
+ *       200:
+ *         description: A paginated list of templates.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string, format: uuid }
+ *                       name: { type: string }
+ *                       description: { type: string, nullable: true }
+ *                       is_public: { type: boolean }
+ *                       created_by: { type: string, format: uuid }
+ *                       created_by_name: { type: string, nullable: true }
+ *                       missions_count: { type: integer }
+ *                       achievements_count: { type: integer }
+ *                       created_at: { type: string, format: date-time }
+ *                       updated_at: { type: string, format: date-time }
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const listTemplates = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+            const err = new Error('Invalid pagination parameters. Query parameters "page" (integer, >=1) and "limit" (integer, 1-100) are required.');
+            err.statusCode = 400;
+            err.code = 'INVALID_PAGINATION';
+            return next(err);
+        }
+
+        const conditions = ['ct.deleted_at IS NULL'];
+        const queryParams = [];
+
+        if (req.query.mine === 'true') {
+            queryParams.push(req.user.userId);
+            conditions.push(`ct.created_by = $${queryParams.length}`);
+        } else if (req.user.role !== 'ADMIN') {
+            queryParams.push(req.user.userId);
+            conditions.push(`(ct.is_public = true OR ct.created_by = $${queryParams.length})`);
+        }
+
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+        const offset = (page - 1) * limit;
+
+        const countPromise = pool.query(
+            `SELECT COUNT(*) FROM campaign_templates ct ${whereClause}`,
+            queryParams
+        );
+        const dataPromise = pool.query(
+            `SELECT
+                ct.id, ct.name, ct.description, ct.is_public, ct.created_by,
+                mg.full_name AS created_by_name,
+                COALESCE(jsonb_array_length(ct.template_data -> 'missions'), 0) AS missions_count,
+                COALESCE(jsonb_array_length(ct.template_data -> 'achievements'), 0) AS achievements_count,
+                ct.created_at, ct.updated_at
+             FROM campaign_templates ct
+             LEFT JOIN managers mg ON ct.created_by = mg.id
+             ${whereClause}
+             ORDER BY ct.updated_at DESC
+             LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+            [...queryParams, limit, offset]
+        );
+
+        const [countResult, dataResult] = await Promise.all([countPromise, dataPromise]);
+
+        const total = parseInt(countResult.rows[0].count, 10);
+        const pages = Math.ceil(total / limit);
+
+        res.locals.data = dataResult.rows;
+        res.locals.meta = {
+            pagination: {
+                page,
+                limit,
+                total,
+                pages
+            }
+        };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = listTemplates;
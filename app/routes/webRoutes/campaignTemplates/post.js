@@ -0,0 +1,101 @@
+// app/routes/webRoutes/campaignTemplates/post.js
+const pool = require('@db');
+const { validateTemplateData } = require('@features/campaignTemplates');
+
+/**
+ * @swagger
+ * /web/campaign-templates:
+ *   post:
+ *     tags:
+ *       - Campaign Templates
+ *     summary: Create a campaign template
+ *     description: Creates a template from a hand-written `template_data` definition. To capture an existing campaign, use `POST /web/campaign-templates/from-campaign/{campaignId}`.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - template_data
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               is_public:
+ *                 type: boolean
+ *                 default: false
+ *               template_data:
+ *                 $ref: '#/components/schemas/CampaignTemplateData'
+ *     responses:
+ *       201:
+ *         description: Template created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CampaignTemplate'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const createTemplate = async (req, res, next) => {
+    try {
+        const { name, description, is_public = false, template_data } = req.body;
+
+        if (!name || typeof name !== 'string' || name.trim() === '') {
+            const err = new Error('Name is required and cannot be empty');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        if (typeof is_public !== 'boolean') {
+            const err = new Error('is_public must be a boolean.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        const templateError = validateTemplateData(template_data);
+        if (templateError) {
+            const err = new Error(templateError);
+            err.statusCode = 400;
+            err.code = 'INVALID_TEMPLATE_DATA';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            `INSERT INTO campaign_templates (name, description, template_data, is_public, created_by)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [name.trim(), description || null, JSON.stringify(template_data), is_public, req.user.userId]
+        );
+
+        res.locals.data = rows[0];
+        res.locals.statusCode = 201;
+        res.locals.message = 'Template created successfully.';
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = createTemplate;
@@ -0,0 +1,236 @@
+// app/routes/webRoutes/campaigns/id/analytics.js
+const pool = require('@db');
+const { isUUID, isDate } = require('validator');
+const { MAX_RANGE_DAYS, getCampaignAnalytics } = require('@features/campaignAnalytics');
+
+const DATE_FORMAT = { format: 'YYYY-MM-DD', strictMode: true };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shifts a YYYY-MM-DD day by a number of days.
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+
+// The number of days from `from` to `to`, both inclusive.
+const countDays = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignAnalytics:
+ *       type: object
+ *       properties:
+ *         range:
+ *           type: object
+ *           properties:
+ *             from: { type: string, format: date, example: "2025-10-01" }
+ *             to: { type: string, format: date, example: "2025-10-21" }
+ *         joins_per_day:
+ *           type: array
+ *           description: One entry per day of the range, including days without joins.
+ *           items:
+ *             type: object
+ *             properties:
+ *               date: { type: string, format: date }
+ *               joins: { type: integer }
+ *         completions_per_mission_per_day:
+ *           type: array
+ *           description: Approved completions of every mission, one series entry per day of the range. Missions are in funnel order.
+ *           items:
+ *             type: object
+ *             properties:
+ *               mission_id: { type: string, format: uuid }
+ *               title: { type: string }
+ *               series:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     date: { type: string, format: date }
+ *                     completions: { type: integer }
+ *         funnel:
+ *           type: array
+ *           description: |
+ *             Step 0 is the users who joined; the next steps are the missions ordered by their prerequisite chain
+ *             (missions without a required achievement first, then the missions each achievement unlocks), then by creation date.
+ *           items:
+ *             type: object
+ *             properties:
+ *               step: { type: integer }
+ *               mission_id: { type: string, format: uuid, nullable: true }
+ *               title: { type: string }
+ *               depth:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: How many prerequisite missions come before this one in the longest chain.
+ *               users:
+ *                 type: integer
+ *                 description: Users who joined (step 0) or had the mission approved in the range.
+ *               conversion_from_previous: { type: number, nullable: true, example: 0.62 }
+ *               drop_off_from_previous: { type: integer, nullable: true }
+ *         quizzes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               mission_id: { type: string, format: uuid }
+ *               title: { type: string }
+ *               pass_threshold: { type: number, example: 0.8 }
+ *               attempts: { type: integer }
+ *               passed: { type: integer, description: Attempts that passed. }
+ *               pass_rate:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Share of the attempts in the range that passed. See /web/missions/type-quiz/{id}/analytics for the per-question breakdown.
+ *               average_score:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Average score (0-1) of all attempts.
+ *         moderation:
+ *           type: object
+ *           properties:
+ *             reviewed:
+ *               type: integer
+ *               description: Completions approved or rejected by a moderator in the range.
+ *             median_seconds:
+ *               type: integer
+ *               nullable: true
+ *               description: Median time between submission and review.
+ *             pending:
+ *               type: integer
+ *               description: Completions waiting for review right now.
+ *         mana:
+ *           type: object
+ *           properties:
+ *             earned:
+ *               type: object
+ *               properties:
+ *                 missions: { type: integer }
+ *                 achievements: { type: integer }
+ *                 referrals: { type: integer }
+ *                 total: { type: integer }
+ *             spent:
+ *               type: object
+ *               description: Orders of the campaign's store items, cancelled orders excluded.
+ *               properties:
+ *                 orders: { type: integer }
+ *                 total: { type: integer }
+ *             net:
+ *               type: integer
+ *               description: Earned minus spent.
+ *
+ * /web/campaigns/{id}/analytics:
+ *   get:
+ *     tags:
+ *       - Campaigns
+ *     summary: Get the analytics of a campaign
+ *     description: |
+ *       Returns joins per day, completions per mission per day, the drop-off funnel between missions, quiz results,
+ *       the median moderation time and the mana earned vs. spent. Every metric counts what happened between `from` and `to`.
+ *       The range covers at most 366 days; a missing bound is chosen so the range stays within that limit.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date }
+ *         description: First day (inclusive), YYYY-MM-DD. Defaults to the day the campaign was created, but at most 366 days before `to`.
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date }
+ *         description: Last day (inclusive), YYYY-MM-DD. Defaults to today, but at most 366 days after `from`.
+ *     responses:
+ *       200:
+ *         description: The analytics of the campaign.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data: { $ref: '#/components/schemas/CampaignAnalytics' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getAnalytics = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { from, to } = req.query;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if ((from !== undefined && !isDate(String(from), DATE_FORMAT)) || (to !== undefined && !isDate(String(to), DATE_FORMAT))) {
+            const err = new Error('Query parameters "from" and "to" must be dates in the YYYY-MM-DD format.');
+            err.statusCode = 400;
+            err.code = 'INVALID_QUERY_PARAM';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            `SELECT to_char(created_at, 'YYYY-MM-DD') AS created_on, to_char(CURRENT_DATE, 'YYYY-MM-DD') AS today
+             FROM campaigns
+             WHERE id = $1 AND deleted_at IS NULL`,
+            [id]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error(`Campaign with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        // A missing bound is clamped so the default range never exceeds MAX_RANGE_DAYS.
+        const range = { from, to };
+        if (!range.to) {
+            const latestTo = from ? addDays(from, MAX_RANGE_DAYS - 1) : rows[0].today;
+            range.to = latestTo < rows[0].today ? latestTo : rows[0].today;
+        }
+        if (!range.from) {
+            const earliestFrom = addDays(range.to, -(MAX_RANGE_DAYS - 1));
+            range.from = earliestFrom > rows[0].created_on ? earliestFrom : rows[0].created_on;
+        }
+
+        // YYYY-MM-DD strings compare like dates.
+        if (range.from > range.to) {
+            const err = new Error('"from" must not be after "to".');
+            err.statusCode = 400;
+            err.code = 'INVALID_QUERY_PARAM';
+            return next(err);
+        }
+
+        if (countDays(range.from, range.to) > MAX_RANGE_DAYS) {
+            const err = new Error(`The range from "from" to "to" must not be longer than ${MAX_RANGE_DAYS} days.`);
+            err.statusCode = 400;
+            err.code = 'INVALID_QUERY_PARAM';
+            return next(err);
+        }
+
+        res.locals.data = await getCampaignAnalytics(pool, id, range);
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getAnalytics;
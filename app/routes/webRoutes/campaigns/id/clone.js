@@ -0,0 +1,168 @@
+// app/routes/webRoutes/campaigns/id/clone.js
+const pool = require('@db');
+const { isUUID, isISO8601 } = require('validator');
+const { snapshotCampaign, instantiateTemplate } = require('@features/campaignTemplates');
+
+const isDateOrNull = (value) => value === undefined || value === null || (typeof value === 'string' && isISO8601(value, { strict: true }));
+
+const validateCampaignOverrides = ({ start_date, end_date, max_participants }) => {
+    if (!isDateOrNull(start_date) || !isDateOrNull(end_date)) {
+        return 'start_date and end_date must be ISO 8601 dates or null.';
+    }
+    if (start_date && end_date && new Date(end_date) < new Date(start_date)) {
+        return 'end_date must not be before start_date.';
+    }
+    if (max_participants !== undefined && max_participants !== null && !(Number.isInteger(max_participants) && max_participants > 0)) {
+        return 'max_participants must be a positive integer or null for no limit.';
+    }
+    return null; // All good
+};
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/clone:
+ *   post:
+ *     tags:
+ *       - Campaigns
+ *     summary: Clone a campaign
+ *     description: |
+ *       Creates a deep copy of a campaign for a recurring event. The copy starts in DRAFT status with a new activation code and QR code
+ *       and contains all missions with their type-specific details (QR missions get new completion codes and QR codes),
+ *       achievements with `unlock_conditions.required_missions` and mission `required_achievement_id` links remapped to the new IDs,
+ *       campaign-specific competencies and campaign store items. Participants, completions and orders are not copied.
+ *       The current manager becomes the OWNER of the copy. Requires at least the CO_ORGANIZER role in the source campaign.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign to clone.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the source title with the suffix " (копия)".
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               start_date:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               end_date:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Must not be before `start_date`.
+ *               max_participants:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Campaign cloned successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Campaign'
+ *                     - type: object
+ *                       properties:
+ *                         cloned_from:
+ *                           type: object
+ *                           properties:
+ *                             campaign_id: { type: string, format: uuid }
+ *                             missions: { type: integer }
+ *                             achievements: { type: integer }
+ *                             competencies: { type: integer }
+ *                             store_items: { type: integer }
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const cloneCampaign = async (req, res, next) => {
+    const { id } = req.params;
+    const { title, description, start_date, end_date, max_participants } = req.body || {};
+
+    if (!isUUID(id)) {
+        const err = new Error('Invalid ID format');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || title.trim() === '')) {
+        const err = new Error('Title cannot be empty');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const overridesError = validateCampaignOverrides({ start_date, end_date, max_participants });
+    if (overridesError) {
+        const err = new Error(overridesError);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // The copy is built from an in-memory snapshot, so it follows exactly the same rules as templates.
+        const snapshot = await snapshotCampaign(client, id);
+
+        const { campaign, counts } = await instantiateTemplate(client, snapshot, {
+            createdBy: req.user.userId,
+            overrides: {
+                title: title ? title.trim() : `${snapshot.campaign.title} (копия)`,
+                description,
+                start_date,
+                end_date,
+                max_participants
+            }
+        });
+
+        await client.query('COMMIT');
+
+        res.locals.data = {
+            ...campaign,
+            cloned_from: { campaign_id: id, ...counts }
+        };
+        res.locals.statusCode = 201;
+        res.locals.message = 'Campaign cloned successfully.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = cloneCampaign;
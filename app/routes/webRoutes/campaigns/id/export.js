@@ -0,0 +1,123 @@
+// app/routes/webRoutes/campaigns/id/export.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { EXPORT_TYPES, EXPORT_FORMATS, getExportColumns, streamCampaignExport } = require('@features/campaignExports');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/exports/{type}:
+ *   get:
+ *     tags:
+ *       - Campaigns
+ *     summary: Download a campaign report as CSV or XLSX
+ *     description: |
+ *       Streams a report of the campaign as a file download. Rows are read and written in batches, so large campaigns
+ *       are never loaded into memory at once.
+ *       - `participants`: name, username, joined_at, active flag, join source, XP, mana and rank title of every participant.
+ *       - `completions`: one row per participant and one column per mission, with the status of the participant's latest submission.
+ *       - `achievements`: one row per achievement of the campaign earned by a user, with the award date.
+ *       - `competencies`: the level and progress points of every participant in the global and the campaign's competencies.
+ *
+ *       CSV files are UTF-8 with a BOM, so Excel opens them correctly; cells that start with `=`, `+`, `-` or `@` are prefixed with `'`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [participants, completions, achievements, competencies]
+ *         description: The report to download.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: The file format.
+ *     responses:
+ *       200:
+ *         description: The report file.
+ *         headers:
+ *           Content-Disposition:
+ *             schema: { type: string, example: 'attachment; filename="campaign-3fa85f64-5717-4562-b3fc-2c963f66afa6-participants.xlsx"' }
+ *         content:
+ *           text/csv:
+ *             schema: { type: string }
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema: { type: string, format: binary }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const exportCampaign = async (req, res, next) => {
+    try {
+        const { id, type } = req.params;
+        const format = req.query.format === undefined ? 'csv' : String(req.query.format).toLowerCase();
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!EXPORT_TYPES.includes(type)) {
+            const err = new Error(`Unknown export "${type}". Available exports: ${EXPORT_TYPES.join(', ')}.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            const err = new Error(`Query parameter "format" must be one of: ${EXPORT_FORMATS.join(', ')}.`);
+            err.statusCode = 400;
+            err.code = 'INVALID_QUERY_PARAM';
+            return next(err);
+        }
+
+        const campaignResult = await pool.query('SELECT id FROM campaigns WHERE id = $1 AND deleted_at IS NULL', [id]);
+
+        if (campaignResult.rows.length === 0) {
+            const err = new Error(`Campaign with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        // Everything that can fail with a regular error response happens before the first byte is sent.
+        const columns = await getExportColumns(pool, type, id);
+
+        await streamCampaignExport(req, res, {
+            type,
+            format,
+            campaignId: id,
+            columns,
+            fileName: `campaign-${id}-${type}`,
+        });
+
+    } catch (err) {
+        if (res.headersSent) {
+            console.error('[CampaignExports] Export failed after the download started:', err);
+            return res.destroy(err);
+        }
+        next(err);
+    }
+};
+
+module.exports = exportCampaign;
@@ -48,6 +48,10 @@ const { isUUID } = require('validator');
  *                               type: integer
  *                               description: The total number of participants who have joined the campaign.
  *                               example: 25
+ *                             waitlist_count:
+ *                               type: integer
+ *                               description: The number of users waiting for a place in the campaign.
+ *                               example: 3
  *                             participants_completed_one_mission:
  *                               type: integer
  *                               description: The number of participants who have completed at least one mission.
@@ -84,7 +88,7 @@ const { isUUID } = require('validator');
  *                                 type: string
  *                               type:
  *                                 type: string
- *                                 enum: [MANUAL_URL, QUIZ, QR_CODE, AI_CHECK]
+ *                                 enum: [MANUAL_URL, QUIZ, QR_CODE, AI_CHECK, FILE_UPLOAD]
  *                               experience_reward:
  *                                 type: integer
  *                               mana_reward:
@@ -151,6 +155,7 @@ const getCampaign = async (req, res, next) => {
         const statsPromise = pool.query(
             `SELECT
                 (SELECT COUNT(*)::INTEGER FROM user_campaigns uc WHERE uc.campaign_id = $1 AND uc.is_active = true) as participants_joined,
+                (SELECT COUNT(*)::INTEGER FROM campaign_waitlist w WHERE w.campaign_id = $1) as waitlist_count,
                 (
                     SELECT COUNT(DISTINCT mc.user_id)::INTEGER
                     FROM mission_completions mc
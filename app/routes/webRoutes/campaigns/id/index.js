@@ -1,6 +1,8 @@
 // app/routes/webRoutes/campaigns/id/index.js
 const express = require('express');
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 // Import handlers for /campaigns/:id
 const getCampaign = require('./get');
@@ -8,12 +10,38 @@ const updateCampaign = require('./update');
 const deleteCampaign = require('./delete');
 const uploadCoverHandler = require('./uploadCover');
 const uploadIconHandler = require('./uploadIcon');
+const cloneCampaign = require('./clone');
+const getCampaignStatusHistory = require('./statusHistory');
+const getCampaignAnalytics = require('./analytics');
+const exportCampaign = require('./export');
+const managersRouter = require('./managers');
+const participantsRouter = require('./participants');
+const waitlistRouter = require('./waitlist');
+const inviteCodesRouter = require('./inviteCodes');
+const liveFeedRouter = require('./liveFeed');
 
 // Define routes for /campaigns/:id
-router.get('/', getCampaign);
-router.put('/', updateCampaign);
-router.delete('/', deleteCampaign);
-router.post('/cover', uploadCoverHandler);
-router.post('/icon', uploadIconHandler);
+router.get('/', authorize('campaigns:read'), authorizeCampaign('VIEWER', campaignFrom.param('id')), getCampaign);
+router.put('/', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), updateCampaign);
+router.delete('/', authorize('campaigns:delete'), authorizeCampaign('OWNER', campaignFrom.param('id')), deleteCampaign);
+router.post('/cover', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), uploadCoverHandler);
+router.post('/icon', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), uploadIconHandler);
+router.get('/status-history', authorize('campaigns:read'), authorizeCampaign('VIEWER', campaignFrom.param('id')), getCampaignStatusHistory);
+router.get('/analytics', authorize('campaigns:read'), authorizeCampaign('VIEWER', campaignFrom.param('id')), getCampaignAnalytics);
+router.get('/exports/:type', authorize('campaigns:read'), authorizeCampaign('VIEWER', campaignFrom.param('id')), exportCampaign);
+router.post('/clone', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), cloneCampaign);
+
+// Mount sub-router for campaign access management
+router.use('/managers', managersRouter);
+
+// Mount sub-routers for participants and the waitlist
+router.use('/participants', participantsRouter);
+router.use('/waitlist', waitlistRouter);
+
+// Mount sub-router for named invite codes
+router.use('/invite-codes', inviteCodesRouter);
+
+// Mount sub-router for the public live feed of event screens
+router.use('/live-feed', liveFeedRouter);
 
 module.exports = router;
@@ -0,0 +1,77 @@
+// app/routes/webRoutes/campaigns/id/inviteCodes/delete.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/invite-codes/{codeId}:
+ *   delete:
+ *     tags:
+ *       - Campaigns
+ *     summary: Delete an invite code
+ *     description: Soft-deletes an invite code so it can no longer be used. Joins made with it stay in the join report.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: path
+ *         name: codeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the invite code.
+ *     responses:
+ *       204:
+ *         description: Invite code deleted successfully.
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const deleteInviteCode = async (req, res, next) => {
+    try {
+        const { id: campaignId, codeId } = req.params;
+
+        if (!isUUID(campaignId) || !isUUID(codeId)) {
+            const err = new Error('Invalid campaign or invite code ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const { rowCount } = await pool.query(
+            `UPDATE campaign_invite_codes
+             SET deleted_at = NOW(), is_active = false, updated_at = NOW()
+             WHERE id = $1 AND campaign_id = $2 AND deleted_at IS NULL`,
+            [codeId, campaignId]
+        );
+
+        if (rowCount === 0) {
+            const err = new Error(`Invite code with ID ${codeId} not found in this campaign.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        res.locals.statusCode = 204;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = deleteInviteCode;
@@ -0,0 +1,108 @@
+// app/routes/webRoutes/campaigns/id/inviteCodes/index.js
+const express = require('express');
+// MANDATORY: mergeParams allows access to :id from the parent router
+const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignInviteCode:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         campaign_id:
+ *           type: string
+ *           format: uuid
+ *         code:
+ *           type: string
+ *           description: 6-digit code. Works everywhere the campaign's activation code does.
+ *           example: "482913"
+ *         name:
+ *           type: string
+ *           description: Source label shown in the join report.
+ *           example: "МГУ, факультет ВМК"
+ *         qr_url:
+ *           type: string
+ *           nullable: true
+ *           description: URL of the QR code image for this invite code.
+ *         joining_link:
+ *           type: string
+ *           nullable: true
+ *           description: "The Telegram deep link for this invite code. Null if BOT_USERNAME is not configured."
+ *           example: "https://t.me/my_awesome_tg_bot?start=join_482913"
+ *         max_uses:
+ *           type: integer
+ *           nullable: true
+ *           description: How many users may join with this code. Null for unlimited.
+ *         uses_count:
+ *           type: integer
+ *           description: How many users have joined (or been put on the waitlist) with this code.
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     CampaignJoinSourceReport:
+ *       type: object
+ *       properties:
+ *         source:
+ *           type: string
+ *           enum: [activation_code, invite_code]
+ *           description: "`activation_code` covers joins with the campaign's own code, including joins made before invite codes existed."
+ *         invite_code_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         code:
+ *           type: string
+ *         is_deleted:
+ *           type: boolean
+ *           description: Deleted invite codes are still reported if users joined with them.
+ *         joined:
+ *           type: integer
+ *           description: Users who joined with this source.
+ *         active:
+ *           type: integer
+ *           description: Of those, users who are still active in the campaign.
+ *         completed_one_mission:
+ *           type: integer
+ *           description: Of those, users with at least one approved mission in the campaign.
+ *         waitlisted:
+ *           type: integer
+ *           description: Users currently on the waitlist who came through this source.
+ */
+
+// Import handlers
+const listInviteCodes = require('./list');
+const createInviteCode = require('./post');
+const getInviteCodeReport = require('./report');
+const updateInviteCode = require('./update');
+const deleteInviteCode = require('./delete');
+
+// Define routes for /campaigns/:id/invite-codes
+router.get('/', authorize('campaigns:read'), authorizeCampaign('VIEWER', campaignFrom.param('id')), listInviteCodes);
+router.post('/', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), createInviteCode);
+router.get('/report', authorize('campaigns:read'), authorizeCampaign('VIEWER', campaignFrom.param('id')), getInviteCodeReport);
+router.patch('/:codeId', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), updateInviteCode);
+router.delete('/:codeId', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), deleteInviteCode);
+
+module.exports = router;
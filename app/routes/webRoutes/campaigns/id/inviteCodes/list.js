@@ -0,0 +1,87 @@
+// app/routes/webRoutes/campaigns/id/inviteCodes/list.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/invite-codes:
+ *   get:
+ *     tags:
+ *       - Campaigns
+ *     summary: List the invite codes of a campaign
+ *     description: Returns every invite code of the campaign, oldest first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *     responses:
+ *       200:
+ *         description: The invite codes of the campaign.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CampaignInviteCode'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const listInviteCodes = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const campaignCheck = await pool.query('SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL', [id]);
+        if (campaignCheck.rowCount === 0) {
+            const err = new Error(`Campaign with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            `SELECT id, campaign_id, code, name, qr_url, max_uses, uses_count, expires_at, is_active, created_by, created_at, updated_at
+             FROM campaign_invite_codes
+             WHERE campaign_id = $1 AND deleted_at IS NULL
+             ORDER BY created_at ASC`,
+            [id]
+        );
+
+        const botUsername = process.env.BOT_USERNAME;
+        res.locals.data = rows.map((inviteCode) => ({
+            ...inviteCode,
+            joining_link: botUsername ? `https://t.me/${botUsername}?start=join_${inviteCode.code}` : null,
+        }));
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = listInviteCodes;
@@ -0,0 +1,143 @@
+// app/routes/webRoutes/campaigns/id/inviteCodes/post.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { generateCampaignQRCode } = require('@features/useMinioBucket');
+const { generateUniqueJoinCode } = require('@features/campaignInviteCodes');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/invite-codes:
+ *   post:
+ *     tags:
+ *       - Campaigns
+ *     summary: Create an invite code
+ *     description: |
+ *       Creates a named invite code for the campaign with its own QR code, e.g. one per university or per poster.
+ *       Users join with it exactly like with the campaign's activation code, and the invite code is recorded as the source of the join.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Постер в холле"
+ *               max_uses:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: How many users may join with this code. Omit or null for unlimited.
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: The code cannot be used after this moment. Must be in the future.
+ *     responses:
+ *       201:
+ *         description: Invite code created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CampaignInviteCode'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const createInviteCode = async (req, res, next) => {
+    try {
+        const { id: campaignId } = req.params;
+        const { name, max_uses = null, expires_at = null } = req.body;
+
+        if (!isUUID(campaignId)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!name || typeof name !== 'string' || name.trim() === '' || name.trim().length > 255) {
+            const err = new Error('Name is required and must be at most 255 characters.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        if (max_uses !== null && (!Number.isInteger(max_uses) || max_uses < 1)) {
+            const err = new Error('max_uses, if provided, must be a positive integer.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        if (expires_at !== null && (isNaN(new Date(expires_at).getTime()) || new Date(expires_at) <= new Date())) {
+            const err = new Error('expires_at, if provided, must be a valid date in the future.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        const campaignCheck = await pool.query('SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL', [campaignId]);
+        if (campaignCheck.rowCount === 0) {
+            const err = new Error(`Campaign with ID ${campaignId} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const code = await generateUniqueJoinCode(pool);
+        const { url: qrUrl } = await generateCampaignQRCode(code);
+
+        const { rows } = await pool.query(
+            `INSERT INTO campaign_invite_codes (campaign_id, code, name, qr_url, max_uses, expires_at, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING id, campaign_id, code, name, qr_url, max_uses, uses_count, expires_at, is_active, created_by, created_at, updated_at`,
+            [campaignId, code, name.trim(), qrUrl, max_uses, expires_at, req.user.userId]
+        );
+
+        const botUsername = process.env.BOT_USERNAME;
+        res.locals.data = {
+            ...rows[0],
+            joining_link: botUsername ? `https://t.me/${botUsername}?start=join_${code}` : null,
+        };
+        res.locals.statusCode = 201;
+        res.locals.message = 'Invite code created successfully.';
+        next();
+
+    } catch (err) {
+        if (err.code === '23505') {
+            const conflictError = new Error('A database conflict occurred. Please try again.');
+            conflictError.statusCode = 409;
+            conflictError.code = 'DB_CONFLICT';
+            return next(conflictError);
+        }
+        next(err);
+    }
+};
+
+module.exports = createInviteCode;
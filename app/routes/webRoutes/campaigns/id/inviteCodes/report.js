@@ -0,0 +1,126 @@
+// app/routes/webRoutes/campaigns/id/inviteCodes/report.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/invite-codes/report:
+ *   get:
+ *     tags:
+ *       - Campaigns
+ *     summary: Get the per-source join report
+ *     description: |
+ *       Returns how many users joined the campaign through each source: the campaign's own activation code and every invite code
+ *       (including deleted ones). For each source it also shows how many of those users are still active, how many completed
+ *       at least one mission and how many are currently on the waitlist.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *     responses:
+ *       200:
+ *         description: The join report. The activation code comes first, then the invite codes in the order they were created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CampaignJoinSourceReport'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getInviteCodeReport = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const campaignCheck = await pool.query('SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL', [id]);
+        if (campaignCheck.rowCount === 0) {
+            const err = new Error(`Campaign with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        // Joins without an invite code (including those made before invite codes existed) belong to the activation code.
+        const { rows } = await pool.query(
+            `WITH sources AS (
+                SELECT NULL::text AS invite_code_id, NULL AS name, c.activation_code AS code, false AS is_deleted, c.created_at, 0 AS sort_group
+                FROM campaigns c
+                WHERE c.id = $1
+                UNION ALL
+                SELECT ic.id::text, ic.name, ic.code, ic.deleted_at IS NOT NULL, ic.created_at, 1
+                FROM campaign_invite_codes ic
+                WHERE ic.campaign_id = $1
+             ), joins AS (
+                SELECT
+                    uc.join_metadata ->> 'invite_code_id' AS invite_code_id,
+                    COUNT(*)::INTEGER AS joined,
+                    (COUNT(*) FILTER (WHERE uc.is_active))::INTEGER AS active,
+                    (COUNT(*) FILTER (WHERE EXISTS (
+                        SELECT 1
+                        FROM mission_completions mc
+                        JOIN missions m ON mc.mission_id = m.id
+                        WHERE mc.user_id = uc.user_id AND m.campaign_id = $1 AND mc.status = 'APPROVED'
+                    )))::INTEGER AS completed_one_mission
+                FROM user_campaigns uc
+                WHERE uc.campaign_id = $1
+                GROUP BY 1
+             ), waiting AS (
+                SELECT w.join_metadata ->> 'invite_code_id' AS invite_code_id, COUNT(*)::INTEGER AS waitlisted
+                FROM campaign_waitlist w
+                WHERE w.campaign_id = $1
+                GROUP BY 1
+             )
+             SELECT
+                CASE WHEN s.invite_code_id IS NULL THEN 'activation_code' ELSE 'invite_code' END AS source,
+                s.invite_code_id,
+                s.name,
+                s.code,
+                s.is_deleted,
+                COALESCE(j.joined, 0) AS joined,
+                COALESCE(j.active, 0) AS active,
+                COALESCE(j.completed_one_mission, 0) AS completed_one_mission,
+                COALESCE(w.waitlisted, 0) AS waitlisted
+             FROM sources s
+             LEFT JOIN joins j ON j.invite_code_id IS NOT DISTINCT FROM s.invite_code_id
+             LEFT JOIN waiting w ON w.invite_code_id IS NOT DISTINCT FROM s.invite_code_id
+             WHERE NOT s.is_deleted OR j.joined > 0 OR w.waitlisted > 0
+             ORDER BY s.sort_group ASC, s.created_at ASC`,
+            [id]
+        );
+
+        res.locals.data = rows;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getInviteCodeReport;
@@ -0,0 +1,168 @@
+// app/routes/webRoutes/campaigns/id/inviteCodes/update.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/invite-codes/{codeId}:
+ *   patch:
+ *     tags:
+ *       - Campaigns
+ *     summary: Update an invite code
+ *     description: Changes the name, usage limit, expiry or active state of an invite code. The code itself and its QR code cannot be changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: path
+ *         name: codeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the invite code.
+ *     requestBody:
+ *       required: true
+ *       description: At least one field must be provided.
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               max_uses:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Invite code updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CampaignInviteCode'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const updateInviteCode = async (req, res, next) => {
+    try {
+        const { id: campaignId, codeId } = req.params;
+        const { name, max_uses, expires_at, is_active } = req.body;
+
+        if (!isUUID(campaignId) || !isUUID(codeId)) {
+            const err = new Error('Invalid campaign or invite code ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const updateFields = [];
+        const queryParams = [];
+        let paramIndex = 1;
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || name.trim() === '' || name.trim().length > 255) {
+                const err = new Error('Name must be a non-empty string of at most 255 characters.');
+                err.statusCode = 400;
+                err.code = 'VALIDATION_ERROR';
+                return next(err);
+            }
+            updateFields.push(`name = $${paramIndex++}`);
+            queryParams.push(name.trim());
+        }
+        if (max_uses !== undefined) {
+            if (max_uses !== null && (!Number.isInteger(max_uses) || max_uses < 1)) {
+                const err = new Error('max_uses must be a positive integer or null.');
+                err.statusCode = 400;
+                err.code = 'VALIDATION_ERROR';
+                return next(err);
+            }
+            updateFields.push(`max_uses = $${paramIndex++}`);
+            queryParams.push(max_uses);
+        }
+        if (expires_at !== undefined) {
+            if (expires_at !== null && isNaN(new Date(expires_at).getTime())) {
+                const err = new Error('expires_at must be a valid date or null.');
+                err.statusCode = 400;
+                err.code = 'VALIDATION_ERROR';
+                return next(err);
+            }
+            updateFields.push(`expires_at = $${paramIndex++}`);
+            queryParams.push(expires_at);
+        }
+        if (is_active !== undefined) {
+            if (typeof is_active !== 'boolean') {
+                const err = new Error('is_active, if provided, must be a boolean.');
+                err.statusCode = 400;
+                err.code = 'VALIDATION_ERROR';
+                return next(err);
+            }
+            updateFields.push(`is_active = $${paramIndex++}`);
+            queryParams.push(is_active);
+        }
+
+        if (updateFields.length === 0) {
+            const err = new Error('At least one field to update must be provided.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        updateFields.push('updated_at = NOW()');
+        queryParams.push(codeId, campaignId);
+
+        const { rows } = await pool.query(
+            `UPDATE campaign_invite_codes
+             SET ${updateFields.join(', ')}
+             WHERE id = $${paramIndex} AND campaign_id = $${paramIndex + 1} AND deleted_at IS NULL
+             RETURNING id, campaign_id, code, name, qr_url, max_uses, uses_count, expires_at, is_active, created_by, created_at, updated_at`,
+            queryParams
+        );
+
+        if (rows.length === 0) {
+            const err = new Error(`Invite code with ID ${codeId} not found in this campaign.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const botUsername = process.env.BOT_USERNAME;
+        res.locals.data = {
+            ...rows[0],
+            joining_link: botUsername ? `https://t.me/${botUsername}?start=join_${rows[0].code}` : null,
+        };
+        res.locals.message = 'Invite code updated successfully.';
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = updateInviteCode;
@@ -0,0 +1,68 @@
+// app/routes/webRoutes/campaigns/id/liveFeed/delete.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { publishLiveEvent } = require('@features/campaignLiveFeed');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/live-feed:
+ *   delete:
+ *     tags:
+ *       - Campaigns
+ *     summary: Disable the live feed
+ *     description: Deletes the live feed token. Connected screens are disconnected and the stream can no longer be opened.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *     responses:
+ *       204:
+ *         description: Live feed disabled successfully.
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: The campaign has no live feed.
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const deleteLiveFeed = async (req, res, next) => {
+    try {
+        const { id: campaignId } = req.params;
+
+        if (!isUUID(campaignId)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const { rowCount } = await pool.query('DELETE FROM campaign_live_feeds WHERE campaign_id = $1', [campaignId]);
+
+        if (rowCount === 0) {
+            const err = new Error('This campaign has no live feed.');
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        await publishLiveEvent(pool, campaignId, 'feed_revoked');
+
+        res.locals.statusCode = 204;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = deleteLiveFeed;
@@ -0,0 +1,83 @@
+// app/routes/webRoutes/campaigns/id/liveFeed/get.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/live-feed:
+ *   get:
+ *     tags:
+ *       - Campaigns
+ *     summary: Get the live feed of a campaign
+ *     description: Returns the token and the stream path of the campaign's public live feed for event screens.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *     responses:
+ *       200:
+ *         description: The live feed of the campaign.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CampaignLiveFeed'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: The campaign does not exist or has no live feed.
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getLiveFeed = async (req, res, next) => {
+    try {
+        const { id: campaignId } = req.params;
+
+        if (!isUUID(campaignId)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            `SELECT f.campaign_id, f.token, f.created_by, f.created_at
+             FROM campaign_live_feeds f
+             JOIN campaigns c ON f.campaign_id = c.id
+             WHERE f.campaign_id = $1 AND c.deleted_at IS NULL`,
+            [campaignId]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error('This campaign has no live feed. Create one with POST /web/campaigns/{id}/live-feed.');
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const feed = rows[0];
+        feed.stream_path = `/public/campaigns/${campaignId}/live?token=${feed.token}`;
+
+        res.locals.data = feed;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getLiveFeed;
@@ -0,0 +1,45 @@
+// app/routes/webRoutes/campaigns/id/liveFeed/index.js
+const express = require('express');
+// MANDATORY: mergeParams allows access to :id from the parent router
+const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignLiveFeed:
+ *       type: object
+ *       properties:
+ *         campaign_id:
+ *           type: string
+ *           format: uuid
+ *         token:
+ *           type: string
+ *           description: The token the event screen passes as ?token=. Anyone with it can watch the feed.
+ *           example: "3f9c2a7e5b1d4c8a9e0f6b2d7c4a1e8f3b5d9c2a7e6f1b4d"
+ *         stream_path:
+ *           type: string
+ *           description: The path of the Server-Sent Events stream, token included. Prefix it with the API base URL.
+ *           example: "/public/campaigns/a1b2c3d4-e5f6-7890-1234-567890abcdef/live?token=3f9c2a7e5b1d4c8a9e0f6b2d7c4a1e8f3b5d9c2a7e6f1b4d"
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Import handlers
+const getLiveFeed = require('./get');
+const rotateLiveFeedToken = require('./post');
+const deleteLiveFeed = require('./delete');
+
+// Define routes for /campaigns/:id/live-feed
+router.get('/', authorize('campaigns:read'), authorizeCampaign('VIEWER', campaignFrom.param('id')), getLiveFeed);
+router.post('/', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), rotateLiveFeedToken);
+router.delete('/', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), deleteLiveFeed);
+
+module.exports = router;
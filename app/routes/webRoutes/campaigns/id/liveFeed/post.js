@@ -0,0 +1,95 @@
+// app/routes/webRoutes/campaigns/id/liveFeed/post.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { generateFeedToken, publishLiveEvent } = require('@features/campaignLiveFeed');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/live-feed:
+ *   post:
+ *     tags:
+ *       - Campaigns
+ *     summary: Create or rotate the live feed token
+ *     description: |
+ *       Enables the campaign's public live feed with a new token. If the feed already exists, its token is replaced
+ *       and the screens connected with the old token are disconnected.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *     responses:
+ *       201:
+ *         description: The live feed with its new token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CampaignLiveFeed'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const rotateLiveFeedToken = async (req, res, next) => {
+    try {
+        const { id: campaignId } = req.params;
+
+        if (!isUUID(campaignId)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const campaignCheck = await pool.query('SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL', [campaignId]);
+        if (campaignCheck.rowCount === 0) {
+            const err = new Error(`Campaign with ID ${campaignId} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            `INSERT INTO campaign_live_feeds (campaign_id, token, created_by)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (campaign_id) DO UPDATE
+             SET token = EXCLUDED.token, created_by = EXCLUDED.created_by, created_at = NOW()
+             RETURNING campaign_id, token, created_by, created_at, (xmax <> 0) AS rotated`,
+            [campaignId, generateFeedToken(), req.user.userId]
+        );
+
+        const { rotated, ...feed } = rows[0];
+
+        // Disconnect the screens that still use the old token.
+        if (rotated) {
+            await publishLiveEvent(pool, campaignId, 'feed_revoked');
+        }
+
+        feed.stream_path = `/public/campaigns/${campaignId}/live?token=${feed.token}`;
+
+        res.locals.data = feed;
+        res.locals.statusCode = 201;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = rotateLiveFeedToken;
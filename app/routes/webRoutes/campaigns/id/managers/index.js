@@ -0,0 +1,21 @@
+// app/routes/webRoutes/campaigns/id/managers/index.js
+const express = require('express');
+// MANDATORY: mergeParams allows access to :id from the parent router
+const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Import handlers
+const listCampaignManagers = require('./list');
+const inviteCampaignManager = require('./invite');
+const updateCampaignManagerRole = require('./updateRole');
+const removeCampaignManager = require('./remove');
+
+// Define routes for /campaigns/:id/managers
+router.get('/', authorize('campaigns:read'), authorizeCampaign('VIEWER', campaignFrom.param('id')), listCampaignManagers);
+router.post('/', authorize('campaigns:read'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), inviteCampaignManager);
+router.patch('/:managerId', authorize('campaigns:read'), authorizeCampaign('OWNER', campaignFrom.param('id')), updateCampaignManagerRole);
+// Any member may remove themselves; removing others requires OWNER (checked in the handler).
+router.delete('/:managerId', authorize('campaigns:read'), authorizeCampaign('VIEWER', campaignFrom.param('id')), removeCampaignManager);
+
+module.exports = router;
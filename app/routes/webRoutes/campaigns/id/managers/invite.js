@@ -0,0 +1,157 @@
+// app/routes/webRoutes/campaigns/id/managers/invite.js
+const pool = require('@db');
+const { isUUID, isEmail } = require('validator');
+
+const ASSIGNABLE_ROLES = ['CO_ORGANIZER', 'MODERATOR', 'VIEWER'];
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/managers:
+ *   post:
+ *     tags:
+ *       - Campaigns
+ *     summary: Invite a manager to a campaign
+ *     description: |
+ *       Gives another manager access to the campaign. The manager is identified by `manager_id` or `email`.
+ *       CO_ORGANIZERs can invite MODERATORs and VIEWERs; only the OWNER can invite CO_ORGANIZERs.
+ *       The OWNER role cannot be granted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               manager_id:
+ *                 type: string
+ *                 format: uuid
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Used when manager_id is not provided.
+ *               role:
+ *                 type: string
+ *                 enum: [CO_ORGANIZER, MODERATOR, VIEWER]
+ *     responses:
+ *       201:
+ *         description: The manager now has access to the campaign.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CampaignManager'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Conflict - The manager already has access to this campaign.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const inviteCampaignManager = async (req, res, next) => {
+    try {
+        const { id: campaignId } = req.params;
+        const { manager_id: managerId, email, role } = req.body;
+
+        if (!isUUID(campaignId)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!role || !ASSIGNABLE_ROLES.includes(role)) {
+            const err = new Error(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        if (managerId ? !isUUID(managerId) : !(typeof email === 'string' && isEmail(email))) {
+            const err = new Error('A valid manager_id or email is required.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        if (role === 'CO_ORGANIZER' && req.campaignRole !== 'OWNER') {
+            const err = new Error('Only the campaign owner can invite co-organizers.');
+            err.statusCode = 403;
+            err.code = 'INSUFFICIENT_CAMPAIGN_ROLE';
+            return next(err);
+        }
+
+        const campaignCheck = await pool.query('SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL', [campaignId]);
+        if (campaignCheck.rowCount === 0) {
+            const err = new Error(`Campaign with ID ${campaignId} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const managerResult = managerId
+            ? await pool.query('SELECT id, email, full_name FROM managers WHERE id = $1 AND deleted_at IS NULL', [managerId])
+            : await pool.query('SELECT id, email, full_name FROM managers WHERE LOWER(email) = LOWER($1) AND deleted_at IS NULL', [email]);
+
+        if (managerResult.rowCount === 0) {
+            const err = new Error('Manager not found.');
+            err.statusCode = 404;
+            err.code = 'MANAGER_NOT_FOUND';
+            return next(err);
+        }
+
+        const manager = managerResult.rows[0];
+
+        const { rows } = await pool.query(
+            `INSERT INTO campaign_managers (campaign_id, manager_id, role, invited_by)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (campaign_id, manager_id) DO NOTHING
+             RETURNING manager_id, role, invited_by, created_at`,
+            [campaignId, manager.id, role, req.user.userId]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error(`${manager.full_name} already has access to this campaign.`);
+            err.statusCode = 409;
+            err.code = 'ALREADY_MEMBER';
+            return next(err);
+        }
+
+        res.locals.data = { ...rows[0], email: manager.email, full_name: manager.full_name };
+        res.locals.statusCode = 201;
+        res.locals.message = 'Manager invited to the campaign successfully.';
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = inviteCampaignManager;
@@ -0,0 +1,92 @@
+// app/routes/webRoutes/campaigns/id/managers/list.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/managers:
+ *   get:
+ *     tags:
+ *       - Campaigns
+ *     summary: List managers with access to a campaign
+ *     description: Returns every manager who has access to the campaign together with their campaign role, owner first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *     responses:
+ *       200:
+ *         description: The managers of the campaign.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CampaignManager'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const listCampaignManagers = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const campaignCheck = await pool.query('SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL', [id]);
+        if (campaignCheck.rowCount === 0) {
+            const err = new Error(`Campaign with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            `SELECT
+                cm.manager_id,
+                mg.email,
+                mg.full_name,
+                cm.role,
+                cm.invited_by,
+                cm.created_at
+             FROM campaign_managers cm
+             JOIN managers mg ON cm.manager_id = mg.id
+             WHERE cm.campaign_id = $1 AND mg.deleted_at IS NULL
+             ORDER BY
+                CASE cm.role WHEN 'OWNER' THEN 1 WHEN 'CO_ORGANIZER' THEN 2 WHEN 'MODERATOR' THEN 3 ELSE 4 END,
+                mg.full_name ASC`,
+            [id]
+        );
+
+        res.locals.data = rows;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = listCampaignManagers;
@@ -0,0 +1,97 @@
+// app/routes/webRoutes/campaigns/id/managers/remove.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/managers/{managerId}:
+ *   delete:
+ *     tags:
+ *       - Campaigns
+ *     summary: Remove a manager from a campaign
+ *     description: Revokes a manager's access to the campaign. The OWNER can remove anyone except themselves; any other manager can remove only themselves (leave the campaign).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: path
+ *         name: managerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the manager to remove.
+ *     responses:
+ *       204:
+ *         description: Access removed successfully.
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Conflict - The owner cannot be removed from the campaign.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const removeCampaignManager = async (req, res, next) => {
+    try {
+        const { id: campaignId, managerId } = req.params;
+
+        if (!isUUID(campaignId) || !isUUID(managerId)) {
+            const err = new Error('Invalid campaign or manager ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (managerId !== req.user.userId && req.campaignRole !== 'OWNER') {
+            const err = new Error('Only the campaign owner can remove other managers.');
+            err.statusCode = 403;
+            err.code = 'INSUFFICIENT_CAMPAIGN_ROLE';
+            return next(err);
+        }
+
+        const { rows: existing } = await pool.query(
+            'SELECT role FROM campaign_managers WHERE campaign_id = $1 AND manager_id = $2',
+            [campaignId, managerId]
+        );
+
+        if (existing.length === 0) {
+            const err = new Error('This manager does not have access to the campaign.');
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        if (existing[0].role === 'OWNER') {
+            const err = new Error('The owner cannot be removed from the campaign.');
+            err.statusCode = 409;
+            err.code = 'OWNER_IMMUTABLE';
+            return next(err);
+        }
+
+        await pool.query('DELETE FROM campaign_managers WHERE campaign_id = $1 AND manager_id = $2', [campaignId, managerId]);
+
+        res.locals.statusCode = 204;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = removeCampaignManager;
@@ -0,0 +1,127 @@
+// app/routes/webRoutes/campaigns/id/managers/updateRole.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+const ASSIGNABLE_ROLES = ['CO_ORGANIZER', 'MODERATOR', 'VIEWER'];
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/managers/{managerId}:
+ *   patch:
+ *     tags:
+ *       - Campaigns
+ *     summary: Change a manager's campaign role
+ *     description: Changes the campaign role of a manager. Only the campaign OWNER can do this, and the owner's own role cannot be changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: path
+ *         name: managerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the manager.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [CO_ORGANIZER, MODERATOR, VIEWER]
+ *     responses:
+ *       200:
+ *         description: Role updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CampaignManager'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Conflict - The owner's role cannot be changed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const updateCampaignManagerRole = async (req, res, next) => {
+    try {
+        const { id: campaignId, managerId } = req.params;
+        const { role } = req.body;
+
+        if (!isUUID(campaignId) || !isUUID(managerId)) {
+            const err = new Error('Invalid campaign or manager ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!role || !ASSIGNABLE_ROLES.includes(role)) {
+            const err = new Error(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            `UPDATE campaign_managers cm
+             SET role = $1, updated_at = NOW()
+             FROM managers mg
+             WHERE cm.manager_id = mg.id AND cm.campaign_id = $2 AND cm.manager_id = $3 AND cm.role <> 'OWNER'
+             RETURNING cm.manager_id, mg.email, mg.full_name, cm.role, cm.invited_by, cm.created_at`,
+            [role, campaignId, managerId]
+        );
+
+        if (rows.length === 0) {
+            const { rows: existing } = await pool.query(
+                'SELECT role FROM campaign_managers WHERE campaign_id = $1 AND manager_id = $2',
+                [campaignId, managerId]
+            );
+            if (existing.length > 0) {
+                const err = new Error("The owner's role cannot be changed.");
+                err.statusCode = 409;
+                err.code = 'OWNER_IMMUTABLE';
+                return next(err);
+            }
+            const err = new Error('This manager does not have access to the campaign.');
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        res.locals.data = rows[0];
+        res.locals.message = 'Campaign role updated successfully.';
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = updateCampaignManagerRole;
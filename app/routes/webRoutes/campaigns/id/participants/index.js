@@ -0,0 +1,16 @@
+// app/routes/webRoutes/campaigns/id/participants/index.js
+const express = require('express');
+// MANDATORY: mergeParams allows access to :id from the parent router
+const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Import handlers
+const listCampaignParticipants = require('./list');
+const updateCampaignParticipant = require('./update');
+
+// Define routes for /campaigns/:id/participants
+router.get('/', authorize('campaigns:read'), authorizeCampaign('VIEWER', campaignFrom.param('id')), listCampaignParticipants);
+router.patch('/:userId', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), updateCampaignParticipant);
+
+module.exports = router;
@@ -0,0 +1,142 @@
+// app/routes/webRoutes/campaigns/id/participants/list.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/participants:
+ *   get:
+ *     tags:
+ *       - Campaigns
+ *     summary: List the participants of a campaign
+ *     description: Returns the users who joined the campaign, newest first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Only return active (`true`) or deactivated (`false`) participants.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *         description: The page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *         description: The number of items per page.
+ *     responses:
+ *       200:
+ *         description: A paginated list of participants.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/CampaignParticipant' }
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const listCampaignParticipants = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { is_active } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+            const err = new Error('Invalid pagination parameters. Query parameters "page" (integer, >=1) and "limit" (integer, 1-100) are required.');
+            err.statusCode = 400;
+            err.code = 'INVALID_PAGINATION';
+            return next(err);
+        }
+
+        if (is_active !== undefined && is_active !== 'true' && is_active !== 'false') {
+            const err = new Error('is_active must be "true" or "false".');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        const campaignCheck = await pool.query('SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL', [id]);
+        if (campaignCheck.rowCount === 0) {
+            const err = new Error(`Campaign with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const whereClauses = ['uc.campaign_id = $1'];
+        const queryParams = [id];
+        if (is_active !== undefined) {
+            queryParams.push(is_active === 'true');
+            whereClauses.push(`uc.is_active = $${queryParams.length}`);
+        }
+        const whereString = whereClauses.join(' AND ');
+
+        const { rows: countRows } = await pool.query(
+            `SELECT COUNT(*) FROM user_campaigns uc WHERE ${whereString}`,
+            queryParams
+        );
+        const total = parseInt(countRows[0].count, 10);
+
+        const offset = (page - 1) * limit;
+        const { rows } = await pool.query(
+            `SELECT
+                uc.user_id,
+                u.username,
+                u.first_name,
+                u.last_name,
+                uc.is_active,
+                uc.join_metadata,
+                uc.joined_at
+             FROM user_campaigns uc
+             JOIN users u ON uc.user_id = u.id
+             WHERE ${whereString}
+             ORDER BY uc.joined_at DESC
+             LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+            [...queryParams, limit, offset]
+        );
+
+        const pages = Math.ceil(total / limit);
+
+        res.locals.data = rows;
+        res.locals.meta = { pagination: { page, limit, total, pages } };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = listCampaignParticipants;
@@ -0,0 +1,175 @@
+// app/routes/webRoutes/campaigns/id/participants/update.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { sendTelegramMessage } = require('@features/sendTelegramMsg');
+const { countActiveParticipants, promoteFromWaitlist } = require('@features/campaignWaitlist');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/participants/{userId}:
+ *   patch:
+ *     tags:
+ *       - Campaigns
+ *     summary: Activate or deactivate a participant
+ *     description: |
+ *       Sets `is_active` of a campaign participant. Deactivated participants do not count towards `max_participants`,
+ *       so deactivating one admits the next user from the waitlist (who is notified in Telegram).
+ *       Reactivating a participant is refused with `409 CAMPAIGN_FULL` if the campaign has no free place.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the participant.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - is_active
+ *             properties:
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The participant was updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     participant:
+ *                       $ref: '#/components/schemas/CampaignParticipant'
+ *                     admitted_from_waitlist:
+ *                       type: array
+ *                       description: Users admitted from the waitlist as a result of this change.
+ *                       items:
+ *                         type: string
+ *                         format: uuid
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Conflict - The campaign is full.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const updateCampaignParticipant = async (req, res, next) => {
+    const { id: campaignId, userId } = req.params;
+    const { is_active } = req.body;
+
+    if (!isUUID(campaignId) || !isUUID(userId)) {
+        const err = new Error('Invalid campaign or user ID format');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    if (typeof is_active !== 'boolean') {
+        const err = new Error('is_active is required and must be a boolean.');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Lock the campaign so the number of free places cannot change concurrently.
+        const { rows: campaignRows } = await client.query(
+            'SELECT max_participants FROM campaigns WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+            [campaignId]
+        );
+        if (campaignRows.length === 0) {
+            const err = new Error(`Campaign with ID ${campaignId} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            throw err;
+        }
+
+        const { rows: participantRows } = await client.query(
+            'SELECT is_active FROM user_campaigns WHERE campaign_id = $1 AND user_id = $2 FOR UPDATE',
+            [campaignId, userId]
+        );
+        if (participantRows.length === 0) {
+            const err = new Error('This user is not a participant of the campaign.');
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            throw err;
+        }
+
+        const wasActive = participantRows[0].is_active;
+        const { max_participants: maxParticipants } = campaignRows[0];
+
+        if (is_active && !wasActive && maxParticipants !== null
+            && await countActiveParticipants(client, campaignId) >= maxParticipants) {
+            const err = new Error('This campaign has reached its maximum number of participants.');
+            err.statusCode = 409;
+            err.code = 'CAMPAIGN_FULL';
+            throw err;
+        }
+
+        const { rows } = await client.query(
+            `UPDATE user_campaigns uc
+             SET is_active = $1
+             FROM users u
+             WHERE uc.user_id = u.id AND uc.campaign_id = $2 AND uc.user_id = $3
+             RETURNING uc.user_id, u.username, u.first_name, u.last_name, uc.is_active, uc.join_metadata, uc.joined_at`,
+            [is_active, campaignId, userId]
+        );
+
+        // A freed place goes to the next user on the waitlist.
+        const notifications = !is_active && wasActive
+            ? await promoteFromWaitlist(client, campaignId)
+            : [];
+
+        await client.query('COMMIT');
+
+        for (const notification of notifications) {
+            sendTelegramMessage(notification.tgId, notification.message);
+        }
+
+        res.locals.data = {
+            participant: rows[0],
+            admitted_from_waitlist: notifications.map((n) => n.userId),
+        };
+        res.locals.message = 'Participant updated successfully.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = updateCampaignParticipant;
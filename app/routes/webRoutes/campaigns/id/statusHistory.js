@@ -0,0 +1,145 @@
+// app/routes/webRoutes/campaigns/id/statusHistory.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignStatusChange:
+ *       type: object
+ *       properties:
+ *         id: { type: string, format: uuid }
+ *         from_status:
+ *           type: string
+ *           nullable: true
+ *           enum: [DRAFT, ACTIVE, PAUSED, COMPLETED, ARCHIVED]
+ *           description: NULL for the initial status of the campaign.
+ *         to_status:
+ *           type: string
+ *           enum: [DRAFT, ACTIVE, PAUSED, COMPLETED, ARCHIVED]
+ *         changed_by:
+ *           type: object
+ *           nullable: true
+ *           description: The manager who changed the status. NULL if the lifecycle scheduler changed it.
+ *           properties:
+ *             id: { type: string, format: uuid }
+ *             full_name: { type: string }
+ *         reason: { type: string, nullable: true }
+ *         created_at: { type: string, format: date-time }
+ *
+ * /web/campaigns/{id}/status-history:
+ *   get:
+ *     tags:
+ *       - Campaigns
+ *     summary: Get the status history of a campaign
+ *     description: Returns every status change of the campaign, newest first, including the automatic changes made by the lifecycle scheduler.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *         description: The page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *         description: The number of items per page.
+ *     responses:
+ *       200:
+ *         description: A paginated list of status changes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/CampaignStatusChange' }
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getCampaignStatusHistory = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+            const err = new Error('Invalid pagination parameters. Query parameters "page" (integer, >=1) and "limit" (integer, 1-100) are required.');
+            err.statusCode = 400;
+            err.code = 'INVALID_PAGINATION';
+            return next(err);
+        }
+
+        const campaignCheck = await pool.query('SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL', [id]);
+        if (campaignCheck.rowCount === 0) {
+            const err = new Error(`Campaign with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const { rows: countRows } = await pool.query(
+            'SELECT COUNT(*) FROM campaign_status_history WHERE campaign_id = $1',
+            [id]
+        );
+        const total = parseInt(countRows[0].count, 10);
+
+        const offset = (page - 1) * limit;
+        const { rows } = await pool.query(
+            `SELECT
+                h.id,
+                h.from_status,
+                h.to_status,
+                CASE WHEN mg.id IS NULL THEN NULL
+                     ELSE json_build_object('id', mg.id, 'full_name', mg.full_name) END AS changed_by,
+                h.reason,
+                h.created_at
+             FROM campaign_status_history h
+             LEFT JOIN managers mg ON h.changed_by = mg.id
+             WHERE h.campaign_id = $1
+             ORDER BY h.created_at DESC
+             LIMIT $2 OFFSET $3`,
+            [id, limit, offset]
+        );
+
+        const pages = Math.ceil(total / limit);
+
+        res.locals.data = rows;
+        res.locals.meta = { pagination: { page, limit, total, pages } };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getCampaignStatusHistory;
@@ -1,6 +1,16 @@
 // app/routes/webRoutes/campaigns/id/update.js
 const pool = require('@db');
 const { isUUID } = require('validator');
+const { recordStatusChange } = require('@features/campaignLifecycle');
+const { promoteFromWaitlist } = require('@features/campaignWaitlist');
+const { sendTelegramMessage } = require('@features/sendTelegramMsg');
+
+const REFERRAL_REWARD_FIELDS = [
+    'referral_inviter_experience',
+    'referral_inviter_mana',
+    'referral_invitee_experience',
+    'referral_invitee_mana',
+];
 
 /**
  * @swagger
@@ -9,7 +19,10 @@ const { isUUID } = require('validator');
  *     tags:
  *       - Campaigns
  *     summary: Update a campaign by ID
- *     description: Updates an existing campaign. Requires authentication.
+ *     description: |
+ *       Updates an existing campaign. Requires authentication.
+ *       A status change is recorded in the campaign's status history. Changing `end_date` re-arms the "campaign is about to end" reminder.
+ *       Raising (or removing) `max_participants` admits users from the campaign's waitlist, who are notified in Telegram.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -57,6 +70,22 @@ const { isUUID } = require('validator');
  *                 type: string
  *                 nullable: true
  *                 description: The updated icon image URL for the campaign. Can be set to null to remove the icon.
+ *               referral_inviter_experience:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Experience for a participant whose invitee completes their first mission.
+ *               referral_inviter_mana:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Mana for a participant whose invitee completes their first mission.
+ *               referral_invitee_experience:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Experience for an invited user when they complete their first mission.
+ *               referral_invitee_mana:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Mana for an invited user when they complete their first mission.
  *     responses:
  *       200:
  *         description: Campaign updated successfully.
@@ -77,12 +106,15 @@ const { isUUID } = require('validator');
  *         $ref: '#/components/responses/BadRequestError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
 const updateCampaign = async (req, res, next) => {
+    const client = await pool.connect();
     try {
         const { id } = req.params;
         const { title, description, status, start_date, end_date, max_participants, cover_url, icon_url } = req.body;
@@ -117,6 +149,8 @@ const updateCampaign = async (req, res, next) => {
         if (end_date !== undefined) {
             updateFields.push(`end_date = $${paramIndex++}`);
             queryParams.push(end_date);
+            // The new end date gets its own reminder.
+            updateFields.push('ending_reminder_sent_at = NULL');
         }
         if (max_participants !== undefined) {
             updateFields.push(`max_participants = $${paramIndex++}`);
@@ -131,6 +165,20 @@ const updateCampaign = async (req, res, next) => {
             queryParams.push(icon_url);
         }
 
+        // Referral rewards are non-negative integers; 0 disables that part of the reward.
+        for (const field of REFERRAL_REWARD_FIELDS) {
+            const value = req.body[field];
+            if (value === undefined) continue;
+            if (!Number.isInteger(value) || value < 0) {
+                const err = new Error(`${field} must be a non-negative integer.`);
+                err.statusCode = 400;
+                err.code = 'VALIDATION_ERROR';
+                return next(err);
+            }
+            updateFields.push(`${field} = $${paramIndex++}`);
+            queryParams.push(value);
+        }
+
         if (updateFields.length === 0) {
             const err = new Error('At least one field to update must be provided.');
             err.statusCode = 400;
@@ -143,20 +191,50 @@ const updateCampaign = async (req, res, next) => {
 
         const updateQuery = `UPDATE campaigns SET ${updateFields.join(', ')} WHERE id = $${paramIndex} AND deleted_at IS NULL RETURNING *`;
 
-        const { rows } = await pool.query(updateQuery, queryParams);
+        await client.query('BEGIN');
+
+        // Lock the campaign so the status history sees the status that is actually replaced.
+        const { rows: currentRows } = await client.query(
+            'SELECT status FROM campaigns WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+            [id]
+        );
 
-        if (rows.length === 0) {
+        if (currentRows.length === 0) {
             const err = new Error(`Campaign with ID ${id} not found.`);
             err.statusCode = 404;
             err.code = 'NOT_FOUND';
-            return next(err);
+            throw err;
+        }
+
+        const { rows } = await client.query(updateQuery, queryParams);
+        const campaign = rows[0];
+
+        if (campaign.status !== currentRows[0].status) {
+            await recordStatusChange(client, {
+                campaignId: id,
+                fromStatus: currentRows[0].status,
+                toStatus: campaign.status,
+                changedBy: req.user.userId
+            });
+        }
+
+        // A higher participant limit may free places for users on the waitlist.
+        const notifications = max_participants !== undefined
+            ? await promoteFromWaitlist(client, id)
+            : [];
+
+        await client.query('COMMIT');
+
+        for (const notification of notifications) {
+            sendTelegramMessage(notification.tgId, notification.message);
         }
 
-        res.locals.data = rows[0];
+        res.locals.data = campaign;
         res.locals.message = 'Campaign updated successfully.';
         next();
 
     } catch (err) {
+        await client.query('ROLLBACK');
         if (err.code === '23505') {
             const conflictError = new Error(`A database conflict occurred.`);
             conflictError.statusCode = 409;
@@ -164,6 +242,8 @@ const updateCampaign = async (req, res, next) => {
             return next(conflictError);
         }
         next(err);
+    } finally {
+        client.release();
     }
 };
 
@@ -0,0 +1,95 @@
+// app/routes/webRoutes/campaigns/id/waitlist/admit.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { sendTelegramMessage } = require('@features/sendTelegramMsg');
+const { admitFromWaitlist } = require('@features/campaignWaitlist');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/waitlist/{userId}/admit:
+ *   post:
+ *     tags:
+ *       - Campaigns
+ *     summary: Admit a user from the waitlist
+ *     description: |
+ *       Moves a user from the waitlist into the campaign, regardless of its position and of `max_participants`.
+ *       The user is notified in Telegram.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the waiting user.
+ *     responses:
+ *       200:
+ *         description: The user has been admitted to the campaign.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     campaign_id: { type: string, format: uuid }
+ *                     user_id: { type: string, format: uuid }
+ *                 message:
+ *                   type: string
+ *                   example: "User admitted to the campaign."
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const admitWaitlistedUser = async (req, res, next) => {
+    const { id: campaignId, userId } = req.params;
+
+    if (!isUUID(campaignId) || !isUUID(userId)) {
+        const err = new Error('Invalid campaign or user ID format');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const notification = await admitFromWaitlist(client, campaignId, userId);
+
+        await client.query('COMMIT');
+
+        sendTelegramMessage(notification.tgId, notification.message);
+
+        res.locals.data = { campaign_id: campaignId, user_id: userId };
+        res.locals.message = 'User admitted to the campaign.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = admitWaitlistedUser;
@@ -0,0 +1,18 @@
+// app/routes/webRoutes/campaigns/id/waitlist/index.js
+const express = require('express');
+// MANDATORY: mergeParams allows access to :id from the parent router
+const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Import handlers
+const listCampaignWaitlist = require('./list');
+const admitWaitlistedUser = require('./admit');
+const removeWaitlistedUser = require('./remove');
+
+// Define routes for /campaigns/:id/waitlist
+router.get('/', authorize('campaigns:read'), authorizeCampaign('VIEWER', campaignFrom.param('id')), listCampaignWaitlist);
+router.post('/:userId/admit', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), admitWaitlistedUser);
+router.delete('/:userId', authorize('campaigns:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('id')), removeWaitlistedUser);
+
+module.exports = router;
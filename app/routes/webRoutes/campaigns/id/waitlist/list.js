@@ -0,0 +1,120 @@
+// app/routes/webRoutes/campaigns/id/waitlist/list.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/waitlist:
+ *   get:
+ *     tags:
+ *       - Campaigns
+ *     summary: List the waitlist of a campaign
+ *     description: Returns the users waiting for a place in a full campaign, in the order they will be admitted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *         description: The page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *         description: The number of items per page.
+ *     responses:
+ *       200:
+ *         description: A paginated list of waiting users.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/CampaignWaitlistEntry' }
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const listCampaignWaitlist = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+            const err = new Error('Invalid pagination parameters. Query parameters "page" (integer, >=1) and "limit" (integer, 1-100) are required.');
+            err.statusCode = 400;
+            err.code = 'INVALID_PAGINATION';
+            return next(err);
+        }
+
+        const campaignCheck = await pool.query('SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL', [id]);
+        if (campaignCheck.rowCount === 0) {
+            const err = new Error(`Campaign with ID ${id} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const { rows: countRows } = await pool.query(
+            'SELECT COUNT(*) FROM campaign_waitlist WHERE campaign_id = $1',
+            [id]
+        );
+        const total = parseInt(countRows[0].count, 10);
+
+        const offset = (page - 1) * limit;
+        const { rows } = await pool.query(
+            `SELECT
+                (ROW_NUMBER() OVER (ORDER BY w.created_at ASC, w.user_id ASC))::INTEGER AS position,
+                w.user_id,
+                u.username,
+                u.first_name,
+                u.last_name,
+                w.created_at
+             FROM campaign_waitlist w
+             JOIN users u ON w.user_id = u.id
+             WHERE w.campaign_id = $1
+             ORDER BY position ASC
+             LIMIT $2 OFFSET $3`,
+            [id, limit, offset]
+        );
+
+        const pages = Math.ceil(total / limit);
+
+        res.locals.data = rows;
+        res.locals.meta = { pagination: { page, limit, total, pages } };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = listCampaignWaitlist;
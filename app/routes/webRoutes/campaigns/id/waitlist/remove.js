@@ -0,0 +1,75 @@
+// app/routes/webRoutes/campaigns/id/waitlist/remove.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/campaigns/{id}/waitlist/{userId}:
+ *   delete:
+ *     tags:
+ *       - Campaigns
+ *     summary: Remove a user from the waitlist
+ *     description: Removes a user from the waitlist of the campaign without admitting them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the campaign.
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the waiting user.
+ *     responses:
+ *       204:
+ *         description: The user has been removed from the waitlist.
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const removeWaitlistedUser = async (req, res, next) => {
+    try {
+        const { id: campaignId, userId } = req.params;
+
+        if (!isUUID(campaignId) || !isUUID(userId)) {
+            const err = new Error('Invalid campaign or user ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const { rowCount } = await pool.query(
+            'DELETE FROM campaign_waitlist WHERE campaign_id = $1 AND user_id = $2',
+            [campaignId, userId]
+        );
+
+        if (rowCount === 0) {
+            const err = new Error('This user is not on the waitlist of the campaign.');
+            err.statusCode = 404;
+            err.code = 'NOT_ON_WAITLIST';
+            return next(err);
+        }
+
+        res.locals.statusCode = 204;
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = removeWaitlistedUser;
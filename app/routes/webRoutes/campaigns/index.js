@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateJWT } = require('@middleware/authenticateJWT');
+const { authorize } = require('@middleware/authorizeRole');
 
 // Authentication middleware for all campaign routes
 router.use(authenticateJWT);
@@ -61,6 +62,28 @@ router.use(authenticateJWT);
  *           nullable: true
  *           description: "URL for the campaign cover image."
  *           example: "https://minio.example.com/bucket/covers/a1b2c3d4-e5f6-7890-1234-567890abcdef.png"
+ *         referral_inviter_experience:
+ *           type: integer
+ *           description: Experience for a participant whose invitee completes their first mission.
+ *           example: 50
+ *         referral_inviter_mana:
+ *           type: integer
+ *           description: Mana for a participant whose invitee completes their first mission.
+ *           example: 20
+ *         referral_invitee_experience:
+ *           type: integer
+ *           description: Experience for an invited user when they complete their first mission.
+ *           example: 25
+ *         referral_invitee_mana:
+ *           type: integer
+ *           description: Mana for an invited user when they complete their first mission.
+ *           example: 10
+ *         ending_reminder_sent_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When participants were reminded that the campaign is about to end. Reset when end_date changes.
+ *           readOnly: true
  *         current_participants:
  *           type: integer
  *           description: The number of users who have currently joined the campaign.
@@ -86,6 +109,81 @@ router.use(authenticateJWT);
  *         - created_by
  *         - created_at
  *         - updated_at
+ *     CampaignManagerRole:
+ *       type: string
+ *       enum: [OWNER, CO_ORGANIZER, MODERATOR, VIEWER]
+ *       description: |
+ *         A manager's role within a campaign. OWNER can do everything including deleting the campaign and managing access,
+ *         CO_ORGANIZER edits the campaign, its missions, achievements and store items, MODERATOR reviews submissions, VIEWER has read-only access.
+ *     CampaignManager:
+ *       type: object
+ *       properties:
+ *         manager_id:
+ *           type: string
+ *           format: uuid
+ *         email:
+ *           type: string
+ *           format: email
+ *         full_name:
+ *           type: string
+ *         role:
+ *           $ref: '#/components/schemas/CampaignManagerRole'
+ *         invited_by:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     CampaignParticipant:
+ *       type: object
+ *       properties:
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         username:
+ *           type: string
+ *           nullable: true
+ *         first_name:
+ *           type: string
+ *         last_name:
+ *           type: string
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *           description: Deactivated participants do not count towards max_participants.
+ *         join_metadata:
+ *           type: object
+ *           nullable: true
+ *           description: "How the user joined: `source` (activation_code or invite_code) and, for invite codes, `invite_code_id` and `invite_code_name`."
+ *           example:
+ *             source: invite_code
+ *             invite_code_id: "b6f0c1a2-3d4e-4f5a-8b9c-0d1e2f3a4b5c"
+ *             invite_code_name: "МГУ"
+ *         joined_at:
+ *           type: string
+ *           format: date-time
+ *     CampaignWaitlistEntry:
+ *       type: object
+ *       properties:
+ *         position:
+ *           type: integer
+ *           description: 1-based position in the waitlist. Users are admitted in this order.
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         username:
+ *           type: string
+ *           nullable: true
+ *         first_name:
+ *           type: string
+ *         last_name:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: When the user joined the waitlist.
  */
 
 // Import route handlers
@@ -94,8 +192,8 @@ const createCampaign = require('./post');
 const idRouter = require('./id');
 
 // Define routes
-router.get('/', listCampaigns);
-router.post('/', createCampaign);
+router.get('/', authorize('campaigns:read'), listCampaigns);
+router.post('/', authorize('campaigns:write'), createCampaign);
 
 // Mount the dedicated sub-router for all /:id paths.
 router.use('/:id', idRouter);
@@ -1,5 +1,6 @@
 // app/routes/webRoutes/campaigns/list.js
 const pool = require('@db');
+const { accessibleCampaignsCondition } = require('@features/campaignAccess');
 
 /**
  * @swagger
@@ -68,8 +69,16 @@ const listCampaigns = async (req, res, next) => {
 
         const offset = (page - 1) * limit;
 
+        // Only campaigns the manager has access to (global admins see all of them)
+        const queryParams = [];
+        const conditions = ['c.deleted_at IS NULL'];
+        const accessCondition = accessibleCampaignsCondition(req.user, 'c.id', queryParams);
+        if (accessCondition) conditions.push(accessCondition);
+        const whereClause = conditions.join(' AND ');
+
         const countPromise = pool.query(
-            'SELECT COUNT(*) FROM campaigns WHERE deleted_at IS NULL'
+            `SELECT COUNT(*) FROM campaigns c WHERE ${whereClause}`,
+            queryParams
         );
         const dataPromise = pool.query(
             `SELECT
@@ -132,11 +141,11 @@ const listCampaigns = async (req, res, next) => {
             FROM
                 campaigns c
             WHERE
-                c.deleted_at IS NULL
+                ${whereClause}
             ORDER BY
                 c.created_at DESC
-            LIMIT $1 OFFSET $2`,
-            [limit, offset]
+            LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+            [...queryParams, limit, offset]
         );
 
         const [countResult, dataResult] = await Promise.all([countPromise, dataPromise]);
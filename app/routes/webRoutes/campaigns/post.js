@@ -60,6 +60,8 @@ const { generateCampaignQRCode } = require('../../../features/useMinioBucket');
  *         $ref: '#/components/responses/BadRequestError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       409:
  *         description: Conflict - A campaign with this title already exists.
  *         content:
@@ -99,13 +101,13 @@ const createCampaign = async (req, res, next) => {
             return next(err);
         }
 
-        // Generate a unique activation code
+        // Generate a unique activation code (invite codes share the same namespace)
         let activationCode;
         let isUnique = false;
         while (!isUnique) {
             activationCode = generateActivationCode();
             const { rows: existing } = await pool.query(
-                'SELECT 1 FROM campaigns WHERE activation_code = $1',
+                'SELECT 1 FROM campaigns WHERE activation_code = $1 UNION ALL SELECT 1 FROM campaign_invite_codes WHERE code = $1',
                 [activationCode]
             );
             if (existing.length === 0) {
@@ -116,10 +118,20 @@ const createCampaign = async (req, res, next) => {
         // Generate and upload QR code
         const { url: qrUrl } = await generateCampaignQRCode(activationCode);
 
+        // The creator becomes the campaign owner and the initial status is recorded in the same statement.
         const { rows: initialRows } = await pool.query(
-            `INSERT INTO campaigns (title, description, start_date, end_date, max_participants, created_by, activation_code, qr_url)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-             RETURNING *`,
+            `WITH new_campaign AS (
+                INSERT INTO campaigns (title, description, start_date, end_date, max_participants, created_by, activation_code, qr_url)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+             ), owner AS (
+                INSERT INTO campaign_managers (campaign_id, manager_id, role)
+                SELECT id, created_by, 'OWNER' FROM new_campaign
+             ), initial_status AS (
+                INSERT INTO campaign_status_history (campaign_id, from_status, to_status, changed_by)
+                SELECT id, NULL, status, created_by FROM new_campaign
+             )
+             SELECT * FROM new_campaign`,
             [title.trim(), description, start_date, end_date, max_participants, created_by, activationCode, qrUrl]
         );
 
@@ -1,6 +1,7 @@
 // app/routes/webRoutes/competencies/id/index.js
 const express = require('express');
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
 
 // Import handlers
 const getCompetency = require('./get');
@@ -8,8 +9,8 @@ const updateCompetency = require('./update');
 const deleteCompetency = require('./delete');
 
 // Define routes for /competencies/:id
-router.get('/', getCompetency);
-router.put('/', updateCompetency);
-router.delete('/', deleteCompetency);
+router.get('/', authorize('competencies:read'), getCompetency);
+router.put('/', authorize('competencies:write'), updateCompetency);
+router.delete('/', authorize('competencies:delete'), deleteCompetency);
 
 module.exports = router;
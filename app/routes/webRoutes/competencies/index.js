@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateJWT } = require('@middleware/authenticateJWT');
+const { authorize } = require('@middleware/authorizeRole');
 
 // Authentication middleware for all competency routes
 router.use(authenticateJWT);
@@ -47,8 +48,8 @@ const createCompetency = require('./post');
 const idRouter = require('./id'); // For future use
 
 // Define routes
-router.get('/', listCompetencies);
-router.post('/', createCompetency);
+router.get('/', authorize('competencies:read'), listCompetencies);
+router.post('/', authorize('competencies:write'), createCompetency);
 
 // Mount the dedicated sub-router for all /:id paths.
 router.use('/:id', idRouter);
@@ -6,19 +6,25 @@ const router = express.Router();
 const authRouter = require('./auth/index');
 const competenciesRouter = require('./competencies/index');
 const campaignsRouter = require('./campaigns/index');
+const campaignTemplatesRouter = require('./campaignTemplates/index');
 const missionsRouter = require('./missions/index');
 const ranksRouter = require('./ranks/index');
 const achievementsRouter = require('./achievements/index');
 const storeRouter = require('./store/index');
+const moderationRouter = require('./moderation/index');
+const leaderboardsRouter = require('./leaderboards/index');
 const uiRouter = require('./ui');
 
 router.use('/auth', authRouter);
 router.use('/competencies', competenciesRouter);
 router.use('/campaigns', campaignsRouter);
+router.use('/campaign-templates', campaignTemplatesRouter);
 router.use('/missions', missionsRouter);
 router.use('/ranks', ranksRouter);
 router.use('/achievements', achievementsRouter);
 router.use('/store', storeRouter);
+router.use('/moderation', moderationRouter);
+router.use('/leaderboards', leaderboardsRouter);
 router.use('/ui', uiRouter)
 
 module.exports = router;
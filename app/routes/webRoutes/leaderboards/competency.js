@@ -0,0 +1,100 @@
+// app/routes/webRoutes/leaderboards/competency.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { getCompetencyLeaderboard } = require('@features/leaderboards');
+
+/**
+ * @swagger
+ * /web/leaderboards/competencies/{competencyId}:
+ *   get:
+ *     tags:
+ *       - Leaderboards
+ *     summary: Get the leaderboard of a competency
+ *     description: Ranks the users who have started a competency by level, then by progress towards the next level.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: competencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the competency.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *         description: The page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *         description: The number of items per page.
+ *     responses:
+ *       200:
+ *         description: A paginated page of the leaderboard.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/CompetencyLeaderboardEntry' }
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getCompetency = async (req, res, next) => {
+    try {
+        const { competencyId } = req.params;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (!isUUID(competencyId)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+            const err = new Error('Invalid pagination parameters. Query parameters "page" (integer, >=1) and "limit" (integer, 1-100) are required.');
+            err.statusCode = 400;
+            err.code = 'INVALID_PAGINATION';
+            return next(err);
+        }
+
+        const competencyCheck = await pool.query('SELECT 1 FROM competencies WHERE id = $1 AND deleted_at IS NULL', [competencyId]);
+        if (competencyCheck.rowCount === 0) {
+            const err = new Error(`Competency with ID ${competencyId} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const offset = (page - 1) * limit;
+        const { entries, total } = await getCompetencyLeaderboard(pool, competencyId, { limit, offset });
+        const pages = Math.ceil(total / limit);
+
+        res.locals.data = entries;
+        res.locals.meta = { pagination: { page, limit, total, pages } };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getCompetency;
@@ -0,0 +1,91 @@
+// app/routes/webRoutes/leaderboards/index.js
+const express = require('express');
+const router = express.Router();
+const { authenticateJWT } = require('@middleware/authenticateJWT');
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Authentication middleware for all leaderboard routes
+router.use(authenticateJWT);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LeaderboardEntry:
+ *       type: object
+ *       properties:
+ *         position:
+ *           type: integer
+ *           description: The place in the leaderboard, starting at 1. Users with the same score share a place.
+ *           example: 3
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         username:
+ *           type: string
+ *           nullable: true
+ *         first_name:
+ *           type: string
+ *         last_name:
+ *           type: string
+ *           nullable: true
+ *         avatar_url:
+ *           type: string
+ *           nullable: true
+ *     GlobalLeaderboardEntry:
+ *       allOf:
+ *         - $ref: '#/components/schemas/LeaderboardEntry'
+ *         - type: object
+ *           properties:
+ *             rank_title:
+ *               type: string
+ *               nullable: true
+ *               description: The user's current rank.
+ *             experience:
+ *               type: integer
+ *               description: The user's total experience.
+ *               example: 1250
+ *     CampaignLeaderboardEntry:
+ *       allOf:
+ *         - $ref: '#/components/schemas/LeaderboardEntry'
+ *         - type: object
+ *           properties:
+ *             experience:
+ *               type: integer
+ *               description: Experience earned inside the campaign (approved missions, campaign achievements and referral rewards).
+ *               example: 350
+ *             missions_completed:
+ *               type: integer
+ *               description: The number of approved missions of the campaign.
+ *               example: 5
+ *             last_activity_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: When the user last earned experience in the campaign. Earlier activity wins a tie in the list order.
+ *     CompetencyLeaderboardEntry:
+ *       allOf:
+ *         - $ref: '#/components/schemas/LeaderboardEntry'
+ *         - type: object
+ *           properties:
+ *             level:
+ *               type: integer
+ *               example: 4
+ *             progress_points:
+ *               type: integer
+ *               description: Points accumulated towards the next level. Breaks ties between users of the same level.
+ *               example: 30
+ */
+
+// Import route handlers
+const getGlobalLeaderboard = require('./global');
+const getCampaignLeaderboard = require('./campaign');
+const getCompetencyLeaderboard = require('./competency');
+
+// Define routes
+router.get('/global', authorize('leaderboards:read'), getGlobalLeaderboard);
+router.get('/campaigns/:campaignId', authorize('leaderboards:read'), authorizeCampaign('VIEWER', campaignFrom.param('campaignId')), getCampaignLeaderboard);
+router.get('/competencies/:competencyId', authorize('leaderboards:read'), getCompetencyLeaderboard);
+
+module.exports = router;
@@ -2,11 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateJWT } = require('@middleware/authenticateJWT');
+const { authorize } = require('@middleware/authorizeRole');
 
 // Import sub-routers
 const typeUrlRouter = require('./typeUrl');
 const typeQrRouter = require('./typeQr');
 const typeQuizRouter = require('./typeQuiz');
+const typeAiRouter = require('./typeAi');
+const typeFileRouter = require('./typeFile');
 // Import route handlers
 const getMissionTypes = require('./types');
 
@@ -74,12 +77,44 @@ router.use(authenticateJWT);
  *           format: date-time
  *     MissionType:
  *       type: string
- *       enum: [MANUAL_URL, QUIZ, QR_CODE]
+ *       enum: [MANUAL_URL, QUIZ, QR_CODE, AI_CHECK, FILE_UPLOAD]
  *       description: The type of logic used to complete the mission.
+ *     AiCheckDetails:
+ *       type: object
+ *       description: Settings of an AI_CHECK mission, stored in `mission_ai_check_details`.
+ *       properties:
+ *         prompt_template:
+ *           type: string
+ *           description: "Prompt for the AI evaluator. Supports `{{submission}}` and `{{instruction}}` placeholders."
+ *         evaluation_criteria:
+ *           type: object
+ *           description: Provider-specific evaluation criteria.
+ *         confidence_threshold:
+ *           type: number
+ *           format: float
+ *           description: Minimum evaluator confidence (0-1) required for automatic approval.
+ *         user_instruction:
+ *           type: string
+ *           description: Instructions shown to users in the Mini App.
+ *     FileUploadDetails:
+ *       type: object
+ *       description: Settings of a FILE_UPLOAD mission, stored in `mission_file_upload_details`.
+ *       properties:
+ *         submission_prompt:
+ *           type: string
+ *           description: Instructions shown to users in the Mini App.
+ *         allowed_mime_types:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: "Accepted MIME types. `type/*` accepts every subtype, e.g. `image/*`, except types browsers run scripts in (SVG, HTML, XML, JavaScript), which must be listed explicitly."
+ *         max_file_size_bytes:
+ *           type: integer
+ *           description: Largest accepted file, at most 20 MB.
  *     MissionCompletionStatus:
  *       type: string
- *       enum: [PENDING_REVIEW, APPROVED, REJECTED]
- *       description: The status of a mission completion that requires moderation.
+ *       enum: [PENDING_REVIEW, APPROVED, REJECTED, REVOKED]
+ *       description: The status of a mission completion that requires moderation. REVOKED completions were approved and later taken back.
  *     MissionCompletion:
  *       type: object
  *       properties:
@@ -97,7 +132,7 @@ router.use(authenticateJWT);
  *         result_data:
  *           type: string
  *           nullable: true
- *           description: Data submitted by the user (e.g., a URL).
+ *           description: Data submitted by the user (e.g., a URL, or a JSON string for AI_CHECK and FILE_UPLOAD missions).
  *         moderator_id:
  *           type: string
  *           format: uuid
@@ -114,11 +149,13 @@ router.use(authenticateJWT);
  */
 
 // Route to get supported mission types
-router.get('/types', getMissionTypes);
+router.get('/types', authorize('missions:read'), getMissionTypes);
 
 // Mount sub-routers for different mission types
 router.use('/type-url', typeUrlRouter);
 router.use('/type-qr', typeQrRouter);
 router.use('/type-quiz', typeQuizRouter);
+router.use('/type-ai', typeAiRouter);
+router.use('/type-file', typeFileRouter);
 
 module.exports = router;
@@ -0,0 +1,130 @@
+// app/routes/webRoutes/missions/typeAi/id/completions/index.js
+const express = require('express');
+// MANDATORY: mergeParams allows access to :id from the parent router
+const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Moderation works the same way for every manually reviewed mission type,
+// so the handlers are shared with URL missions.
+const listMissionCompletions = require('../../../typeUrl/id/completions/list');
+const updateCompletionStatus = require('../../../typeUrl/id/completions/updateStatus');
+
+/**
+ * @swagger
+ * /web/missions/type-ai/{missionId}/completions:
+ *   get:
+ *     tags:
+ *       - Missions Completions
+ *     summary: List completions for an AI-checked mission
+ *     description: |
+ *       Retrieves a paginated list of user submissions for a specific mission of type 'AI_CHECK'.
+ *       `result_data` is a JSON string of the form `{ "submission": "...", "ai_evaluation": { "confidence": 0.65, "feedback": "...", "provider": "local" } }`.
+ *       Submissions below the mission's `confidence_threshold` have the status `PENDING_REVIEW`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: missionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the mission.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A paginated list of mission completions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MissionCompletion'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authorize('completions:review'), authorizeCampaign('MODERATOR', campaignFrom.mission('id')), listMissionCompletions);
+
+/**
+ * @swagger
+ * /web/missions/type-ai/{missionId}/completions/{completionId}/status:
+ *   patch:
+ *     tags:
+ *       - Missions Completions
+ *     summary: Review an AI-checked mission completion
+ *     description: Approves or rejects a submission that the AI evaluator routed to manual review. Approving grants the mission rewards. When rejecting, a comment is required.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: missionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: completionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 $ref: '#/components/schemas/MissionCompletionStatus'
+ *               moderator_comment:
+ *                 type: string
+ *                 nullable: true
+ *                 description: "Required when status is 'REJECTED'."
+ *     responses:
+ *       200:
+ *         description: Mission completion status updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/MissionCompletion'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.patch('/:completionId/status', authorize('completions:review'), authorizeCampaign('MODERATOR', campaignFrom.mission('id')), updateCompletionStatus);
+
+module.exports = router;
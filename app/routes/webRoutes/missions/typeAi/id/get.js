@@ -0,0 +1,128 @@
+// app/routes/webRoutes/missions/typeAi/id/get.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/missions/type-ai/{id}:
+ *   get:
+ *     tags:
+ *       - Missions
+ *     summary: Get an AI-checked mission by ID
+ *     description: Retrieves a single mission of type 'AI_CHECK' and its associated details by its unique ID.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the mission to retrieve.
+ *     responses:
+ *       200:
+ *         description: The requested mission details.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Mission'
+ *                     - type: object
+ *                       properties:
+ *                         required_achievement_name:
+ *                           type: string
+ *                           nullable: true
+ *                         details:
+ *                           $ref: '#/components/schemas/AiCheckDetails'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getAiMission = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const query = `
+            SELECT
+                m.id,
+                m.campaign_id,
+                m.title,
+                m.description,
+                m.category,
+                m.required_rank_id,
+                m.required_achievement_id,
+                m.experience_reward,
+                m.mana_reward,
+                m.competency_rewards,
+                m.awarded_artifact_id,
+                m.cover_url,
+                m.type,
+                m.created_by,
+                m.created_at,
+                m.updated_at,
+                macd.prompt_template,
+                macd.evaluation_criteria,
+                macd.confidence_threshold,
+                macd.user_instruction,
+                a.name AS required_achievement_name
+            FROM
+                missions m
+            JOIN
+                mission_ai_check_details macd ON m.id = macd.mission_id
+            LEFT JOIN
+                achievements a ON m.required_achievement_id = a.id
+            WHERE
+                m.id = $1 AND m.type = 'AI_CHECK' AND m.deleted_at IS NULL;
+        `;
+
+        const { rows, rowCount } = await pool.query(query, [id]);
+
+        if (rowCount === 0) {
+            const err = new Error(`Mission with ID ${id} not found or is not an AI-check mission.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const { prompt_template, evaluation_criteria, confidence_threshold, user_instruction, ...missionData } = rows[0];
+
+        const responseData = {
+            ...missionData,
+            details: {
+                prompt_template,
+                evaluation_criteria,
+                confidence_threshold,
+                user_instruction
+            }
+        };
+
+        res.locals.data = responseData;
+        res.locals.message = 'Mission retrieved successfully.';
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getAiMission;
@@ -0,0 +1,24 @@
+// app/routes/webRoutes/missions/typeAi/id/index.js
+const express = require('express');
+// MANDATORY: mergeParams allows access to :id from the parent router
+const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Import handlers
+const getAiMission = require('./get');
+const updateAiMission = require('./update');
+const deleteAiMission = require('./delete');
+const completionsRouter = require('./completions');
+const uploadAiMissionCover = require('./uploadCover');
+
+// Define routes for /missions/type-ai/:id
+router.get('/', authorize('missions:read'), authorizeCampaign('VIEWER', campaignFrom.mission('id')), getAiMission);
+router.put('/', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), updateAiMission);
+router.delete('/', authorize('missions:delete'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), deleteAiMission);
+router.post('/cover', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), uploadAiMissionCover);
+
+// Mount sub-router for completions
+router.use('/completions', completionsRouter);
+
+module.exports = router;
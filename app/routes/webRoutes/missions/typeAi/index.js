@@ -0,0 +1,17 @@
+// app/routes/webRoutes/missions/typeAi/index.js
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Import route handlers
+const createAiMission = require('./post');
+const idRouter = require('./id');
+
+// Define routes for /missions/type-ai
+router.post('/', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.body('campaign_id')), createAiMission);
+
+// Mount the dedicated sub-router for all /:id paths
+router.use('/:id', idRouter);
+
+module.exports = router;
@@ -0,0 +1,246 @@
+// app/routes/webRoutes/missions/typeAi/post.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+const validateAiDetails = ({ prompt_template, evaluation_criteria, confidence_threshold, user_instruction }) => {
+    if (!prompt_template || typeof prompt_template !== 'string' || prompt_template.trim() === '') {
+        return 'prompt_template is required and cannot be empty.';
+    }
+    if (!user_instruction || typeof user_instruction !== 'string' || user_instruction.trim() === '') {
+        return 'user_instruction is required and cannot be empty.';
+    }
+    if (typeof evaluation_criteria !== 'object' || evaluation_criteria === null || Array.isArray(evaluation_criteria)) {
+        return 'evaluation_criteria must be a JSON object.';
+    }
+    if (confidence_threshold !== undefined && (typeof confidence_threshold !== 'number' || confidence_threshold < 0 || confidence_threshold > 1)) {
+        return 'confidence_threshold must be a number between 0 and 1.';
+    }
+    return null; // All good
+};
+
+const validateCompetencyRewards = (rewards) => {
+    if (rewards === undefined || rewards === null) return null; // Optional, can be null to clear
+    if (!Array.isArray(rewards)) {
+        return 'competency_rewards must be an array.';
+    }
+    for (const reward of rewards) {
+        if (typeof reward !== 'object' || reward === null) {
+            return 'Each item in competency_rewards must be an object.';
+        }
+        if (!reward.competency_id || !isUUID(reward.competency_id)) {
+            return `Invalid or missing competency_id in competency_rewards. It must be a UUID.`;
+        }
+        if (typeof reward.points !== 'number' || !Number.isInteger(reward.points) || reward.points <= 0) {
+            return `Invalid or missing points for competency ${reward.competency_id}. It must be a positive integer.`;
+        }
+    }
+    return null; // All good
+};
+
+/**
+ * @swagger
+ * /web/missions/type-ai:
+ *   post:
+ *     tags:
+ *       - Missions
+ *     summary: Create a new AI-checked mission
+ *     description: |
+ *       Creates a new mission of type 'AI_CHECK'. This involves creating a record in both the `missions` and `mission_ai_check_details` tables within a single transaction.
+ *       User submissions are scored by the configured AI evaluator; submissions scoring at or above `confidence_threshold` are approved automatically, the rest go to manual review.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - campaign_id
+ *               - title
+ *               - category
+ *               - prompt_template
+ *               - evaluation_criteria
+ *               - user_instruction
+ *             properties:
+ *               campaign_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The ID of the campaign this mission belongs to.
+ *               title:
+ *                 type: string
+ *                 example: "Tell us about your favourite project"
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               category:
+ *                 type: string
+ *                 example: "Essays"
+ *               required_achievement_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               competency_rewards:
+ *                 type: array
+ *                 nullable: true
+ *                 description: "Array of competency points to award upon completion. E.g., [{\"competency_id\": \"uuid\", \"points\": 50}]"
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     competency_id:
+ *                       type: string
+ *                       format: uuid
+ *                     points:
+ *                       type: integer
+ *               experience_reward:
+ *                 type: integer
+ *                 default: 0
+ *               mana_reward:
+ *                 type: integer
+ *                 default: 0
+ *               prompt_template:
+ *                 type: string
+ *                 description: "Prompt for the AI evaluator. `{{submission}}` and `{{instruction}}` are replaced with the user's answer and the user instruction."
+ *                 example: "Rate how well the answer below follows the task.\nTask: {{instruction}}\nAnswer: {{submission}}"
+ *               evaluation_criteria:
+ *                 type: object
+ *                 description: "Criteria passed to the evaluator. The local evaluator understands `keywords` (array of strings) and `min_length` (integer); without `keywords` every answer goes to manual review."
+ *                 example:
+ *                   keywords: ["команда", "результат"]
+ *                   min_length: 200
+ *               confidence_threshold:
+ *                 type: number
+ *                 format: float
+ *                 minimum: 0
+ *                 maximum: 1
+ *                 default: 0.8
+ *                 description: Minimum evaluator confidence required for automatic approval.
+ *               user_instruction:
+ *                 type: string
+ *                 description: Instructions shown to users in the Mini App.
+ *                 example: "Опишите проект, которым вы гордитесь, не менее чем в 200 символах."
+ *     responses:
+ *       201:
+ *         description: Mission created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Mission'
+ *                     - type: object
+ *                       properties:
+ *                         details:
+ *                           $ref: '#/components/schemas/AiCheckDetails'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const createAiMission = async (req, res, next) => {
+    const {
+        campaign_id,
+        title,
+        description,
+        category,
+        required_achievement_id,
+        experience_reward = 0,
+        mana_reward = 0,
+        competency_rewards,
+        prompt_template,
+        evaluation_criteria,
+        confidence_threshold = 0.8,
+        user_instruction
+    } = req.body;
+    const created_by = req.user.userId;
+
+    // Validation
+    if (!title || !category || !campaign_id) {
+        const err = new Error('Missing required fields: campaign_id, title, category.');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+    if (!isUUID(campaign_id) || (required_achievement_id && !isUUID(required_achievement_id))) {
+        const err = new Error('Invalid UUID format for campaign_id or required_achievement_id.');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+    const detailsError = validateAiDetails({ prompt_template, evaluation_criteria, confidence_threshold, user_instruction });
+    if (detailsError) {
+        const err = new Error(detailsError);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+    const competencyRewardsError = validateCompetencyRewards(competency_rewards);
+    if (competencyRewardsError) {
+        const err = new Error(competencyRewardsError);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Fetch the ID of the lowest priority rank to use as default, if any exist.
+        // If no ranks exist, defaultRankId will be null, allowing missions without rank requirements.
+        const rankQuery = 'SELECT id FROM ranks WHERE deleted_at IS NULL ORDER BY priority ASC LIMIT 1';
+        const rankResult = await client.query(rankQuery);
+        const defaultRankId = rankResult.rowCount > 0 ? rankResult.rows[0].id : null;
+
+        const missionQuery = `
+            INSERT INTO missions (
+                campaign_id, title, description, category, required_rank_id,
+                required_achievement_id, experience_reward, mana_reward, type, created_by, competency_rewards
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'AI_CHECK', $9, $10)
+            RETURNING *;
+        `;
+        const missionParams = [
+            campaign_id, title, description, category, defaultRankId,
+            required_achievement_id, experience_reward, mana_reward, created_by, competency_rewards ? JSON.stringify(competency_rewards) : null
+        ];
+        const missionResult = await client.query(missionQuery, missionParams);
+        const newMission = missionResult.rows[0];
+
+        const detailsQuery = `
+            INSERT INTO mission_ai_check_details (mission_id, prompt_template, evaluation_criteria, confidence_threshold, user_instruction)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *;
+        `;
+        const detailsParams = [newMission.id, prompt_template, JSON.stringify(evaluation_criteria), confidence_threshold, user_instruction];
+        const detailsResult = await client.query(detailsQuery, detailsParams);
+        const { mission_id, ...newDetails } = detailsResult.rows[0];
+
+        await client.query('COMMIT');
+
+        res.locals.data = {
+            ...newMission,
+            details: newDetails
+        };
+        res.locals.statusCode = 201;
+        res.locals.message = 'Mission created successfully.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = createAiMission;
@@ -0,0 +1,129 @@
+// app/routes/webRoutes/missions/typeFile/id/completions/index.js
+const express = require('express');
+// MANDATORY: mergeParams allows access to :id from the parent router
+const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Moderation works the same way for every manually reviewed mission type,
+// so the handlers are shared with URL missions.
+const listMissionCompletions = require('../../../typeUrl/id/completions/list');
+const updateCompletionStatus = require('../../../typeUrl/id/completions/updateStatus');
+
+/**
+ * @swagger
+ * /web/missions/type-file/{missionId}/completions:
+ *   get:
+ *     tags:
+ *       - Missions Completions
+ *     summary: List completions for a file upload mission
+ *     description: |
+ *       Retrieves a paginated list of user submissions for a specific mission of type 'FILE_UPLOAD'.
+ *       `result_data` is a JSON string of the form `{ "file_url": "https://...", "file_name": "photo.jpg", "mime_type": "image/jpeg", "size": 2483117 }`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: missionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the mission.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A paginated list of mission completions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MissionCompletion'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authorize('completions:review'), authorizeCampaign('MODERATOR', campaignFrom.mission('id')), listMissionCompletions);
+
+/**
+ * @swagger
+ * /web/missions/type-file/{missionId}/completions/{completionId}/status:
+ *   patch:
+ *     tags:
+ *       - Missions Completions
+ *     summary: Review a file upload mission completion
+ *     description: Approves or rejects an uploaded file. Approving grants the mission rewards. When rejecting, a comment is required.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: missionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: completionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 $ref: '#/components/schemas/MissionCompletionStatus'
+ *               moderator_comment:
+ *                 type: string
+ *                 nullable: true
+ *                 description: "Required when status is 'REJECTED'."
+ *     responses:
+ *       200:
+ *         description: Mission completion status updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/MissionCompletion'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.patch('/:completionId/status', authorize('completions:review'), authorizeCampaign('MODERATOR', campaignFrom.mission('id')), updateCompletionStatus);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+// app/routes/webRoutes/missions/typeFile/id/index.js
+const express = require('express');
+// MANDATORY: mergeParams allows access to :id from the parent router
+const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Import handlers
+const getFileMission = require('./get');
+const updateFileMission = require('./update');
+const deleteFileMission = require('./delete');
+const completionsRouter = require('./completions');
+const uploadFileMissionCover = require('./uploadCover');
+
+// Define routes for /missions/type-file/:id
+router.get('/', authorize('missions:read'), authorizeCampaign('VIEWER', campaignFrom.mission('id')), getFileMission);
+router.put('/', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), updateFileMission);
+router.delete('/', authorize('missions:delete'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), deleteFileMission);
+router.post('/cover', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), uploadFileMissionCover);
+
+// Mount sub-router for completions
+router.use('/completions', completionsRouter);
+
+module.exports = router;
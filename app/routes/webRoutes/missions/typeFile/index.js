@@ -0,0 +1,17 @@
+// app/routes/webRoutes/missions/typeFile/index.js
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Import route handlers
+const createFileMission = require('./post');
+const idRouter = require('./id');
+
+// Define routes for /missions/type-file
+router.post('/', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.body('campaign_id')), createFileMission);
+
+// Mount the dedicated sub-router for all /:id paths
+router.use('/:id', idRouter);
+
+module.exports = router;
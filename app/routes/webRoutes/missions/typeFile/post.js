@@ -0,0 +1,227 @@
+// app/routes/webRoutes/missions/typeFile/post.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const {
+    DEFAULT_ALLOWED_MIME_TYPES,
+    DEFAULT_MAX_FILE_SIZE_BYTES,
+    validateFileUploadDetails,
+} = require('@features/fileUploadMissions');
+
+const validateCompetencyRewards = (rewards) => {
+    if (rewards === undefined || rewards === null) return null; // Optional, can be null to clear
+    if (!Array.isArray(rewards)) {
+        return 'competency_rewards must be an array.';
+    }
+    for (const reward of rewards) {
+        if (typeof reward !== 'object' || reward === null) {
+            return 'Each item in competency_rewards must be an object.';
+        }
+        if (!reward.competency_id || !isUUID(reward.competency_id)) {
+            return `Invalid or missing competency_id in competency_rewards. It must be a UUID.`;
+        }
+        if (typeof reward.points !== 'number' || !Number.isInteger(reward.points) || reward.points <= 0) {
+            return `Invalid or missing points for competency ${reward.competency_id}. It must be a positive integer.`;
+        }
+    }
+    return null; // All good
+};
+
+/**
+ * @swagger
+ * /web/missions/type-file:
+ *   post:
+ *     tags:
+ *       - Missions
+ *     summary: Create a new file upload mission
+ *     description: |
+ *       Creates a new mission of type 'FILE_UPLOAD'. This involves creating a record in both the `missions` and `mission_file_upload_details` tables within a single transaction.
+ *       Users upload a photo or document from the Mini App; the submissions go to manual review.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - campaign_id
+ *               - title
+ *               - category
+ *               - submission_prompt
+ *             properties:
+ *               campaign_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The ID of the campaign this mission belongs to.
+ *               title:
+ *                 type: string
+ *                 example: "Take a photo at our stand"
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               category:
+ *                 type: string
+ *                 example: "Events"
+ *               required_achievement_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               competency_rewards:
+ *                 type: array
+ *                 nullable: true
+ *                 description: "Array of competency points to award upon completion. E.g., [{\"competency_id\": \"uuid\", \"points\": 50}]"
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     competency_id:
+ *                       type: string
+ *                       format: uuid
+ *                     points:
+ *                       type: integer
+ *               experience_reward:
+ *                 type: integer
+ *                 default: 0
+ *               mana_reward:
+ *                 type: integer
+ *                 default: 0
+ *               submission_prompt:
+ *                 type: string
+ *                 description: Instructions shown to users in the Mini App.
+ *                 example: "Сфотографируйтесь у стенда компании на ярмарке вакансий."
+ *               allowed_mime_types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 default: ["image/*"]
+ *                 description: "Accepted MIME types. `type/*` accepts every subtype, e.g. `image/*`, except types browsers run scripts in (SVG, HTML, XML, JavaScript), which must be listed explicitly."
+ *                 example: ["image/*", "application/pdf"]
+ *               max_file_size_bytes:
+ *                 type: integer
+ *                 default: 10485760
+ *                 maximum: 20971520
+ *                 description: Largest accepted file, at most 20 MB.
+ *     responses:
+ *       201:
+ *         description: Mission created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Mission'
+ *                     - type: object
+ *                       properties:
+ *                         details:
+ *                           $ref: '#/components/schemas/FileUploadDetails'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const createFileMission = async (req, res, next) => {
+    const {
+        campaign_id,
+        title,
+        description,
+        category,
+        required_achievement_id,
+        experience_reward = 0,
+        mana_reward = 0,
+        competency_rewards,
+        submission_prompt,
+        allowed_mime_types = DEFAULT_ALLOWED_MIME_TYPES,
+        max_file_size_bytes = DEFAULT_MAX_FILE_SIZE_BYTES
+    } = req.body;
+    const created_by = req.user.userId;
+
+    // Validation
+    if (!title || !category || !campaign_id || !submission_prompt) {
+        const err = new Error('Missing required fields: campaign_id, title, category, submission_prompt.');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+    if (!isUUID(campaign_id) || (required_achievement_id && !isUUID(required_achievement_id))) {
+        const err = new Error('Invalid UUID format for campaign_id or required_achievement_id.');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+    const detailsError = validateFileUploadDetails({ submission_prompt, allowed_mime_types, max_file_size_bytes });
+    if (detailsError) {
+        const err = new Error(detailsError);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+    const competencyRewardsError = validateCompetencyRewards(competency_rewards);
+    if (competencyRewardsError) {
+        const err = new Error(competencyRewardsError);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Fetch the ID of the lowest priority rank to use as default, if any exist.
+        // If no ranks exist, defaultRankId will be null, allowing missions without rank requirements.
+        const rankQuery = 'SELECT id FROM ranks WHERE deleted_at IS NULL ORDER BY priority ASC LIMIT 1';
+        const rankResult = await client.query(rankQuery);
+        const defaultRankId = rankResult.rowCount > 0 ? rankResult.rows[0].id : null;
+
+        const missionQuery = `
+            INSERT INTO missions (
+                campaign_id, title, description, category, required_rank_id,
+                required_achievement_id, experience_reward, mana_reward, type, created_by, competency_rewards
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'FILE_UPLOAD', $9, $10)
+            RETURNING *;
+        `;
+        const missionParams = [
+            campaign_id, title, description, category, defaultRankId,
+            required_achievement_id, experience_reward, mana_reward, created_by, competency_rewards ? JSON.stringify(competency_rewards) : null
+        ];
+        const missionResult = await client.query(missionQuery, missionParams);
+        const newMission = missionResult.rows[0];
+
+        const detailsQuery = `
+            INSERT INTO mission_file_upload_details (mission_id, submission_prompt, allowed_mime_types, max_file_size_bytes)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *;
+        `;
+        const detailsParams = [newMission.id, submission_prompt, JSON.stringify(allowed_mime_types), max_file_size_bytes];
+        const detailsResult = await client.query(detailsQuery, detailsParams);
+        const { mission_id, ...newDetails } = detailsResult.rows[0];
+
+        await client.query('COMMIT');
+
+        res.locals.data = {
+            ...newMission,
+            details: newDetails
+        };
+        res.locals.statusCode = 201;
+        res.locals.message = 'Mission created successfully.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = createFileMission;
@@ -2,6 +2,8 @@
 const express = require('express');
 // MANDATORY: mergeParams allows access to :id from the parent router
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 // Import handlers
 const getQrMission = require('./get');
@@ -10,9 +12,9 @@ const deleteQrMission = require('./delete');
 const uploadQrMissionCover = require('./uploadCover');
 
 // Define routes for /missions/type-qr/:id
-router.get('/', getQrMission);
-router.put('/', updateQrMission);
-router.delete('/', deleteQrMission);
-router.post('/cover', uploadQrMissionCover);
+router.get('/', authorize('missions:read'), authorizeCampaign('VIEWER', campaignFrom.mission('id')), getQrMission);
+router.put('/', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), updateQrMission);
+router.delete('/', authorize('missions:delete'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), deleteQrMission);
+router.post('/cover', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), uploadQrMissionCover);
 
 module.exports = router;
@@ -1,13 +1,15 @@
 // app/routes/webRoutes/missions/typeQr/index.js
 const express = require('express');
 const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 // Import route handlers
 const createQrMission = require('./post');
 const idRouter = require('./id');
 
 // Define routes for /missions/type-qr
-router.post('/', createQrMission);
+router.post('/', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.body('campaign_id')), createQrMission);
 
 // Mount the dedicated sub-router for all /:id paths
 router.use('/:id', idRouter);
@@ -0,0 +1,324 @@
+// app/routes/webRoutes/missions/typeQuiz/id/analytics.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { typeOf, normalizeText, isAnswerShapeValid, gradeAnswer } = require('@features/quizEngine');
+
+const HISTOGRAM_BUCKETS = 10;
+// Free-text and numeric questions list only their most frequent responses.
+const TOP_RESPONSES = 20;
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuizAnalytics:
+ *       type: object
+ *       properties:
+ *         summary:
+ *           type: object
+ *           properties:
+ *             attempts: { type: integer }
+ *             users: { type: integer, description: Users who made at least one attempt. }
+ *             users_passed: { type: integer }
+ *             pass_rate:
+ *               type: number
+ *               nullable: true
+ *               description: Share of the attempts that passed.
+ *             average_score: { type: number, nullable: true, example: 0.74 }
+ *         questions:
+ *           type: array
+ *           description: One entry per current question of the quiz, in order.
+ *           items:
+ *             type: object
+ *             properties:
+ *               question_index: { type: integer }
+ *               type: { type: string, enum: [SINGLE_CHOICE, MULTIPLE_CHOICE, TEXT, NUMBER] }
+ *               text: { type: string }
+ *               answered: { type: integer, description: 'How many attempts answered this question. Randomized quizzes serve each attempt only some questions, so it differs per question.' }
+ *               correct: { type: integer, description: Answers with full credit. }
+ *               correct_rate: { type: number, nullable: true, example: 0.45 }
+ *               average_credit:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Average credit (0-1). Differs from correct_rate only for multiple-choice questions, which give partial credit.
+ *               answers:
+ *                 type: array
+ *                 description: Choice questions only. How often each answer was chosen; share is relative to the attempts that answered the question.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     answer_index: { type: integer }
+ *                     text: { type: string }
+ *                     is_correct: { type: boolean }
+ *                     count: { type: integer }
+ *                     share: { type: number, nullable: true }
+ *               responses:
+ *                 type: array
+ *                 description: Text and number questions only. The 20 most frequent responses; texts are compared ignoring case and whitespace.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     response: { oneOf: [{ type: string }, { type: number }] }
+ *                     is_correct: { type: boolean }
+ *                     count: { type: integer }
+ *         attempts_until_pass:
+ *           type: object
+ *           properties:
+ *             distribution:
+ *               type: array
+ *               description: How many users passed on their first, second, ... attempt.
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   attempts: { type: integer }
+ *                   users: { type: integer }
+ *             average: { type: number, nullable: true, example: 1.6 }
+ *             users_not_passed:
+ *               type: integer
+ *               description: Users who tried but have not passed yet.
+ *         score_histogram:
+ *           type: array
+ *           description: All attempts by score, in 10 buckets of 0.1. The last bucket includes 1.0.
+ *           items:
+ *             type: object
+ *             properties:
+ *               from: { type: number, example: 0.7 }
+ *               to: { type: number, example: 0.8 }
+ *               attempts: { type: integer }
+ *
+ * /web/missions/type-quiz/{id}/analytics:
+ *   get:
+ *     tags:
+ *       - Missions
+ *     summary: Get the question analytics of a quiz mission
+ *     description: |
+ *       Aggregates every attempt at the quiz, passed or failed: the correct rate of each question, how often each answer was chosen,
+ *       how many attempts users needed to pass and the score histogram.
+ *       Answers are matched to the current questions by index, so editing the questions of a quiz changes how older attempts are read.
+ *       Failed attempts made before attempts were recorded are not included.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the quiz mission.
+ *     responses:
+ *       200:
+ *         description: The analytics of the quiz.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data: { $ref: '#/components/schemas/QuizAnalytics' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getQuizAnalytics = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const { rows: missionRows } = await pool.query(
+            `SELECT mqd.questions
+             FROM missions m
+             JOIN mission_quiz_details mqd ON m.id = mqd.mission_id
+             WHERE m.id = $1 AND m.type = 'QUIZ' AND m.deleted_at IS NULL`,
+            [id]
+        );
+
+        if (missionRows.length === 0) {
+            const err = new Error(`Mission with ID ${id} not found or is not a Quiz-type mission.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const questions = missionRows[0].questions;
+
+        const summaryPromise = pool.query(
+            `SELECT
+                COUNT(*)::INTEGER AS attempts,
+                COUNT(DISTINCT user_id)::INTEGER AS users,
+                COUNT(DISTINCT user_id) FILTER (WHERE passed)::INTEGER AS users_passed,
+                COUNT(*) FILTER (WHERE passed)::INTEGER AS passed_attempts,
+                AVG(score) AS average_score
+             FROM quiz_attempts
+             WHERE mission_id = $1`,
+            [id]
+        );
+
+        // Identical answers are counted once per question and graded below. The index is read as numeric so a malformed submission cannot break the cast.
+        const answersPromise = pool.query(
+            `SELECT
+                (a ->> 'question_index')::numeric AS question_index,
+                a - 'question_index' AS answer,
+                COUNT(*)::INTEGER AS count
+             FROM quiz_attempts qa
+             CROSS JOIN LATERAL jsonb_array_elements(qa.answers) a
+             WHERE qa.mission_id = $1 AND jsonb_typeof(a -> 'question_index') = 'number'
+             GROUP BY 1, 2`,
+            [id]
+        );
+
+        // Attempts up to and including the first passing one, per user who passed.
+        const attemptsUntilPassPromise = pool.query(
+            `WITH first_pass AS (
+                SELECT user_id, MIN(created_at) AS passed_at
+                FROM quiz_attempts
+                WHERE mission_id = $1 AND passed = true
+                GROUP BY user_id
+            ),
+            per_user AS (
+                SELECT fp.user_id, COUNT(*)::INTEGER AS attempts
+                FROM first_pass fp
+                JOIN quiz_attempts qa ON qa.user_id = fp.user_id AND qa.mission_id = $1 AND qa.created_at <= fp.passed_at
+                GROUP BY fp.user_id
+            )
+            SELECT attempts, COUNT(*)::INTEGER AS users
+            FROM per_user
+            GROUP BY attempts
+            ORDER BY attempts ASC`,
+            [id]
+        );
+
+        const histogramPromise = pool.query(
+            `SELECT LEAST(width_bucket(score, 0, 1, $2::INTEGER), $2::INTEGER) AS bucket, COUNT(*)::INTEGER AS attempts
+             FROM quiz_attempts
+             WHERE mission_id = $1
+             GROUP BY bucket`,
+            [id, HISTOGRAM_BUCKETS]
+        );
+
+        const [summaryResult, answersResult, attemptsUntilPassResult, histogramResult] = await Promise.all([
+            summaryPromise,
+            answersPromise,
+            attemptsUntilPassPromise,
+            histogramPromise,
+        ]);
+
+        const summary = summaryResult.rows[0];
+
+        // Per-question stats, grading the answers against the current questions. Answers that no longer fit
+        // their question (e.g. after its type was changed) are skipped.
+        const questionStats = questions.map((question, questionIndex) => ({
+            question_index: questionIndex,
+            type: typeOf(question),
+            text: question.text,
+            answered: 0,
+            correct: 0,
+            credit: 0,
+            choices: Array.isArray(question.answers) ? question.answers.map(() => 0) : null,
+            responses: new Map(),
+        }));
+
+        for (const row of answersResult.rows) {
+            const questionIndex = Number(row.question_index);
+            const question = questions[questionIndex];
+            if (!Number.isInteger(questionIndex) || !question || !isAnswerShapeValid(question, row.answer)) continue;
+
+            const stats = questionStats[questionIndex];
+            const credit = gradeAnswer(question, row.answer);
+            stats.answered += row.count;
+            stats.credit += credit * row.count;
+            if (credit === 1) stats.correct += row.count;
+
+            switch (stats.type) {
+                case 'SINGLE_CHOICE':
+                case 'MULTIPLE_CHOICE': {
+                    const chosen = stats.type === 'SINGLE_CHOICE' ? [row.answer.answer_index] : row.answer.answer_indexes;
+                    for (const answerIndex of chosen) {
+                        if (answerIndex >= 0 && answerIndex < stats.choices.length) stats.choices[answerIndex] += row.count;
+                    }
+                    break;
+                }
+                case 'TEXT':
+                case 'NUMBER': {
+                    const response = stats.type === 'TEXT' ? normalizeText(row.answer.text) : row.answer.value;
+                    const entry = stats.responses.get(response) || { response, is_correct: credit === 1, count: 0 };
+                    entry.count += row.count;
+                    stats.responses.set(response, entry);
+                    break;
+                }
+            }
+        }
+
+        const questionsData = questionStats.map(({ choices, responses, credit, ...stats }) => {
+            const question = questions[stats.question_index];
+            const data = {
+                ...stats,
+                correct_rate: ratio(stats.correct, stats.answered),
+                average_credit: ratio(credit, stats.answered),
+            };
+            if (choices) {
+                data.answers = question.answers.map((answer, answerIndex) => ({
+                    answer_index: answerIndex,
+                    text: answer.text,
+                    is_correct: answer.is_correct,
+                    count: choices[answerIndex],
+                    share: ratio(choices[answerIndex], stats.answered),
+                }));
+            } else {
+                data.responses = [...responses.values()]
+                    .sort((a, b) => b.count - a.count)
+                    .slice(0, TOP_RESPONSES);
+            }
+            return data;
+        });
+
+        const distribution = attemptsUntilPassResult.rows;
+        const usersPassed = distribution.reduce((sum, row) => sum + row.users, 0);
+        const totalAttemptsUntilPass = distribution.reduce((sum, row) => sum + row.attempts * row.users, 0);
+
+        const histogramCounts = new Map(histogramResult.rows.map((row) => [row.bucket, row.attempts]));
+        const scoreHistogram = Array.from({ length: HISTOGRAM_BUCKETS }, (_, i) => ({
+            from: i / HISTOGRAM_BUCKETS,
+            to: (i + 1) / HISTOGRAM_BUCKETS,
+            attempts: histogramCounts.get(i + 1) || 0,
+        }));
+
+        res.locals.data = {
+            summary: {
+                attempts: summary.attempts,
+                users: summary.users,
+                users_passed: summary.users_passed,
+                pass_rate: ratio(summary.passed_attempts, summary.attempts),
+                average_score: summary.average_score === null ? null : Math.round(summary.average_score * 10000) / 10000,
+            },
+            questions: questionsData,
+            attempts_until_pass: {
+                distribution,
+                average: usersPassed > 0 ? Math.round((totalAttemptsUntilPass / usersPassed) * 100) / 100 : null,
+                users_not_passed: summary.users - summary.users_passed,
+            },
+            score_histogram: scoreHistogram,
+        };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getQuizAnalytics;
@@ -40,6 +40,8 @@ const { isUUID } = require('validator');
  *                   example: "Cannot delete mission because it has existing completions."
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       500:
@@ -0,0 +1,108 @@
+// app/routes/webRoutes/missions/typeQuiz/id/exportQuestions.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { QUESTION_FILE_FORMATS, formatQuestionsFile } = require('@features/quizQuestionFiles');
+
+/**
+ * @swagger
+ * /web/missions/type-quiz/{id}/questions/export:
+ *   get:
+ *     tags:
+ *       - Missions
+ *     summary: Download the questions of a quiz-based mission as CSV or JSON
+ *     description: |
+ *       Downloads the questions, including the correct answers, in the format of the question import,
+ *       so the file can be edited and imported again with `POST /web/missions/type-quiz/{id}/questions/import?mode=replace`.
+ *       CSV files are UTF-8 with a BOM; cells that start with `=`, `+`, `-` or `@` are prefixed with `'`, which the import removes.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the mission.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *         description: The file format.
+ *     responses:
+ *       200:
+ *         description: The questions file.
+ *         headers:
+ *           Content-Disposition:
+ *             schema: { type: string, example: 'attachment; filename="quiz-3fa85f64-5717-4562-b3fc-2c963f66afa6-questions.csv"' }
+ *         content:
+ *           text/csv:
+ *             schema: { type: string }
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 questions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuizQuestion'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const exportQuizQuestions = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const format = req.query.format === undefined ? 'csv' : String(req.query.format).toLowerCase();
+
+        if (!isUUID(id)) {
+            const err = new Error('Invalid ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        if (!QUESTION_FILE_FORMATS.includes(format)) {
+            const err = new Error(`Query parameter "format" must be one of: ${QUESTION_FILE_FORMATS.join(', ')}.`);
+            err.statusCode = 400;
+            err.code = 'INVALID_QUERY_PARAM';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            `SELECT mqd.questions
+             FROM missions m
+             JOIN mission_quiz_details mqd ON m.id = mqd.mission_id
+             WHERE m.id = $1 AND m.type = 'QUIZ' AND m.deleted_at IS NULL`,
+            [id]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error(`Mission with ID ${id} not found or is not a Quiz-type mission.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        const { body, contentType } = formatQuestionsFile(rows[0].questions, format);
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="quiz-${id}-questions.${format}"`);
+        res.setHeader('Cache-Control', 'no-store');
+        res.send(body);
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = exportQuizQuestions;
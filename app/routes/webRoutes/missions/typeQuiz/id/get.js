@@ -45,6 +45,21 @@ const { isUUID } = require('validator');
  *                               type: array
  *                             pass_threshold:
  *                               type: number
+ *                             max_attempts:
+ *                               type: integer
+ *                               nullable: true
+ *                             cooldown_seconds:
+ *                               type: integer
+ *                             time_limit_seconds:
+ *                               type: integer
+ *                               nullable: true
+ *                             questions_per_attempt:
+ *                               type: integer
+ *                               nullable: true
+ *                             shuffle_questions:
+ *                               type: boolean
+ *                             shuffle_answers:
+ *                               type: boolean
  *                 message:
  *                   type: string
  *       400:
@@ -87,6 +102,12 @@ const getQuizMission = async (req, res, next) => {
                 m.updated_at,
                 mqd.questions,
                 mqd.pass_threshold,
+                mqd.max_attempts,
+                mqd.cooldown_seconds,
+                mqd.time_limit_seconds,
+                mqd.questions_per_attempt,
+                mqd.shuffle_questions,
+                mqd.shuffle_answers,
                 a.name AS required_achievement_name
             FROM
                 missions m
@@ -107,13 +128,22 @@ const getQuizMission = async (req, res, next) => {
             return next(err);
         }
 
-        const { questions, pass_threshold, ...missionData } = rows[0];
+        const {
+            questions, pass_threshold, max_attempts, cooldown_seconds, time_limit_seconds,
+            questions_per_attempt, shuffle_questions, shuffle_answers, ...missionData
+        } = rows[0];
 
         const responseData = {
             ...missionData,
             details: {
                 questions,
-                pass_threshold
+                pass_threshold,
+                max_attempts,
+                cooldown_seconds,
+                time_limit_seconds,
+                questions_per_attempt,
+                shuffle_questions,
+                shuffle_answers
             }
         };
 
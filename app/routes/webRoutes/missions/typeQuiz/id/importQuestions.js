@@ -0,0 +1,191 @@
+// app/routes/webRoutes/missions/typeQuiz/id/importQuestions.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const multer = require('multer');
+const { validateQuestions, validateRandomization } = require('@features/quizEngine');
+const { discardOpenStarts } = require('@features/quizAttemptLimits');
+const { readQuestionsFile } = require('@features/quizQuestionFiles');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1 * 1024 * 1024, // 1 MB
+    },
+});
+
+const IMPORT_MODES = ['append', 'replace'];
+
+/**
+ * @swagger
+ * /web/missions/type-quiz/{id}/questions/import:
+ *   post:
+ *     tags:
+ *       - Missions
+ *     summary: Import the questions of a quiz-based mission from a CSV or JSON file
+ *     description: |
+ *       Reads questions from an uploaded CSV or JSON file (see `POST /web/missions/type-quiz/import` for the formats) and appends them
+ *       to the quiz, or replaces its questions. Every question is validated, and all invalid rows are listed in the error message;
+ *       nothing is changed if any row is invalid.
+ *       Like a change of the questions with `PUT /web/missions/type-quiz/{id}`, the import discards the attempts in progress.
+ *       Replacing the questions does not change the recorded attempts, whose answers refer to the old questions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The UUID of the mission.
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [append, replace]
+ *           default: append
+ *         description: Append the imported questions after the existing ones, or replace them.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: The CSV or JSON file of questions, up to 1 MB and 500 questions.
+ *     responses:
+ *       200:
+ *         description: Questions imported successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     mode:
+ *                       type: string
+ *                       enum: [append, replace]
+ *                     imported_count:
+ *                       type: integer
+ *                     total_questions:
+ *                       type: integer
+ *                     questions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/QuizQuestion'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid file (INVALID_FILE), invalid questions with the row numbers (VALIDATION_ERROR) or an invalid mode (INVALID_QUERY_PARAM).
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const importQuizQuestions = async (req, res, next) => {
+    const { id } = req.params;
+    const mode = req.query.mode === undefined ? 'append' : String(req.query.mode).toLowerCase();
+
+    if (!isUUID(id)) {
+        const err = new Error('Invalid mission ID format');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    if (!IMPORT_MODES.includes(mode)) {
+        const err = new Error(`Query parameter "mode" must be one of: ${IMPORT_MODES.join(', ')}.`);
+        err.statusCode = 400;
+        err.code = 'INVALID_QUERY_PARAM';
+        return next(err);
+    }
+
+    if (!req.file) {
+        const err = new Error('No file uploaded. Please include a file in the "file" field.');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    let importedQuestions;
+    try {
+        importedQuestions = readQuestionsFile(req.file);
+    } catch (err) {
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(
+            `SELECT mqd.questions, mqd.questions_per_attempt
+             FROM missions m
+             JOIN mission_quiz_details mqd ON m.id = mqd.mission_id
+             WHERE m.id = $1 AND m.type = 'QUIZ' AND m.deleted_at IS NULL
+             FOR UPDATE OF mqd`,
+            [id]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error(`Mission with ID ${id} not found or is not a Quiz-type mission.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            throw err;
+        }
+
+        const current = rows[0];
+        const questions = mode === 'replace' ? importedQuestions : [...current.questions, ...importedQuestions];
+
+        const questionsError = validateQuestions(questions)
+            || validateRandomization({ questions_per_attempt: current.questions_per_attempt }, questions.length);
+        if (questionsError) {
+            const err = new Error(questionsError);
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            throw err;
+        }
+
+        const { rows: [updatedDetails] } = await client.query(
+            'UPDATE mission_quiz_details SET questions = $1 WHERE mission_id = $2 RETURNING questions',
+            [JSON.stringify(questions), id]
+        );
+
+        // Attempts in progress were served from the old questions; their layouts no longer apply
+        await discardOpenStarts(client, id);
+
+        await client.query('UPDATE missions SET updated_at = NOW() WHERE id = $1', [id]);
+
+        await client.query('COMMIT');
+
+        res.locals.data = {
+            mode,
+            imported_count: importedQuestions.length,
+            total_questions: updatedDetails.questions.length,
+            questions: updatedDetails.questions,
+        };
+        res.locals.message = `${importedQuestions.length} questions imported successfully.`;
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = [upload.single('file'), importQuizQuestions];
@@ -2,17 +2,25 @@
 const express = require('express');
 // MANDATORY: mergeParams allows access to :id from the parent router
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 // Import handlers
 const getQuizMission = require('./get');
 const updateQuizMission = require('./update');
 const deleteQuizMission = require('./delete');
 const uploadQuizMissionCover = require('./uploadCover');
+const getQuizAnalytics = require('./analytics');
+const importQuizQuestions = require('./importQuestions');
+const exportQuizQuestions = require('./exportQuestions');
 
 // Define routes for /missions/type-quiz/:id
-router.get('/', getQuizMission);
-router.put('/', updateQuizMission);
-router.delete('/', deleteQuizMission);
-router.post('/cover', uploadQuizMissionCover);
+router.get('/', authorize('missions:read'), authorizeCampaign('VIEWER', campaignFrom.mission('id')), getQuizMission);
+router.put('/', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), updateQuizMission);
+router.delete('/', authorize('missions:delete'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), deleteQuizMission);
+router.post('/cover', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), uploadQuizMissionCover);
+router.get('/analytics', authorize('missions:read'), authorizeCampaign('VIEWER', campaignFrom.mission('id')), getQuizAnalytics);
+router.post('/questions/import', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), importQuizQuestions);
+router.get('/questions/export', authorize('missions:read'), authorizeCampaign('VIEWER', campaignFrom.mission('id')), exportQuizQuestions);
 
 module.exports = router;
@@ -1,36 +1,8 @@
 // app/routes/webRoutes/missions/typeQuiz/id/update.js
 const pool = require('@db');
 const { isUUID } = require('validator');
-
-const validateQuestions = (questions) => {
-    if (!Array.isArray(questions) || questions.length === 0) {
-        return 'Questions must be a non-empty array.';
-    }
-    for (const q of questions) {
-        if (!q.text || typeof q.text !== 'string' || q.text.trim() === '') {
-            return 'Each question must have a non-empty text.';
-        }
-        if (!Array.isArray(q.answers) || q.answers.length < 2) {
-            return `Question "${q.text}" must have at least two answers.`;
-        }
-        let correctCount = 0;
-        for (const a of q.answers) {
-            if (!a.text || typeof a.text !== 'string' || a.text.trim() === '') {
-                return `Each answer for question "${q.text}" must have non-empty text.`;
-            }
-            if (typeof a.is_correct !== 'boolean') {
-                return `Each answer for question "${q.text}" must have an 'is_correct' boolean property.`;
-            }
-            if (a.is_correct) {
-                correctCount++;
-            }
-        }
-        if (correctCount !== 1) {
-            return `Question "${q.text}" must have exactly one correct answer.`;
-        }
-    }
-    return null; // All good
-};
+const { RANDOMIZATION_FIELDS, validateQuestions, validateRandomization } = require('@features/quizEngine');
+const { ATTEMPT_SETTINGS_FIELDS, validateAttemptSettings, requiresStart, discardOpenStarts } = require('@features/quizAttemptLimits');
 
 const validateCompetencyRewards = (rewards) => {
     if (rewards === undefined || rewards === null) return null; // Optional, can be null to clear
@@ -58,7 +30,10 @@ const validateCompetencyRewards = (rewards) => {
  *     tags:
  *       - Missions
  *     summary: Update a quiz-based mission
- *     description: Updates a mission of type 'QUIZ' and its associated details. Only include the fields you want to change.
+ *     description: |
+ *       Updates a mission of type 'QUIZ' and its associated details. Only include the fields you want to change.
+ *       Changing the questions or the randomization settings discards the attempts in progress, since they were served from the old questions; timed attempts that already expired still count as used.
+ *       Removing the time limit of a quiz that is not randomized discards them too, since such a quiz is submitted without a start.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -112,10 +87,31 @@ const validateCompetencyRewards = (rewards) => {
  *               questions:
  *                 type: array
  *                 items:
- *                   type: object
+ *                   $ref: '#/components/schemas/QuizQuestion'
  *               pass_threshold:
  *                 type: number
  *                 format: float
+ *               max_attempts:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Maximum attempts per user. Null for unlimited.
+ *               cooldown_seconds:
+ *                 type: integer
+ *                 description: Minimum time between two attempts of the same user.
+ *               time_limit_seconds:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Time limit of an attempt. Null for untimed quizzes. Timed quizzes are started with POST /telegram/completions/start-quiz.
+ *               questions_per_attempt:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Number of questions drawn at random for each attempt; cannot exceed the number of questions. Null to serve every question.
+ *               shuffle_questions:
+ *                 type: boolean
+ *                 description: Serve the questions of each attempt in random order.
+ *               shuffle_answers:
+ *                 type: boolean
+ *                 description: Shuffle the answers of choice questions for each attempt.
  *     responses:
  *       200:
  *         description: Mission updated successfully.
@@ -137,6 +133,8 @@ const validateCompetencyRewards = (rewards) => {
  *         $ref: '#/components/responses/BadRequestError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       500:
@@ -180,8 +178,25 @@ const updateQuizMission = async (req, res, next) => {
         }
     }
 
+    const attemptSettingsError = validateAttemptSettings(body);
+    if (attemptSettingsError) {
+        const err = new Error(attemptSettingsError);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    // The number of questions is checked against the stored questions in the transaction
+    const randomizationError = validateRandomization(body, Infinity);
+    if (randomizationError) {
+        const err = new Error(randomizationError);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
     const missionFields = ['title', 'description', 'category', 'required_achievement_id', 'experience_reward', 'mana_reward', 'cover_url', 'competency_rewards'];
-    const detailFields = ['questions', 'pass_threshold'];
+    const detailFields = ['questions', 'pass_threshold', ...ATTEMPT_SETTINGS_FIELDS, ...RANDOMIZATION_FIELDS];
 
     const missionUpdates = {};
     const detailUpdates = {};
@@ -237,6 +252,35 @@ const updateQuizMission = async (req, res, next) => {
 
         let updatedDetails;
         if (Object.keys(detailUpdates).length > 0) {
+            const changesServedQuestions = ['questions', ...RANDOMIZATION_FIELDS].some((key) => key in detailUpdates);
+            if (changesServedQuestions || 'time_limit_seconds' in detailUpdates) {
+                const { rows: [current] } = await client.query(
+                    `SELECT questions, time_limit_seconds, ${RANDOMIZATION_FIELDS.join(', ')} FROM mission_quiz_details WHERE mission_id = $1 FOR UPDATE`,
+                    [id]
+                );
+
+                if (changesServedQuestions) {
+                    const questionCount = (detailUpdates.questions || current.questions).length;
+                    const countError = validateRandomization({
+                        questions_per_attempt: 'questions_per_attempt' in detailUpdates ? detailUpdates.questions_per_attempt : current.questions_per_attempt
+                    }, questionCount);
+                    if (countError) {
+                        const err = new Error(countError);
+                        err.statusCode = 400;
+                        err.code = 'VALIDATION_ERROR';
+                        throw err;
+                    }
+                }
+
+                // Attempts in progress were served from the old questions; their layouts no longer apply.
+                // Once a quiz no longer requires a start, submissions ignore the open starts, which would
+                // otherwise keep counting as attempts and suspend the cooldown.
+                const stopsRequiringStart = requiresStart(current) && !requiresStart({ ...current, ...detailUpdates });
+                if (changesServedQuestions || stopsRequiringStart) {
+                    await discardOpenStarts(client, id);
+                }
+            }
+
             if (detailUpdates.questions) {
                 detailUpdates.questions = JSON.stringify(detailUpdates.questions);
             }
@@ -273,7 +317,13 @@ const updateQuizMission = async (req, res, next) => {
             required_achievement_name,
             details: {
                 questions: updatedDetails.questions,
-                pass_threshold: updatedDetails.pass_threshold
+                pass_threshold: updatedDetails.pass_threshold,
+                max_attempts: updatedDetails.max_attempts,
+                cooldown_seconds: updatedDetails.cooldown_seconds,
+                time_limit_seconds: updatedDetails.time_limit_seconds,
+                questions_per_attempt: updatedDetails.questions_per_attempt,
+                shuffle_questions: updatedDetails.shuffle_questions,
+                shuffle_answers: updatedDetails.shuffle_answers
             }
         };
         res.locals.message = 'Mission updated successfully.';
@@ -0,0 +1,89 @@
+// app/routes/webRoutes/missions/typeQuiz/import.js
+const multer = require('multer');
+const { readQuestionsFile } = require('@features/quizQuestionFiles');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1 * 1024 * 1024, // 1 MB
+    },
+});
+
+/**
+ * @swagger
+ * /web/missions/type-quiz/import:
+ *   post:
+ *     tags:
+ *       - Missions
+ *     summary: Create a quiz-based mission from a CSV or JSON file of questions
+ *     description: |
+ *       Creates a mission of type 'QUIZ' like `POST /web/missions/type-quiz`, with the questions read from an uploaded file.
+ *       The file is a CSV (one row per question: `type`, `text`, `weight`, `correct`, `tolerance`, `explanation`, `answer_1` ... `answer_N`)
+ *       or JSON (an array of `QuizQuestion`, or an object with a `questions` array). Every question is validated, and all invalid rows
+ *       are listed in the error message; nothing is created if any row is invalid.
+ *       The file should be sent as `multipart/form-data`.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - mission
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: The CSV or JSON file of questions, up to 1 MB and 500 questions.
+ *               mission:
+ *                 type: string
+ *                 description: |
+ *                   The other fields of the mission as a JSON string, as in the body of `POST /web/missions/type-quiz` without `questions`.
+ *                 example: '{"campaign_id":"3fa85f64-5717-4562-b3fc-2c963f66afa6","title":"Onboarding quiz","category":"Onboarding","pass_threshold":0.8}'
+ *     responses:
+ *       201:
+ *         description: Mission created successfully. The response is the same as for `POST /web/missions/type-quiz`.
+ *       400:
+ *         description: Invalid file (INVALID_FILE), invalid questions with the row numbers, or invalid mission fields (VALIDATION_ERROR).
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const readQuizMissionFile = (req, res, next) => {
+    try {
+        if (!req.file) {
+            const err = new Error('No file uploaded. Please include a file in the "file" field.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        let mission;
+        try {
+            mission = JSON.parse(req.body.mission);
+        } catch (parseErr) {
+            mission = null;
+        }
+        if (!mission || typeof mission !== 'object' || Array.isArray(mission)) {
+            const err = new Error('The "mission" field must be a JSON object with the fields of the mission.');
+            err.statusCode = 400;
+            err.code = 'VALIDATION_ERROR';
+            return next(err);
+        }
+
+        // From here on the request is handled like a regular POST /web/missions/type-quiz
+        req.body = { ...mission, questions: readQuestionsFile(req.file) };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = [upload.single('file'), readQuizMissionFile];
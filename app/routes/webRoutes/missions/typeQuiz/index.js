@@ -1,13 +1,18 @@
 // app/routes/webRoutes/missions/typeQuiz/index.js
 const express = require('express');
 const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 // Import route handlers
 const createQuizMission = require('./post');
+const readQuizMissionFile = require('./import');
 const idRouter = require('./id');
 
 // Define routes for /missions/type-quiz
-router.post('/', createQuizMission);
+router.post('/', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.body('campaign_id')), createQuizMission);
+// The file is read first, so the campaign can be taken from the "mission" field
+router.post('/import', authorize('missions:write'), readQuizMissionFile, authorizeCampaign('CO_ORGANIZER', campaignFrom.body('campaign_id')), createQuizMission);
 
 // Mount the dedicated sub-router for all /:id paths
 router.use('/:id', idRouter);
@@ -1,36 +1,8 @@
 // app/routes/webRoutes/missions/typeQuiz/post.js
 const pool = require('@db');
 const { isUUID } = require('validator');
-
-const validateQuestions = (questions) => {
-    if (!Array.isArray(questions) || questions.length === 0) {
-        return 'Questions must be a non-empty array.';
-    }
-    for (const q of questions) {
-        if (!q.text || typeof q.text !== 'string' || q.text.trim() === '') {
-            return 'Each question must have a non-empty text.';
-        }
-        if (!Array.isArray(q.answers) || q.answers.length < 2) {
-            return `Question "${q.text}" must have at least two answers.`;
-        }
-        let correctCount = 0;
-        for (const a of q.answers) {
-            if (!a.text || typeof a.text !== 'string' || a.text.trim() === '') {
-                return `Each answer for question "${q.text}" must have non-empty text.`;
-            }
-            if (typeof a.is_correct !== 'boolean') {
-                return `Each answer for question "${q.text}" must have an 'is_correct' boolean property.`;
-            }
-            if (a.is_correct) {
-                correctCount++;
-            }
-        }
-        if (correctCount !== 1) {
-            return `Question "${q.text}" must have exactly one correct answer.`;
-        }
-    }
-    return null; // All good
-};
+const { validateQuestions, validateRandomization } = require('@features/quizEngine');
+const { validateAttemptSettings } = require('@features/quizAttemptLimits');
 
 const validateCompetencyRewards = (rewards) => {
     if (rewards === undefined || rewards === null) return null; // Optional, can be null to clear
@@ -53,6 +25,57 @@ const validateCompetencyRewards = (rewards) => {
 
 /**
  * @swagger
+ * components:
+ *   schemas:
+ *     QuizQuestion:
+ *       type: object
+ *       required:
+ *         - text
+ *       description: |
+ *         A quiz question. The fields depend on `type`:
+ *         - `SINGLE_CHOICE` (default): `answers` with exactly one correct answer.
+ *         - `MULTIPLE_CHOICE`: `answers` with at least one correct answer. Partial credit: (correct chosen - wrong chosen) / correct total, never below 0.
+ *         - `TEXT`: `accepted_answers`; the answer is matched ignoring case and extra whitespace.
+ *         - `NUMBER`: `correct_value` and an optional `tolerance`.
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [SINGLE_CHOICE, MULTIPLE_CHOICE, TEXT, NUMBER]
+ *           default: SINGLE_CHOICE
+ *         text:
+ *           type: string
+ *         weight:
+ *           type: number
+ *           default: 1
+ *           description: The weight of the question in the score. The score is the weighted share of the credits and is compared to pass_threshold.
+ *         answers:
+ *           type: array
+ *           description: SINGLE_CHOICE and MULTIPLE_CHOICE only. At least two.
+ *           items:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *               is_correct:
+ *                 type: boolean
+ *         accepted_answers:
+ *           type: array
+ *           description: TEXT only.
+ *           items:
+ *             type: string
+ *           example: ["Moscow", "Москва"]
+ *         correct_value:
+ *           type: number
+ *           description: NUMBER only.
+ *         tolerance:
+ *           type: number
+ *           default: 0
+ *           description: NUMBER only. Values within correct_value ± tolerance are correct.
+ *         explanation:
+ *           type: string
+ *           nullable: true
+ *           description: Optional note on the correct answer, up to 2000 characters. Shown to organizers only; participants never receive it.
+ *
  * /web/missions/type-quiz:
  *   post:
  *     tags:
@@ -115,24 +138,36 @@ const validateCompetencyRewards = (rewards) => {
  *                 type: array
  *                 description: An array of question objects for the quiz.
  *                 items:
- *                   type: object
- *                   properties:
- *                     text:
- *                       type: string
- *                     answers:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           text:
- *                             type: string
- *                           is_correct:
- *                             type: boolean
+ *                   $ref: '#/components/schemas/QuizQuestion'
  *               pass_threshold:
  *                 type: number
  *                 format: float
- *                 description: "Fraction of correct answers required to pass (0.0 to 1.0). Defaults to 1.0."
+ *                 description: "Weighted score required to pass (0.0 to 1.0). Defaults to 1.0."
  *                 default: 1.0
+ *               max_attempts:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Maximum attempts per user. Null for unlimited.
+ *               cooldown_seconds:
+ *                 type: integer
+ *                 default: 0
+ *                 description: Minimum time between two attempts of the same user.
+ *               time_limit_seconds:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Time limit of an attempt. Null for untimed quizzes. Timed quizzes are started with POST /telegram/completions/start-quiz.
+ *               questions_per_attempt:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Number of questions drawn at random from the questions for each attempt. Null to serve every question.
+ *               shuffle_questions:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Serve the questions of each attempt in random order.
+ *               shuffle_answers:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Shuffle the answers of choice questions for each attempt. Randomized quizzes are started with POST /telegram/completions/start-quiz.
  *     responses:
  *       201:
  *         description: Mission created successfully.
@@ -155,12 +190,29 @@ const validateCompetencyRewards = (rewards) => {
  *                               type: array
  *                             pass_threshold:
  *                               type: number
+ *                             max_attempts:
+ *                               type: integer
+ *                               nullable: true
+ *                             cooldown_seconds:
+ *                               type: integer
+ *                             time_limit_seconds:
+ *                               type: integer
+ *                               nullable: true
+ *                             questions_per_attempt:
+ *                               type: integer
+ *                               nullable: true
+ *                             shuffle_questions:
+ *                               type: boolean
+ *                             shuffle_answers:
+ *                               type: boolean
  *                 message:
  *                   type: string
  *       400:
  *         $ref: '#/components/responses/BadRequestError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
@@ -175,7 +227,13 @@ const createQuizMission = async (req, res, next) => {
         mana_reward = 0,
         competency_rewards,
         questions,
-        pass_threshold = 1.0
+        pass_threshold = 1.0,
+        max_attempts = null,
+        cooldown_seconds = 0,
+        time_limit_seconds = null,
+        questions_per_attempt = null,
+        shuffle_questions = false,
+        shuffle_answers = false
     } = req.body;
     const created_by = req.user.userId;
 
@@ -199,6 +257,20 @@ const createQuizMission = async (req, res, next) => {
         err.code = 'VALIDATION_ERROR';
         return next(err);
     }
+    const attemptSettingsError = validateAttemptSettings({ max_attempts, cooldown_seconds, time_limit_seconds });
+    if (attemptSettingsError) {
+        const err = new Error(attemptSettingsError);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+    const randomizationError = validateRandomization({ questions_per_attempt, shuffle_questions, shuffle_answers }, questions.length);
+    if (randomizationError) {
+        const err = new Error(randomizationError);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
     const competencyRewardsError = validateCompetencyRewards(competency_rewards);
     if (competencyRewardsError) {
         const err = new Error(competencyRewardsError);
@@ -232,11 +304,16 @@ const createQuizMission = async (req, res, next) => {
         const newMission = missionResult.rows[0];
 
         const detailsQuery = `
-            INSERT INTO mission_quiz_details (mission_id, questions, pass_threshold)
-            VALUES ($1, $2, $3)
+            INSERT INTO mission_quiz_details (
+                mission_id, questions, pass_threshold, max_attempts, cooldown_seconds, time_limit_seconds,
+                questions_per_attempt, shuffle_questions, shuffle_answers
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
             RETURNING *;
         `;
-        const detailsParams = [newMission.id, JSON.stringify(questions), pass_threshold];
+        const detailsParams = [
+            newMission.id, JSON.stringify(questions), pass_threshold, max_attempts, cooldown_seconds, time_limit_seconds,
+            questions_per_attempt, shuffle_questions, shuffle_answers
+        ];
         const detailsResult = await client.query(detailsQuery, detailsParams);
         const newDetails = detailsResult.rows[0];
 
@@ -246,7 +323,13 @@ const createQuizMission = async (req, res, next) => {
             ...newMission,
             details: {
                 questions: newDetails.questions,
-                pass_threshold: newDetails.pass_threshold
+                pass_threshold: newDetails.pass_threshold,
+                max_attempts: newDetails.max_attempts,
+                cooldown_seconds: newDetails.cooldown_seconds,
+                time_limit_seconds: newDetails.time_limit_seconds,
+                questions_per_attempt: newDetails.questions_per_attempt,
+                shuffle_questions: newDetails.shuffle_questions,
+                shuffle_answers: newDetails.shuffle_answers
             }
         };
         res.locals.statusCode = 201;
@@ -2,14 +2,16 @@
 const express = require('express');
 // MANDATORY: mergeParams allows access to :id from the parent router
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 const listMissionCompletions = require('./list');
 const updateCompletionStatus = require('./updateStatus');
 
 // GET /web/missions/type-url/:id/completions
-router.get('/', listMissionCompletions);
+router.get('/', authorize('completions:review'), authorizeCampaign('MODERATOR', campaignFrom.mission('id')), listMissionCompletions);
 
 // PATCH /web/missions/type-url/:id/completions/:completionId/status
-router.patch('/:completionId/status', updateCompletionStatus);
+router.patch('/:completionId/status', authorize('completions:review'), authorizeCampaign('MODERATOR', campaignFrom.mission('id')), updateCompletionStatus);
 
 module.exports = router;
@@ -2,8 +2,7 @@
 const pool = require('@db');
 const { isUUID } = require('validator');
 const { sendTelegramMessage } = require('@features/sendTelegramMsg');
-const { checkAndAwardAchievements } = require('@features/achievementChecker');
-const { awardCompetencyPoints } = require('@features/competencyAwarder');
+const { moderateCompletion } = require('@features/completionModerator');
 
 /**
  * @swagger
@@ -13,7 +12,7 @@ const { awardCompetencyPoints } = require('@features/competencyAwarder');
  *       - Missions Completions
  *     summary: Update the status of a mission completion
  *     description: |
- *       Updates the status of a specific mission completion (e.g., to approve or reject it). When rejecting, a comment is required. Approving a mission should trigger reward distribution (Note: reward logic is a separate concern to be implemented).
+ *       Updates the status of a specific mission completion (e.g., to approve or reject it). When rejecting, a comment is required. Approving a completion grants the mission rewards (experience, mana, achievements and competency points) and notifies the user.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -66,6 +65,12 @@ const { awardCompetencyPoints } = require('@features/competencyAwarder');
  *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Conflict - An approved completion cannot be rejected; use the revoke endpoint instead.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
@@ -100,100 +105,28 @@ const updateCompletionStatus = async (req, res, next) => {
     try {
         await client.query('BEGIN');
 
-        // Step 1: Fetch the current completion status and user ID to check for idempotency. Lock the row.
-        const completionCheckQuery = `
-            SELECT user_id, status FROM mission_completions WHERE id = $1 AND mission_id = $2 FOR UPDATE;
-        `;
-        const completionCheckResult = await client.query(completionCheckQuery, [completionId, missionId]);
-
-        if (completionCheckResult.rowCount === 0) {
-            const err = new Error(`Completion with ID ${completionId} for mission ${missionId} not found.`);
-            err.statusCode = 404;
-            err.code = 'NOT_FOUND';
-            throw err; // This will be caught and rolled back
-        }
+        const { completion, alreadyApproved, notification, referralNotifications } = await moderateCompletion(client, {
+            completionId,
+            missionId,
+            status,
+            moderatorId,
+            moderatorComment: moderator_comment
+        });
 
-        const { user_id: userId, status: currentStatus } = completionCheckResult.rows[0];
+        await client.query('COMMIT');
 
-        // Idempotency check: If already approved and we're trying to approve again, do nothing further.
-        if (currentStatus === 'APPROVED' && status === 'APPROVED') {
-            await client.query('ROLLBACK'); // No changes needed.
-            const finalState = await pool.query('SELECT * FROM mission_completions WHERE id = $1', [completionId]);
-            res.locals.data = finalState.rows[0];
-            res.locals.message = 'Mission completion was already approved.';
-            return next();
+        // Send notification after commit, but don't let it fail the request
+        if (notification) {
+            sendTelegramMessage(notification.tgId, notification.message);
         }
-
-        // Step 2: Update the completion status itself.
-        const updateCompletionQuery = `
-            UPDATE mission_completions
-            SET
-                status = $1,
-                moderator_id = $2,
-                moderator_comment = $3,
-                updated_at = NOW()
-            WHERE
-                id = $4
-            RETURNING *;
-        `;
-        // Clear comment if not rejecting
-        const finalComment = status === 'REJECTED' ? moderator_comment : null;
-        const updateResult = await client.query(updateCompletionQuery, [status, moderatorId, finalComment, completionId]);
-
-        // Step 3: If approving for the first time, fetch mission rewards, update user points, and send notification.
-        if (status === 'APPROVED' && currentStatus !== 'APPROVED') {
-            // Fetch mission details
-            const missionQuery = 'SELECT title, experience_reward, mana_reward FROM missions WHERE id = $1;';
-            const missionResult = await client.query(missionQuery, [missionId]);
-            
-            if (missionResult.rowCount === 0) {
-                const err = new Error(`Mission with ID ${missionId} not found.`);
-                err.statusCode = 404;
-                err.code = 'NOT_FOUND';
-                throw err;
-            }
-            
-            const { title: missionTitle, experience_reward, mana_reward } = missionResult.rows[0];
-
-            // Update user points
-            if (experience_reward > 0 || mana_reward > 0) {
-                const updateUserQuery = `
-                    UPDATE users
-                    SET
-                        experience_points = experience_points + $1,
-                        mana_points = mana_points + $2,
-                        updated_at = NOW()
-                    WHERE id = $3;
-                `;
-                await client.query(updateUserQuery, [experience_reward, mana_reward, userId]);
-            }
-
-            // Check for and award any achievements this completion might unlock
-            await checkAndAwardAchievements(client, userId, missionId);
-
-            // Award competency points
-            await awardCompetencyPoints(client, userId, missionId);
-
-            // Fetch user's tg_id for notification
-            const userQuery = 'SELECT tg_id FROM users WHERE id = $1;';
-            const userResult = await client.query(userQuery, [userId]);
-
-            if (userResult.rowCount > 0) {
-                const { tg_id: tgId } = userResult.rows[0];
-                const message = `✅ Задание «${missionTitle}» принято.`;
-                
-                // Send notification, but don't let it fail the transaction
-                await sendTelegramMessage(tgId, message);
-            } else {
-                // Log if user not found, but don't fail the transaction
-                console.warn(`User with ID ${userId} not found when trying to send completion notification.`);
-            }
+        for (const referralNotification of referralNotifications) {
+            sendTelegramMessage(referralNotification.tgId, referralNotification.message);
         }
 
-        await client.query('COMMIT');
-
-        res.locals.data = updateResult.rows[0];
-        res.locals.message = 'Mission completion status updated successfully.';
+        res.locals.data = completion;
+        res.locals.message = alreadyApproved
+            ? 'Mission completion was already approved.'
+            : 'Mission completion status updated successfully.';
         next();
 
     } catch (err) {
@@ -2,6 +2,8 @@
 const express = require('express');
 // MANDATORY: mergeParams allows access to :id from the parent router
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 // Import handlers
 const getUrlMission = require('./get');
@@ -11,10 +13,10 @@ const completionsRouter = require('./completions');
 const uploadUrlMissionCover = require('./uploadCover');
 
 // Define routes for /missions/type-url/:id
-router.get('/', getUrlMission);
-router.put('/', updateUrlMission);
-router.delete('/', deleteUrlMission);
-router.post('/cover', uploadUrlMissionCover);
+router.get('/', authorize('missions:read'), authorizeCampaign('VIEWER', campaignFrom.mission('id')), getUrlMission);
+router.put('/', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), updateUrlMission);
+router.delete('/', authorize('missions:delete'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), deleteUrlMission);
+router.post('/cover', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.mission('id')), uploadUrlMissionCover);
 
 // Mount sub-router for completions
 router.use('/completions', completionsRouter);
@@ -1,13 +1,15 @@
 // app/routes/webRoutes/missions/typeUrl/index.js
 const express = require('express');
 const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 // Import route handlers
 const createUrlMission = require('./post');
 const idRouter = require('./id');
 
 // Define routes for /missions/type-url
-router.post('/', createUrlMission);
+router.post('/', authorize('missions:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.body('campaign_id')), createUrlMission);
 
 // Mount the dedicated sub-router for all /:id paths
 router.use('/:id', idRouter);
@@ -63,6 +63,16 @@ const getMissionTypes = (req, res, next) => {
                 "value": "QUIZ",
                 "label": "Квиз / викторина (автоматически)",
                 "description": "Создаёте вопросы — система сама проверяет ответы и засчитывает миссию. Подходит для викторин, тестов на знание темы, сбора обратной связи или просто для развлечения. Вы задаёте правила один раз — дальше всё работает без вас."
+            },
+            {
+                "value": "AI_CHECK",
+                "label": "Проверка с помощью ИИ (автоматически)",
+                "description": "Участник пишет развёрнутый ответ, а нейросеть оценивает его по вашим критериям. Если уверенность проверки выше заданного порога — миссия засчитывается сразу, иначе ответ попадает к вам на ручную проверку. Подходит для эссе, рефлексии после мероприятия или открытых вопросов."
+            },
+            {
+                "value": "FILE_UPLOAD",
+                "label": "Загрузка фото или файла (ручная проверка)",
+                "description": "Участник загружает фотографию или документ прямо из приложения — например, селфи у стенда, скан сертификата или фото выполненного задания. Вы сами выбираете, какие файлы принимать и какого размера. Каждый файл вы проверяете лично и нажимаете «зачтено» или «отклонить»."
             }
         ];
 
@@ -0,0 +1,13 @@
+// app/routes/webRoutes/moderation/completions/index.js
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Import route handlers
+const revokeMissionCompletion = require('./revoke');
+
+// Define routes for /moderation/completions
+router.post('/:completionId/revoke', authorize('completions:revoke'), authorizeCampaign('CO_ORGANIZER', campaignFrom.completion('completionId')), revokeMissionCompletion);
+
+module.exports = router;
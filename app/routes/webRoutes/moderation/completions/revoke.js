@@ -0,0 +1,143 @@
+// app/routes/webRoutes/moderation/completions/revoke.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { sendTelegramMessage } = require('@features/sendTelegramMsg');
+const { revokeCompletion } = require('@features/completionModerator');
+
+/**
+ * @swagger
+ * /web/moderation/completions/{completionId}/revoke:
+ *   post:
+ *     tags:
+ *       - Moderation
+ *     summary: Revoke an approved mission completion
+ *     description: |
+ *       Reverses an approval made by mistake (or obtained with a leaked QR code) for a mission of any type.
+ *       In a single transaction the completion is set to `REVOKED`, the experience, mana and competency points granted on approval are taken back (not the mission's current rewards),
+ *       achievements that are no longer earned are removed together with their rewards, the user's rank is re-evaluated,
+ *       and an audit record is created. Mana the user has already spent cannot be taken back; the balance never goes below zero.
+ *       The user is notified via Telegram.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: completionId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *         description: The UUID of the mission completion to revoke.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the completion is revoked. Shown to the user.
+ *     responses:
+ *       200:
+ *         description: Completion revoked successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     completion:
+ *                       $ref: '#/components/schemas/MissionCompletion'
+ *                     revocation:
+ *                       type: object
+ *                       properties:
+ *                         id: { type: string, format: uuid }
+ *                         completion_id: { type: string, format: uuid }
+ *                         user_id: { type: string, format: uuid }
+ *                         mission_id: { type: string, format: uuid }
+ *                         revoked_by: { type: string, format: uuid }
+ *                         reason: { type: string }
+ *                         experience_granted: { type: integer, description: The experience the completion had granted. }
+ *                         mana_granted: { type: integer, description: The mana the completion had granted. }
+ *                         experience_revoked: { type: integer }
+ *                         mana_revoked: { type: integer }
+ *                         competencies_revoked:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               competency_id: { type: string, format: uuid }
+ *                               points: { type: integer }
+ *                         achievements_revoked:
+ *                           type: array
+ *                           items: { type: string, format: uuid }
+ *                         created_at: { type: string, format: date-time }
+ *                 message: { type: string }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Conflict - Only approved completions can be revoked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const revokeMissionCompletion = async (req, res, next) => {
+    const { completionId } = req.params;
+    const { reason } = req.body;
+    const moderatorId = req.user.userId;
+
+    if (!isUUID(completionId)) {
+        const err = new Error('Invalid completion ID format');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+        const err = new Error('A reason is required when revoking a completion.');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { completion, revocation, notification } = await revokeCompletion(client, {
+            completionId,
+            moderatorId,
+            reason: reason.trim()
+        });
+
+        await client.query('COMMIT');
+
+        if (notification) {
+            sendTelegramMessage(notification.tgId, notification.message);
+        }
+
+        res.locals.data = { completion, revocation };
+        res.locals.message = 'Mission completion revoked successfully.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = revokeMissionCompletion;
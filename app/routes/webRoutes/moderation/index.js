@@ -0,0 +1,65 @@
+// app/routes/webRoutes/moderation/index.js
+const express = require('express');
+const router = express.Router();
+const { authenticateJWT } = require('@middleware/authenticateJWT');
+
+// Import sub-routers
+const queueRouter = require('./queue');
+const completionsRouter = require('./completions');
+
+// Authentication middleware for all moderation routes
+router.use(authenticateJWT);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ModerationQueueItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The ID of the mission completion.
+ *         status:
+ *           $ref: '#/components/schemas/MissionCompletionStatus'
+ *         result_data:
+ *           type: string
+ *           nullable: true
+ *           description: Data submitted by the user (a URL, or a JSON string for AI_CHECK and FILE_UPLOAD missions).
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         age_hours:
+ *           type: number
+ *           description: How long the submission has been waiting, in hours.
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         first_name:
+ *           type: string
+ *         last_name:
+ *           type: string
+ *           nullable: true
+ *         username:
+ *           type: string
+ *           nullable: true
+ *         mission_id:
+ *           type: string
+ *           format: uuid
+ *         mission_title:
+ *           type: string
+ *         mission_type:
+ *           $ref: '#/components/schemas/MissionType'
+ *         campaign_id:
+ *           type: string
+ *           format: uuid
+ *         campaign_title:
+ *           type: string
+ */
+
+// Mount sub-routers
+router.use('/queue', queueRouter);
+router.use('/completions', completionsRouter);
+
+module.exports = router;
@@ -0,0 +1,186 @@
+// app/routes/webRoutes/moderation/queue/bulk.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { sendTelegramMessage } = require('@features/sendTelegramMsg');
+const { moderateCompletion } = require('@features/completionModerator');
+const { assertCampaignAccess } = require('@features/campaignAccess');
+
+const MAX_BULK_SIZE = 100;
+
+/**
+ * @swagger
+ * /web/moderation/queue/bulk:
+ *   post:
+ *     tags:
+ *       - Moderation
+ *     summary: Approve or reject several submissions at once
+ *     description: |
+ *       Applies the same decision to a list of `PENDING_REVIEW` completions. Each completion is processed in its own transaction
+ *       with the same reward logic as the per-mission moderation endpoint, so one failing item does not block the rest.
+ *       Completions in campaigns where the manager is not at least a `MODERATOR` are reported as failed.
+ *       The response lists the outcome for every requested ID. When rejecting, a comment is required.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - completion_ids
+ *               - status
+ *             properties:
+ *               completion_ids:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               status:
+ *                 type: string
+ *                 enum: [APPROVED, REJECTED]
+ *               moderator_comment:
+ *                 type: string
+ *                 nullable: true
+ *                 description: "Required when status is 'REJECTED'. Applied to every rejected completion."
+ *     responses:
+ *       200:
+ *         description: The bulk action was processed. Check `results` for the outcome of each completion.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     processed: { type: integer }
+ *                     failed: { type: integer }
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id: { type: string, format: uuid }
+ *                           success: { type: boolean }
+ *                           status:
+ *                             $ref: '#/components/schemas/MissionCompletionStatus'
+ *                           error:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               code: { type: string }
+ *                               message: { type: string }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const bulkModerateCompletions = async (req, res, next) => {
+    const { completion_ids, status, moderator_comment } = req.body;
+    const moderatorId = req.user.userId;
+
+    if (!Array.isArray(completion_ids) || completion_ids.length === 0 || completion_ids.length > MAX_BULK_SIZE) {
+        const err = new Error(`completion_ids must be a non-empty array of at most ${MAX_BULK_SIZE} IDs.`);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    if (!completion_ids.every((id) => typeof id === 'string' && isUUID(id))) {
+        const err = new Error('Every item in completion_ids must be a UUID.');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    const validStatuses = ['APPROVED', 'REJECTED'];
+    if (!status || !validStatuses.includes(status)) {
+        const err = new Error(`Status must be one of: ${validStatuses.join(', ')}`);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    if (status === 'REJECTED' && (!moderator_comment || moderator_comment.trim() === '')) {
+        const err = new Error('A moderator comment is required when rejecting a submission.');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const uniqueIds = [...new Set(completion_ids)];
+    const results = [];
+
+    const client = await pool.connect();
+    try {
+        for (const completionId of uniqueIds) {
+            try {
+                await client.query('BEGIN');
+
+                // The manager must be able to moderate the campaign of every completion.
+                const { rows: campaignRows } = await client.query(
+                    'SELECT m.campaign_id FROM mission_completions mc JOIN missions m ON mc.mission_id = m.id WHERE mc.id = $1',
+                    [completionId]
+                );
+                if (campaignRows.length > 0) {
+                    await assertCampaignAccess(client, req.user, campaignRows[0].campaign_id, 'MODERATOR');
+                }
+
+                const { completion, notification, referralNotifications } = await moderateCompletion(client, {
+                    completionId,
+                    status,
+                    moderatorId,
+                    moderatorComment: moderator_comment,
+                    onlyPending: true
+                });
+
+                await client.query('COMMIT');
+
+                if (notification) {
+                    sendTelegramMessage(notification.tgId, notification.message);
+                }
+                for (const referralNotification of referralNotifications) {
+                    sendTelegramMessage(referralNotification.tgId, referralNotification.message);
+                }
+
+                results.push({ id: completionId, success: true, status: completion.status, error: null });
+            } catch (itemErr) {
+                await client.query('ROLLBACK');
+
+                // Unexpected errors (no statusCode) abort the whole request.
+                if (!itemErr.statusCode) {
+                    throw itemErr;
+                }
+                results.push({
+                    id: completionId,
+                    success: false,
+                    status: null,
+                    error: { code: itemErr.code, message: itemErr.message }
+                });
+            }
+        }
+
+        const processed = results.filter((r) => r.success).length;
+
+        res.locals.data = {
+            processed,
+            failed: results.length - processed,
+            results
+        };
+        res.locals.message = `${processed} of ${results.length} submissions updated.`;
+        next();
+
+    } catch (err) {
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = bulkModerateCompletions;
@@ -0,0 +1,75 @@
+// app/routes/webRoutes/moderation/queue/counts.js
+const pool = require('@db');
+const { accessibleCampaignsCondition } = require('@features/campaignAccess');
+
+/**
+ * @swagger
+ * /web/moderation/queue/counts:
+ *   get:
+ *     tags:
+ *       - Moderation
+ *     summary: Count pending submissions per campaign
+ *     description: Returns the number of `PENDING_REVIEW` submissions and the age of the oldest one for every campaign the manager can moderate that has anything to review, busiest campaigns first.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending submission counts per campaign.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     campaigns:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           campaign_id: { type: string, format: uuid }
+ *                           campaign_title: { type: string }
+ *                           pending_count: { type: integer }
+ *                           oldest_created_at: { type: string, format: date-time }
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getModerationQueueCounts = async (req, res, next) => {
+    try {
+        const queryParams = [];
+        const accessCondition = accessibleCampaignsCondition(req.user, 'c.id', queryParams, 'MODERATOR');
+
+        const { rows } = await pool.query(
+            `SELECT
+                c.id as campaign_id,
+                c.title as campaign_title,
+                COUNT(mc.id)::INTEGER as pending_count,
+                MIN(mc.created_at) as oldest_created_at
+             FROM mission_completions mc
+             JOIN missions m ON mc.mission_id = m.id
+             JOIN campaigns c ON m.campaign_id = c.id
+             WHERE mc.status = 'PENDING_REVIEW' AND m.deleted_at IS NULL
+             ${accessCondition ? `AND ${accessCondition}` : ''}
+             GROUP BY c.id, c.title
+             ORDER BY pending_count DESC, oldest_created_at ASC`,
+            queryParams
+        );
+
+        res.locals.data = {
+            total: rows.reduce((sum, row) => sum + row.pending_count, 0),
+            campaigns: rows
+        };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getModerationQueueCounts;
@@ -0,0 +1,16 @@
+// app/routes/webRoutes/moderation/queue/index.js
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
+
+// Import route handlers
+const listModerationQueue = require('./list');
+const getModerationQueueCounts = require('./counts');
+const bulkModerateCompletions = require('./bulk');
+
+// Define routes for /moderation/queue
+router.get('/', authorize('completions:review'), listModerationQueue);
+router.get('/counts', authorize('completions:review'), getModerationQueueCounts);
+router.post('/bulk', authorize('completions:review'), bulkModerateCompletions);
+
+module.exports = router;
@@ -0,0 +1,179 @@
+// app/routes/webRoutes/moderation/queue/list.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { accessibleCampaignsCondition } = require('@features/campaignAccess');
+
+const MODERATED_TYPES = ['MANUAL_URL', 'AI_CHECK', 'FILE_UPLOAD'];
+
+/**
+ * @swagger
+ * /web/moderation/queue:
+ *   get:
+ *     tags:
+ *       - Moderation
+ *     summary: List submissions waiting for review
+ *     description: |
+ *       Retrieves a paginated list of all `PENDING_REVIEW` mission completions across every campaign and mission type, oldest first.
+ *       Only campaigns where the manager is at least a `MODERATOR` are included (global admins see all campaigns).
+ *       Use the filters to narrow the queue down to a campaign, a mission, a user or submissions older than a given age.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: campaign_id
+ *         schema: { type: string, format: uuid }
+ *         description: Only return submissions for missions of this campaign.
+ *       - in: query
+ *         name: mission_id
+ *         schema: { type: string, format: uuid }
+ *         description: Only return submissions for this mission.
+ *       - in: query
+ *         name: user_id
+ *         schema: { type: string, format: uuid }
+ *         description: Only return submissions from this user.
+ *       - in: query
+ *         name: mission_type
+ *         schema:
+ *           type: string
+ *           enum: [MANUAL_URL, AI_CHECK, FILE_UPLOAD]
+ *         description: Only return submissions for missions of this type.
+ *       - in: query
+ *         name: older_than_hours
+ *         schema: { type: integer, minimum: 0 }
+ *         description: Only return submissions that have been waiting at least this many hours.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *         description: The page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *         description: The number of items per page.
+ *     responses:
+ *       200:
+ *         description: A paginated list of pending submissions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ModerationQueueItem' }
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const listModerationQueue = async (req, res, next) => {
+    try {
+        const { campaign_id, mission_id, user_id, mission_type, older_than_hours } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+            const err = new Error('Invalid pagination parameters. Query parameters "page" (integer, >=1) and "limit" (integer, 1-100) are required.');
+            err.statusCode = 400;
+            err.code = 'INVALID_PAGINATION';
+            return next(err);
+        }
+
+        const conditions = [`mc.status = 'PENDING_REVIEW'`, 'm.deleted_at IS NULL'];
+        const queryParams = [];
+
+        const idFilters = { campaign_id: 'm.campaign_id', mission_id: 'mc.mission_id', user_id: 'mc.user_id' };
+        for (const [param, column] of Object.entries(idFilters)) {
+            const value = req.query[param];
+            if (value === undefined) continue;
+            if (!isUUID(value)) {
+                const err = new Error(`Invalid UUID format for ${param}.`);
+                err.statusCode = 400;
+                err.code = 'INVALID_ID';
+                return next(err);
+            }
+            queryParams.push(value);
+            conditions.push(`${column} = $${queryParams.length}`);
+        }
+
+        if (mission_type !== undefined) {
+            if (!MODERATED_TYPES.includes(mission_type)) {
+                const err = new Error(`mission_type must be one of: ${MODERATED_TYPES.join(', ')}`);
+                err.statusCode = 400;
+                err.code = 'VALIDATION_ERROR';
+                return next(err);
+            }
+            queryParams.push(mission_type);
+            conditions.push(`m.type = $${queryParams.length}`);
+        }
+
+        if (older_than_hours !== undefined) {
+            const hours = Number(older_than_hours);
+            if (!Number.isInteger(hours) || hours < 0) {
+                const err = new Error('older_than_hours must be a non-negative integer.');
+                err.statusCode = 400;
+                err.code = 'VALIDATION_ERROR';
+                return next(err);
+            }
+            queryParams.push(hours);
+            conditions.push(`mc.created_at <= NOW() - make_interval(hours => $${queryParams.length})`);
+        }
+
+        // Only campaigns the manager may moderate
+        const accessCondition = accessibleCampaignsCondition(req.user, 'm.campaign_id', queryParams, 'MODERATOR');
+        if (accessCondition) conditions.push(accessCondition);
+
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+        const offset = (page - 1) * limit;
+
+        const countPromise = pool.query(
+            `SELECT COUNT(*) FROM mission_completions mc JOIN missions m ON mc.mission_id = m.id ${whereClause}`,
+            queryParams
+        );
+        const dataPromise = pool.query(
+            `SELECT
+                mc.id,
+                mc.status,
+                mc.result_data,
+                mc.created_at,
+                ROUND((EXTRACT(EPOCH FROM (NOW() - mc.created_at)) / 3600)::numeric, 1)::float AS age_hours,
+                u.id as user_id,
+                u.first_name,
+                u.last_name,
+                u.username,
+                m.id as mission_id,
+                m.title as mission_title,
+                m.type as mission_type,
+                c.id as campaign_id,
+                c.title as campaign_title
+             FROM mission_completions mc
+             JOIN missions m ON mc.mission_id = m.id
+             JOIN campaigns c ON m.campaign_id = c.id
+             JOIN users u ON mc.user_id = u.id
+             ${whereClause}
+             ORDER BY mc.created_at ASC
+             LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+            [...queryParams, limit, offset]
+        );
+
+        const [countResult, dataResult] = await Promise.all([countPromise, dataPromise]);
+
+        const total = parseInt(countResult.rows[0].count, 10);
+        const pages = Math.ceil(total / limit);
+
+        res.locals.data = dataResult.rows;
+        res.locals.meta = { pagination: { page, limit, total, pages } };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = listModerationQueue;
@@ -1,6 +1,7 @@
 // app/routes/webRoutes/ranks/id/index.js
 const express = require('express');
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
 const multer = require('multer');
 
 const storage = multer.memoryStorage();
@@ -11,7 +12,7 @@ const getRank = require('./get');
 const updateRank = require('./update');
 
 // Define routes for /ranks/:id
-router.get('/', getRank);
-router.put('/', upload.single('image'), updateRank);
+router.get('/', authorize('ranks:read'), getRank);
+router.put('/', authorize('ranks:write'), upload.single('image'), updateRank);
 
 module.exports = router;
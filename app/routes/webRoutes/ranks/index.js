@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateJWT } = require('@middleware/authenticateJWT');
+const { authorize } = require('@middleware/authorizeRole');
 const multer = require('multer');
 
 const storage = multer.memoryStorage();
@@ -53,9 +54,9 @@ router.use(authenticateJWT);
  */
 
 // Define routes
-router.get('/', listRanks);
-router.get('/minimal', listMinimalRanks);
-router.post('/', upload.single('image'), createRank);
+router.get('/', authorize('ranks:read'), listRanks);
+router.get('/minimal', authorize('ranks:read'), listMinimalRanks);
+router.post('/', authorize('ranks:write'), upload.single('image'), createRank);
 router.use('/:id', idRouter);
 
 module.exports = router;
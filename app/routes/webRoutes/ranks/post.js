@@ -59,6 +59,8 @@ const { uploadFileToMinio } = require('@features/useMinioBucket');
  *         $ref: '#/components/responses/BadRequestError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       409:
  *         description: Conflict - A rank with this title already exists.
  *       500:
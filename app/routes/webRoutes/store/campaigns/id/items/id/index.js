@@ -1,15 +1,17 @@
 // app/routes/webRoutes/store/campaigns/id/items/id/index.js
 const express = require('express');
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 const getCampaignStoreItem = require('./get');
 const updateCampaignStoreItem = require('./update');
 const deleteCampaignStoreItem = require('./delete');
 const uploadImageHandler = require('./uploadImage');
 
-router.get('/', getCampaignStoreItem);
-router.put('/', updateCampaignStoreItem);
-router.delete('/', deleteCampaignStoreItem);
-router.post('/image', uploadImageHandler);
+router.get('/', authorize('store:read'), authorizeCampaign('VIEWER', campaignFrom.param('campaignId')), getCampaignStoreItem);
+router.put('/', authorize('store:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('campaignId')), updateCampaignStoreItem);
+router.delete('/', authorize('store:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('campaignId')), deleteCampaignStoreItem);
+router.post('/image', authorize('store:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('campaignId')), uploadImageHandler);
 
 module.exports = router;
@@ -1,13 +1,15 @@
 // app/routes/webRoutes/store/campaigns/id/items/index.js
 const express = require('express');
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 const listCampaignStoreItems = require('./list');
 const createCampaignStoreItem = require('./post');
 const idRouter = require('./id');
 
-router.get('/', listCampaignStoreItems);
-router.post('/', createCampaignStoreItem);
+router.get('/', authorize('store:read'), authorizeCampaign('VIEWER', campaignFrom.param('campaignId')), listCampaignStoreItems);
+router.post('/', authorize('store:write'), authorizeCampaign('CO_ORGANIZER', campaignFrom.param('campaignId')), createCampaignStoreItem);
 router.use('/:itemId', idRouter);
 
 module.exports = router;
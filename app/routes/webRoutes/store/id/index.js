@@ -1,6 +1,7 @@
 // app/routes/webRoutes/store/id/index.js
 const express = require('express');
 const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
 
 // Import handlers
 const getStoreItem = require('./get');
@@ -9,9 +10,9 @@ const deleteStoreItem = require('./delete');
 const uploadImageHandler = require('./uploadImage');
 
 // Define routes for /store/:id
-router.get('/', getStoreItem);
-router.put('/', updateStoreItem);
-router.delete('/', deleteStoreItem);
-router.post('/image', uploadImageHandler);
+router.get('/', authorize('store:read'), getStoreItem);
+router.put('/', authorize('store:global'), updateStoreItem);
+router.delete('/', authorize('store:global'), deleteStoreItem);
+router.post('/image', authorize('store:global'), uploadImageHandler);
 
 module.exports = router;
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateJWT } = require('@middleware/authenticateJWT');
+const { authorize } = require('@middleware/authorizeRole');
 
 // Authentication middleware for all store routes
 router.use(authenticateJWT);
@@ -64,6 +65,70 @@ router.use(authenticateJWT);
  *         - is_global
  *         - created_at
  *         - updated_at
+ *     OrderStatus:
+ *       type: string
+ *       enum: [NEW, READY_FOR_PICKUP, ISSUED, CANCELLED]
+ *       description: The fulfillment status of a store order.
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The unique identifier for the order.
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *           description: The user who placed the order.
+ *         item_id:
+ *           type: string
+ *           format: uuid
+ *           description: The purchased store item.
+ *         points_spent:
+ *           type: integer
+ *           description: The price in mana points at the time of purchase.
+ *         status:
+ *           $ref: '#/components/schemas/OrderStatus'
+ *         processed_by:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: The manager who last changed the order status.
+ *         manager_comment:
+ *           type: string
+ *           nullable: true
+ *           description: Optional comment from the manager, e.g. pickup location or cancellation reason.
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     OrderDetails:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Order'
+ *         - type: object
+ *           properties:
+ *             item_name:
+ *               type: string
+ *             item_image_url:
+ *               type: string
+ *               format: uri
+ *               nullable: true
+ *             campaign_id:
+ *               type: string
+ *               format: uuid
+ *               nullable: true
+ *             is_global:
+ *               type: boolean
+ *             user_first_name:
+ *               type: string
+ *             user_last_name:
+ *               type: string
+ *               nullable: true
+ *             user_username:
+ *               type: string
+ *               nullable: true
  */
 
 // Import route handlers
@@ -71,10 +136,14 @@ const listStoreItems = require('./list');
 const createStoreItem = require('./post');
 const idRouter = require('./id');
 const campaignsRouter = require('./campaigns');
+const ordersRouter = require('./orders');
 
 // Define routes
-router.get('/', listStoreItems);
-router.post('/', createStoreItem);
+router.get('/', authorize('store:read'), listStoreItems);
+router.post('/', authorize('store:global'), createStoreItem);
+
+// Orders must be mounted before /:id so "orders" is not treated as an item ID.
+router.use('/orders', ordersRouter);
 
 // Mount the dedicated sub-router for all /:id paths.
 router.use('/:id', idRouter);
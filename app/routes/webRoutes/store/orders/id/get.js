@@ -0,0 +1,83 @@
+// app/routes/webRoutes/store/orders/id/get.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+
+/**
+ * @swagger
+ * /web/store/orders/{orderId}:
+ *   get:
+ *     tags:
+ *       - Store Orders
+ *     summary: Get a store order by ID
+ *     description: Retrieve a single order with the buyer and item details.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *         description: The UUID of the order.
+ *     responses:
+ *       200:
+ *         description: The requested order.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data: { $ref: '#/components/schemas/OrderDetails' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const getOrder = async (req, res, next) => {
+    try {
+        const { orderId } = req.params;
+
+        if (!isUUID(orderId)) {
+            const err = new Error('Invalid order ID format');
+            err.statusCode = 400;
+            err.code = 'INVALID_ID';
+            return next(err);
+        }
+
+        const { rows } = await pool.query(
+            `SELECT
+                o.*,
+                si.name as item_name,
+                si.image_url as item_image_url,
+                si.campaign_id,
+                si.is_global,
+                u.first_name as user_first_name,
+                u.last_name as user_last_name,
+                u.username as user_username
+             FROM orders o
+             JOIN store_items si ON o.item_id = si.id
+             JOIN users u ON o.user_id = u.id
+             WHERE o.id = $1`,
+            [orderId]
+        );
+
+        if (rows.length === 0) {
+            const err = new Error(`Order with ID ${orderId} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            return next(err);
+        }
+
+        res.locals.data = rows[0];
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = getOrder;
@@ -0,0 +1,15 @@
+// app/routes/webRoutes/store/orders/id/index.js
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
+
+// Import handlers
+const getOrder = require('./get');
+const updateOrderStatus = require('./updateStatus');
+
+// Define routes for /store/orders/:orderId
+router.get('/', authorize('orders:read'), authorizeCampaign('VIEWER', campaignFrom.order('orderId')), getOrder);
+router.patch('/status', authorize('orders:fulfill'), authorizeCampaign('MODERATOR', campaignFrom.order('orderId')), updateOrderStatus);
+
+module.exports = router;
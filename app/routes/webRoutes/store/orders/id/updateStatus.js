@@ -0,0 +1,207 @@
+// app/routes/webRoutes/store/orders/id/updateStatus.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { sendTelegramMessage } = require('@features/sendTelegramMsg');
+
+// Allowed status transitions. ISSUED and CANCELLED are final.
+const ALLOWED_TRANSITIONS = {
+    NEW: ['READY_FOR_PICKUP', 'CANCELLED'],
+    READY_FOR_PICKUP: ['ISSUED', 'CANCELLED'],
+    ISSUED: [],
+    CANCELLED: [],
+};
+
+const buildNotification = (status, itemName, pointsSpent, comment) => {
+    let message;
+    switch (status) {
+        case 'READY_FOR_PICKUP':
+            message = `📦 Ваш заказ «${itemName}» готов к выдаче.`;
+            break;
+        case 'ISSUED':
+            message = `🎁 Заказ «${itemName}» выдан. Спасибо!`;
+            break;
+        case 'CANCELLED':
+            message = `❌ Заказ «${itemName}» отменён.\n\nНа ваш счёт возвращено: ${pointsSpent} маны.`;
+            break;
+        default:
+            return null;
+    }
+    if (comment) {
+        message += `\n\nКомментарий: ${comment}`;
+    }
+    return message;
+};
+
+/**
+ * @swagger
+ * /web/store/orders/{orderId}/status:
+ *   patch:
+ *     tags:
+ *       - Store Orders
+ *     summary: Move an order to the next fulfillment status
+ *     description: |
+ *       Changes the status of an order. Allowed transitions are
+ *       `NEW → READY_FOR_PICKUP`, `READY_FOR_PICKUP → ISSUED` and `NEW | READY_FOR_PICKUP → CANCELLED`.
+ *       Cancelling an order refunds `points_spent` to the user and returns the item to stock.
+ *       The user is notified via Telegram about every transition.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *         description: The UUID of the order.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [READY_FOR_PICKUP, ISSUED, CANCELLED]
+ *               manager_comment:
+ *                 type: string
+ *                 nullable: true
+ *                 description: "Optional note for the user (e.g., pickup location). Required when cancelling."
+ *     responses:
+ *       200:
+ *         description: Order status updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data: { $ref: '#/components/schemas/Order' }
+ *                 message: { type: string }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Conflict - The requested transition is not allowed from the current status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const updateOrderStatus = async (req, res, next) => {
+    const { orderId } = req.params;
+    const { status, manager_comment } = req.body;
+    const managerId = req.user.userId;
+
+    if (!isUUID(orderId)) {
+        const err = new Error('Invalid order ID format');
+        err.statusCode = 400;
+        err.code = 'INVALID_ID';
+        return next(err);
+    }
+
+    const targetStatuses = ['READY_FOR_PICKUP', 'ISSUED', 'CANCELLED'];
+    if (!status || !targetStatuses.includes(status)) {
+        const err = new Error(`Status must be one of: ${targetStatuses.join(', ')}`);
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    if (manager_comment !== undefined && manager_comment !== null && typeof manager_comment !== 'string') {
+        const err = new Error('manager_comment, if provided, must be a string.');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    if (status === 'CANCELLED' && (!manager_comment || manager_comment.trim() === '')) {
+        const err = new Error('A comment is required when cancelling an order.');
+        err.statusCode = 400;
+        err.code = 'VALIDATION_ERROR';
+        return next(err);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Step 1: Lock the order row and fetch what we need for the transition.
+        const { rows: orderRows } = await client.query(
+            `SELECT o.id, o.user_id, o.item_id, o.points_spent, o.status, si.name as item_name, si.quantity as item_quantity, u.tg_id
+             FROM orders o
+             JOIN store_items si ON o.item_id = si.id
+             JOIN users u ON o.user_id = u.id
+             WHERE o.id = $1
+             FOR UPDATE OF o`,
+            [orderId]
+        );
+
+        if (orderRows.length === 0) {
+            const err = new Error(`Order with ID ${orderId} not found.`);
+            err.statusCode = 404;
+            err.code = 'NOT_FOUND';
+            throw err;
+        }
+
+        const order = orderRows[0];
+
+        if (!ALLOWED_TRANSITIONS[order.status]?.includes(status)) {
+            const err = new Error(`Cannot change order status from ${order.status} to ${status}.`);
+            err.statusCode = 409;
+            err.code = 'INVALID_STATUS_TRANSITION';
+            throw err;
+        }
+
+        // Step 2: Update the order itself.
+        const comment = manager_comment ? manager_comment.trim() : null;
+        const { rows: updatedRows } = await client.query(
+            `UPDATE orders
+             SET status = $1, processed_by = $2, manager_comment = $3, updated_at = NOW()
+             WHERE id = $4
+             RETURNING *`,
+            [status, managerId, comment, orderId]
+        );
+
+        // Step 3: On cancellation, refund the mana and return the item to stock.
+        if (status === 'CANCELLED') {
+            await client.query(
+                'UPDATE users SET mana_points = mana_points + $1, updated_at = NOW() WHERE id = $2',
+                [order.points_spent, order.user_id]
+            );
+
+            if (order.item_quantity !== null) {
+                await client.query(
+                    'UPDATE store_items SET quantity = quantity + 1, updated_at = NOW() WHERE id = $1',
+                    [order.item_id]
+                );
+            }
+        }
+
+        await client.query('COMMIT');
+
+        // Step 4: Notify the user (fire-and-forget after commit).
+        const message = buildNotification(status, order.item_name, order.points_spent, comment);
+        if (message) {
+            sendTelegramMessage(order.tg_id, message);
+        }
+
+        res.locals.data = updatedRows[0];
+        res.locals.message = 'Order status updated successfully.';
+        next();
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        next(err);
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = updateOrderStatus;
@@ -0,0 +1,16 @@
+// app/routes/webRoutes/store/orders/index.js
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
+
+// Import route handlers
+const listOrders = require('./list');
+const idRouter = require('./id');
+
+// Define routes for /store/orders
+router.get('/', authorize('orders:read'), listOrders);
+
+// Mount the dedicated sub-router for all /:orderId paths.
+router.use('/:orderId', idRouter);
+
+module.exports = router;
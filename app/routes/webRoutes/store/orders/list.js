@@ -0,0 +1,151 @@
+// app/routes/webRoutes/store/orders/list.js
+const pool = require('@db');
+const { isUUID } = require('validator');
+const { accessibleCampaignsCondition } = require('@features/campaignAccess');
+
+const VALID_STATUSES = ['NEW', 'READY_FOR_PICKUP', 'ISSUED', 'CANCELLED'];
+
+/**
+ * @swagger
+ * /web/store/orders:
+ *   get:
+ *     tags:
+ *       - Store Orders
+ *     summary: List store orders
+ *     description: |
+ *       Retrieve a paginated list of store orders with the buyer and item details, newest first.
+ *       Orders can be filtered by the campaign the purchased item belongs to and by status.
+ *       Use `campaign_id=global` to list only orders for global items.
+ *       Orders for campaign items are limited to campaigns the manager has access to.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: string
+ *         description: A campaign UUID, or `global` for orders of global items.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           $ref: '#/components/schemas/OrderStatus'
+ *         description: Only return orders with this status.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *         description: The page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 10 }
+ *         description: The number of items per page.
+ *     responses:
+ *       200:
+ *         description: A paginated list of orders.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/OrderDetails' }
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+const listOrders = async (req, res, next) => {
+    try {
+        const { campaign_id, status } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+            const err = new Error('Invalid pagination parameters. Query parameters "page" (integer, >=1) and "limit" (integer, 1-100) are required.');
+            err.statusCode = 400;
+            err.code = 'INVALID_PAGINATION';
+            return next(err);
+        }
+
+        const conditions = [];
+        const queryParams = [];
+
+        if (campaign_id !== undefined) {
+            if (campaign_id === 'global') {
+                conditions.push('si.is_global = true');
+            } else if (isUUID(campaign_id)) {
+                queryParams.push(campaign_id);
+                conditions.push(`si.campaign_id = $${queryParams.length}`);
+            } else {
+                const err = new Error('campaign_id must be a UUID or "global".');
+                err.statusCode = 400;
+                err.code = 'INVALID_ID';
+                return next(err);
+            }
+        }
+
+        if (status !== undefined) {
+            if (!VALID_STATUSES.includes(status)) {
+                const err = new Error(`Status must be one of: ${VALID_STATUSES.join(', ')}`);
+                err.statusCode = 400;
+                err.code = 'VALIDATION_ERROR';
+                return next(err);
+            }
+            queryParams.push(status);
+            conditions.push(`o.status = $${queryParams.length}`);
+        }
+
+        // Orders for global items are visible to everyone; campaign items only to the campaign's managers.
+        const accessCondition = accessibleCampaignsCondition(req.user, 'si.campaign_id', queryParams);
+        if (accessCondition) {
+            conditions.push(`(si.is_global = true OR ${accessCondition})`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const offset = (page - 1) * limit;
+
+        const countPromise = pool.query(
+            `SELECT COUNT(*) FROM orders o JOIN store_items si ON o.item_id = si.id ${whereClause}`,
+            queryParams
+        );
+        const dataPromise = pool.query(
+            `SELECT
+                o.*,
+                si.name as item_name,
+                si.image_url as item_image_url,
+                si.campaign_id,
+                si.is_global,
+                u.first_name as user_first_name,
+                u.last_name as user_last_name,
+                u.username as user_username
+             FROM orders o
+             JOIN store_items si ON o.item_id = si.id
+             JOIN users u ON o.user_id = u.id
+             ${whereClause}
+             ORDER BY o.created_at DESC
+             LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+            [...queryParams, limit, offset]
+        );
+
+        const [countResult, dataResult] = await Promise.all([countPromise, dataPromise]);
+
+        const total = parseInt(countResult.rows[0].count, 10);
+        const pages = Math.ceil(total / limit);
+
+        res.locals.data = dataResult.rows;
+        res.locals.meta = { pagination: { page, limit, total, pages } };
+        next();
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = listOrders;
@@ -1,11 +1,13 @@
 // app/routes/webRoutes/ui/achievements/index.js
 const express = require('express');
 const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 const listMinimalAchievements = require('./listMinimal');
 const listGlobalAchievements = require('./listGlobal');
 
-router.get('/list-minimal', listMinimalAchievements);
-router.get('/list-global', listGlobalAchievements);
+router.get('/list-minimal', authorize('achievements:read'), authorizeCampaign('VIEWER', campaignFrom.query('campaign_id')), listMinimalAchievements);
+router.get('/list-global', authorize('achievements:read'), listGlobalAchievements);
 
 module.exports = router;
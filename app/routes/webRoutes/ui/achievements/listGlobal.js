@@ -1,5 +1,6 @@
 // app/routes/webRoutes/ui/achievements/listGlobal.js
 const pool = require('@db');
+const { accessibleCampaignsCondition } = require('@features/campaignAccess');
 
 /**
  * @swagger
@@ -38,6 +39,9 @@ const pool = require('@db');
  */
 const listGlobalAchievements = async (req, res, next) => {
     try {
+        const queryParams = [];
+        const accessCondition = accessibleCampaignsCondition(req.user, 'c.id', queryParams);
+
         const query = `
             SELECT
                 a.id,
@@ -49,11 +53,12 @@ const listGlobalAchievements = async (req, res, next) => {
                 campaigns c ON a.campaign_id = c.id
             WHERE
                 c.deleted_at IS NULL
+                ${accessCondition ? `AND ${accessCondition}` : ''}
             ORDER BY
                 c.title ASC, a.name ASC
         `;
 
-        const { rows } = await pool.query(query);
+        const { rows } = await pool.query(query, queryParams);
 
         res.locals.data = rows;
         res.locals.message = 'Global minimal achievement list retrieved successfully.';
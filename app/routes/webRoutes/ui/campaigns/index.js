@@ -1,9 +1,10 @@
 // app/routes/webRoutes/ui/campaigns/index.js
 const express = require('express');
 const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
 
 const listMinimalCampaigns = require('./listMinimal');
 
-router.get('/list-minimal', listMinimalCampaigns);
+router.get('/list-minimal', authorize('campaigns:read'), listMinimalCampaigns);
 
 module.exports = router;
@@ -1,5 +1,6 @@
 // app/routes/webRoutes/ui/campaigns/listMinimal.js
 const pool = require('@db');
+const { accessibleCampaignsCondition } = require('@features/campaignAccess');
 
 /**
  * @swagger
@@ -36,8 +37,14 @@ const pool = require('@db');
  */
 const listMinimalCampaigns = async (req, res, next) => {
     try {
+        const queryParams = [];
+        const conditions = ['deleted_at IS NULL'];
+        const accessCondition = accessibleCampaignsCondition(req.user, 'id', queryParams);
+        if (accessCondition) conditions.push(accessCondition);
+
         const { rows } = await pool.query(
-            `SELECT id, title FROM campaigns WHERE deleted_at IS NULL ORDER BY title ASC`
+            `SELECT id, title FROM campaigns WHERE ${conditions.join(' AND ')} ORDER BY title ASC`,
+            queryParams
         );
 
         res.locals.data = rows;
@@ -1,9 +1,10 @@
 // app/routes/webRoutes/ui/competencies/index.js
 const express = require('express');
 const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
 
 const listMinimalCompetencies = require('./listMinimal');
 
-router.get('/list-minimal', listMinimalCompetencies);
+router.get('/list-minimal', authorize('competencies:read'), listMinimalCompetencies);
 
 module.exports = router;
@@ -1,9 +1,11 @@
 // app/routes/webRoutes/ui/missions/index.js
 const express = require('express');
 const router = express.Router();
+const { authorize } = require('@middleware/authorizeRole');
+const { authorizeCampaign, campaignFrom } = require('@middleware/authorizeCampaign');
 
 const listMinimalMissions = require('./listMinimal');
 
-router.get('/list-minimal', listMinimalMissions);
+router.get('/list-minimal', authorize('missions:read'), authorizeCampaign('VIEWER', campaignFrom.query('campaign_id')), listMinimalMissions);
 
 module.exports = router;
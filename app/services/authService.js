@@ -9,6 +9,11 @@ const PBKDF2_ITERATIONS = 100000;
 const PBKDF2_KEY_LENGTH = 128; // 128 bytes
 const PBKDF2_DIGEST = 'sha256';
 const SALT_LENGTH = 32; // 32 bytes
+const MIN_PASSWORD_LENGTH = 8;
+
+// Password reset configuration
+const RESET_TOKEN_LENGTH = 32; // 32 bytes
+const RESET_TOKEN_TTL_HOURS = 24;
 
 /**
  * Hashes a password using PBKDF2.
@@ -45,6 +50,37 @@ function verifyPassword(password, storedHash, storedSalt) {
     return Buffer.compare(hash, storedHash) === 0;
 }
 
+/**
+ * Checks a new password against the password policy.
+ * @param {string} password - The plain text password.
+ * @returns {string|null} - An error message, or null if the password is acceptable.
+ */
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be a string of at least ${MIN_PASSWORD_LENGTH} characters.`;
+    }
+    return null;
+}
+
+/**
+ * Generates a one-time password reset token.
+ * Only the hash should be stored; the token itself is handed to the manager.
+ * @returns {{token: string, tokenHash: string}} - The token and its SHA-256 hex digest.
+ */
+function generateResetToken() {
+    const token = crypto.randomBytes(RESET_TOKEN_LENGTH).toString('hex');
+    return { token, tokenHash: hashResetToken(token) };
+}
+
+/**
+ * Hashes a password reset token for lookup.
+ * @param {string} token - The plain reset token.
+ * @returns {string} - The SHA-256 hex digest.
+ */
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 /**
  * Generates a JWT Access Token.
  * @param {object} manager - Manager object from the database.
@@ -55,27 +91,33 @@ function generateAccessToken(manager) {
         userId: manager.id,
         email: manager.email,
         fullName: manager.full_name,
-        role: manager.role
+        role: manager.role,
+        type: 'access'
     }, JWT_SECRET, { expiresIn: '30m' });
 }
 
 /**
  * Generates a JWT Refresh Token.
+ * The token only identifies the session; it is stored in `refresh_tokens` and rotated on every use.
  * @param {object} manager - Manager object from the database.
+ * @param {{tokenId: string, familyId: string}} session - Returned by refreshTokenService.
  * @returns {string} - The generated JWT Refresh Token.
  */
-function generateRefreshToken(manager) {
+function generateRefreshToken(manager, session) {
     return jwt.sign({
         userId: manager.id,
-        email: manager.email,
-        fullName: manager.full_name,
-        role: manager.role
-    }, JWT_SECRET, { expiresIn: '7d' });
+        type: 'refresh',
+        fam: session.familyId
+    }, JWT_SECRET, { expiresIn: '7d', jwtid: session.tokenId });
 }
 
 module.exports = {
     hashPassword,
     verifyPassword,
+    validatePassword,
+    generateResetToken,
+    hashResetToken,
+    RESET_TOKEN_TTL_HOURS,
     generateAccessToken,
     generateRefreshToken,
 };
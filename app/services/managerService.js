@@ -0,0 +1,26 @@
+// app/services/managerService.js
+
+/**
+ * Throws 409 LAST_ADMIN if no other active ADMIN would remain.
+ * Shared by every action that takes the ADMIN role away (demotion, deactivation), so the rule is the same for all.
+ * Locks the remaining admins so two concurrent actions cannot both pass.
+ * @param {object} client - An active transaction client.
+ * @param {string} managerId - The admin being demoted or deactivated.
+ * @returns {Promise<void>}
+ */
+async function assertNotLastAdmin(client, managerId) {
+    const { rowCount } = await client.query(
+        "SELECT id FROM managers WHERE role = 'ADMIN' AND deleted_at IS NULL AND id <> $1 FOR UPDATE",
+        [managerId]
+    );
+    if (rowCount === 0) {
+        const err = new Error('At least one active ADMIN must remain.');
+        err.statusCode = 409;
+        err.code = 'LAST_ADMIN';
+        throw err;
+    }
+}
+
+module.exports = {
+    assertNotLastAdmin,
+};
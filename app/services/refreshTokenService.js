@@ -0,0 +1,155 @@
+// app/services/refreshTokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('@db');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const REFRESH_TOKEN_TTL_DAYS = 7;
+
+// Who a refresh token was issued to -> the column that references them.
+const TOKEN_OWNERS = {
+    USER: 'user_id',
+    MANAGER: 'manager_id',
+};
+
+/**
+ * Builds a 401 error for a rejected refresh token.
+ * @param {string} message - Human-readable message.
+ * @param {string} [code='INVALID_TOKEN'] - Machine-readable error code.
+ * @returns {Error}
+ */
+function refreshTokenError(message, code = 'INVALID_TOKEN') {
+    const err = new Error(message);
+    err.statusCode = 401;
+    err.code = code;
+    return err;
+}
+
+/**
+ * Verifies the signature and type of a refresh token.
+ * Access tokens and tokens issued before rotation was introduced are rejected.
+ * @param {string} token - The refresh JWT.
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreExpiration=false] - Accept expired tokens (used by logout).
+ * @returns {Promise<object>} The decoded payload.
+ */
+function verifyRefreshToken(token, { ignoreExpiration = false } = {}) {
+    return new Promise((resolve, reject) => {
+        jwt.verify(token, JWT_SECRET, { ignoreExpiration }, (err, decoded) => {
+            if (err || decoded.type !== 'refresh' || !decoded.jti || !decoded.fam) {
+                return reject(refreshTokenError('Invalid or expired refresh token'));
+            }
+            resolve(decoded);
+        });
+    });
+}
+
+/**
+ * Stores a new refresh token. Starts a new family unless familyId is given.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} ownerType - A key of TOKEN_OWNERS.
+ * @param {string} ownerId - The UUID of the user or manager.
+ * @param {string} [familyId] - The family to continue (on rotation).
+ * @returns {Promise<{tokenId: string, familyId: string}>} Claims to sign into the JWT.
+ */
+async function createRefreshToken(db, ownerType, ownerId, familyId = crypto.randomUUID()) {
+    const tokenId = crypto.randomUUID();
+    await db.query(
+        `INSERT INTO refresh_tokens (id, family_id, ${TOKEN_OWNERS[ownerType]}, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(days => $4))`,
+        [tokenId, familyId, ownerId, REFRESH_TOKEN_TTL_DAYS]
+    );
+    return { tokenId, familyId };
+}
+
+/**
+ * Revokes every token of a family, ending the session.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} familyId - The family to revoke.
+ * @returns {Promise<void>}
+ */
+async function revokeTokenFamily(db, familyId) {
+    await db.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+        [familyId]
+    );
+}
+
+/**
+ * Revokes every active token of a user or manager, ending all of their sessions.
+ * @param {object} db - The pool or an active transaction client.
+ * @param {string} ownerType - A key of TOKEN_OWNERS.
+ * @param {string} ownerId - The UUID of the user or manager.
+ * @returns {Promise<void>}
+ */
+async function revokeOwnerTokens(db, ownerType, ownerId) {
+    await db.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW() WHERE ${TOKEN_OWNERS[ownerType]} = $1 AND revoked_at IS NULL`,
+        [ownerId]
+    );
+}
+
+/**
+ * Exchanges a verified refresh token for a new one from the same family.
+ * If the presented token was already rotated, it has been stolen or replayed:
+ * the whole family is revoked and a 401 TOKEN_REUSED error is thrown.
+ * @param {string} ownerType - A key of TOKEN_OWNERS.
+ * @param {object} decoded - The payload returned by verifyRefreshToken.
+ * @returns {Promise<{tokenId: string, familyId: string}>} Claims for the new token.
+ */
+async function rotateRefreshToken(ownerType, decoded) {
+    const ownerColumn = TOKEN_OWNERS[ownerType];
+    const client = await pool.connect();
+    let reusedFamilyId = null;
+
+    try {
+        await client.query('BEGIN');
+
+        // Lock the row so two concurrent refreshes with the same token cannot both succeed.
+        const { rows } = await client.query(
+            'SELECT * FROM refresh_tokens WHERE id = $1 FOR UPDATE',
+            [decoded.jti]
+        );
+        const stored = rows[0];
+
+        if (!stored || stored[ownerColumn] !== decoded.userId || stored.family_id !== decoded.fam) {
+            throw refreshTokenError('Invalid or expired refresh token');
+        }
+
+        if (stored.revoked_at) {
+            if (stored.replaced_by) {
+                reusedFamilyId = stored.family_id;
+                throw refreshTokenError('Refresh token has already been used. The session has been revoked, please log in again.', 'TOKEN_REUSED');
+            }
+            throw refreshTokenError('The session has been revoked, please log in again.', 'SESSION_REVOKED');
+        }
+
+        const next = await createRefreshToken(client, ownerType, decoded.userId, stored.family_id);
+        await client.query(
+            'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $1 WHERE id = $2',
+            [next.tokenId, stored.id]
+        );
+
+        await client.query('COMMIT');
+        return next;
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        // Revoke outside the rolled-back transaction so it is persisted.
+        if (reusedFamilyId) {
+            await revokeTokenFamily(pool, reusedFamilyId);
+        }
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    TOKEN_OWNERS,
+    verifyRefreshToken,
+    createRefreshToken,
+    rotateRefreshToken,
+    revokeTokenFamily,
+    revokeOwnerTokens,
+};
@@ -12,20 +12,23 @@ function generateAccessToken(user) {
         userId: user.id, // Our internal UUID
         tgId: user.tg_id,
         username: user.username,
+        type: 'access',
     }, JWT_SECRET, { expiresIn: '30m' });
 }
 
 /**
  * Generates a JWT Refresh Token for a TMA user.
+ * The token only identifies the session; it is stored in `refresh_tokens` and rotated on every use.
  * @param {object} user - User object from the database.
+ * @param {{tokenId: string, familyId: string}} session - Returned by refreshTokenService.
  * @returns {string} - The generated JWT Refresh Token.
  */
-function generateRefreshToken(user) {
-    // For refresh tokens, we might want a smaller payload
+function generateRefreshToken(user, session) {
     return jwt.sign({
         userId: user.id,
-        tgId: user.tg_id,
-    }, JWT_SECRET, { expiresIn: '7d' });
+        type: 'refresh',
+        fam: session.familyId
+    }, JWT_SECRET, { expiresIn: '7d', jwtid: session.tokenId });
 }
 
 module.exports = {
@@ -0,0 +1,55 @@
+// ./db/migrations/add_order_fulfillment_workflow.js
+
+/**
+ * Reworks store orders into a fulfillment workflow for physical merch.
+ * Orders now move through NEW -> READY_FOR_PICKUP -> ISSUED, or to CANCELLED
+ * (with a mana refund). The manager who last changed the order and an optional
+ * comment for the user are stored on the order itself.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Step 1: Rename the existing statuses to the new workflow names.
+  await knex.raw(`ALTER TYPE order_status RENAME VALUE 'PENDING' TO 'NEW'`);
+  await knex.raw(`ALTER TYPE order_status RENAME VALUE 'FULFILLED' TO 'ISSUED'`);
+
+  // Step 2: Add the intermediate status between NEW and ISSUED.
+  await knex.raw(`ALTER TYPE order_status ADD VALUE IF NOT EXISTS 'READY_FOR_PICKUP' BEFORE 'ISSUED'`);
+
+  // Step 3: Track who processed the order and why.
+  await knex.schema.alterTable('orders', (table) => {
+    table
+      .uuid('processed_by')
+      .nullable()
+      .references('id')
+      .inTable('managers')
+      .onDelete('SET NULL')
+      .comment('The manager who last changed the status of this order.');
+    table
+      .text('manager_comment')
+      .nullable()
+      .comment('Optional comment from the manager, e.g. pickup location or cancellation reason.');
+
+    table.index('status');
+    table.index('user_id');
+  });
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.alterTable('orders', (table) => {
+    table.dropIndex('user_id');
+    table.dropIndex('status');
+    table.dropColumn('manager_comment');
+    table.dropColumn('processed_by');
+  });
+
+  await knex.raw(`ALTER TYPE order_status RENAME VALUE 'ISSUED' TO 'FULFILLED'`);
+  await knex.raw(`ALTER TYPE order_status RENAME VALUE 'NEW' TO 'PENDING'`);
+
+  // Note: We cannot remove the READY_FOR_PICKUP value from the enum type in PostgreSQL
+};
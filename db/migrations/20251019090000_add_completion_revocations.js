@@ -0,0 +1,90 @@
+// ./db/migrations/add_completion_revocations.js
+
+/**
+ * Allows moderators to revoke an approved mission completion.
+ * A revoked completion keeps its row with the new REVOKED status, and every
+ * revocation is recorded in `completion_revocations` together with the rewards
+ * that were taken back from the user.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Step 1: Add the REVOKED status for completions.
+  await knex.raw(`ALTER TYPE mission_completion_status ADD VALUE IF NOT EXISTS 'REVOKED'`);
+
+  // Step 2: Create the audit table for revocations.
+  await knex.schema.createTable('completion_revocations', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table
+      .uuid('completion_id')
+      .notNullable()
+      .references('id')
+      .inTable('mission_completions')
+      .onDelete('CASCADE')
+      .comment('The completion that was revoked');
+    table
+      .uuid('user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE')
+      .comment('The user whose rewards were taken back');
+    table
+      .uuid('mission_id')
+      .notNullable()
+      .references('id')
+      .inTable('missions')
+      .onDelete('CASCADE')
+      .comment('The mission of the revoked completion');
+    table
+      .uuid('revoked_by')
+      .nullable()
+      .references('id')
+      .inTable('managers')
+      .onDelete('SET NULL')
+      .comment('The manager who revoked the completion');
+    table
+      .text('reason')
+      .notNullable()
+      .comment('Why the completion was revoked');
+    table
+      .integer('experience_revoked')
+      .notNullable()
+      .defaultTo(0)
+      .comment('Experience points subtracted from the user, including achievement rewards');
+    table
+      .integer('mana_revoked')
+      .notNullable()
+      .defaultTo(0)
+      .comment('Mana points actually subtracted from the user (balance never goes below zero)');
+    table
+      .jsonb('competencies_revoked')
+      .notNullable()
+      .defaultTo('[]')
+      .comment('Competency points subtracted, e.g. [{"competency_id": "uuid", "points": 10}]');
+    table
+      .jsonb('achievements_revoked')
+      .notNullable()
+      .defaultTo('[]')
+      .comment('IDs of achievements taken away because their conditions are no longer met');
+    table
+      .timestamp('created_at')
+      .notNullable()
+      .defaultTo(knex.fn.now())
+      .comment('When the completion was revoked');
+
+    table.index('completion_id');
+    table.index('user_id');
+  });
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('completion_revocations');
+
+  // Note: We cannot remove the REVOKED value from the enum type in PostgreSQL
+};
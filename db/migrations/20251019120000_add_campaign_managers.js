@@ -0,0 +1,76 @@
+// ./db/migrations/add_campaign_managers.js
+
+/**
+ * Introduces per-campaign access for managers.
+ * Every campaign gets a list of managers with a campaign role:
+ * OWNER > CO_ORGANIZER > MODERATOR > VIEWER. Existing campaigns are
+ * backfilled with their creator as OWNER.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Step 1: Create the campaign role enum.
+  await knex.raw(`
+    CREATE TYPE campaign_manager_role AS ENUM ('OWNER', 'CO_ORGANIZER', 'MODERATOR', 'VIEWER')
+  `);
+
+  // Step 2: Create the membership table.
+  await knex.schema.createTable('campaign_managers', (table) => {
+    table
+      .uuid('campaign_id')
+      .notNullable()
+      .references('id')
+      .inTable('campaigns')
+      .onDelete('CASCADE')
+      .comment('Campaign the manager has access to');
+    table
+      .uuid('manager_id')
+      .notNullable()
+      .references('id')
+      .inTable('managers')
+      .onDelete('CASCADE')
+      .comment('Manager who has access to the campaign');
+    table
+      .specificType('role', 'campaign_manager_role')
+      .notNullable()
+      .defaultTo('VIEWER')
+      .comment('What the manager may do within the campaign');
+    table
+      .uuid('invited_by')
+      .nullable()
+      .references('id')
+      .inTable('managers')
+      .onDelete('SET NULL')
+      .comment('Manager who granted the access; NULL for the owner');
+    table
+      .timestamp('created_at')
+      .notNullable()
+      .defaultTo(knex.fn.now());
+    table
+      .timestamp('updated_at')
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    table.primary(['campaign_id', 'manager_id']);
+    table.index('manager_id');
+  });
+
+  // Step 3: Make the creator of every existing campaign its owner.
+  await knex.raw(`
+    INSERT INTO campaign_managers (campaign_id, manager_id, role)
+    SELECT id, created_by, 'OWNER'
+    FROM campaigns
+    WHERE created_by IS NOT NULL
+    ON CONFLICT DO NOTHING
+  `);
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('campaign_managers');
+  await knex.raw('DROP TYPE IF EXISTS campaign_manager_role');
+};
@@ -0,0 +1,71 @@
+// ./db/migrations/add_refresh_tokens.js
+
+/**
+ * Stores issued refresh tokens so they can be rotated and revoked.
+ * Every login starts a token family (a session); each refresh replaces the
+ * presented token with a new one from the same family. Presenting a token
+ * that was already used revokes the whole family.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('refresh_tokens', (table) => {
+    table
+      .uuid('id')
+      .primary()
+      .comment('Token ID, stored in the jti claim of the refresh JWT');
+    table
+      .uuid('family_id')
+      .notNullable()
+      .comment('Session the token belongs to; shared by all rotated tokens of one login');
+    table
+      .uuid('user_id')
+      .nullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE')
+      .comment('Owner of the token if it was issued to a Telegram Mini App user');
+    table
+      .uuid('manager_id')
+      .nullable()
+      .references('id')
+      .inTable('managers')
+      .onDelete('CASCADE')
+      .comment('Owner of the token if it was issued to a web manager');
+    table
+      .uuid('replaced_by')
+      .nullable()
+      .comment('The token issued when this one was rotated');
+    table
+      .timestamp('expires_at')
+      .notNullable();
+    table
+      .timestamp('revoked_at')
+      .nullable()
+      .comment('Set when the token is rotated, logged out or its family is revoked');
+    table
+      .timestamp('created_at')
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    table.index('family_id');
+    table.index('user_id');
+    table.index('manager_id');
+  });
+
+  // A token belongs to exactly one user or one manager.
+  await knex.raw(`
+    ALTER TABLE refresh_tokens
+    ADD CONSTRAINT refresh_tokens_single_owner
+    CHECK ((user_id IS NULL) <> (manager_id IS NULL))
+  `);
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('refresh_tokens');
+};
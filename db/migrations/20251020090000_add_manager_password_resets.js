@@ -0,0 +1,48 @@
+// ./db/migrations/add_manager_password_resets.js
+
+/**
+ * Adds one-time password reset tokens for managers.
+ * Only a SHA-256 hash of the token is stored; the plain token is shown once
+ * to the admin who requested the reset.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('manager_password_resets', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table
+      .uuid('manager_id')
+      .notNullable()
+      .references('id')
+      .inTable('managers')
+      .onDelete('CASCADE')
+      .comment('Manager whose password can be reset with this token');
+    table
+      .text('token_hash')
+      .notNullable()
+      .unique()
+      .comment('SHA-256 hex digest of the reset token');
+    table
+      .timestamp('expires_at')
+      .notNullable();
+    table
+      .timestamp('used_at')
+      .nullable()
+      .comment('Set when the token is redeemed or superseded by a newer one');
+    table
+      .timestamp('created_at')
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    table.index('manager_id');
+  });
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('manager_password_resets');
+};
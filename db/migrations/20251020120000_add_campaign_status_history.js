@@ -0,0 +1,65 @@
+// ./db/migrations/add_campaign_status_history.js
+
+/**
+ * Supports the automatic campaign lifecycle.
+ * - `campaign_status_history` records every status change, whether made by a manager or by the scheduler.
+ * - `campaigns.ending_reminder_sent_at` makes sure participants are reminded only once before a campaign ends.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Step 1: Create the status history table.
+  await knex.schema.createTable('campaign_status_history', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table
+      .uuid('campaign_id')
+      .notNullable()
+      .references('id')
+      .inTable('campaigns')
+      .onDelete('CASCADE');
+    table
+      .specificType('from_status', 'campaign_status')
+      .nullable()
+      .comment('Status before the change; NULL for the initial status');
+    table
+      .specificType('to_status', 'campaign_status')
+      .notNullable();
+    table
+      .uuid('changed_by')
+      .nullable()
+      .references('id')
+      .inTable('managers')
+      .onDelete('SET NULL')
+      .comment('Manager who changed the status; NULL if changed by the lifecycle scheduler');
+    table
+      .text('reason')
+      .nullable()
+      .comment('Why the status changed, e.g. "start_date reached"');
+    table
+      .timestamp('created_at')
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    table.index(['campaign_id', 'created_at']);
+  });
+
+  // Step 2: Track the "campaign is about to end" reminder.
+  await knex.schema.alterTable('campaigns', (table) => {
+    table
+      .timestamp('ending_reminder_sent_at')
+      .nullable()
+      .comment('When participants were reminded that the campaign is about to end; reset when end_date changes');
+  });
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.alterTable('campaigns', (table) => {
+    table.dropColumn('ending_reminder_sent_at');
+  });
+  await knex.schema.dropTableIfExists('campaign_status_history');
+};
@@ -0,0 +1,46 @@
+// ./db/migrations/add_campaign_waitlist.js
+
+/**
+ * Creates the waitlist for campaigns that have reached max_participants.
+ * Users are promoted in the order they joined the waitlist, and their row is removed on promotion.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('campaign_waitlist', (table) => {
+    table
+      .uuid('campaign_id')
+      .notNullable()
+      .references('id')
+      .inTable('campaigns')
+      .onDelete('CASCADE');
+    table
+      .uuid('user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table
+      .jsonb('join_metadata')
+      .nullable()
+      .comment('Copied to user_campaigns.join_metadata when the user is admitted');
+    table
+      .timestamp('created_at')
+      .notNullable()
+      .defaultTo(knex.fn.now())
+      .comment('Defines the order of the waitlist');
+
+    table.primary(['campaign_id', 'user_id'], { constraintName: 'pk_campaign_waitlist' });
+    table.index(['campaign_id', 'created_at']);
+    table.index('user_id');
+  });
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('campaign_waitlist');
+};
@@ -0,0 +1,92 @@
+// ./db/migrations/add_campaign_invite_codes.js
+
+/**
+ * Creates named invite codes, so a campaign can be joined through several sources
+ * (e.g. one code per university or per poster), each with its own QR code, usage limit and expiry.
+ * The source of every join is recorded in user_campaigns.join_metadata.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('campaign_invite_codes', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table
+      .uuid('campaign_id')
+      .notNullable()
+      .references('id')
+      .inTable('campaigns')
+      .onDelete('CASCADE');
+    table
+      .string('code', 6)
+      .notNullable()
+      .unique()
+      .comment('6-digit code, used like campaigns.activation_code; unique across both');
+    table
+      .string('name', 255)
+      .notNullable()
+      .comment('Source label shown in reports, e.g. "МГУ" or "Постер в холле"');
+    table
+      .text('qr_url')
+      .nullable()
+      .comment('Img URL for the QR code of this invite code');
+    table
+      .integer('max_uses')
+      .nullable()
+      .comment('How many users may join with this code; NULL for unlimited');
+    table
+      .integer('uses_count')
+      .notNullable()
+      .defaultTo(0)
+      .comment('How many users have joined (or been waitlisted) with this code');
+    table
+      .timestamp('expires_at')
+      .nullable()
+      .comment('The code cannot be used after this moment; NULL for no expiry');
+    table
+      .boolean('is_active')
+      .notNullable()
+      .defaultTo(true)
+      .comment('Inactive codes cannot be used');
+    table
+      .uuid('created_by')
+      .nullable()
+      .references('id')
+      .inTable('managers')
+      .onDelete('SET NULL');
+    table
+      .timestamp('created_at')
+      .notNullable()
+      .defaultTo(knex.fn.now());
+    table
+      .timestamp('updated_at')
+      .notNullable()
+      .defaultTo(knex.fn.now());
+    table
+      .timestamp('deleted_at')
+      .nullable()
+      .comment('Soft delete; joins made with the code keep pointing to it for reports');
+
+    table.index('campaign_id');
+  });
+
+  await knex.raw(`
+    ALTER TABLE campaign_invite_codes
+    ADD CONSTRAINT campaign_invite_codes_max_uses_check CHECK (max_uses IS NULL OR max_uses > 0)
+  `);
+
+  // Joins are reported per source; this index supports grouping by invite code.
+  await knex.raw(`
+    CREATE INDEX user_campaigns_invite_code_idx
+    ON user_campaigns ((join_metadata ->> 'invite_code_id'))
+  `);
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS user_campaigns_invite_code_idx');
+  await knex.schema.dropTableIfExists('campaign_invite_codes');
+};
@@ -0,0 +1,105 @@
+// ./db/migrations/add_campaign_referrals.js
+
+/**
+ * Adds personal referral links between participants.
+ * - `campaigns` gets the rewards for the inviter and the invitee (0 = no reward).
+ * - `campaign_referrals` records who invited whom into which campaign, and the rewards that were granted
+ *   once the invitee completed their first mission.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Step 1: Create the referral status enum.
+  await knex.raw(`
+    CREATE TYPE referral_status AS ENUM ('PENDING', 'REWARDED')
+  `);
+
+  // Step 2: Configurable referral rewards per campaign.
+  await knex.schema.alterTable('campaigns', (table) => {
+    table
+      .integer('referral_inviter_experience')
+      .notNullable()
+      .defaultTo(0)
+      .comment('Experience granted to the inviter when the invitee completes their first mission');
+    table
+      .integer('referral_inviter_mana')
+      .notNullable()
+      .defaultTo(0)
+      .comment('Mana granted to the inviter when the invitee completes their first mission');
+    table
+      .integer('referral_invitee_experience')
+      .notNullable()
+      .defaultTo(0)
+      .comment('Experience granted to the invitee when they complete their first mission');
+    table
+      .integer('referral_invitee_mana')
+      .notNullable()
+      .defaultTo(0)
+      .comment('Mana granted to the invitee when they complete their first mission');
+  });
+
+  // Step 3: Create the referrals table.
+  await knex.schema.createTable('campaign_referrals', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table
+      .uuid('campaign_id')
+      .notNullable()
+      .references('id')
+      .inTable('campaigns')
+      .onDelete('CASCADE');
+    table
+      .uuid('referrer_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE')
+      .comment('The participant who shared the link');
+    table
+      .uuid('referred_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE')
+      .comment('The user who joined through the link');
+    table
+      .specificType('status', 'referral_status')
+      .notNullable()
+      .defaultTo('PENDING');
+    table.integer('inviter_experience_awarded').notNullable().defaultTo(0);
+    table.integer('inviter_mana_awarded').notNullable().defaultTo(0);
+    table.integer('invitee_experience_awarded').notNullable().defaultTo(0);
+    table.integer('invitee_mana_awarded').notNullable().defaultTo(0);
+    table
+      .timestamp('created_at')
+      .notNullable()
+      .defaultTo(knex.fn.now());
+    table
+      .timestamp('rewarded_at')
+      .nullable();
+
+    // A user can be referred into a campaign only once.
+    table.unique(['campaign_id', 'referred_id']);
+    table.index(['referrer_id', 'campaign_id']);
+  });
+
+  await knex.raw(`
+    ALTER TABLE campaign_referrals
+    ADD CONSTRAINT campaign_referrals_not_self_check CHECK (referrer_id <> referred_id)
+  `);
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('campaign_referrals');
+  await knex.schema.alterTable('campaigns', (table) => {
+    table.dropColumn('referral_inviter_experience');
+    table.dropColumn('referral_inviter_mana');
+    table.dropColumn('referral_invitee_experience');
+    table.dropColumn('referral_invitee_mana');
+  });
+  await knex.raw('DROP TYPE IF EXISTS referral_status');
+};
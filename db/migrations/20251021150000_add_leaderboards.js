@@ -0,0 +1,68 @@
+// ./db/migrations/add_leaderboards.js
+
+/**
+ * Adds what the leaderboards need to stay fast with thousands of users.
+ * - The global and competency leaderboards read `users` and `user_competencies` directly through new indexes.
+ * - `campaign_leaderboard_scores` is a materialized view with the experience each user earned inside a campaign
+ *   (approved missions, campaign achievements and referral rewards). It is refreshed periodically by the server;
+ *   the unique index allows REFRESH MATERIALIZED VIEW CONCURRENTLY, so reads are never blocked.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Step 1: Indexes for the global and per-competency rankings.
+  await knex.raw(`
+    CREATE INDEX users_experience_points_idx ON users (experience_points DESC) WHERE deleted_at IS NULL
+  `);
+  await knex.raw(`
+    CREATE INDEX user_competencies_ranking_idx ON user_competencies (competency_id, level DESC, progress_points DESC)
+  `);
+
+  // Step 2: Per-campaign scores.
+  await knex.raw(`
+    CREATE MATERIALIZED VIEW campaign_leaderboard_scores AS
+    WITH earned AS (
+      SELECT m.campaign_id, mc.user_id, m.experience_reward AS experience, 1 AS missions_completed, mc.updated_at AS earned_at
+      FROM mission_completions mc
+      JOIN missions m ON mc.mission_id = m.id
+      WHERE mc.status = 'APPROVED'
+      UNION ALL
+      SELECT a.campaign_id, ua.user_id, a.experience_reward, 0, ua.awarded_at
+      FROM user_achievements ua
+      JOIN achievements a ON ua.achievement_id = a.id
+      UNION ALL
+      SELECT r.campaign_id, r.referrer_id, r.inviter_experience_awarded, 0, r.rewarded_at
+      FROM campaign_referrals r
+      WHERE r.status = 'REWARDED'
+      UNION ALL
+      SELECT r.campaign_id, r.referred_id, r.invitee_experience_awarded, 0, r.rewarded_at
+      FROM campaign_referrals r
+      WHERE r.status = 'REWARDED'
+    )
+    SELECT
+      campaign_id,
+      user_id,
+      SUM(experience)::INTEGER AS experience,
+      SUM(missions_completed)::INTEGER AS missions_completed,
+      MAX(earned_at) AS last_activity_at
+    FROM earned
+    GROUP BY campaign_id, user_id
+  `);
+  await knex.raw(`
+    CREATE UNIQUE INDEX campaign_leaderboard_scores_pk ON campaign_leaderboard_scores (campaign_id, user_id)
+  `);
+  await knex.raw(`
+    CREATE INDEX campaign_leaderboard_scores_ranking_idx ON campaign_leaderboard_scores (campaign_id, experience DESC)
+  `);
+};
+
+/**
+ * Removes the leaderboard view and indexes.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.raw('DROP MATERIALIZED VIEW IF EXISTS campaign_leaderboard_scores');
+  await knex.raw('DROP INDEX IF EXISTS user_competencies_ranking_idx');
+  await knex.raw('DROP INDEX IF EXISTS users_experience_points_idx');
+};
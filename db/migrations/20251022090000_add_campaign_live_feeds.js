@@ -0,0 +1,43 @@
+// ./db/migrations/add_campaign_live_feeds.js
+
+/**
+ * Creates the access tokens of the public live feeds (Server-Sent Events) shown on event screens.
+ * A campaign has at most one token; rotating it replaces the row, deleting it disables the feed.
+ * The token lives in its own table so it never leaks through `SELECT * FROM campaigns`.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('campaign_live_feeds', (table) => {
+    table
+      .uuid('campaign_id')
+      .primary()
+      .references('id')
+      .inTable('campaigns')
+      .onDelete('CASCADE');
+    table
+      .string('token', 64)
+      .notNullable()
+      .unique()
+      .comment('Random hex token passed as ?token= by the event screen');
+    table
+      .uuid('created_by')
+      .nullable()
+      .references('id')
+      .inTable('managers')
+      .onDelete('SET NULL');
+    table
+      .timestamp('created_at')
+      .notNullable()
+      .defaultTo(knex.fn.now());
+  });
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('campaign_live_feeds');
+};
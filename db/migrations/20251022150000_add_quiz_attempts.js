@@ -0,0 +1,73 @@
+// ./db/migrations/add_quiz_attempts.js
+
+/**
+ * Creates the log of quiz attempts. Every submission is stored, passed or not, with the answers as submitted,
+ * so HR can see which questions trip people up. A passing attempt points to the completion it created.
+ * Existing passed quizzes are copied from `mission_completions.result_data`; failed attempts before this
+ * migration were never stored.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Step 1: Create the table.
+  await knex.schema.createTable('quiz_attempts', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table
+      .uuid('user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table
+      .uuid('mission_id')
+      .notNullable()
+      .references('id')
+      .inTable('missions')
+      .onDelete('CASCADE');
+    table
+      .uuid('completion_id')
+      .nullable()
+      .references('id')
+      .inTable('mission_completions')
+      .onDelete('SET NULL')
+      .comment('The completion created by a passing attempt');
+    table.float('score').notNullable().comment('Fraction of correct answers, 0-1');
+    table.boolean('passed').notNullable();
+    table
+      .jsonb('answers')
+      .notNullable()
+      .comment('The answers as submitted: [{question_index, answer_index}]');
+    table
+      .timestamp('created_at')
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    table.index(['mission_id', 'created_at']);
+    table.index(['user_id', 'mission_id']);
+  });
+
+  // Step 2: Backfill the passed attempts from the approved quiz completions.
+  await knex.raw(`
+    INSERT INTO quiz_attempts (user_id, mission_id, completion_id, score, passed, answers, created_at)
+    SELECT
+      mc.user_id,
+      mc.mission_id,
+      mc.id,
+      COALESCE((mc.result_data::jsonb ->> 'score')::float, 1),
+      true,
+      COALESCE(mc.result_data::jsonb -> 'answers', '[]'::jsonb),
+      mc.created_at
+    FROM mission_completions mc
+    JOIN missions m ON mc.mission_id = m.id
+    WHERE m.type = 'QUIZ' AND mc.status = 'APPROVED' AND mc.result_data IS NOT NULL
+  `);
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('quiz_attempts');
+};
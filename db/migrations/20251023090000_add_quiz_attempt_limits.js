@@ -0,0 +1,88 @@
+// ./db/migrations/add_quiz_attempt_limits.js
+
+/**
+ * Adds attempt limits to quizzes:
+ * - `max_attempts`, `cooldown_seconds` and `time_limit_seconds` on `mission_quiz_details`.
+ * - `quiz_attempt_starts`, the server-issued starts of timed quizzes. The ID of a start is the token the
+ *   Mini App sends back on submit; a start that is never submitted still counts as an attempt.
+ * - `quiz_attempts.started_at`, the start of a timed attempt.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Step 1: Per-quiz settings.
+  await knex.schema.alterTable('mission_quiz_details', (table) => {
+    table
+      .integer('max_attempts')
+      .nullable()
+      .comment('NULL for unlimited attempts');
+    table
+      .integer('cooldown_seconds')
+      .notNullable()
+      .defaultTo(0)
+      .comment('Minimum time between two attempts of the same user');
+    table
+      .integer('time_limit_seconds')
+      .nullable()
+      .comment('NULL for untimed quizzes. Timed quizzes must be started to get the questions');
+  });
+  await knex.raw(`
+    ALTER TABLE mission_quiz_details
+      ADD CONSTRAINT mission_quiz_details_max_attempts_check CHECK (max_attempts IS NULL OR max_attempts > 0),
+      ADD CONSTRAINT mission_quiz_details_cooldown_seconds_check CHECK (cooldown_seconds >= 0),
+      ADD CONSTRAINT mission_quiz_details_time_limit_seconds_check CHECK (time_limit_seconds IS NULL OR time_limit_seconds > 0)
+  `);
+
+  // Step 2: Starts of timed attempts.
+  await knex.schema.createTable('quiz_attempt_starts', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table
+      .uuid('user_id')
+      .notNullable()
+      .references('id')
+      .inTable('users')
+      .onDelete('CASCADE');
+    table
+      .uuid('mission_id')
+      .notNullable()
+      .references('id')
+      .inTable('missions')
+      .onDelete('CASCADE');
+    table
+      .timestamp('started_at')
+      .notNullable()
+      .defaultTo(knex.fn.now());
+    table.timestamp('expires_at').notNullable();
+    table
+      .timestamp('submitted_at')
+      .nullable()
+      .comment('Set when the attempt is submitted; a start can be submitted once');
+
+    table.index(['user_id', 'mission_id']);
+  });
+
+  // Step 3: Start time of the recorded attempts.
+  await knex.schema.alterTable('quiz_attempts', (table) => {
+    table
+      .timestamp('started_at')
+      .nullable()
+      .comment('The start of a timed attempt; NULL for untimed quizzes');
+  });
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.alterTable('quiz_attempts', (table) => {
+    table.dropColumn('started_at');
+  });
+  await knex.schema.dropTableIfExists('quiz_attempt_starts');
+  await knex.schema.alterTable('mission_quiz_details', (table) => {
+    table.dropColumn('time_limit_seconds');
+    table.dropColumn('cooldown_seconds');
+    table.dropColumn('max_attempts');
+  });
+};
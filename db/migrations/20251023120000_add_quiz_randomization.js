@@ -0,0 +1,60 @@
+// ./db/migrations/add_quiz_randomization.js
+
+/**
+ * Adds randomized quizzes. The questions of a quiz become its bank: each attempt can draw
+ * `questions_per_attempt` of them in random order, with the answers shuffled.
+ * Randomized quizzes are started like timed ones; the start remembers the served layout so the submission
+ * can be mapped back to the original indexes. Untimed starts have no `expires_at`.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Step 1: Per-quiz settings.
+  await knex.schema.alterTable('mission_quiz_details', (table) => {
+    table
+      .integer('questions_per_attempt')
+      .nullable()
+      .comment('NULL to serve every question');
+    table
+      .boolean('shuffle_questions')
+      .notNullable()
+      .defaultTo(false);
+    table
+      .boolean('shuffle_answers')
+      .notNullable()
+      .defaultTo(false);
+  });
+  await knex.raw(`
+    ALTER TABLE mission_quiz_details
+      ADD CONSTRAINT mission_quiz_details_questions_per_attempt_check
+      CHECK (questions_per_attempt IS NULL OR (questions_per_attempt > 0 AND questions_per_attempt <= jsonb_array_length(questions)))
+  `);
+
+  // Step 2: The served layout of each start; untimed (randomized only) starts do not expire.
+  await knex.schema.alterTable('quiz_attempt_starts', (table) => {
+    table
+      .jsonb('layout')
+      .nullable()
+      .comment('Served questions: [{question_index, answer_order}] with original indexes. NULL serves every question in order');
+    table.timestamp('expires_at').nullable().alter();
+  });
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * Untimed starts are removed first, since `expires_at` becomes required again.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex('quiz_attempt_starts').whereNull('expires_at').del();
+  await knex.schema.alterTable('quiz_attempt_starts', (table) => {
+    table.timestamp('expires_at').notNullable().alter();
+    table.dropColumn('layout');
+  });
+  await knex.schema.alterTable('mission_quiz_details', (table) => {
+    table.dropColumn('shuffle_answers');
+    table.dropColumn('shuffle_questions');
+    table.dropColumn('questions_per_attempt');
+  });
+};
@@ -0,0 +1,58 @@
+// ./db/migrations/add_file_upload_mission_type.js
+
+/**
+ * Adds the FILE_UPLOAD mission type: the user uploads a photo or a document, which is stored in MinIO
+ * and reviewed by a moderator like a MANUAL_URL submission.
+ * The details table holds the prompt and the accepted files.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Step 1: The new mission type.
+  await knex.raw(`
+    ALTER TYPE mission_type ADD VALUE IF NOT EXISTS 'FILE_UPLOAD'
+  `);
+
+  // Step 2: Details of file upload missions.
+  await knex.schema.createTable('mission_file_upload_details', (table) => {
+    table
+      .uuid('mission_id')
+      .primary()
+      .references('id')
+      .inTable('missions')
+      .onDelete('CASCADE')
+      .comment('Foreign key linking to the specific mission');
+    table
+      .text('submission_prompt')
+      .notNullable()
+      .comment('Instructions shown to users, e.g. what the photo must show');
+    table
+      .jsonb('allowed_mime_types')
+      .notNullable()
+      .defaultTo(JSON.stringify(['image/*']))
+      .comment('Accepted MIME types; "image/*" accepts every image type');
+    table
+      .integer('max_file_size_bytes')
+      .notNullable()
+      .defaultTo(10 * 1024 * 1024)
+      .comment('Largest accepted file, at most the server-wide upload limit of 20 MB');
+  });
+  await knex.raw(`
+    ALTER TABLE mission_file_upload_details
+      ADD CONSTRAINT mission_file_upload_details_allowed_mime_types_check
+        CHECK (jsonb_typeof(allowed_mime_types) = 'array' AND jsonb_array_length(allowed_mime_types) > 0),
+      ADD CONSTRAINT mission_file_upload_details_max_file_size_bytes_check
+        CHECK (max_file_size_bytes > 0 AND max_file_size_bytes <= 20971520)
+  `);
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('mission_file_upload_details');
+
+  // Note: We cannot remove the FILE_UPLOAD value from the enum type in PostgreSQL
+};
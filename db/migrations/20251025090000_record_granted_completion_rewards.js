@@ -0,0 +1,67 @@
+// ./db/migrations/record_granted_completion_rewards.js
+
+/**
+ * Records on every approved completion the rewards that were granted for it, so that a revocation
+ * takes back exactly these amounts even if the mission's rewards were edited after the approval.
+ * Completions approved before this migration get the mission's current rewards, the best value known.
+ * The revocation audit records also keep the granted amounts next to what was taken back.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Step 1: The rewards granted for a completion.
+  await knex.schema.alterTable('mission_completions', (table) => {
+    table
+      .integer('experience_granted')
+      .nullable()
+      .comment('Experience points granted on approval; NULL if the completion was never approved');
+    table
+      .integer('mana_granted')
+      .nullable()
+      .comment('Mana points granted on approval; NULL if the completion was never approved');
+    table
+      .jsonb('competencies_granted')
+      .nullable()
+      .comment('Competency points granted on approval, e.g. [{"competency_id": "uuid", "points": 10}]');
+  });
+
+  // Step 2: Backfill approved and revoked completions from their missions.
+  await knex.raw(`
+    UPDATE mission_completions mc
+    SET
+      experience_granted = m.experience_reward,
+      mana_granted = m.mana_reward,
+      competencies_granted = COALESCE(m.competency_rewards, '[]'::jsonb)
+    FROM missions m
+    WHERE mc.mission_id = m.id AND mc.status IN ('APPROVED', 'REVOKED')
+  `);
+
+  // Step 3: The granted amounts in the revocation audit records.
+  await knex.schema.alterTable('completion_revocations', (table) => {
+    table
+      .integer('experience_granted')
+      .nullable()
+      .comment('Experience points the completion had granted; NULL for revocations recorded before this column');
+    table
+      .integer('mana_granted')
+      .nullable()
+      .comment('Mana points the completion had granted; NULL for revocations recorded before this column');
+  });
+};
+
+/**
+ * Reverts the schema modifications applied by the 'up' function.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.alterTable('completion_revocations', (table) => {
+    table.dropColumn('experience_granted');
+    table.dropColumn('mana_granted');
+  });
+  await knex.schema.alterTable('mission_completions', (table) => {
+    table.dropColumn('experience_granted');
+    table.dropColumn('mana_granted');
+    table.dropColumn('competencies_granted');
+  });
+};
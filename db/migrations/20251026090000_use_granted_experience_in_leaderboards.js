@@ -0,0 +1,73 @@
+// ./db/migrations/use_granted_experience_in_leaderboards.js
+
+/**
+ * Builds `campaign_leaderboard_scores` with the given experience of a completion.
+ * @param {string} completionExperience - SQL expression for the experience of an approved completion.
+ * @returns {string}
+ */
+const createScoresView = (completionExperience) => `
+    CREATE MATERIALIZED VIEW campaign_leaderboard_scores AS
+    WITH earned AS (
+      SELECT m.campaign_id, mc.user_id, ${completionExperience} AS experience, 1 AS missions_completed, mc.updated_at AS earned_at
+      FROM mission_completions mc
+      JOIN missions m ON mc.mission_id = m.id
+      WHERE mc.status = 'APPROVED'
+      UNION ALL
+      SELECT a.campaign_id, ua.user_id, a.experience_reward, 0, ua.awarded_at
+      FROM user_achievements ua
+      JOIN achievements a ON ua.achievement_id = a.id
+      UNION ALL
+      SELECT r.campaign_id, r.referrer_id, r.inviter_experience_awarded, 0, r.rewarded_at
+      FROM campaign_referrals r
+      WHERE r.status = 'REWARDED'
+      UNION ALL
+      SELECT r.campaign_id, r.referred_id, r.invitee_experience_awarded, 0, r.rewarded_at
+      FROM campaign_referrals r
+      WHERE r.status = 'REWARDED'
+    )
+    SELECT
+      campaign_id,
+      user_id,
+      SUM(experience)::INTEGER AS experience,
+      SUM(missions_completed)::INTEGER AS missions_completed,
+      MAX(earned_at) AS last_activity_at
+    FROM earned
+    GROUP BY campaign_id, user_id
+  `;
+
+/**
+ * Recreates the view with its indexes.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @param {string} completionExperience - See createScoresView.
+ * @returns { Promise<void> }
+ */
+const recreateScoresView = async (knex, completionExperience) => {
+  await knex.raw('DROP MATERIALIZED VIEW IF EXISTS campaign_leaderboard_scores');
+  await knex.raw(createScoresView(completionExperience));
+  await knex.raw(`
+    CREATE UNIQUE INDEX campaign_leaderboard_scores_pk ON campaign_leaderboard_scores (campaign_id, user_id)
+  `);
+  await knex.raw(`
+    CREATE INDEX campaign_leaderboard_scores_ranking_idx ON campaign_leaderboard_scores (campaign_id, experience DESC)
+  `);
+};
+
+/**
+ * Counts the experience recorded on a completion at approval (`experience_granted`) in the campaign scores,
+ * instead of the mission's current `experience_reward`. Editing a mission's reward then no longer changes
+ * past scores, and the scores match what a revocation takes back.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await recreateScoresView(knex, 'COALESCE(mc.experience_granted, m.experience_reward)');
+};
+
+/**
+ * Restores the view that sums the missions' current rewards.
+ * @param { import("knex").Knex } knex - The Knex.js instance.
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await recreateScoresView(knex, 'm.experience_reward');
+};